@@ -6,27 +6,73 @@ const App = {
     // 状態
     encryptionKey: null,
     encryptionSalt: null,
+    kdf: null,
     passwords: [],
     currentPasswordId: null,
     isNewUser: false,
     editMode: false,
+    passwordPromptResolver: null,
+    vault: null,                // 開いているVault { id, name, dbName }
+    vaultNameResolver: null,
+    throttleTimer: null,
+
+    confirmResolver: null,
+    attachmentPreview: null,    // { meta, url } プレビュー中の添付ファイル
+    // 一覧の絞り込み（folder: null=すべて, ''=フォルダなし。配下のフォルダも含む）
+    listFilter: { query: '', folder: null, tags: [], favoritesOnly: false },
+    searchFrame: null,
+    urlContext: null,           // ?url= で開かれたときのサイト（URL）。一致するエントリを先頭に出す
+    otpDetail: null,            // 詳細画面で入力中の2段階認証の設定（Otp.parseの結果）
+    otpTimer: null,
+    otpCache: new WeakMap(),    // コード表示の要素 → { config, counter }（カウンターが変わったときだけ計算し直す）
+    qrCamera: null,             // カメラで読み取り中 { stream, finish }
+    // 2段階認証のインポート中のアカウント（target: 'new' | 'skip' | エントリのid）と読み取った移行用QRコード
+    otpImport: null,            // { accounts: [{ config, target, note }], batches: Map<batchId, { size, indexes: Set }>, skipped: [] }
+
+    // 変更履歴の既定の保持数（エントリごと）
+    HISTORY_DEFAULT_LIMIT: 10,
+    // ゴミ箱の既定の保持日数
+    TRASH_DEFAULT_RETENTION_DAYS: 30,
+    // 2段階認証のコードの残り秒数がこれ以下で警告表示
+    OTP_WARNING_SECONDS: 5,
+    // カメラの映像からQRコードを探す間隔
+    QR_SCAN_INTERVAL_MS: 300,
+    // パスワード生成オプションの入力欄とオプション名（checkboxは真偽値）
+    GENERATOR_FIELDS: {
+        'generator-mode': 'mode',
+        'generator-length': 'length',
+        'generator-lowercase': 'lowercase',
+        'generator-uppercase': 'uppercase',
+        'generator-numbers': 'numbers',
+        'generator-symbols': 'symbols',
+        'generator-min-lowercase': 'minLowercase',
+        'generator-min-uppercase': 'minUppercase',
+        'generator-min-numbers': 'minNumbers',
+        'generator-min-symbols': 'minSymbols',
+        'generator-symbol-set': 'symbolSet',
+        'generator-exclude-ambiguous': 'excludeAmbiguous',
+        'passphrase-words': 'words',
+        'passphrase-separator': 'separator',
+        'passphrase-capitalize': 'capitalize',
+        'passphrase-digit': 'digit',
+        'passphrase-symbol': 'symbol'
+    },
 
     /**
      * アプリケーション初期化
      */
     async init() {
         try {
-            // IndexedDBの初期化
-            await Storage.init();
+            // ?url= で開かれたら、そのサイトのエントリを一覧の先頭に出す
+            this.urlContext = UrlMatch.parse(new URLSearchParams(location.search).get('url'));
 
-            // マスターパスワードの存在確認
-            const masterHash = await Storage.getSetting('masterHash');
-            this.isNewUser = !masterHash;
+            // Vaultの一覧を読み込み、前回開いていたVaultを開く
+            await VaultRegistry.init();
+            await this.openVault(await VaultRegistry.getCurrentId());
 
-            if (this.isNewUser) {
-                document.getElementById('login-btn-text').textContent = '設定する';
-                document.getElementById('confirm-password-group').style.display = 'block';
-            }
+            // クリップボード自動クリア
+            await ClipboardGuard.init();
+            ClipboardGuard.onChange = (secondsLeft) => this.updateClipboardChip(secondsLeft);
 
             // イベントリスナーの設定
             this.setupEventListeners();
@@ -40,6 +86,138 @@ const App = {
         }
     },
 
+    /**
+     * Vaultを開いてログイン画面を表示（開いていたVaultの鍵と復号済みデータは先に消去する）
+     * @param {string|null} id - 見つからなければ最初のVaultを開く
+     */
+    async openVault(id) {
+        const vault = (id && await VaultRegistry.get(id)) || (await VaultRegistry.list())[0];
+
+        this.clearSession();
+        this.encryptionSalt = null;
+        Storage.close();
+        await Storage.init(vault.dbName);
+        this.vault = vault;
+        await VaultRegistry.setCurrentId(vault.id);
+
+        // 保持期間を過ぎたゴミ箱のエントリを削除
+        await Storage.purgeTrash(await this.getTrashRetentionDays());
+
+        // 設定・同期先はVaultごと
+        await ClipboardGuard.loadSettings();
+        await UrlMatch.loadSettings();
+        await GitHubSync.init();
+
+        // Vaultの存在確認（旧Vaultはハッシュのみ保存されている）
+        const keyCheck = await Storage.getSetting('keyCheck');
+        const masterHash = await Storage.getSetting('masterHash');
+        this.isNewUser = !keyCheck && !masterHash;
+
+        this.toggleRecoveryForm(false);
+        this.updateLoginUI();
+        this.updateThrottleUI();
+        await this.renderVaultPicker();
+    },
+
+    /**
+     * Vaultの選択肢と、画面に出すVault名を更新
+     */
+    async renderVaultPicker() {
+        const vaults = await VaultRegistry.list();
+        const select = document.getElementById('vault-select');
+        select.innerHTML = '';
+        vaults.forEach(vault => {
+            const selected = vault.id === this.vault.id;
+            select.appendChild(new Option(vault.name, vault.id, selected, selected));
+        });
+
+        document.getElementById('vault-delete-btn').disabled = vaults.length <= 1;
+        // Vaultが1つだけなら一覧のヘッダーには出さない
+        document.getElementById('vault-name-label').textContent = vaults.length > 1 ? `${this.vault.name} ・ ` : '';
+        document.getElementById('vault-current-name').textContent = this.vault.name;
+    },
+
+    /**
+     * Vaultを作成して開く
+     */
+    async createVault() {
+        const name = await this.promptVaultName('新しいVault');
+        if (name === null) return;
+
+        try {
+            const vault = await VaultRegistry.create(name);
+            await this.openVault(vault.id);
+            this.showToast(`Vault「${vault.name}」を作成しました。マスターパスワードを設定してください`);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    async renameVault() {
+        const name = await this.promptVaultName('Vaultの名前を変更', this.vault.name);
+        if (name === null) return;
+
+        try {
+            this.vault = await VaultRegistry.rename(this.vault.id, name);
+            await this.renderVaultPicker();
+            this.showToast('名前を変更しました');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    /**
+     * 選択中のVaultをこの端末から削除し、残りの最初のVaultを開く
+     * ロック中に選べるため、マスターパスワードが設定済みのVaultはそのパスワードを確認してから削除する
+     */
+    async deleteVault() {
+        const vaults = await VaultRegistry.list();
+        if (vaults.length <= 1) {
+            this.showToast('最後のVaultは削除できません', 'error');
+            return;
+        }
+
+        const target = this.vault;
+        const confirmed = await this.confirmAction(
+            `Vault「${target.name}」とこの端末のデータを削除しますか？GitHub上のデータは削除されません。`
+        );
+        if (!confirmed) return;
+
+        if (!this.isNewUser) {
+            if (await LoginThrottle.getRemainingMs() > 0) {
+                this.showToast('しばらく待ってから再試行してください', 'error');
+                return;
+            }
+
+            const password = await this.promptPassword(`Vault「${target.name}」を削除するにはマスターパスワードを入力してください`);
+            if (password === null) return;
+
+            try {
+                if (!await this.verifyVaultPassword(password)) {
+                    // ログインと同じく連続失敗として数え、総当たりで削除できないようにする
+                    await this.handleLoginFailure('password', 'パスワードが正しくありません');
+                    return;
+                }
+            } catch (error) {
+                console.error('パスワード確認エラー:', error);
+                this.showToast('パスワードを確認できませんでした', 'error');
+                return;
+            }
+        }
+
+        try {
+            this.clearSession();
+            Storage.close();
+            await VaultRegistry.remove(target.id);
+            await this.openVault(null);
+            this.showToast(`Vault「${target.name}」を削除しました`);
+        } catch (error) {
+            console.error('Vault削除エラー:', error);
+            this.showToast('Vaultの削除に失敗しました', 'error');
+            await this.openVault(target.id);
+        }
+    },
+
     /**
      * イベントリスナーのセットアップ
      */
@@ -47,23 +225,92 @@ const App = {
         // ログインフォーム
         document.getElementById('login-form').addEventListener('submit', (e) => this.handleLogin(e));
         document.getElementById('toggle-password').addEventListener('click', () => this.togglePasswordVisibility('master-password'));
+        document.getElementById('passkey-login-btn').addEventListener('click', () => this.handlePasskeyLogin());
+
+        // Vault
+        document.getElementById('vault-select').addEventListener('change', (e) => this.openVault(e.target.value));
+        document.getElementById('vault-create-btn').addEventListener('click', () => this.createVault());
+        document.getElementById('vault-rename-btn').addEventListener('click', () => this.renameVault());
+        document.getElementById('vault-delete-btn').addEventListener('click', () => this.deleteVault());
+        document.getElementById('switch-vault-btn').addEventListener('click', () => this.logout());
+
+        // リカバリー
+        document.getElementById('show-recovery-btn').addEventListener('click', () => this.toggleRecoveryForm(true));
+        document.getElementById('recovery-back-btn').addEventListener('click', () => this.toggleRecoveryForm(false));
+        document.getElementById('recovery-form').addEventListener('submit', (e) => this.handleRecovery(e));
+        document.getElementById('recovery-code-copy').addEventListener('click', () => {
+            this.copyToClipboard(document.getElementById('recovery-code-display').textContent);
+        });
+        document.getElementById('recovery-code-print').addEventListener('click', () => this.printRecoveryCode());
+        document.getElementById('regenerate-recovery-btn').addEventListener('click', () => this.regenerateRecoveryCode());
 
         // パスワード一覧
         document.getElementById('add-btn').addEventListener('click', () => this.showAddScreen());
         document.getElementById('search-input').addEventListener('input', (e) => this.handleSearch(e.target.value));
         document.getElementById('settings-btn').addEventListener('click', () => this.showScreen('settings-screen'));
+        document.getElementById('folder-drawer-btn').addEventListener('click', () => this.openFolderDrawer());
+        document.getElementById('folder-drawer-close').addEventListener('click', () => this.closeFolderDrawer());
+        document.getElementById('folder-drawer').addEventListener('click', (e) => {
+            if (e.target.id === 'folder-drawer') this.closeFolderDrawer();
+        });
 
         // パスワード詳細/編集 (統合)
         document.getElementById('detail-back-btn').addEventListener('click', () => this.showScreen('list-screen'));
         document.getElementById('detail-form').addEventListener('submit', (e) => this.handleSave(e));
         document.getElementById('toggle-detail-password').addEventListener('click', () => this.togglePasswordVisibility('detail-password'));
 
-        // パスワード生成 (新規時のみ)
+        // 種類 (追加時のみ選択できる)
+        const typeSelect = document.getElementById('detail-type');
+        Object.entries(EntryTypes.TYPES).forEach(([type, def]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = def.icon ? `${def.icon} ${def.label}` : def.label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.addEventListener('change', (e) => this.applyEntryType(e.target.value, this.collectTypeFields()));
+
+        // パスワード生成
         document.getElementById('generate-password-btn').addEventListener('click', () => this.generatePassword());
+        Object.keys(this.GENERATOR_FIELDS).forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveGeneratorOptions());
+            document.getElementById(id).addEventListener('input', () => this.updateGeneratorPanel());
+        });
+        document.getElementById('generator-rules').addEventListener('input', () => this.updateGeneratorPanel());
         document.getElementById('detail-password').addEventListener('input', (e) => this.updateStrengthIndicator(e.target.value));
+        // サービス名・ユーザー名を含むパスワードは弱くなるので、変えたら評価し直す
+        ['detail-service', 'detail-username', 'detail-email'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateStrengthIndicator(document.getElementById('detail-password').value);
+            });
+        });
+
+        // 添付ファイル
+        document.getElementById('add-attachment-btn').addEventListener('click', () => document.getElementById('attachment-file').click());
+        document.getElementById('attachment-file').addEventListener('change', async (e) => {
+            await this.addAttachments([...e.target.files]);
+            e.target.value = '';
+        });
+        document.getElementById('attachment-modal-close').addEventListener('click', () => this.closeAttachmentPreview());
+        document.getElementById('attachment-modal-download').addEventListener('click', () => {
+            if (this.attachmentPreview) this.saveBlob(this.attachmentPreview.url, this.attachmentPreview.meta.name);
+        });
 
         // カスタムフィールド追加
         document.getElementById('add-custom-field-btn').addEventListener('click', () => this.addCustomFieldInput());
+        document.getElementById('add-url-btn').addEventListener('click', () => this.addUrlInput());
+
+        // 2段階認証
+        document.getElementById('detail-otp').addEventListener('input', () => this.updateOtpPreview());
+        document.getElementById('toggle-detail-otp').addEventListener('click', () => this.togglePasswordVisibility('detail-otp'));
+        document.querySelector('#otp-preview .otp-code').addEventListener('click', () => this.copyOtp('detail'));
+        document.getElementById('otp-scan-image-btn').addEventListener('click', () => document.getElementById('otp-image-file').click());
+        document.getElementById('otp-image-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.scanOtpImage(file);
+        });
+        document.getElementById('otp-scan-camera-btn').addEventListener('click', () => this.scanOtpCamera());
+        document.getElementById('qr-camera-cancel').addEventListener('click', () => this.stopQrCamera());
 
         // 削除ボタン
         document.getElementById('delete-btn').addEventListener('click', () => this.showDeleteModal());
@@ -77,7 +324,9 @@ const App = {
                 if (field === 'username') value = document.getElementById('detail-username').value;
                 if (field === 'password') value = document.getElementById('detail-password').value;
 
-                if (value) this.copyToClipboard(value);
+                if (!value) return;
+                this.copyToClipboard(value, ClipboardGuard.shouldAutoClear(field));
+                if (this.editMode) this.markUsed(this.currentPasswordId);
             });
         });
 
@@ -88,17 +337,253 @@ const App = {
         document.getElementById('import-file').addEventListener('change', (e) => this.importData(e));
         document.getElementById('logout-btn').addEventListener('click', () => this.logout());
 
+        // 2段階認証のインポート
+        document.getElementById('otp-import-btn').addEventListener('click', () => this.openOtpImport());
+        document.getElementById('otp-import-image-btn').addEventListener('click', () => document.getElementById('otp-import-file').click());
+        document.getElementById('otp-import-file').addEventListener('change', async (e) => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            await this.addOtpImportImages(files);
+        });
+        document.getElementById('otp-import-camera-btn').addEventListener('click', () => this.scanOtpImportCamera());
+        document.getElementById('otp-import-cancel').addEventListener('click', () => this.closeOtpImport());
+        document.getElementById('otp-import-apply').addEventListener('click', () => this.applyOtpImport());
+
         // GitHub同期
         document.getElementById('save-config-btn').addEventListener('click', () => this.saveGitHubConfig());
         document.getElementById('sync-pull-btn').addEventListener('click', () => this.handleSyncPull());
         document.getElementById('sync-push-btn').addEventListener('click', () => this.handleSyncPush());
         document.getElementById('clear-config-btn').addEventListener('click', () => this.clearGitHubConfig());
 
+        // KDF設定
+        document.getElementById('kdf-algorithm').addEventListener('change', (e) => this.toggleKdfParams(e.target.value));
+        document.getElementById('kdf-benchmark-btn').addEventListener('click', () => this.runKdfBenchmark());
+        document.getElementById('kdf-strengthen-btn').addEventListener('click', () => this.strengthenKdf());
+
+        // 隔離されたデータ
+        document.getElementById('show-quarantine-btn').addEventListener('click', () => this.showScreen('quarantine-screen'));
+        document.getElementById('quarantine-back-btn').addEventListener('click', () => this.showScreen('settings-screen'));
+        document.getElementById('quarantine-retry-form').addEventListener('submit', (e) => this.retryQuarantine(e));
+        document.getElementById('quarantine-export-btn').addEventListener('click', () => this.exportQuarantine());
+
+        // ゴミ箱
+        document.getElementById('trash-retention').addEventListener('change', () => this.saveTrashRetention());
+        document.getElementById('empty-trash-btn').addEventListener('click', () => this.emptyTrash());
+
+        // 確認モーダル
+        document.getElementById('confirm-modal-ok').addEventListener('click', () => this.resolveConfirm(true));
+        document.getElementById('confirm-modal-cancel').addEventListener('click', () => this.resolveConfirm(false));
+
+        // 変更履歴
+        document.getElementById('history-limit').addEventListener('change', () => this.saveHistoryLimit());
+        document.getElementById('equivalent-domains').addEventListener('change', () => this.saveEquivalentDomains());
+
+        // ログイン試行の制限
+        document.getElementById('login-wipe-after').addEventListener('change', () => this.saveLoginPolicy());
+        document.getElementById('failed-attempts-done').addEventListener('click', () => {
+            document.getElementById('failed-attempts-modal').classList.remove('active');
+        });
+
+        // パスキー
+        document.getElementById('passkey-register-btn').addEventListener('click', () => this.registerPasskey());
+
+        // マスターパスワード変更
+        document.getElementById('change-password-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changeMasterPassword();
+        });
+
+        // パスワード確認モーダル
+        document.getElementById('password-prompt-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.resolvePasswordPrompt(document.getElementById('password-prompt-input').value);
+        });
+        document.getElementById('password-prompt-cancel').addEventListener('click', () => this.resolvePasswordPrompt(null));
+
+        // Vaultの名前入力モーダル
+        document.getElementById('vault-name-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.resolveVaultName(document.getElementById('vault-name-input').value);
+        });
+        document.getElementById('vault-name-cancel').addEventListener('click', () => this.resolveVaultName(null));
+
+        // クリップボード
+        document.getElementById('clipboard-chip').addEventListener('click', () => ClipboardGuard.clear());
+        ['clipboard-clear-seconds', 'clipboard-keep-email', 'clipboard-keep-username'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveClipboardSettings());
+        });
+
+        // 自動ロック
+        document.getElementById('lock-warning-extend').addEventListener('click', () => AutoLock.extend());
+        ['auto-lock-idle', 'auto-lock-session', 'auto-lock-hidden', 'auto-lock-sleep'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveAutoLockSettings());
+        });
+
         // 削除モーダル
         document.getElementById('cancel-delete').addEventListener('click', () => this.hideDeleteModal());
         document.getElementById('confirm-delete').addEventListener('click', () => this.handleDelete());
     },
 
+    /**
+     * ログイン画面の表示を新規/既存ユーザーに合わせて更新
+     */
+    updateLoginUI() {
+        document.getElementById('login-btn-text').textContent = this.isNewUser ? '設定する' : 'ロック解除';
+        document.getElementById('confirm-password-group').style.display = this.isNewUser ? 'block' : 'none';
+        document.getElementById('show-recovery-btn').style.display = this.isNewUser ? 'none' : 'inline-block';
+        document.querySelector('.login-subtitle').textContent = 'マスターパスワードでロック解除';
+        this.updatePasskeyLoginUI();
+    },
+
+    /**
+     * パスキーが登録されていればログイン画面にボタンを表示
+     */
+    async updatePasskeyLoginUI() {
+        const entries = this.isNewUser || !Passkey.isSupported() ? [] : await Passkey.list();
+        document.getElementById('passkey-login-btn').style.display = entries.length > 0 ? 'block' : 'none';
+    },
+
+    /**
+     * ログイン失敗を記録し、待ち時間の表示または消去ポリシーを適用
+     * @param {string} method - 'password' | 'recovery'
+     */
+    async handleLoginFailure(method, message) {
+        const { failures, wipe } = await LoginThrottle.recordFailure(method);
+
+        if (wipe) {
+            // 端末内のデータだけを消去する（同期は手動のためGitHubへは何も送信しない）
+            await Storage.clearAll();
+            this.isNewUser = true;
+            this.toggleRecoveryForm(false);
+            this.updateLoginUI();
+            this.updateThrottleUI();
+            this.showToast(`${failures}回連続で失敗したため、この端末のデータを消去しました`, 'error');
+            return;
+        }
+
+        this.showToast(message, 'error');
+        this.updateThrottleUI();
+    },
+
+    /**
+     * ログイン画面に連続失敗回数と待ち時間を表示
+     */
+    async updateThrottleUI() {
+        clearInterval(this.throttleTimer);
+        this.throttleTimer = null;
+
+        const messageEl = document.getElementById('login-throttle');
+        const buttons = [document.getElementById('login-btn'), document.getElementById('recovery-submit-btn')];
+        const { failures, lockedUntil } = await LoginThrottle.getState();
+        const { wipeAfter } = await LoginThrottle.getPolicy();
+
+        const render = () => {
+            const secondsLeft = Math.ceil((lockedUntil - Date.now()) / 1000);
+            const locked = secondsLeft > 0;
+            buttons.forEach(btn => { btn.disabled = locked; });
+
+            if (failures === 0) {
+                messageEl.style.display = 'none';
+                return;
+            }
+
+            let text = `${failures}回連続で失敗しています。`;
+            if (locked) text += `${secondsLeft}秒後に再試行できます。`;
+            if (wipeAfter > 0) text += `あと${wipeAfter - failures}回失敗するとこの端末のデータを消去します。`;
+            messageEl.textContent = text;
+            messageEl.style.display = 'block';
+
+            if (!locked && this.throttleTimer) {
+                clearInterval(this.throttleTimer);
+                this.throttleTimer = null;
+            }
+        };
+
+        render();
+        if (lockedUntil > Date.now()) {
+            this.throttleTimer = setInterval(render, 1000);
+        }
+    },
+
+    /**
+     * ロック解除に成功したら、前回以降の失敗記録を表示
+     */
+    async showFailedAttempts() {
+        const unseen = await LoginThrottle.recordSuccess();
+        this.updateThrottleUI();
+        if (unseen.length === 0) return;
+
+        document.getElementById('failed-attempts-message').textContent =
+            `前回のロック解除以降、${unseen.length}回の失敗したロック解除がありました。`;
+        document.getElementById('failed-attempts-list').innerHTML = unseen.map(entry => `
+            <li>${new Date(entry.at).toLocaleString('ja-JP')}（${this.describeLoginMethod(entry.method)}）</li>
+        `).join('');
+        document.getElementById('failed-attempts-modal').classList.add('active');
+    },
+
+    describeLoginMethod(method) {
+        return method === 'recovery' ? 'リカバリーコード' : 'マスターパスワード';
+    },
+
+    /**
+     * ログイン試行の設定UIを更新
+     */
+    async updateLoginPolicyUI() {
+        const { wipeAfter } = await LoginThrottle.getPolicy();
+        const { log } = await LoginThrottle.getState();
+
+        document.getElementById('login-wipe-after').value = String(wipeAfter);
+        document.getElementById('login-attempt-log').innerHTML = log.length > 0
+            ? log.slice(-10).reverse().map(entry => `
+                <li>${new Date(entry.at).toLocaleString('ja-JP')}（${this.describeLoginMethod(entry.method)}）</li>
+            `).join('')
+            : '<li>失敗の記録はありません</li>';
+    },
+
+    /**
+     * ログイン試行の設定を保存
+     */
+    async saveLoginPolicy() {
+        try {
+            await LoginThrottle.savePolicy({
+                wipeAfter: parseInt(document.getElementById('login-wipe-after').value, 10)
+            });
+            this.showToast('ログイン試行の設定を保存しました');
+        } catch (error) {
+            console.error('ログイン試行設定エラー:', error);
+            this.showToast('ログイン試行の設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * パスキーでロック解除（マスターパスワードの代わり）
+     */
+    async handlePasskeyLogin() {
+        try {
+            const dataKey = await Passkey.unlock();
+
+            this.kdf = CryptoUtils.normalizeKdf(await Storage.getSetting('kdf'));
+            this.encryptionSalt = await Storage.getSetting('encryptionSalt');
+            this.encryptionKey = dataKey;
+
+            await this.loadPasswords();
+
+            this.showScreen('list-screen');
+            this.startSession();
+            await this.showFailedAttempts();
+
+        } catch (error) {
+            console.error('パスキーログインエラー:', error);
+            if (error.name === 'NotAllowedError') {
+                this.showToast('パスキーの認証がキャンセルされました', 'error');
+            } else if (error.code === CryptoUtils.ERROR_WRONG_KEY || error.code === CryptoUtils.ERROR_TAMPERED) {
+                this.showToast('このパスキーは無効です。マスターパスワードでロック解除してください', 'error');
+            } else {
+                this.showToast(error.message || 'パスキーでのロック解除に失敗しました', 'error');
+            }
+        }
+    },
+
     /**
      * ログイン処理
      */
@@ -122,21 +607,42 @@ const App = {
             }
 
             try {
-                // マスターパスワードをハッシュ化して保存
-                const { hash, salt } = await CryptoUtils.hashMasterPassword(password);
-                await Storage.saveSetting('masterHash', hash);
-                await Storage.saveSetting('masterSalt', salt);
-
-                // 暗号化用のソルトを生成
-                const encryptionSalt = CryptoUtils.arrayBufferToBase64(CryptoUtils.getRandomBytes(16));
-                await Storage.saveSetting('encryptionSalt', encryptionSalt);
-                this.encryptionSalt = encryptionSalt;
+                // 新規Vaultは既定のKDF設定で作成
+                const kdf = CryptoUtils.normalizeKdf({
+                    algorithm: CryptoUtils.KDF_PBKDF2,
+                    iterations: CryptoUtils.PBKDF2_ITERATIONS
+                });
+
+                // パスワードから鍵暗号化鍵を導出
+                const encryptionSalt = CryptoUtils.arrayBufferToBase64(CryptoUtils.getRandomBytes(CryptoUtils.SALT_LENGTH));
+                const passwordKey = await CryptoUtils.deriveKey(password, encryptionSalt, kdf);
+
+                // エントリはランダムなデータ鍵で暗号化し、データ鍵をパスワードとリカバリーコードでラップ
+                const dataKey = CryptoUtils.generateDataKey();
+                const recovery = await this.createRecoveryWrap(dataKey);
+
+                await Storage.rekey([], {
+                    kdf,
+                    encryptionSalt,
+                    keyCheck: await CryptoUtils.createKeyCheck(passwordKey, kdf.algorithm),
+                    wrappedKeys: {
+                        password: await CryptoUtils.wrapKey(dataKey, passwordKey, kdf.algorithm),
+                        recovery: recovery.wrapped
+                    },
+                    recoverySalt: recovery.salt
+                });
 
-                // 暗号化キーを導出
-                this.encryptionKey = await CryptoUtils.deriveKey(password, encryptionSalt);
+                this.kdf = kdf;
+                this.encryptionSalt = encryptionSalt;
+                this.encryptionKey = dataKey;
+                this.isNewUser = false;
+                this.updateLoginUI();
+                document.getElementById('confirm-password').value = '';
 
                 this.showToast('マスターパスワードを設定しました');
                 this.showScreen('list-screen');
+                this.startSession();
+                await this.showRecoveryCode(recovery.code);
 
             } catch (error) {
                 console.error('パスワード設定エラー:', error);
@@ -146,30 +652,276 @@ const App = {
         } else {
             // 既存ユーザー: ログイン
             try {
-                const storedHash = await Storage.getSetting('masterHash');
-                const storedSalt = await Storage.getSetting('masterSalt');
+                if (await LoginThrottle.getRemainingMs() > 0) {
+                    this.showToast('しばらく待ってから再試行してください', 'error');
+                    return;
+                }
 
-                const isValid = await CryptoUtils.verifyMasterPassword(password, storedHash, storedSalt);
+                // 鍵暗号化鍵を導出
+                const kdf = CryptoUtils.normalizeKdf(await Storage.getSetting('kdf'));
+                const encryptionSalt = await Storage.getSetting('encryptionSalt');
+                const passwordKey = await CryptoUtils.deriveKey(password, encryptionSalt, kdf);
+
+                // キーチェック値の復号で検証（旧Vaultは保存済みハッシュで検証して移行）
+                const keyCheck = await Storage.getSetting('keyCheck');
+                const isValid = keyCheck
+                    ? await CryptoUtils.verifyKeyCheck(keyCheck, passwordKey)
+                    : await this.verifyLegacyMasterHash(password, kdf);
 
                 if (!isValid) {
-                    this.showToast('パスワードが正しくありません', 'error');
+                    await this.handleLoginFailure('password', 'パスワードが正しくありません');
                     return;
                 }
 
-                // 暗号化キーを導出
-                this.encryptionSalt = await Storage.getSetting('encryptionSalt');
-                this.encryptionKey = await CryptoUtils.deriveKey(password, this.encryptionSalt);
+                this.kdf = kdf;
+                this.encryptionSalt = encryptionSalt;
+
+                if (!keyCheck) {
+                    await Storage.rekey([], {
+                        keyCheck: await CryptoUtils.createKeyCheck(passwordKey, kdf.algorithm)
+                    }, Storage.LEGACY_SETTING_KEYS);
+                    console.log('マスターパスワードのハッシュをキーチェック値に移行しました');
+                }
+
+                // データ鍵を取り出す（旧Vaultはデータ鍵方式へ移行）
+                const wrappedKeys = await Storage.getSetting('wrappedKeys');
+                let recoveryCode = null;
+                if (wrappedKeys) {
+                    this.encryptionKey = await CryptoUtils.unwrapKey(wrappedKeys.password, passwordKey);
+                } else {
+                    recoveryCode = await this.migrateToDataKey(passwordKey);
+                }
 
                 // パスワード一覧を読み込み
                 await this.loadPasswords();
 
                 this.showScreen('list-screen');
+                this.startSession();
+                await this.showFailedAttempts();
+
+                if (recoveryCode) {
+                    await this.showRecoveryCode(recoveryCode, 'データ鍵方式に移行しました。リカバリーコードを保管してください。');
+                }
 
             } catch (error) {
                 console.error('ログインエラー:', error);
-                this.showToast('ログインに失敗しました', 'error');
+                if (error.code === CryptoUtils.ERROR_TAMPERED) {
+                    this.showToast('Vaultの鍵情報が改ざんされているか破損しています', 'error');
+                } else {
+                    this.showToast('ログインに失敗しました', 'error');
+                }
+            }
+        }
+    },
+
+    /**
+     * 旧Vault（パスワード由来の鍵で直接暗号化）をデータ鍵方式へ移行
+     * @returns {Promise<string>} 新しく発行したリカバリーコード
+     */
+    async migrateToDataKey(passwordKey) {
+        const dataKey = CryptoUtils.generateDataKey();
+
+        // 全レコードをデータ鍵で再暗号化（読めないレコードはそのまま残す）
+        const encryptedPasswords = await Storage.getAllPasswords();
+        const results = await CryptoUtils.decryptMany(encryptedPasswords, passwordKey);
+        const records = [];
+        for (let i = 0; i < results.length; i++) {
+            if (results[i].error) {
+                console.error('データ鍵への移行をスキップ:', results[i].error.message);
+                continue;
+            }
+            const encrypted = await CryptoUtils.encrypt(results[i].data, dataKey);
+            records.push({ ...Storage.recordMeta(encryptedPasswords[i]), ...encrypted, id: encryptedPasswords[i].id });
+        }
+
+        const recovery = await this.createRecoveryWrap(dataKey);
+        await Storage.rekey(records, {
+            wrappedKeys: {
+                password: await CryptoUtils.wrapKey(dataKey, passwordKey, this.kdf.algorithm),
+                recovery: recovery.wrapped
+            },
+            recoverySalt: recovery.salt
+        });
+
+        this.encryptionKey = dataKey;
+        console.log(`データ鍵方式へ移行: ${records.length}件`);
+        return recovery.code;
+    },
+
+    /**
+     * リカバリーコードを発行し、データ鍵をラップ
+     * @returns {Promise<{code: string, salt: string, wrapped: Object}>}
+     */
+    async createRecoveryWrap(dataKey) {
+        const code = CryptoUtils.generateRecoveryCode();
+        const salt = CryptoUtils.arrayBufferToBase64(CryptoUtils.getRandomBytes(CryptoUtils.SALT_LENGTH));
+        const recoveryKey = await CryptoUtils.deriveRecoveryKey(code, salt);
+        const wrapped = await CryptoUtils.wrapKey(dataKey, recoveryKey, CryptoUtils.RECOVERY_KDF.algorithm);
+        return { code, salt, wrapped };
+    },
+
+    /**
+     * リカバリー画面の表示を切り替え
+     */
+    toggleRecoveryForm(show) {
+        document.getElementById('login-form').style.display = show ? 'none' : 'block';
+        document.getElementById('recovery-form').style.display = show ? 'block' : 'none';
+        document.getElementById('show-recovery-btn').style.display = show ? 'none' : 'inline-block';
+        document.querySelector('.login-subtitle').textContent = show
+            ? 'リカバリーコードで新しいマスターパスワードを設定'
+            : 'マスターパスワードでロック解除';
+        if (!show) document.getElementById('recovery-form').reset();
+    },
+
+    /**
+     * リカバリーコードでロック解除し、新しいマスターパスワードを設定
+     */
+    async handleRecovery(e) {
+        e.preventDefault();
+
+        const code = document.getElementById('recovery-code').value;
+        const newPassword = document.getElementById('recovery-new-password').value;
+
+        if (newPassword !== document.getElementById('recovery-confirm-password').value) {
+            this.showToast('パスワードが一致しません', 'error');
+            return;
+        }
+
+        if (newPassword.length < 8) {
+            this.showToast('パスワードは8文字以上で設定してください', 'error');
+            return;
+        }
+
+        try {
+            if (await LoginThrottle.getRemainingMs() > 0) {
+                this.showToast('しばらく待ってから再試行してください', 'error');
+                return;
+            }
+
+            const wrappedKeys = await Storage.getSetting('wrappedKeys');
+            const recoverySalt = await Storage.getSetting('recoverySalt');
+
+            if (!wrappedKeys || !wrappedKeys.recovery || !recoverySalt) {
+                this.showToast('このVaultにはリカバリーコードが設定されていません', 'error');
+                return;
+            }
+
+            const recoveryKey = await CryptoUtils.deriveRecoveryKey(code, recoverySalt);
+            let dataKey;
+            try {
+                dataKey = await CryptoUtils.unwrapKey(wrappedKeys.recovery, recoveryKey);
+            } catch (error) {
+                await this.handleLoginFailure('recovery', 'リカバリーコードが正しくありません');
+                return;
+            }
+
+            // 新しいマスターパスワードでラップし直し、使用済みのリカバリーコードも再発行
+            const kdf = CryptoUtils.normalizeKdf(await Storage.getSetting('kdf'));
+            const encryptionSalt = CryptoUtils.arrayBufferToBase64(CryptoUtils.getRandomBytes(CryptoUtils.SALT_LENGTH));
+            const passwordKey = await CryptoUtils.deriveKey(newPassword, encryptionSalt, kdf);
+            const recovery = await this.createRecoveryWrap(dataKey);
+
+            await Storage.rekey([], {
+                kdf,
+                encryptionSalt,
+                keyCheck: await CryptoUtils.createKeyCheck(passwordKey, kdf.algorithm),
+                wrappedKeys: {
+                    password: await CryptoUtils.wrapKey(dataKey, passwordKey, kdf.algorithm),
+                    recovery: recovery.wrapped
+                },
+                recoverySalt: recovery.salt
+            }, Storage.LEGACY_SETTING_KEYS);
+
+            this.kdf = kdf;
+            this.encryptionSalt = encryptionSalt;
+            this.encryptionKey = dataKey;
+
+            this.toggleRecoveryForm(false);
+            await this.loadPasswords();
+            this.showScreen('list-screen');
+            this.startSession();
+            this.showToast('マスターパスワードを再設定しました');
+            await this.showFailedAttempts();
+            await this.showRecoveryCode(recovery.code, '使用したリカバリーコードは無効になりました。新しいコードを保管してください。');
+
+        } catch (error) {
+            console.error('リカバリーエラー:', error);
+            this.showToast('リカバリーに失敗しました', 'error');
+        }
+    },
+
+    /**
+     * リカバリーコードを再発行
+     */
+    async regenerateRecoveryCode() {
+        const password = await this.promptPassword('リカバリーコードを再発行するにはマスターパスワードを入力してください');
+        if (password === null) return;
+
+        try {
+            if (!await this.verifyCurrentPassword(password)) {
+                this.showToast('パスワードが正しくありません', 'error');
+                return;
             }
+
+            const wrappedKeys = await Storage.getSetting('wrappedKeys');
+            const recovery = await this.createRecoveryWrap(this.encryptionKey);
+            await Storage.rekey([], {
+                wrappedKeys: { ...wrappedKeys, recovery: recovery.wrapped },
+                recoverySalt: recovery.salt
+            });
+
+            await this.showRecoveryCode(recovery.code, '以前のリカバリーコードは無効になりました。');
+
+        } catch (error) {
+            console.error('リカバリーコード再発行エラー:', error);
+            this.showToast('リカバリーコードの再発行に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * リカバリーコードを一度だけ表示
+     * @returns {Promise<void>} ユーザーが「保管しました」を押すと解決
+     */
+    showRecoveryCode(code, message = 'マスターパスワードを忘れた場合、このコードでVaultを復元できます。') {
+        document.getElementById('recovery-code-message').textContent = message;
+        document.getElementById('recovery-code-display').textContent = code;
+        document.getElementById('recovery-code-modal').classList.add('active');
+
+        return new Promise(resolve => {
+            const doneBtn = document.getElementById('recovery-code-done');
+            const onDone = () => {
+                doneBtn.removeEventListener('click', onDone);
+                document.getElementById('recovery-code-display').textContent = '';
+                document.getElementById('recovery-code-modal').classList.remove('active');
+                resolve();
+            };
+            doneBtn.addEventListener('click', onDone);
+        });
+    },
+
+    /**
+     * 表示中のリカバリーコードを印刷
+     */
+    printRecoveryCode() {
+        const code = document.getElementById('recovery-code-display').textContent;
+        const win = window.open('', '_blank', 'width=480,height=360');
+        if (!win) {
+            this.showToast('ポップアップがブロックされました', 'error');
+            return;
         }
+
+        win.document.write(`
+            <html lang="ja"><head><meta charset="UTF-8"><title>リカバリーコード</title></head>
+            <body style="font-family: sans-serif; padding: 32px;">
+                <h2>Password Manager リカバリーコード</h2>
+                <p>作成日: ${new Date().toLocaleDateString('ja-JP')}</p>
+                <p style="font-family: monospace; font-size: 24px; letter-spacing: 2px;">${this.escapeHtml(code)}</p>
+                <p>このコードは安全な場所に保管してください。</p>
+            </body></html>
+        `);
+        win.document.close();
+        win.focus();
+        win.print();
     },
 
     /**
@@ -179,28 +931,51 @@ const App = {
         try {
             const encryptedPasswords = await Storage.getAllPasswords();
             this.passwords = [];
-            const invalidIds = [];
+            const quarantined = [];
+            const upgradeRecords = [];
 
-            for (const ep of encryptedPasswords) {
-                try {
-                    const decrypted = await CryptoUtils.decrypt(ep.ciphertext, ep.iv, this.encryptionKey);
-                    this.passwords.push({ id: ep.id, ...decrypted });
-                } catch (error) {
-                    console.error('復号化エラー (削除対象):', error);
-                    invalidIds.push(ep.id);
+            // Workerでまとめて復号
+            const results = await CryptoUtils.decryptMany(encryptedPasswords, this.encryptionKey);
+
+            results.forEach(({ data, error }, index) => {
+                const ep = encryptedPasswords[index];
+
+                if (error) {
+                    // 消さずに隔離し、別のパスワード・ソルトでの再試行やエクスポートができるようにする
+                    console.error('復号化エラー (隔離):', error.message);
+                    quarantined.push({ record: ep, reason: error.code, message: error.message });
+                    return;
                 }
-            }
 
-            // 復号できないゴミデータを自動削除
-            if (invalidIds.length > 0) {
-                console.log(`削除対象の破損データ: ${invalidIds.length}件`);
-                for (const id of invalidIds) {
-                    await Storage.deletePassword(id);
+                // 古い形式のペイロードは最新の形式に移行
+                const schemaVersion = ep.schemaVersion || 1;
+                const entry = schemaVersion < Storage.ENTRY_SCHEMA_VERSION
+                    ? Storage.upgradeEntry(data, schemaVersion)
+                    : data;
+
+                this.passwords.push({ id: ep.id, uuid: ep.uuid, ...entry });
+
+                if (entry !== data || CryptoUtils.isLegacyEnvelope(ep)) {
+                    upgradeRecords.push({ id: ep.id, data: entry });
+                }
+            });
+
+            // 旧形式（MACなし・古いペイロード）のデータを最新の形式で再暗号化
+            if (upgradeRecords.length > 0) {
+                for (const record of upgradeRecords) {
+                    const encrypted = await CryptoUtils.encrypt(record.data, this.encryptionKey);
+                    await Storage.updatePassword(record.id, { ...encrypted, schemaVersion: Storage.ENTRY_SCHEMA_VERSION });
                 }
-                this.showToast(`${invalidIds.length}件の破損データを削除しました`, 'warning');
+                console.log(`最新の形式へ移行: ${upgradeRecords.length}件`);
+            }
+
+            if (quarantined.length > 0) {
+                await Storage.quarantine(quarantined);
+                this.showToast(`${quarantined.length}件のデータを復号できなかったため隔離しました（設定 → 隔離されたデータ）`, 'error');
             }
 
             this.renderPasswordList();
+            this.scanWeakness();
 
         } catch (error) {
             console.error('パスワード読み込みエラー:', error);
@@ -208,43 +983,73 @@ const App = {
         }
     },
 
+    /**
+     * パスワードの強度をバックグラウンドで推定し、終わったら weak: で絞り込み中の一覧を更新
+     */
+    scanWeakness() {
+        Search.scanWeakness(this.passwords, () => {
+            if (Search.parse(this.listFilter.query).filters.some(f => f.key === 'weak')) {
+                this.renderPasswordList();
+            }
+        });
+    },
+
     /**
      * パスワード一覧を描画
      */
-    renderPasswordList(filter = '') {
+    renderPasswordList() {
         const listEl = document.getElementById('password-list');
         const emptyEl = document.getElementById('empty-state');
         const countEl = document.getElementById('password-count');
 
-        const filtered = filter
-            ? this.passwords.filter(p =>
-                p.service.toLowerCase().includes(filter.toLowerCase()) ||
-                p.username.toLowerCase().includes(filter.toLowerCase()) ||
-                (p.email && p.email.toLowerCase().includes(filter.toLowerCase()))
-            )
-            : this.passwords;
+        // 検索語があれば一致の度合い順、なければ名前順
+        const query = Search.parse(this.listFilter.query);
+        const searching = query.terms.length > 0 || query.filters.length > 0;
+        const candidates = this.passwords.filter(p => this.matchesListFilter(p));
+        const filtered = searching
+            ? Search.rank(candidates, query)
+            : candidates.sort((a, b) => a.service.localeCompare(b.service, 'ja'));
 
-        countEl.textContent = `${filtered.length}件のパスワード`;
+        this.renderFilterChips();
+        countEl.textContent = Search.weaknessScan && query.filters.some(f => f.key === 'weak')
+            ? `${filtered.length}件のパスワード（強度を確認中）`
+            : `${filtered.length}件のパスワード`;
 
         if (filtered.length === 0) {
             listEl.innerHTML = '';
+            const filteredOut = this.passwords.length > 0;
+            document.getElementById('empty-state-title').textContent = filteredOut ? '一致するパスワードがありません' : 'パスワードがありません';
+            document.getElementById('empty-state-hint').textContent = filteredOut ? '検索語や絞り込みを変更してください' : '右下の + ボタンで追加しましょう';
             emptyEl.style.display = 'flex';
             return;
         }
 
         emptyEl.style.display = 'none';
 
-        listEl.innerHTML = filtered.map(p => `
-      <div class="password-item" data-id="${p.id}">
-        <div class="password-icon">${p.service.charAt(0).toUpperCase()}</div>
-        <div class="password-info">
-          <div class="password-service">${this.escapeHtml(p.service)}</div>
-          <div class="password-username">${this.escapeHtml(p.username)}</div>
-        </div>
-        <button class="btn btn-icon btn-secondary list-copy-btn" title="パスワードをコピー">📋</button>
-        <span class="password-arrow">→</span>
-      </div>
-    `).join('');
+        // ?url= のサイトに一致するエントリを一致の強い順に先頭に出す
+        const siteMatches = this.urlContext
+            ? filtered
+                .map(p => ({ p, score: UrlMatch.entryScore(p, this.urlContext) }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map(({ p }) => p)
+            : [];
+        const rest = filtered.filter(p => !siteMatches.includes(p));
+
+        // お気に入りを先頭のセクションにまとめる（検索中は順位をそのまま使う）
+        const favorites = searching ? [] : rest.filter(p => p.favorite);
+        const others = searching ? rest : rest.filter(p => !p.favorite);
+        const showSections = favorites.length > 0 && others.length > 0;
+
+        listEl.innerHTML = [
+            siteMatches.length > 0 ? `<div class="list-section-title">🔗 ${this.escapeHtml(this.urlContext.hostname)} に一致</div>` : '',
+            ...siteMatches.map(p => this.renderPasswordItem(p, query.terms)),
+            siteMatches.length > 0 && rest.length > 0 ? '<div class="list-section-title">その他</div>' : '',
+            showSections ? '<div class="list-section-title">⭐ お気に入り</div>' : '',
+            ...favorites.map(p => this.renderPasswordItem(p)),
+            showSections && siteMatches.length === 0 ? '<div class="list-section-title">その他</div>' : '',
+            ...others.map(p => this.renderPasswordItem(p, query.terms))
+        ].join('');
 
         // クリックイベントを設定
         listEl.querySelectorAll('.password-item').forEach(item => {
@@ -257,17 +1062,295 @@ const App = {
             if (copyBtn) {
                 copyBtn.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    this.handleCopy('password', id);
+                    const entry = this.passwords.find(p => p.id === id);
+                    this.handleCopy(EntryTypes.get(EntryTypes.typeOf(entry)).copyField, id);
                 });
             }
+
+            const otpBtn = item.querySelector('.otp-code');
+            if (otpBtn) {
+                otpBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.copyOtp(id);
+                });
+            }
+
+            const openBtn = item.querySelector('.list-open-btn');
+            if (openBtn) {
+                openBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const entry = this.passwords.find(p => p.id === id);
+                    this.openAndCopy(UrlMatch.primaryUrl(entry), entry.password, id);
+                });
+            }
+
+            item.querySelector('.list-favorite-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleFavorite(id);
+            });
         });
+
+        this.startOtpTimer();
+    },
+
+    /**
+     * 一覧の1行分のHTML
+     * @param {Array} terms - 強調表示する検索語（Search.parseの結果）
+     */
+    renderPasswordItem(p, terms = []) {
+        const type = EntryTypes.get(EntryTypes.typeOf(p));
+        const tags = p.tags || [];
+        const attachmentCount = (p.attachments || []).length;
+        const meta = [
+            p.folder ? `<span class="password-folder">📁 ${this.escapeHtml(p.folder)}</span>` : '',
+            attachmentCount > 0 ? `<span>📎 ${attachmentCount}</span>` : '',
+            ...tags.map(tag => `<span class="tag-chip">#${this.escapeHtml(tag)}</span>`)
+        ].join('');
+
+        return `
+      <div class="password-item" data-id="${p.id}">
+        <div class="password-icon" title="${type.label}">${type.icon || this.escapeHtml(p.service.charAt(0).toUpperCase())}</div>
+        <div class="password-info">
+          <div class="password-service">${this.highlightHtml(p.service, terms)}</div>
+          <div class="password-username">${this.highlightHtml(EntryTypes.subtitle(p), terms)}</div>
+          ${meta ? `<div class="password-meta">${meta}</div>` : ''}
+        </div>
+        <button class="btn btn-icon btn-secondary list-favorite-btn${p.favorite ? ' active' : ''}" title="${p.favorite ? 'お気に入りから外す' : 'お気に入りに追加'}">${p.favorite ? '★' : '☆'}</button>
+        ${p.totp ? `<button class="otp-code" data-otp="${p.id}" title="2段階認証のコードをコピー">${this.otpCodeHtml()}</button>` : ''}
+        ${UrlMatch.primaryUrl(p) ? '<button class="btn btn-icon btn-secondary list-open-btn" title="サイトを開いてパスワードをコピー">🌐</button>' : ''}
+        ${EntryTypes.copyValue(p) ? '<button class="btn btn-icon btn-secondary list-copy-btn" title="コピー">📋</button>' : ''}
+        <span class="password-arrow">→</span>
+      </div>
+    `;
+    },
+
+    /**
+     * 検索語に一致した部分を<mark>で囲んだHTML
+     */
+    highlightHtml(text, terms) {
+        if (terms.length === 0) return this.escapeHtml(text);
+        return Search.highlight(text, terms)
+            .map(segment => segment.match ? `<mark>${this.escapeHtml(segment.text)}</mark>` : this.escapeHtml(segment.text))
+            .join('');
+    },
+
+    /**
+     * エントリが一覧の絞り込み条件（フォルダ・タグ・お気に入り）をすべて満たすか
+     * 検索語はSearchで別に判定する
+     */
+    matchesListFilter(p) {
+        const { folder, tags, favoritesOnly } = this.listFilter;
+
+        if (folder !== null) {
+            const entryFolder = p.folder || '';
+            if (folder === '') {
+                if (entryFolder !== '') return false;
+            } else if (entryFolder !== folder && !entryFolder.startsWith(folder + '/')) {
+                return false;
+            }
+        }
+
+        if (favoritesOnly && !p.favorite) return false;
+
+        const entryTags = p.tags || [];
+        return tags.every(tag => entryTags.includes(tag));
     },
 
     /**
-     * 検索処理
+     * 検索語の入力（連続した入力は1フレームにまとめて描画する）
      */
     handleSearch(query) {
-        this.renderPasswordList(query);
+        this.listFilter.query = query;
+        if (this.searchFrame) return;
+        this.searchFrame = requestAnimationFrame(() => {
+            this.searchFrame = null;
+            this.renderPasswordList();
+        });
+    },
+
+    /**
+     * 絞り込み条件を変更して一覧を再描画
+     */
+    setListFilter(changes) {
+        this.listFilter = { ...this.listFilter, ...changes };
+        this.renderPasswordList();
+    },
+
+    resetListFilter() {
+        this.listFilter = { query: '', folder: null, tags: [], favoritesOnly: false };
+    },
+
+    /**
+     * フォルダのパスを正規化（前後の空白・空の階層を除く）
+     */
+    normalizeFolder(path) {
+        return (path || '').split('/').map(part => part.trim()).filter(Boolean).join('/');
+    },
+
+    /**
+     * カンマ区切りの入力をタグの配列に変換（重複・先頭の#を除く）
+     */
+    parseTags(text) {
+        const tags = (text || '').split(/[,、]/).map(tag => tag.trim().replace(/^#/, '')).filter(Boolean);
+        return [...new Set(tags)];
+    },
+
+    /**
+     * 全エントリのフォルダ（親フォルダを含む）と配下のエントリ数
+     * @returns {Array<{path: string, name: string, depth: number, count: number}>} パス順
+     */
+    getFolderTree() {
+        const counts = new Map();
+        this.passwords.forEach(p => {
+            const parts = (p.folder || '').split('/').filter(Boolean);
+            parts.forEach((_, i) => {
+                const path = parts.slice(0, i + 1).join('/');
+                counts.set(path, (counts.get(path) || 0) + 1);
+            });
+        });
+
+        return [...counts.keys()]
+            .sort((a, b) => a.localeCompare(b, 'ja'))
+            .map(path => {
+                const parts = path.split('/');
+                return { path, name: parts[parts.length - 1], depth: parts.length - 1, count: counts.get(path) };
+            });
+    },
+
+    /**
+     * 全エントリのタグと件数（名前順）
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.passwords.forEach(p => {
+            (p.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0], 'ja'))
+            .map(([name, count]) => ({ name, count }));
+    },
+
+    /**
+     * 一覧上部の絞り込みチップ（適用中のフォルダ・お気に入りとタグの選択）
+     */
+    renderFilterChips() {
+        const { folder, tags, favoritesOnly } = this.listFilter;
+
+        const active = [];
+        if (this.urlContext) {
+            active.push({ label: `🔗 ${this.urlContext.hostname}`, clear: () => { this.urlContext = null; } });
+        }
+        if (favoritesOnly) {
+            active.push({ label: '⭐ お気に入り', clear: { favoritesOnly: false } });
+        }
+        if (folder !== null) {
+            active.push({ label: folder === '' ? '📁 フォルダなし' : `📁 ${folder}`, clear: { folder: null } });
+        }
+
+        const activeEl = document.getElementById('active-filters');
+        activeEl.innerHTML = active.map((chip, index) => `
+            <button type="button" class="filter-chip active" data-index="${index}" title="解除">${this.escapeHtml(chip.label)} ✕</button>
+        `).join('');
+        activeEl.querySelectorAll('.filter-chip').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const { clear } = active[btn.dataset.index];
+                // 一覧の絞り込み以外（開いたサイト）は関数で解除する
+                if (typeof clear === 'function') {
+                    clear();
+                    this.renderPasswordList();
+                } else {
+                    this.setListFilter(clear);
+                }
+            });
+        });
+
+        const allTags = this.getAllTags();
+        const tagEl = document.getElementById('tag-filter');
+        tagEl.innerHTML = allTags.map(({ name, count }, index) => `
+            <button type="button" class="filter-chip${tags.includes(name) ? ' active' : ''}" data-index="${index}">#${this.escapeHtml(name)} <span class="filter-chip-count">${count}</span></button>
+        `).join('');
+        tagEl.querySelectorAll('.filter-chip').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const name = allTags[btn.dataset.index].name;
+                const selected = this.listFilter.tags;
+                this.setListFilter({
+                    tags: selected.includes(name) ? selected.filter(t => t !== name) : [...selected, name]
+                });
+            });
+        });
+    },
+
+    /**
+     * フォルダのドロワーを開く
+     */
+    openFolderDrawer() {
+        const { folder, favoritesOnly } = this.listFilter;
+        const unfiled = this.passwords.filter(p => !p.folder).length;
+        const favorites = this.passwords.filter(p => p.favorite).length;
+
+        const items = [
+            { label: 'すべて', count: this.passwords.length, depth: 0, filter: { folder: null, favoritesOnly: false }, active: folder === null && !favoritesOnly },
+            { label: '⭐ お気に入り', count: favorites, depth: 0, filter: { folder: null, favoritesOnly: true }, active: folder === null && favoritesOnly },
+            { label: 'フォルダなし', count: unfiled, depth: 0, filter: { folder: '', favoritesOnly: false }, active: folder === '' },
+            ...this.getFolderTree().map(node => ({
+                label: `📁 ${node.name}`,
+                count: node.count,
+                depth: node.depth,
+                filter: { folder: node.path, favoritesOnly: false },
+                active: folder === node.path
+            }))
+        ];
+
+        const treeEl = document.getElementById('folder-tree');
+        treeEl.innerHTML = items.map((item, index) => `
+            <button type="button" class="folder-item${item.active ? ' active' : ''}" data-index="${index}" style="padding-left: calc(var(--spacing-md) + ${item.depth} * var(--spacing-lg));">
+                <span class="folder-name">${this.escapeHtml(item.label)}</span>
+                <span class="folder-count">${item.count}</span>
+            </button>
+        `).join('');
+        treeEl.querySelectorAll('.folder-item').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeFolderDrawer();
+                this.setListFilter(items[btn.dataset.index].filter);
+            });
+        });
+
+        document.getElementById('folder-drawer').classList.add('active');
+    },
+
+    closeFolderDrawer() {
+        document.getElementById('folder-drawer').classList.remove('active');
+    },
+
+    /**
+     * 詳細画面のフォルダ入力候補を既存のフォルダで更新
+     */
+    updateFolderOptions() {
+        const datalist = document.getElementById('folder-options');
+        datalist.innerHTML = '';
+        this.getFolderTree().forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.path;
+            datalist.appendChild(option);
+        });
+    },
+
+    /**
+     * お気に入りを切り替えて保存
+     */
+    async toggleFavorite(id) {
+        const entry = this.passwords.find(p => p.id === id);
+        if (!entry) return;
+
+        entry.favorite = !entry.favorite;
+        try {
+            await Storage.updatePassword(id, await CryptoUtils.encrypt(this.entryPayload(entry), this.encryptionKey));
+        } catch (error) {
+            entry.favorite = !entry.favorite;
+            console.error('お気に入りの保存エラー:', error);
+            this.showToast('保存に失敗しました', 'error');
+        }
+        this.renderPasswordList();
     },
 
     /**
@@ -283,26 +1366,49 @@ const App = {
         document.getElementById('detail-title').textContent = '詳細 / 編集';
         document.getElementById('detail-form').reset();
 
+        // 種類は作成後に変更しない（項目が合わずに値が失われるため）
+        const typeSelect = document.getElementById('detail-type');
+        typeSelect.value = EntryTypes.typeOf(password);
+        typeSelect.disabled = true;
+        this.applyEntryType(typeSelect.value, password);
+
         // 値をセット
         document.getElementById('detail-service').value = password.service;
         document.getElementById('detail-email').value = password.email || '';
-        document.getElementById('detail-username').value = password.username;
-        document.getElementById('detail-password').value = password.password;
+        document.getElementById('detail-username').value = password.username || '';
+        document.getElementById('detail-password').value = password.password || '';
         document.getElementById('detail-memo').value = password.memo || '';
+        document.getElementById('detail-folder').value = password.folder || '';
+        document.getElementById('detail-tags').value = (password.tags || []).join(', ');
+        document.getElementById('detail-favorite').checked = !!password.favorite;
+        this.updateFolderOptions();
+
+        this.updateStrengthIndicator(password.password || '');
 
-        this.updateStrengthIndicator(password.password);
+        // サイトのパスワードルールがあれば生成オプションを開いておく
+        document.getElementById('generator-rules').value = password.passwordRules || '';
+        document.getElementById('generator-details').open = !!password.passwordRules;
+        this.loadGeneratorOptions();
 
         // ボタン制御
         document.getElementById('delete-btn').style.display = 'block';
-        document.getElementById('generate-password-btn').style.display = 'none'; // 新規ではないので非表示
 
         // カスタムフィールド
         const customFieldsContainer = document.getElementById('detail-custom-fields');
         customFieldsContainer.innerHTML = '';
         if (password.customFields && Array.isArray(password.customFields)) {
-            password.customFields.forEach(field => this.addCustomFieldInput(field.label, field.value));
+            password.customFields.forEach(field => this.addCustomFieldInput(field.label, field.value, field.noAutoClear));
         }
 
+        document.getElementById('detail-urls').innerHTML = '';
+        (password.urls || []).forEach(entryUrl => this.addUrlInput(entryUrl.url, entryUrl.match));
+
+        document.getElementById('detail-otp').value = password.totp ? Otp.toUri(password.totp) : '';
+        this.updateOtpPreview();
+
+        this.renderHistory(password);
+        this.renderAttachments(password);
+
         this.showScreen('detail-screen');
     },
 
@@ -318,22 +1424,41 @@ const App = {
      * コピー処理
      */
     async handleCopy(field, targetId = null) {
-        // handleCopyの実体はcopyToClipboardに統合し、一覧用の特別処理のみ残す
-        // ここでは一覧画面からの呼び出し用
+        // 一覧画面のコピーボタン用（詳細画面の各項目はcopyToClipboardを直接使う）
         const id = targetId !== null ? targetId : this.currentPasswordId;
         const password = this.passwords.find(p => p.id === id);
         if (!password) return;
 
-        let value;
-        switch (field) {
-            case 'password':
-                value = password.password;
-                break;
-            default:
-                return;
-        }
+        const value = password[field];
+        if (!value) return;
+
+        this.copyToClipboard(value, ClipboardGuard.shouldAutoClear(field));
+        this.markUsed(id);
+    },
+
+    /**
+     * メモリ上のエントリから暗号化するペイロードを取り出す（id・uuidはレコード側に保持）
+     */
+    entryPayload(entry) {
+        const payload = { ...entry };
+        delete payload.id;
+        delete payload.uuid;
+        return payload;
+    },
+
+    /**
+     * エントリの最終使用日時を更新（値をコピーしたとき）
+     */
+    async markUsed(id) {
+        const entry = this.passwords.find(p => p.id === id);
+        if (!entry) return;
 
-        this.copyToClipboard(value);
+        entry.lastUsedAt = new Date().toISOString();
+        try {
+            await Storage.updatePassword(id, await CryptoUtils.encrypt(this.entryPayload(entry), this.encryptionKey));
+        } catch (error) {
+            console.error('最終使用日時の保存エラー:', error);
+        }
     },
 
     /**
@@ -343,36 +1468,467 @@ const App = {
         this.editMode = false;
         this.currentPasswordId = null;
 
-        document.getElementById('detail-title').textContent = 'パスワードを追加';
         document.getElementById('detail-form').reset();
+        document.getElementById('detail-type').disabled = false;
+        this.applyEntryType(EntryTypes.DEFAULT);
         this.updateStrengthIndicator('');
+        document.getElementById('generator-details').open = false;
+        this.loadGeneratorOptions();
+
+        // 一覧をフォルダで絞り込んでいれば、そのフォルダに追加する
+        document.getElementById('detail-folder').value = this.listFilter.folder || '';
+        this.updateFolderOptions();
 
         // ボタン制御
         document.getElementById('delete-btn').style.display = 'none'; // 新規なので削除ボタンは不要
-        document.getElementById('generate-password-btn').style.display = 'block'; // 新規なので生成ボタンを表示
 
         // カスタムフィールドクリア
         document.getElementById('detail-custom-fields').innerHTML = '';
 
+        // ?url= のサイトから追加するときはそのサイトを入れておく
+        document.getElementById('detail-urls').innerHTML = '';
+        if (this.urlContext) this.addUrlInput(this.urlContext.origin);
+        this.updateOtpPreview();
+
+        this.renderHistory(null);
+        this.renderAttachments(null);
+
         this.showScreen('detail-screen');
     },
 
+    /**
+     * 詳細画面を種類に合わせて切り替える
+     * @param {string} type
+     * @param {Object} entry - 種類固有の項目に入れる値
+     */
+    applyEntryType(type, entry = {}) {
+        const def = EntryTypes.get(type);
+        const isLogin = type === 'login';
+
+        if (!this.editMode) {
+            document.getElementById('detail-title').textContent = isLogin ? 'パスワードを追加' : `${def.label}を追加`;
+        }
+        document.getElementById('detail-service-label').textContent = `${def.titleLabel} *`;
+        document.getElementById('detail-service').placeholder = def.titlePlaceholder;
+        document.getElementById('detail-memo-label').textContent = def.memoLabel || 'メモ';
+        document.getElementById('detail-memo').rows = type === 'note' ? 10 : 3;
+
+        // ログインの項目は無効化すると必須チェックの対象外になる
+        const loginFields = document.getElementById('login-fields');
+        loginFields.disabled = !isLogin;
+        loginFields.style.display = isLogin ? '' : 'none';
+        document.getElementById('generator-panel').style.display = isLogin ? 'block' : 'none';
+
+        this.renderTypeFields(type, entry);
+    },
+
+    /**
+     * 種類固有の入力欄を描画
+     */
+    renderTypeFields(type, entry = {}) {
+        const container = document.getElementById('detail-type-fields');
+
+        container.innerHTML = EntryTypes.get(type).fields.map(field => {
+            const id = `detail-field-${field.key}`;
+            const value = this.escapeHtml(entry[field.key] || '');
+            const attrs = [
+                `id="${id}"`,
+                'class="input-field type-field"',
+                `data-key="${field.key}"`,
+                field.placeholder ? `placeholder="${field.placeholder}"` : '',
+                field.inputmode ? `inputmode="${field.inputmode}"` : '',
+                field.pattern ? `pattern="${field.pattern}"` : '',
+                field.required ? 'required' : ''
+            ].filter(Boolean).join(' ');
+
+            let input;
+            if (field.input === 'textarea') {
+                input = `<textarea ${attrs} rows="3">${value}</textarea>`;
+            } else if (field.input === 'select') {
+                input = `<select ${attrs}>${field.options.map(option =>
+                    `<option value="${option}"${entry[field.key] === option ? ' selected' : ''}>${option}</option>`).join('')}</select>`;
+            } else {
+                const inputType = field.input === 'secret' ? 'password' : field.input === 'date' ? 'date' : 'text';
+                input = `<input type="${inputType}" ${attrs} value="${value}" autocomplete="off">`;
+            }
+
+            const icons = [
+                field.input === 'secret' ? `<span class="input-icon type-field-toggle"${field.copy ? ' style="right: 48px;"' : ''} title="表示">👁</span>` : '',
+                field.copy ? '<span class="input-icon type-field-copy" title="コピー">📋</span>' : ''
+            ].join('');
+
+            return `
+            <div class="input-group">
+                <label class="input-label" for="${id}">${field.label}${field.required ? ' *' : ''}</label>
+                ${icons ? `<div class="input-wrapper">${input}${icons}</div>` : input}
+            </div>`;
+        }).join('');
+
+        container.querySelectorAll('.type-field').forEach(input => {
+            const wrapper = input.closest('.input-wrapper');
+            if (!wrapper) return;
+
+            const toggle = wrapper.querySelector('.type-field-toggle');
+            if (toggle) {
+                toggle.addEventListener('click', () => {
+                    input.type = input.type === 'password' ? 'text' : 'password';
+                });
+            }
+
+            const copy = wrapper.querySelector('.type-field-copy');
+            if (copy) {
+                copy.addEventListener('click', () => {
+                    if (!input.value) return;
+                    this.copyToClipboard(input.value, ClipboardGuard.shouldAutoClear(input.dataset.key));
+                    if (this.editMode) this.markUsed(this.currentPasswordId);
+                });
+            }
+        });
+    },
+
+    /**
+     * 種類固有の入力値を収集（空の項目は保存しない）
+     */
+    collectTypeFields() {
+        const values = {};
+        document.querySelectorAll('#detail-type-fields .type-field').forEach(input => {
+            const value = input.tagName === 'TEXTAREA' ? input.value : input.value.trim();
+            if (value) values[input.dataset.key] = value;
+        });
+        return values;
+    },
+
+    /**
+     * 変更前の値を履歴の先頭に追加（新しい順、保持数を超えた分は削除）
+     */
+    buildHistory(existing, data, limit) {
+        const changedAt = data.updatedAt;
+        const added = [];
+
+        // ログインはパスワード、その他の種類は秘密の項目（Wi-Fiのパスワードを含む）を記録
+        const type = EntryTypes.typeOf(data);
+        const tracked = type === 'login' ? [{ key: 'password' }] : EntryTypes.get(type).fields.filter(f => f.history);
+        tracked.forEach(({ key, label }) => {
+            if (existing[key] && existing[key] !== data[key]) {
+                added.push(key === 'password'
+                    ? { field: 'password', value: existing[key], changedAt }
+                    : { field: key, label, value: existing[key], changedAt });
+            }
+        });
+        // 2段階認証はシークレットキーが変わったときだけ記録（HOTPのカウンターの変化は記録しない）
+        if (existing.totp && (!data.totp || data.totp.secret !== existing.totp.secret)) {
+            added.push({ field: 'totp', label: '2段階認証', value: Otp.toUri(existing.totp), changedAt });
+        }
+        (existing.customFields || []).forEach(field => {
+            const current = data.customFields.find(f => f.label === field.label);
+            if (!current || current.value !== field.value) {
+                added.push({ field: 'custom', label: field.label, value: field.value, changedAt });
+            }
+        });
+
+        return [...added, ...(existing.history || [])].slice(0, limit);
+    },
+
+    async getHistoryLimit() {
+        const limit = await Storage.getSetting('historyLimit');
+        return limit === undefined ? this.HISTORY_DEFAULT_LIMIT : limit;
+    },
+
+    /**
+     * 詳細画面の変更履歴を表示
+     * @param {Object|null} entry - nullで非表示
+     */
+    renderHistory(entry) {
+        const history = (entry && entry.history) || [];
+        const listEl = document.getElementById('history-list');
+
+        document.getElementById('history-panel').style.display = history.length > 0 ? 'block' : 'none';
+        document.getElementById('history-count').textContent = history.length;
+
+        const mask = '••••••••';
+        listEl.innerHTML = history.map((item, index) => `
+            <div class="history-item" data-index="${index}">
+                <div class="history-info">
+                    <div class="history-meta">${item.field === 'password' ? 'パスワード' : this.escapeHtml(item.label)} ・ ${new Date(item.changedAt).toLocaleString('ja-JP')}に変更</div>
+                    <div class="history-value">${mask}</div>
+                </div>
+                <button type="button" class="btn btn-icon btn-secondary history-reveal-btn" title="表示">👁</button>
+                <button type="button" class="btn btn-icon btn-secondary history-copy-btn" title="コピー">📋</button>
+                <button type="button" class="btn btn-icon btn-secondary history-restore-btn" title="復元">↩️</button>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.history-item').forEach(row => {
+            const item = history[row.dataset.index];
+            const valueEl = row.querySelector('.history-value');
+
+            row.querySelector('.history-reveal-btn').addEventListener('click', () => {
+                valueEl.textContent = valueEl.textContent === mask ? item.value : mask;
+            });
+            row.querySelector('.history-copy-btn').addEventListener('click', () => this.copyToClipboard(item.value));
+            row.querySelector('.history-restore-btn').addEventListener('click', () => this.restoreHistory(item));
+        });
+    },
+
+    /**
+     * 履歴の値をフォームに戻す（保存すると反映され、現在の値が履歴に残る）
+     */
+    restoreHistory(item) {
+        if (item.field !== 'custom') {
+            const loginInputs = { password: 'detail-password', totp: 'detail-otp' };
+            const input = document.querySelector(`#detail-type-fields [data-key="${item.field}"]`) ||
+                (loginInputs[item.field] ? document.getElementById(loginInputs[item.field]) : null);
+            if (!input) return;
+
+            input.value = item.value;
+            if (input.id === 'detail-password') this.updateStrengthIndicator(item.value);
+            if (input.id === 'detail-otp') this.updateOtpPreview();
+        } else {
+            const row = [...document.querySelectorAll('#detail-custom-fields .custom-field-row')]
+                .find(r => r.querySelector('.custom-field-label').value.trim() === item.label);
+            if (row) {
+                row.querySelector('.custom-field-value').value = item.value;
+            } else {
+                this.addCustomFieldInput(item.label, item.value);
+            }
+        }
+        this.showToast('以前の値を入力しました。保存すると反映されます');
+    },
+
+    /**
+     * 詳細画面の添付ファイル一覧を表示
+     * @param {Object|null} entry - nullで非表示（新規追加時）
+     */
+    renderAttachments(entry) {
+        const panel = document.getElementById('attachments-panel');
+        const listEl = document.getElementById('attachments-list');
+
+        if (!entry) {
+            panel.style.display = 'none';
+            listEl.innerHTML = '';
+            return;
+        }
+
+        const attachments = entry.attachments || [];
+        panel.style.display = 'block';
+        document.getElementById('attachments-count').textContent = attachments.length;
+        document.getElementById('attachments-hint').textContent =
+            `1ファイル ${Attachments.formatSize(Attachments.MAX_FILE_BYTES)} まで。暗号化してこの端末に保存します`;
+
+        listEl.innerHTML = attachments.map((meta, index) => `
+            <div class="attachment-item" data-index="${index}">
+                <div class="attachment-info">
+                    <div class="attachment-name">${this.escapeHtml(meta.name)}</div>
+                    <div class="attachment-meta">${Attachments.formatSize(meta.size)} ・ ${new Date(meta.addedAt).toLocaleString('ja-JP')}</div>
+                </div>
+                ${Attachments.canPreview(meta.type) ? '<button type="button" class="btn btn-icon btn-secondary attachment-preview-btn" title="プレビュー">👁</button>' : ''}
+                <button type="button" class="btn btn-icon btn-secondary attachment-download-btn" title="ダウンロード">⬇️</button>
+                <button type="button" class="btn btn-icon btn-secondary attachment-delete-btn" title="削除">🗑️</button>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.attachment-item').forEach(row => {
+            const meta = attachments[row.dataset.index];
+            const previewBtn = row.querySelector('.attachment-preview-btn');
+            if (previewBtn) {
+                previewBtn.addEventListener('click', () => this.previewAttachment(meta));
+            }
+            row.querySelector('.attachment-download-btn').addEventListener('click', () => this.downloadAttachment(meta));
+            row.querySelector('.attachment-delete-btn').addEventListener('click', () => this.deleteAttachment(meta));
+        });
+    },
+
+    /**
+     * 表示中のエントリにファイルを添付
+     */
+    async addAttachments(files) {
+        const entry = this.passwords.find(p => p.id === this.currentPasswordId);
+        if (!entry || files.length === 0) return;
+
+        let added = 0;
+        for (const file of files) {
+            try {
+                const meta = await Attachments.add(entry.uuid, file, this.encryptionKey);
+                entry.attachments = [...(entry.attachments || []), meta];
+                await Storage.updatePassword(entry.id, await CryptoUtils.encrypt(this.entryPayload(entry), this.encryptionKey));
+                added++;
+            } catch (error) {
+                console.error('添付エラー:', error);
+                this.showToast(error.message || `${file.name} を添付できませんでした`, 'error');
+            }
+        }
+
+        this.renderAttachments(entry);
+        if (added > 0) this.showToast(`${added}件のファイルを添付しました`);
+    },
+
+    /**
+     * 添付ファイルを復号して取り出す（失敗時はトーストを出してnull）
+     */
+    async readAttachment(meta) {
+        try {
+            return await Attachments.read(meta, this.encryptionKey);
+        } catch (error) {
+            console.error('添付ファイルの復号エラー:', error);
+            this.showToast(error.message || '添付ファイルを開けませんでした', 'error');
+            return null;
+        }
+    },
+
+    async previewAttachment(meta) {
+        const blob = await this.readAttachment(meta);
+        if (!blob) return;
+
+        this.closeAttachmentPreview();
+        const url = URL.createObjectURL(blob);
+        this.attachmentPreview = { meta, url };
+
+        const previewEl = document.getElementById('attachment-preview');
+        if (meta.type.startsWith('image/')) {
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = meta.name;
+            previewEl.appendChild(img);
+        } else if (meta.type === 'application/pdf') {
+            const frame = document.createElement('iframe');
+            frame.src = url;
+            frame.title = meta.name;
+            previewEl.appendChild(frame);
+        } else {
+            const pre = document.createElement('pre');
+            pre.textContent = await blob.text();
+            previewEl.appendChild(pre);
+        }
+
+        document.getElementById('attachment-modal-title').textContent = meta.name;
+        document.getElementById('attachment-modal').classList.add('active');
+    },
+
+    /**
+     * プレビューを閉じて復号した内容を破棄
+     */
+    closeAttachmentPreview() {
+        if (this.attachmentPreview) {
+            URL.revokeObjectURL(this.attachmentPreview.url);
+            this.attachmentPreview = null;
+        }
+        document.getElementById('attachment-preview').innerHTML = '';
+        document.getElementById('attachment-modal').classList.remove('active');
+    },
+
+    async downloadAttachment(meta) {
+        const blob = await this.readAttachment(meta);
+        if (!blob) return;
+
+        const url = URL.createObjectURL(blob);
+        this.saveBlob(url, meta.name);
+        URL.revokeObjectURL(url);
+    },
+
+    saveBlob(url, filename) {
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+    },
+
+    async deleteAttachment(meta) {
+        const entry = this.passwords.find(p => p.id === this.currentPasswordId);
+        if (!entry) return;
+        if (!await this.confirmAction(`「${meta.name}」を削除しますか？元に戻せません。`)) return;
+
+        try {
+            entry.attachments = (entry.attachments || []).filter(a => a.id !== meta.id);
+            await Storage.updatePassword(entry.id, await CryptoUtils.encrypt(this.entryPayload(entry), this.encryptionKey));
+            await Attachments.remove([meta.id]);
+            this.renderAttachments(entry);
+            this.showToast('添付ファイルを削除しました');
+        } catch (error) {
+            console.error('添付ファイルの削除エラー:', error);
+            this.showToast('削除に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * 設定画面に添付ファイルの合計とストレージの使用量を表示
+     */
+    async updateAttachmentUsage() {
+        const attachments = this.passwords.flatMap(p => p.attachments || []);
+        const total = attachments.reduce((sum, meta) => sum + meta.size, 0);
+        document.getElementById('attachments-usage').textContent =
+            `${attachments.length}件・${Attachments.formatSize(total)}（1ファイル ${Attachments.formatSize(Attachments.MAX_FILE_BYTES)} まで）`;
+
+        const estimate = await Attachments.estimate();
+        document.getElementById('storage-estimate').textContent = estimate
+            ? `この端末のストレージ: ${Attachments.formatSize(estimate.usage)} / ${Attachments.formatSize(estimate.quota)} 使用`
+            : 'この端末のストレージ使用量は取得できません';
+    },
+
     /**
      * パスワード保存
      */
     async handleSave(e) {
         e.preventDefault();
 
+        const type = document.getElementById('detail-type').value;
+        const urls = type === 'login' ? this.collectUrls() : [];
+        const invalidUrl = urls.find(entryUrl => !UrlMatch.isValidPattern(entryUrl));
+        if (invalidUrl) {
+            this.showToast(`URLが正しくありません: ${invalidUrl.url}`, 'error');
+            return;
+        }
+
+        let totp = null;
+        if (type === 'login' && document.getElementById('detail-otp').value.trim()) {
+            try {
+                totp = Otp.parse(document.getElementById('detail-otp').value);
+            } catch (error) {
+                this.showToast(`2段階認証: ${error.message}`, 'error');
+                return;
+            }
+        }
+
+        const passwordRules = type === 'login' ? document.getElementById('generator-rules').value.trim() : '';
+        if (passwordRules) {
+            try {
+                PasswordRules.parse(passwordRules);
+            } catch (error) {
+                this.showToast(`パスワードルール: ${error.message}`, 'error');
+                return;
+            }
+        }
+
         const data = {
+            type,
             service: document.getElementById('detail-service').value.trim(),
-            email: document.getElementById('detail-email').value.trim(),
-            username: document.getElementById('detail-username').value.trim(),
-            password: document.getElementById('detail-password').value,
+            ...(type === 'login' ? {
+                email: document.getElementById('detail-email').value.trim(),
+                username: document.getElementById('detail-username').value.trim(),
+                password: document.getElementById('detail-password').value,
+                urls,
+                ...(totp ? { totp } : {}),
+                ...(passwordRules ? { passwordRules } : {})
+            } : this.collectTypeFields()),
             customFields: this.collectCustomFields(),
-            memo: document.getElementById('detail-memo').value.trim()
+            memo: document.getElementById('detail-memo').value.trim(),
+            folder: this.normalizeFolder(document.getElementById('detail-folder').value),
+            tags: this.parseTags(document.getElementById('detail-tags').value),
+            favorite: document.getElementById('detail-favorite').checked
         };
 
+        const now = new Date().toISOString();
+        const existing = this.editMode ? this.passwords.find(p => p.id === this.currentPasswordId) : null;
+        data.createdAt = existing ? existing.createdAt : now;
+        data.updatedAt = now;
+        data.lastUsedAt = existing ? existing.lastUsedAt : null;
+
         try {
+            if (existing) {
+                data.history = this.buildHistory(existing, data, await this.getHistoryLimit());
+                // 添付ファイルは追加・削除の時点で保存済み
+                if (existing.attachments) data.attachments = existing.attachments;
+            }
+
             const encrypted = await CryptoUtils.encrypt(data, this.encryptionKey);
 
             if (this.editMode && this.currentPasswordId) {
@@ -381,15 +1937,19 @@ const App = {
 
                 const index = this.passwords.findIndex(p => p.id === this.currentPasswordId);
                 if (index !== -1) {
-                    this.passwords[index] = { id: this.currentPasswordId, ...data };
+                    this.passwords[index] = { id: this.currentPasswordId, uuid: existing.uuid, ...data };
                 }
+                this.scanWeakness();
+                this.renderHistory(data);
 
                 this.showToast('更新しました');
 
             } else {
                 // 新規追加
-                const id = await Storage.addPassword(encrypted);
-                this.passwords.push({ id, ...data });
+                const uuid = Storage.generateUuid();
+                const id = await Storage.addPassword({ ...encrypted, uuid, schemaVersion: Storage.ENTRY_SCHEMA_VERSION });
+                this.passwords.push({ id, uuid, ...data });
+                this.scanWeakness();
 
                 this.showToast('追加しました');
                 this.showScreen('list-screen');
@@ -403,39 +1963,170 @@ const App = {
     },
 
     /**
-     * パスワード生成
+     * パスワード生成（サイトのパスワードルールがあれば文字種の設定より優先する）
      */
     generatePassword() {
-        const password = PasswordGenerator.generate({ length: 16 });
+        const options = this.collectGeneratorOptions();
+        const rules = document.getElementById('generator-rules').value.trim();
+        let password;
+        try {
+            password = PasswordGenerator.generate({ ...options, ...(rules ? { rules } : {}) });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
         const input = document.getElementById('detail-password');
         input.value = password;
         input.type = 'text'; // 生成されたパスワードを表示
         this.updateStrengthIndicator(password);
 
-        this.showToast('パスワードを生成しました');
+        this.showToast(options.mode === 'passphrase' ? 'パスフレーズを生成しました' : 'パスワードを生成しました');
     },
 
     /**
-     * パスワード強度インジケータを更新
+     * 生成オプション（前回の選択を端末に保存している）をパネルに反映
+     */
+    async loadGeneratorOptions() {
+        const saved = await Storage.getSetting('generatorOptions') || {};
+        const options = {
+            mode: PasswordGenerator.MODES.includes(saved.mode) ? saved.mode : 'characters',
+            ...PasswordGenerator.characterOptions(saved),
+            ...PasswordGenerator.passphraseOptions(saved)
+        };
+        // 既定の記号は空欄（プレースホルダー）で表す
+        if (options.symbolSet === PasswordGenerator.SYMBOLS) options.symbolSet = '';
+
+        Object.entries(this.GENERATOR_FIELDS).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') {
+                input.checked = options[key];
+            } else {
+                input.value = String(options[key]);
+            }
+        });
+        this.updateGeneratorPanel();
+    },
+
+    collectGeneratorOptions() {
+        const values = {};
+        Object.entries(this.GENERATOR_FIELDS).forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            values[key] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return {
+            mode: values.mode,
+            ...PasswordGenerator.characterOptions(values),
+            ...PasswordGenerator.passphraseOptions(values)
+        };
+    },
+
+    async saveGeneratorOptions() {
+        const options = this.collectGeneratorOptions();
+        // 範囲外の数は丸めた値に直す
+        ['generator-length', 'generator-min-lowercase', 'generator-min-uppercase', 'generator-min-numbers', 'generator-min-symbols', 'passphrase-words']
+            .forEach(id => {
+                document.getElementById(id).value = String(options[this.GENERATOR_FIELDS[id]]);
+            });
+        document.getElementById('generator-symbol-set').value = options.symbolSet === PasswordGenerator.SYMBOLS ? '' : options.symbolSet;
+        this.updateGeneratorPanel();
+        await Storage.saveSetting('generatorOptions', options);
+    },
+
+    /**
+     * 生成方法に合わせてオプション・サイトのルール・エントロピーの表示を切り替える
+     */
+    updateGeneratorPanel() {
+        const options = this.collectGeneratorOptions();
+        const isPassphrase = options.mode === 'passphrase';
+        const rulesText = document.getElementById('generator-rules').value.trim();
+        const status = document.getElementById('generator-rules-status');
+
+        document.getElementById('character-options').style.display = isPassphrase ? 'none' : '';
+        document.getElementById('passphrase-options').style.display = isPassphrase ? '' : 'none';
+        document.getElementById('generate-password-btn').textContent = isPassphrase ? '🎲 パスフレーズを生成' : '🎲 パスワードを生成';
+
+        let rules = null;
+        status.classList.remove('error');
+        status.textContent = '';
+        if (rulesText) {
+            try {
+                rules = PasswordRules.parse(rulesText);
+                status.textContent = isPassphrase
+                    ? `${PasswordRules.describe(rules)}（パスフレーズには適用されません）`
+                    : `${PasswordRules.describe(rules)}（文字種の設定より優先）`;
+            } catch (error) {
+                status.textContent = error.message;
+                status.classList.add('error');
+            }
+        }
+
+        const entropy = document.getElementById('generator-entropy');
+        entropy.textContent = '';
+        if (rulesText && !rules && !isPassphrase) return;
+        try {
+            const bits = Math.floor(PasswordGenerator.entropy({ ...options, ...(rules ? { rules } : {}) }));
+            // 文字列モードは最低文字数などの条件を満たす文字列の数から求めた上限
+            entropy.textContent = isPassphrase ? `エントロピー: 約${bits}ビット` : `エントロピー: 最大${bits}ビット`;
+        } catch (error) {
+            status.textContent = error.message;
+            status.classList.add('error');
+        }
+    },
+
+    /**
+     * 平文のインポートデータのサイトのパスワードルール。解析できなければ取り込まない
+     */
+    importPasswordRules(value) {
+        if (typeof value !== 'string' || !value.trim()) return {};
+        try {
+            PasswordRules.parse(value);
+            return { passwordRules: value.trim() };
+        } catch (error) {
+            console.warn('パスワードルールを取り込めませんでした:', error.message);
+            return {};
+        }
+    },
+
+    /**
+     * パスワード強度インジケータを更新
+     * 強度のほか、解読にかかる時間の目安と改善のための助言を表示する
      */
     updateStrengthIndicator(password) {
         const bars = document.querySelectorAll('#strength-indicator .strength-bar');
         const label = document.getElementById('strength-label');
+        const feedback = document.getElementById('strength-feedback');
 
         if (!password) {
             bars.forEach(bar => bar.style.background = 'var(--bg-input)');
             label.textContent = '';
+            feedback.innerHTML = '';
             return;
         }
 
-        const strength = PasswordGenerator.evaluateStrength(password);
+        const userInputs = ['detail-service', 'detail-username', 'detail-email'].map(id => document.getElementById(id).value);
+        const strength = PasswordGenerator.evaluateStrength(password, userInputs);
 
         bars.forEach((bar, index) => {
             bar.style.background = index <= strength.score ? strength.color : 'var(--bg-input)';
         });
 
-        label.textContent = strength.label;
+        // 目安はパスワードのハッシュが漏れ、低速なハッシュで総当たりされた場合
+        const offline = strength.crackTimes.find(time => time.key === 'offlineSlowHash');
+        label.textContent = `${strength.label}（解読の目安: ${offline.display}）`;
         label.style.color = strength.color;
+
+        const { warning, suggestions } = strength.feedback;
+        feedback.innerHTML = `
+            ${warning ? `<div class="strength-warning">⚠️ ${this.escapeHtml(warning)}</div>` : ''}
+            ${suggestions.length > 0 ? `<ul class="strength-suggestions">${suggestions.map(s => `<li>${this.escapeHtml(s)}</li>`).join('')}</ul>` : ''}
+            <details class="strength-times">
+                <summary>攻撃の種類ごとの解読時間</summary>
+                <dl>
+                    ${strength.crackTimes.map(time => `<dt>${this.escapeHtml(time.label)}</dt><dd>${this.escapeHtml(time.display)}</dd>`).join('')}
+                </dl>
+            </details>
+        `;
     },
 
     /**
@@ -457,13 +2148,13 @@ const App = {
      */
     async handleDelete() {
         try {
-            await Storage.deletePassword(this.currentPasswordId);
+            await Storage.trashPassword(this.currentPasswordId);
 
             this.passwords = this.passwords.filter(p => p.id !== this.currentPasswordId);
             this.currentPasswordId = null;
 
             this.hideDeleteModal();
-            this.showToast('削除しました');
+            this.showToast('ゴミ箱に移動しました');
             this.showScreen('list-screen');
             this.renderPasswordList();
 
@@ -517,32 +2208,97 @@ const App = {
             }
 
             let count = 0;
+            let skipped = 0;
+            const attachments = data.attachments || [];
+            const attachmentsOf = (entryUuid) => attachments.filter(a => a.entryUuid === entryUuid);
+            // 取り込んだエントリの添付ファイルだけを保存する（スキップ・隔離したものは保存しない）
+            const importedAttachments = [];
+
+            // 別のVaultからエクスポートされたレコードは、このVaultのデータ鍵では復号できない
+            const encryptedRecords = data.passwords.filter(pw => pw.ciphertext && pw.iv);
+            const results = await CryptoUtils.decryptMany(encryptedRecords, this.encryptionKey);
+            const foreign = new Set(encryptedRecords.filter((pw, i) => results[i].error && results[i].error.code === CryptoUtils.ERROR_WRONG_KEY));
 
             // パスワードをインポート
             for (const pw of data.passwords) {
+                if (foreign.has(pw)) continue;
+
                 // pwが平文か暗号化済みか判定
                 // ciphertextがあれば暗号化済み、なければ平文
                 if (pw.ciphertext && pw.iv) {
-                    // 暗号化済みデータ（そのまま保存）
-                    await Storage.addPassword(pw);
+                    // 暗号化済みデータ（そのまま保存。同じエントリがあれば更新日時の新しい方を残す）
+                    // 隔離中にエクスポートされたレコードは、添付ファイルの本体と鍵情報をレコードに持っている
+                    const { attachmentBlobs, keySource, ...record } = pw;
+                    const result = await Storage.importPassword(record, (existing, incoming) => this.isNewerRecord(incoming, existing));
+                    if (result === 'skipped') {
+                        skipped++;
+                        continue;
+                    }
+                    importedAttachments.push(...(attachmentBlobs || []), ...attachmentsOf(pw.uuid));
                 } else if (pw.service !== undefined) {
                     // 平文データ（暗号化して保存）
+                    const type = EntryTypes.TYPES[pw.type] ? pw.type : EntryTypes.DEFAULT;
                     const passwordData = {
+                        type,
                         service: pw.service || '',
-                        email: pw.email || '',
-                        username: pw.username || '',
-                        password: pw.password || '',
-                        memo: pw.memo || ''
+                        ...(type === 'login' ? {
+                            email: pw.email || '',
+                            username: pw.username || '',
+                            password: pw.password || '',
+                            urls: UrlMatch.normalizeList(pw.urls || pw.url),
+                            ...this.importOtp(pw.totp),
+                            ...this.importPasswordRules(pw.passwordRules)
+                        } : EntryTypes.pickFields(type, pw)),
+                        memo: pw.memo || '',
+                        folder: this.normalizeFolder(pw.folder),
+                        tags: this.parseTags([].concat(pw.tags || []).join(',')),
+                        favorite: !!pw.favorite
                     };
-                    const encrypted = await CryptoUtils.encrypt(passwordData, this.encryptionKey);
-                    await Storage.addPassword(encrypted);
+                    const encrypted = await CryptoUtils.encrypt(Storage.upgradeEntry(passwordData, 1), this.encryptionKey);
+                    await Storage.addPassword({ ...encrypted, schemaVersion: Storage.ENTRY_SCHEMA_VERSION });
                 }
                 count++;
             }
 
+            // 元のVaultの鍵情報と一緒に隔離し、そのVaultのマスターパスワードで復元できるようにする
+            const keySource = this.getKeySource(data);
+            const quarantined = [];
+            for (const pw of foreign) {
+                // このVaultで読める同じエントリがあれば、そちらを残す
+                if (pw.uuid && await Storage.getPasswordByUuid(pw.uuid)) {
+                    skipped++;
+                    continue;
+                }
+                // 添付ファイルの本体も元のVaultの鍵で暗号化されているので、レコードと一緒に隔離する
+                const { id, ...record } = pw;
+                quarantined.push({
+                    record: { keySource, attachmentBlobs: attachmentsOf(pw.uuid), ...record },
+                    reason: CryptoUtils.ERROR_WRONG_KEY,
+                    message: '別のVaultの鍵で暗号化されています'
+                });
+            }
+            if (quarantined.length > 0) {
+                await Storage.quarantine(quarantined);
+                await this.updateQuarantineCount();
+            }
+
+            // ゴミ箱のエントリは、このVaultで読めるものだけ添付ファイルを残す
+            const trash = data.trash || [];
+            const trashResults = await CryptoUtils.decryptMany(trash, this.encryptionKey);
+            trash.forEach((record, i) => {
+                if (!trashResults[i].error) importedAttachments.push(...attachmentsOf(record.uuid));
+            });
+            await Storage.putAttachments(importedAttachments);
+
+            // ゴミ箱と削除記録を取り込み、削除済みのエントリを取り除く
+            await Storage.applyDeletions(data);
+
             await this.loadPasswords();
 
-            this.showToast(`${count}件のパスワードをインポートしました`);
+            const notes = [];
+            if (skipped > 0) notes.push(`${skipped}件は既存のエントリが同じか新しいためスキップ`);
+            if (quarantined.length > 0) notes.push(`${quarantined.length}件は別のVaultの鍵で暗号化されているため隔離`);
+            this.showToast(`${count}件のパスワードをインポートしました${notes.length > 0 ? `（${notes.join('、')}）` : ''}`);
             e.target.value = '';
 
         } catch (error) {
@@ -551,19 +2307,129 @@ const App = {
         }
     },
 
+    /**
+     * インポートするレコードが既存のレコードより新しいか（更新日時で比べる）
+     * インポートするレコードを復号できなければ既存を残し、既存を復号できなければ置き換える
+     */
+    async isNewerRecord(incoming, existing) {
+        const updatedAt = async (record) => {
+            const data = await CryptoUtils.decrypt(record, this.encryptionKey);
+            return Date.parse(data.updatedAt) || 0;
+        };
+        let incomingTime;
+        try {
+            incomingTime = await updatedAt(incoming);
+        } catch (error) {
+            return false;
+        }
+        try {
+            return incomingTime > await updatedAt(existing);
+        } catch (error) {
+            return true;
+        }
+    },
+
+
     /**
      * ログアウト
+     * @param {string|null} reason - 自動ロックの理由（手動ロック時はnull）
+     */
+    logout(reason = null) {
+        this.clearSession();
+        this.updatePasskeyLoginUI();
+        this.showScreen('login-screen');
+
+        const reasons = {
+            idle: '一定時間操作がなかったため',
+            hidden: 'アプリがバックグラウンドに移動したため',
+            session: 'セッションの上限時間に達したため',
+            sleep: '画面がスリープしたため'
+        };
+        this.showToast(reason ? `${reasons[reason]}ロックしました` : 'ロックしました');
+    },
+
+    /**
+     * 復号済みデータと鍵をメモリと画面から消去
      */
-    logout() {
+    clearSession() {
+        AutoLock.stop();
+        this.updateLockWarning(null);
+        ClipboardGuard.clear();
+
+        if (this.encryptionKey) this.encryptionKey.fill(0);
         this.encryptionKey = null;
+        this.kdf = null;
         this.passwords = [];
+        Search.stopWeaknessScan();
         this.currentPasswordId = null;
+        this.editMode = false;
 
-        document.getElementById('master-password').value = '';
+        // 入力欄・一覧・開いているモーダルを消去
+        ['login-form', 'recovery-form', 'detail-form', 'change-password-form'].forEach(id => {
+            document.getElementById(id).reset();
+        });
         document.getElementById('search-input').value = '';
+        document.getElementById('github-file-path').value = '';
+        document.getElementById('detail-custom-fields').innerHTML = '';
+        document.getElementById('detail-type-fields').innerHTML = '';
+        document.getElementById('detail-urls').innerHTML = '';
+        document.getElementById('password-list').innerHTML = '';
+        this.stopQrCamera();
+        this.closeOtpImport();
+        this.stopOtpTimer();
+        this.otpDetail = null;
+        this.otpCache = new WeakMap();
+        Otp.clearCache();
+        this.updateOtpPreview();
+        this.renderAttachments(null);
+        this.closeAttachmentPreview();
+        this.resetListFilter();
+        ['active-filters', 'tag-filter', 'folder-tree', 'folder-options'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        this.closeFolderDrawer();
+        this.renderHistory(null);
+        this.updateStrengthIndicator('');
 
-        this.showScreen('login-screen');
-        this.showToast('ロックしました');
+        document.getElementById('trash-list').innerHTML = '';
+        document.getElementById('quarantine-list').innerHTML = '';
+        document.getElementById('quarantine-retry-form').reset();
+        this.hideDeleteModal();
+        this.resolvePasswordPrompt(null);
+        this.resolveVaultName(null);
+        this.resolveConfirm(false);
+        if (document.getElementById('recovery-code-modal').classList.contains('active')) {
+            document.getElementById('recovery-code-done').click();
+        }
+    },
+
+    /**
+     * 自動ロックの監視を開始
+     */
+    startSession() {
+        AutoLock.start({
+            onWarn: (secondsLeft, reason) => this.updateLockWarning(secondsLeft, reason),
+            onLock: (reason) => this.logout(reason)
+        });
+    },
+
+    /**
+     * ロック前のカウントダウン表示を更新
+     * @param {number|null} secondsLeft - nullで非表示
+     */
+    updateLockWarning(secondsLeft, reason) {
+        const warning = document.getElementById('lock-warning');
+        if (secondsLeft === null) {
+            warning.classList.remove('active');
+            return;
+        }
+
+        document.getElementById('lock-warning-text').textContent = reason === 'session'
+            ? `セッションの上限まであと${secondsLeft}秒でロックします`
+            : `操作がないため${secondsLeft}秒後にロックします`;
+        // セッション上限は延長できない
+        document.getElementById('lock-warning-extend').style.display = reason === 'session' ? 'none' : '';
+        warning.classList.add('active');
     },
 
     /**
@@ -578,188 +2444,1074 @@ const App = {
         // 設定画面表示時にGitHub同期の状態を更新
         if (screenId === 'settings-screen') {
             this.updateSyncUI();
+            this.updateKdfUI();
+            this.updateAutoLockUI();
+            this.updateClipboardUI();
+            this.updatePasskeyUI();
+            this.updateLoginPolicyUI();
+            this.updateHistoryUI();
+            this.updateEquivalentDomainsUI();
+            this.updateTrashUI();
+            this.updateQuarantineCount();
+            this.updateAttachmentUsage();
+        }
+        if (screenId === 'quarantine-screen') {
+            this.renderQuarantine();
         }
     },
 
     /**
-     * GitHub同期UIの状態を更新
+     * 設定画面に隔離されたデータの件数を表示
      */
-    async updateSyncUI() {
-        const isConfigured = await GitHubSync.init();
-        const configGroup = document.getElementById('sync-config-group');
-        const actionsGroup = document.getElementById('sync-actions');
-        const statusEl = document.getElementById('sync-status');
-        const repoInfoEl = document.getElementById('sync-repo-info');
+    async updateQuarantineCount() {
+        const count = (await Storage.getQuarantine()).length;
+        document.getElementById('quarantine-count').textContent = count;
+        document.getElementById('show-quarantine-btn').disabled = count === 0;
+    },
 
-        if (isConfigured) {
-            configGroup.style.display = 'none';
-            actionsGroup.style.display = 'block';
-            statusEl.textContent = '✅ 同期設定済み';
-            statusEl.style.color = 'var(--success)';
-            repoInfoEl.textContent = `${GitHubSync.REPO_OWNER}/${GitHubSync.REPO_NAME}`;
-        } else {
-            configGroup.style.display = 'block';
-            actionsGroup.style.display = 'none';
-            statusEl.textContent = '未設定';
-            statusEl.style.color = 'var(--text-secondary)';
+    describeQuarantineReason(reason) {
+        switch (reason) {
+            case CryptoUtils.ERROR_WRONG_KEY:
+                return '別の鍵で暗号化されています';
+            case CryptoUtils.ERROR_TAMPERED:
+                return '改ざんまたは破損の可能性があります';
+            default:
+                return '復号できません';
         }
     },
 
     /**
-     * GitHub設定を保存
+     * 隔離されたデータの一覧を表示
      */
-    async saveGitHubConfig() {
-        const repoOwner = document.getElementById('github-repo-owner').value.trim();
-        const repoName = document.getElementById('github-repo-name').value.trim();
-        const token = document.getElementById('github-token').value.trim();
-
-        if (!repoOwner || !repoName || !token) {
-            this.showToast('すべての項目を入力してください', 'error');
-            return;
-        }
-
-        this.showToast('トークンを検証中...');
-
-        try {
-            const isValid = await GitHubSync.validateToken(token, repoOwner, repoName);
-
-            if (!isValid) {
-                this.showToast('無効なトークンです', 'error');
-                return;
-            }
-
-            await GitHubSync.saveConfig(token, repoOwner, repoName);
-            this.showToast('設定を保存しました');
+    async renderQuarantine() {
+        const records = await Storage.getQuarantine();
+        const listEl = document.getElementById('quarantine-list');
+
+        document.getElementById('quarantine-export-btn').disabled = records.length === 0;
+        listEl.innerHTML = records.length > 0 ? records.map(record => `
+            <div class="trash-item" data-uuid="${this.escapeHtml(record.uuid)}">
+                <div class="trash-info">
+                    <div class="trash-name">${this.escapeHtml(this.describeQuarantineReason(record.quarantine.reason))}</div>
+                    <div class="trash-meta">${this.escapeHtml(record.uuid)}</div>
+                    <div class="trash-meta">${new Date(record.quarantine.quarantinedAt).toLocaleString('ja-JP')}に隔離 ・ ${this.escapeHtml(record.quarantine.message)}</div>
+                </div>
+                <button type="button" class="remove-field-btn quarantine-delete-btn" title="削除">🗑️</button>
+            </div>
+        `).join('') : '<p class="trash-meta">隔離されたデータはありません</p>';
 
-            // 入力フィールドをクリア
-            document.getElementById('github-repo-owner').value = '';
-            document.getElementById('github-repo-name').value = '';
-            document.getElementById('github-token').value = '';
+        listEl.querySelectorAll('.trash-item').forEach(row => {
+            row.querySelector('.quarantine-delete-btn').addEventListener('click', () => this.deleteQuarantineItem(row.dataset.uuid));
+        });
+    },
 
-            this.updateSyncUI();
+    /**
+     * エクスポートデータから、そのVaultの鍵を開くための情報を取り出す
+     * @returns {{encryptionSalt: string, kdf: Object|null, wrappedKey: Object|null}|null} wrappedKeyがなければ旧Vault（パスワード由来の鍵で直接暗号化）
+     */
+    getKeySource(data) {
+        if (!data.encryptionSalt) return null;
+        return {
+            encryptionSalt: data.encryptionSalt,
+            kdf: data.kdf || null,
+            wrappedKey: data.wrappedKeys ? data.wrappedKeys.password : null
+        };
+    },
 
-        } catch (error) {
-            console.error('設定保存エラー:', error);
-            this.showToast('設定の保存に失敗しました', 'error');
-        }
+    /**
+     * 鍵情報とマスターパスワードから、レコードを暗号化した鍵を取り出す
+     * @throws {Error} パスワードが違う場合は code = ERROR_WRONG_KEY
+     */
+    async openKeySource(keySource, password) {
+        const kdf = CryptoUtils.normalizeKdf(keySource.kdf);
+        const passwordKey = await CryptoUtils.deriveKey(password, keySource.encryptionSalt, kdf);
+        return keySource.wrappedKey ? CryptoUtils.unwrapKey(keySource.wrappedKey, passwordKey) : passwordKey;
     },
 
     /**
-     * GitHubからPull
+     * 別のパスワードで隔離データの復号を再試行し、読めたものを現在の鍵で暗号化し直して戻す
+     * 元のVaultの鍵情報があればそのデータ鍵を取り出して復号し、なければ指定のエクスポートファイルかソルトから鍵を導出する
      */
-    async handleSyncPull() {
-        this.showToast('Pull中...');
+    async retryQuarantine(e) {
+        e.preventDefault();
 
-        try {
-            const result = await GitHubSync.pull();
+        const password = document.getElementById('quarantine-password').value;
+        const salt = document.getElementById('quarantine-salt').value.trim() || this.encryptionSalt;
+        const keyFile = document.getElementById('quarantine-key-file').files[0];
 
-            if (!result) {
-                this.showToast('リモートにデータがありません');
+        try {
+            const fileKeySource = keyFile ? this.getKeySource(JSON.parse(await keyFile.text())) : null;
+            if (keyFile && !fileKeySource) {
+                this.showToast('エクスポートファイルに鍵情報がありません', 'error');
                 return;
             }
 
-            // リモートデータをインポート
-            const data = JSON.parse(result.content);
-
-            if (data.version !== 1) {
-                throw new Error('サポートされていないデータ形式です');
+            // 旧Vaultの鍵は、現在のKDF設定と旧バージョンの既定値（PBKDF2 10万回）の両方で試す
+            const kdfs = [this.kdf];
+            const legacyKdf = CryptoUtils.normalizeKdf(null);
+            if (JSON.stringify(legacyKdf) !== JSON.stringify(this.kdf)) kdfs.push(legacyKdf);
+            const saltKeySources = kdfs.map(kdf => ({ encryptionSalt: salt, kdf, wrappedKey: null }));
+
+            // 鍵の導出は重いので、鍵情報ごとに一度だけ行う
+            const keys = new Map();
+            const openKey = (keySource) => {
+                const cacheKey = JSON.stringify(keySource);
+                if (!keys.has(cacheKey)) {
+                    keys.set(cacheKey, this.openKeySource(keySource, password).catch(error => {
+                        if (error.code === CryptoUtils.ERROR_WRONG_KEY) return null;
+                        throw error;
+                    }));
+                }
+                return keys.get(cacheKey);
+            };
+
+            const released = [];
+            const superseded = [];
+
+            for (const record of await Storage.getQuarantine()) {
+                const keySources = record.keySource ? [record.keySource] : fileKeySource ? [fileKeySource] : saltKeySources;
+                let data = null;
+                let sourceKey = null;
+                for (const keySource of keySources) {
+                    const key = await openKey(keySource);
+                    if (!key) continue;
+                    try {
+                        data = await CryptoUtils.decrypt(record, key);
+                        sourceKey = key;
+                        break;
+                    } catch (error) {
+                        // 次の鍵で試す
+                    }
+                }
+                if (!data) continue;
+
+                const upgraded = Storage.upgradeEntry(data, record.schemaVersion || 1);
+                const encrypted = { uuid: record.uuid, ...await CryptoUtils.encrypt(upgraded, this.encryptionKey), schemaVersion: Storage.ENTRY_SCHEMA_VERSION };
+
+                // 隔離後に同じエントリが読める形で入っていれば、更新日時の新しい方を残す
+                const existing = await Storage.getPasswordByUuid(record.uuid);
+                if (existing && !await this.isNewerRecord(encrypted, existing)) {
+                    superseded.push(record.uuid);
+                } else {
+                    await Storage.putAttachments(await this.reencryptAttachments(record, sourceKey));
+                    released.push(encrypted);
+                }
             }
 
-            // 既存データをクリアして新しいデータをインポート
-            await Storage.clearAll();
-
-            // 設定を復元
-            if (data.masterHash) await Storage.saveSetting('masterHash', data.masterHash);
-            if (data.masterSalt) await Storage.saveSetting('masterSalt', data.masterSalt);
-            if (data.encryptionSalt) await Storage.saveSetting('encryptionSalt', data.encryptionSalt);
-
-            // GitHub設定を復元（クリアされたので）
-            await GitHubSync.saveConfig(
-                GitHubSync.token,
-                GitHubSync.REPO_OWNER,
-                GitHubSync.REPO_NAME
-            );
-
-            // パスワードを復元（復号可能なもののみ）
-            let successCount = 0;
-            const validPasswords = [];
-
-            // まず暗号化キーを生成（復号チェック用）
-            // 注意: ここでthis.encryptionKeyが無いとチェックできない
-            // 再ログイン前だが、マスターハッシュ等は更新されている。
-            // しかし、パスワード入力がないとキーは作れない...
+            if (released.length === 0 && superseded.length === 0) {
+                this.showToast('このパスワードでは復号できませんでした', 'error');
+                return;
+            }
 
-            // 修正方針変更:
-            // キーがない状態では復号チェックができない。
-            // したがって、とりあえず全件保存し、「読み込み時（loadPasswords）」に無効なデータを削除するロジックにするか、
-            // あるいは、ユーザーに「クリーンアップボタン」を提供するか。
+            await Storage.releaseFromQuarantine(released, superseded);
+            await this.loadPasswords();
+            await this.renderQuarantine();
+            document.getElementById('quarantine-retry-form').reset();
+            this.showToast(`${released.length + superseded.length}件を復元しました`);
 
-            // いや、Pullの最後で「再ログイン」させている。
-            // 再ログイン後、loadPasswordsが呼ばれる。
-            // そこで「復号できないデータ」をDBから削除してしまえばいい。
+        } catch (error) {
+            console.error('隔離データの再試行エラー:', error);
+            this.showToast('再試行に失敗しました（ソルトやエクスポートファイルの形式を確認してください）', 'error');
+        }
+    },
 
-            // ここではそのまま保存するしかない（キーがないから）。
-            for (const pw of data.passwords) {
-                await Storage.addPassword(pw);
+    /**
+     * 隔離したエントリの添付ファイルの本体を、元の鍵から現在のデータ鍵で暗号化し直す
+     * インポート時に隔離したものはレコードが本体を持ち、それ以外は添付ファイルのストアにある
+     * （元の鍵で復号できないものは、ストアにあればそのまま残し、レコードにあれば捨てる）
+     * @returns {Promise<Array<Object>>} 保存する添付ファイルのレコード
+     */
+    async reencryptAttachments(record, sourceKey) {
+        const blobs = record.attachmentBlobs || await Storage.getAttachmentsOf(record.uuid);
+        const reencrypted = [];
+        for (const blob of blobs) {
+            let bytes;
+            try {
+                bytes = await CryptoUtils.decryptBytes(blob, sourceKey);
+            } catch (error) {
+                continue;
             }
+            reencrypted.push({ uuid: blob.uuid, entryUuid: blob.entryUuid, ...await CryptoUtils.encryptBytes(bytes, this.encryptionKey) });
+        }
+        return reencrypted;
+    },
 
-            // セッションをクリアして再ログインを要求
-            this.encryptionKey = null;
-            this.encryptionSalt = null;
+    /**
+     * 隔離されたデータを暗号化されたままエクスポート
+     */
+    async exportQuarantine() {
+        try {
+            const json = JSON.stringify({
+                version: 1,
+                exportDate: new Date().toISOString(),
+                quarantine: await Storage.getQuarantine()
+            }, null, 2);
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
 
-            this.showToast(`${data.passwords.length}件のパスワードを同期しました。再ログインしてください`, 'success');
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `password-manager-quarantine-${new Date().toISOString().slice(0, 10)}.json`;
+            a.click();
 
-            // ログイン画面に戻る
-            setTimeout(() => {
-                this.isNewUser = false;
-                document.getElementById('confirm-password-group').style.display = 'none';
-                document.getElementById('login-btn-text').textContent = 'ロック解除';
-                document.querySelector('.login-subtitle').textContent = 'マスターパスワードでロック解除';
-                document.getElementById('master-password').value = '';
-                this.showScreen('login-screen');
-            }, 1500);
+            URL.revokeObjectURL(url);
+            this.showToast('エクスポートしました');
 
         } catch (error) {
-            console.error('Pullエラー:', error);
-            this.showToast(error.message || 'Pullに失敗しました', 'error');
+            console.error('エクスポートエラー:', error);
+            this.showToast('エクスポートに失敗しました', 'error');
         }
     },
 
     /**
-     * GitHubへPush
+     * 隔離されたデータを削除（確認のうえ）
      */
-    async handleSyncPush() {
-        this.showToast('Push中...');
+    async deleteQuarantineItem(uuid) {
+        if (!await this.confirmAction('この隔離データを完全に削除しますか？復号できる可能性のあるデータも失われます。')) return;
 
         try {
-            const data = await Storage.exportData();
-            await GitHubSync.push(data, `Update passwords - ${new Date().toISOString().slice(0, 10)}`);
-            this.showToast('Pushしました');
+            await Storage.deleteFromQuarantine([uuid]);
+            await this.renderQuarantine();
+            this.showToast('削除しました');
         } catch (error) {
-            console.error('Pushエラー:', error);
-            this.showToast(error.message || 'Pushに失敗しました', 'error');
+            console.error('削除エラー:', error);
+            this.showToast('削除に失敗しました', 'error');
         }
     },
 
+    async getTrashRetentionDays() {
+        const days = await Storage.getSetting('trashRetentionDays');
+        return days === undefined ? this.TRASH_DEFAULT_RETENTION_DAYS : days;
+    },
+
     /**
-     * GitHub設定をクリア
+     * ゴミ箱の一覧を表示（保持期間を過ぎたものは先に削除）
      */
-    async clearGitHubConfig() {
-        await GitHubSync.clearConfig();
-        this.showToast('設定をクリアしました');
-        this.updateSyncUI();
+    async updateTrashUI() {
+        const retentionDays = await this.getTrashRetentionDays();
+        document.getElementById('trash-retention').value = String(retentionDays);
+
+        try {
+            await Storage.purgeTrash(retentionDays);
+            const records = await Storage.getTrash();
+            records.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+            const results = await CryptoUtils.decryptMany(records, this.encryptionKey);
+
+            document.getElementById('trash-count').textContent = records.length;
+            document.getElementById('empty-trash-btn').disabled = records.length === 0;
+
+            const listEl = document.getElementById('trash-list');
+            listEl.innerHTML = records.length > 0 ? records.map((record, index) => {
+                const { data } = results[index];
+                const title = data ? data.service : '（復号できないエントリ）';
+                const subtitle = data ? EntryTypes.subtitle(data) : '';
+                return `
+                    <div class="trash-item" data-uuid="${this.escapeHtml(record.uuid)}">
+                        <div class="trash-info">
+                            <div class="trash-name">${this.escapeHtml(title)}</div>
+                            <div class="trash-meta">${this.escapeHtml(subtitle)} ・ ${new Date(record.deletedAt).toLocaleString('ja-JP')}に削除</div>
+                        </div>
+                        <button type="button" class="btn btn-icon btn-secondary trash-restore-btn" title="復元">↩️</button>
+                        <button type="button" class="remove-field-btn trash-delete-btn" title="完全に削除">🗑️</button>
+                    </div>
+                `;
+            }).join('') : '<p class="trash-meta">ゴミ箱は空です</p>';
+
+            listEl.querySelectorAll('.trash-item').forEach(row => {
+                const uuid = row.dataset.uuid;
+                row.querySelector('.trash-restore-btn').addEventListener('click', () => this.restoreTrashItem(uuid));
+                row.querySelector('.trash-delete-btn').addEventListener('click', () => this.deleteTrashItem(uuid));
+            });
+
+        } catch (error) {
+            console.error('ゴミ箱の読み込みエラー:', error);
+            this.showToast('ゴミ箱の読み込みに失敗しました', 'error');
+        }
     },
 
     /**
-     * パスワード表示/非表示を切り替え
+     * ゴミ箱から復元
      */
-    togglePasswordVisibility(inputId) {
-        const input = document.getElementById(inputId);
-        input.type = input.type === 'password' ? 'text' : 'password';
+    async restoreTrashItem(uuid) {
+        try {
+            // 削除後に古いバックアップをインポートしたなどで一覧にも同じエントリがあれば、更新日時の新しい方を残す
+            const result = await Storage.restoreFromTrash(uuid, (existing, restored) => this.isNewerRecord(restored, existing));
+            await this.loadPasswords();
+            await this.updateTrashUI();
+            this.showToast(result === 'kept' ? '一覧にあるエントリの方が新しいため、そちらを残しました' : '復元しました');
+        } catch (error) {
+            console.error('復元エラー:', error);
+            this.showToast('復元に失敗しました', 'error');
+        }
     },
 
     /**
-     * トースト通知を表示
+     * ゴミ箱から完全に削除
+     */
+    async deleteTrashItem(uuid) {
+        if (!await this.confirmAction('このエントリを完全に削除しますか？この操作は取り消せません。')) return;
+
+        try {
+            await Storage.deleteFromTrash([uuid]);
+            await this.updateTrashUI();
+            this.showToast('完全に削除しました');
+        } catch (error) {
+            console.error('削除エラー:', error);
+            this.showToast('削除に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * ゴミ箱を空にする
+     */
+    async emptyTrash() {
+        if (!await this.confirmAction('ゴミ箱のエントリをすべて完全に削除しますか？この操作は取り消せません。')) return;
+
+        try {
+            const records = await Storage.getTrash();
+            await Storage.deleteFromTrash(records.map(record => record.uuid));
+            await this.updateTrashUI();
+            this.showToast('ゴミ箱を空にしました');
+        } catch (error) {
+            console.error('ゴミ箱を空にするエラー:', error);
+            this.showToast('ゴミ箱を空にできませんでした', 'error');
+        }
+    },
+
+    /**
+     * ゴミ箱の保持日数を保存
+     */
+    async saveTrashRetention() {
+        try {
+            await Storage.saveSetting('trashRetentionDays', parseInt(document.getElementById('trash-retention').value, 10));
+            this.showToast('ゴミ箱の設定を保存しました');
+            await this.updateTrashUI();
+        } catch (error) {
+            console.error('ゴミ箱設定エラー:', error);
+            this.showToast('ゴミ箱の設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * 変更履歴の設定UIを更新
+     */
+    async updateHistoryUI() {
+        document.getElementById('history-limit').value = String(await this.getHistoryLimit());
+    },
+
+    /**
+     * 同じサイトとみなすドメインの設定UIを更新
+     */
+    async updateEquivalentDomainsUI() {
+        document.getElementById('equivalent-domains').value = UrlMatch.formatEquivalents(await UrlMatch.loadSettings());
+    },
+
+    async saveEquivalentDomains() {
+        const input = document.getElementById('equivalent-domains');
+        try {
+            const groups = UrlMatch.parseEquivalents(input.value);
+            await UrlMatch.saveSettings(groups);
+            input.value = UrlMatch.formatEquivalents(groups);
+            this.showToast('同じサイトとみなすドメインを保存しました');
+        } catch (error) {
+            console.error('同等ドメイン設定エラー:', error);
+            this.showToast('ドメインの設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * 変更履歴の保持数を保存
+     */
+    async saveHistoryLimit() {
+        try {
+            await Storage.saveSetting('historyLimit', parseInt(document.getElementById('history-limit').value, 10));
+            this.showToast('変更履歴の設定を保存しました');
+        } catch (error) {
+            console.error('変更履歴設定エラー:', error);
+            this.showToast('変更履歴の設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * 自動ロック設定UIを更新
+     */
+    async updateAutoLockUI() {
+        const settings = await AutoLock.loadSettings();
+        document.getElementById('auto-lock-idle').value = String(settings.idleMinutes);
+        document.getElementById('auto-lock-session').value = String(settings.maxSessionMinutes);
+        document.getElementById('auto-lock-hidden').checked = settings.lockOnHidden;
+        document.getElementById('auto-lock-sleep').checked = settings.lockOnSleep;
+    },
+
+    /**
+     * 自動ロック設定を保存
+     */
+    async saveAutoLockSettings() {
+        try {
+            await AutoLock.saveSettings({
+                ...AutoLock.settings,
+                idleMinutes: parseInt(document.getElementById('auto-lock-idle').value, 10),
+                maxSessionMinutes: parseInt(document.getElementById('auto-lock-session').value, 10),
+                lockOnHidden: document.getElementById('auto-lock-hidden').checked,
+                lockOnSleep: document.getElementById('auto-lock-sleep').checked
+            });
+            this.showToast('自動ロック設定を保存しました');
+        } catch (error) {
+            console.error('自動ロック設定エラー:', error);
+            this.showToast('自動ロック設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * 登録済みパスキーの一覧を表示
+     */
+    async updatePasskeyUI() {
+        const supported = Passkey.isSupported();
+        const entries = supported ? await Passkey.list() : [];
+        const listEl = document.getElementById('passkey-list');
+
+        document.getElementById('passkey-status').textContent = supported
+            ? (entries.length > 0 ? `${entries.length}件のパスキーでロック解除できます` : 'パスキーは登録されていません')
+            : 'このブラウザはパスキーに対応していません';
+        document.getElementById('passkey-register-btn').disabled = !supported;
+
+        const formatDate = (iso) => iso ? new Date(iso).toLocaleString('ja-JP') : '未使用';
+        listEl.innerHTML = entries.map(entry => `
+            <div class="passkey-item" data-id="${this.escapeHtml(entry.id)}">
+                <div class="passkey-info">
+                    <div class="passkey-name">${this.escapeHtml(entry.name)}</div>
+                    <div class="passkey-meta">登録: ${formatDate(entry.createdAt)} / 最終使用: ${formatDate(entry.lastUsedAt)}</div>
+                </div>
+                <button type="button" class="remove-field-btn passkey-revoke-btn" title="登録解除">🗑️</button>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.passkey-revoke-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.revokePasskey(btn.closest('.passkey-item').dataset.id));
+        });
+    },
+
+    /**
+     * パスキーを登録
+     */
+    async registerPasskey() {
+        const password = await this.promptPassword('パスキーを登録するにはマスターパスワードを入力してください');
+        if (password === null) return;
+
+        try {
+            if (!await this.verifyCurrentPassword(password)) {
+                this.showToast('パスワードが正しくありません', 'error');
+                return;
+            }
+
+            const entries = await Passkey.list();
+            await Passkey.register(this.encryptionKey, `パスキー ${entries.length + 1}`);
+
+            this.showToast('パスキーを登録しました');
+            await this.updatePasskeyUI();
+
+        } catch (error) {
+            console.error('パスキー登録エラー:', error);
+            if (error.name === 'NotAllowedError') {
+                this.showToast('パスキーの登録がキャンセルされました', 'error');
+            } else if (error.name === 'InvalidStateError') {
+                this.showToast('この認証器は登録済みです', 'error');
+            } else {
+                this.showToast(error.message || 'パスキーの登録に失敗しました', 'error');
+            }
+        }
+    },
+
+    /**
+     * パスキーの登録を解除
+     */
+    async revokePasskey(id) {
+        try {
+            await Passkey.revoke(id);
+            this.showToast('パスキーの登録を解除しました（認証器側の資格情報は端末の設定から削除できます）');
+            await this.updatePasskeyUI();
+        } catch (error) {
+            console.error('パスキー登録解除エラー:', error);
+            this.showToast('パスキーの登録解除に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * クリップボード設定UIを更新
+     */
+    async updateClipboardUI() {
+        const settings = await ClipboardGuard.loadSettings();
+        document.getElementById('clipboard-clear-seconds').value = String(settings.clearSeconds);
+        document.getElementById('clipboard-keep-email').checked = settings.keepFields.includes('email');
+        document.getElementById('clipboard-keep-username').checked = settings.keepFields.includes('username');
+    },
+
+    /**
+     * クリップボード設定を保存
+     */
+    async saveClipboardSettings() {
+        const keepFields = ['email', 'username']
+            .filter(field => document.getElementById(`clipboard-keep-${field}`).checked);
+
+        try {
+            await ClipboardGuard.saveSettings({
+                clearSeconds: parseInt(document.getElementById('clipboard-clear-seconds').value, 10),
+                keepFields
+            });
+            this.showToast('クリップボード設定を保存しました');
+        } catch (error) {
+            console.error('クリップボード設定エラー:', error);
+            this.showToast('クリップボード設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * クリップボードのクリアまでの残り時間を表示
+     * @param {number|null} secondsLeft - nullで非表示
+     */
+    updateClipboardChip(secondsLeft) {
+        const chip = document.getElementById('clipboard-chip');
+        if (secondsLeft === null) {
+            chip.classList.remove('active');
+            return;
+        }
+        document.getElementById('clipboard-chip-text').textContent = `${secondsLeft}秒後にクリップボードをクリア`;
+        chip.classList.add('active');
+    },
+
+    /**
+     * GitHub同期UIの状態を更新
+     */
+    async updateSyncUI() {
+        const isConfigured = await GitHubSync.init();
+        const configGroup = document.getElementById('sync-config-group');
+        const actionsGroup = document.getElementById('sync-actions');
+        const statusEl = document.getElementById('sync-status');
+        const repoInfoEl = document.getElementById('sync-repo-info');
+
+        if (isConfigured) {
+            configGroup.style.display = 'none';
+            actionsGroup.style.display = 'block';
+            statusEl.textContent = '✅ 同期設定済み';
+            statusEl.style.color = 'var(--success)';
+            repoInfoEl.textContent = `${GitHubSync.REPO_OWNER}/${GitHubSync.REPO_NAME}/${GitHubSync.FILE_PATH}`;
+        } else {
+            configGroup.style.display = 'block';
+            const pathInput = document.getElementById('github-file-path');
+            if (!pathInput.value) pathInput.value = VaultRegistry.syncPath(this.vault);
+            actionsGroup.style.display = 'none';
+            statusEl.textContent = '未設定';
+            statusEl.style.color = 'var(--text-secondary)';
+        }
+    },
+
+    /**
+     * GitHub設定を保存
+     */
+    async saveGitHubConfig() {
+        const repoOwner = document.getElementById('github-repo-owner').value.trim();
+        const repoName = document.getElementById('github-repo-name').value.trim();
+        const token = document.getElementById('github-token').value.trim();
+        const filePath = document.getElementById('github-file-path').value.trim().replace(/^\/+/, '')
+            || VaultRegistry.syncPath(this.vault);
+
+        if (!repoOwner || !repoName || !token) {
+            this.showToast('すべての項目を入力してください', 'error');
+            return;
+        }
+        if (!filePath.endsWith('.json')) {
+            this.showToast('保存先のファイルは .json で指定してください', 'error');
+            return;
+        }
+
+        this.showToast('トークンを検証中...');
+
+        try {
+            const isValid = await GitHubSync.validateToken(token, repoOwner, repoName);
+
+            if (!isValid) {
+                this.showToast('無効なトークンです', 'error');
+                return;
+            }
+
+            await GitHubSync.saveConfig(token, repoOwner, repoName, filePath);
+            this.showToast('設定を保存しました');
+
+            // 入力フィールドをクリア
+            document.getElementById('github-repo-owner').value = '';
+            document.getElementById('github-repo-name').value = '';
+            document.getElementById('github-token').value = '';
+            document.getElementById('github-file-path').value = '';
+
+            this.updateSyncUI();
+
+        } catch (error) {
+            console.error('設定保存エラー:', error);
+            this.showToast('設定の保存に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * GitHubからPull
+     */
+    async handleSyncPull() {
+        this.showToast('Pull中...');
+
+        try {
+            const result = await GitHubSync.pull();
+
+            if (!result) {
+                this.showToast('リモートにデータがありません');
+                return;
+            }
+
+            // リモートデータをインポート
+            const data = JSON.parse(result.content);
+
+            if (data.version !== 1) {
+                throw new Error('サポートされていないデータ形式です');
+            }
+
+            // 既存データをクリアして新しいデータをインポート
+            // 隔離中のデータはこの端末にしかない可能性があるため残す。添付ファイルは差分だけ取得する
+            // 設定はVaultの鍵情報だけを置き換え、GitHub設定・自動ロックなどの端末設定は残す
+            await Storage.clearAll(['quarantine', 'attachments', 'settings']);
+            await Storage.clearVaultSettings();
+
+            // 設定を復元
+            await Storage.restoreVaultSettings(data);
+
+            // パスワードを復元（復号可能なもののみ）
+            let successCount = 0;
+            const validPasswords = [];
+
+            // まず暗号化キーを生成（復号チェック用）
+            // 注意: ここでthis.encryptionKeyが無いとチェックできない
+            // 再ログイン前だが、マスターハッシュ等は更新されている。
+            // しかし、パスワード入力がないとキーは作れない...
+
+            // 修正方針変更:
+            // キーがない状態では復号チェックができない。
+            // したがって、とりあえず全件保存し、「読み込み時（loadPasswords）」に無効なデータを削除するロジックにするか、
+            // あるいは、ユーザーに「クリーンアップボタン」を提供するか。
+
+            // いや、Pullの最後で「再ログイン」させている。
+            // 再ログイン後、loadPasswordsが呼ばれる。
+            // そこで「復号できないデータ」をDBから削除してしまえばいい。
+
+            // ここではそのまま保存するしかない（キーがないから）。
+            for (const pw of data.passwords) {
+                await Storage.addPassword(pw);
+            }
+            await Storage.applyDeletions(data);
+            await this.pullAttachments();
+
+            // セッションをクリアして再ログインを要求
+            this.clearSession();
+            this.encryptionSalt = null;
+
+            this.showToast(`${data.passwords.length}件のパスワードを同期しました。再ログインしてください`, 'success');
+
+            // ログイン画面に戻る
+            setTimeout(() => {
+                this.isNewUser = false;
+                this.updateLoginUI();
+                document.getElementById('master-password').value = '';
+                this.showScreen('login-screen');
+            }, 1500);
+
+        } catch (error) {
+            console.error('Pullエラー:', error);
+            this.showToast(error.message || 'Pullに失敗しました', 'error');
+        }
+    },
+
+    /**
+     * リモートの添付ファイルに揃える（Pull時）
+     * 手元にないものを取得し、リモートにないものは削除する。隔離中のエントリの添付ファイルは残す
+     */
+    async pullAttachments() {
+        let remote;
+        try {
+            remote = await GitHubSync.listAttachments();
+        } catch (error) {
+            // 一覧が取れなければ手元の添付ファイルには触れない
+            console.error('添付ファイル一覧の取得エラー:', error);
+            this.showToast('添付ファイルを同期できませんでした。もう一度Pullしてください', 'error');
+            return;
+        }
+        const remoteUuids = new Set(remote.map(a => a.uuid));
+        const local = await Storage.getAttachmentRefs();
+        const localUuids = new Set(local.map(a => a.uuid));
+        const quarantined = new Set((await Storage.getQuarantine()).map(r => r.uuid));
+
+        let failed = 0;
+        for (const { uuid } of remote) {
+            if (localUuids.has(uuid)) continue;
+            try {
+                await Storage.putAttachments([await GitHubSync.pullAttachment(uuid)]);
+            } catch (error) {
+                console.error('添付ファイルのPullエラー:', error);
+                failed++;
+            }
+        }
+        if (failed > 0) {
+            this.showToast(`${failed}件の添付ファイルを取得できませんでした。もう一度Pullしてください`, 'error');
+        }
+
+        await Storage.deleteAttachments(local
+            .filter(a => !remoteUuids.has(a.uuid) && !quarantined.has(a.entryUuid))
+            .map(a => a.uuid));
+    },
+
+    /**
+     * GitHubへPush
+     */
+    async handleSyncPush() {
+        this.showToast('Push中...');
+
+        try {
+            // 他の端末で削除されたエントリを上書きで復活させないよう、先にリモートの削除を反映
+            const remote = await GitHubSync.pull();
+            if (remote) {
+                const removed = await Storage.applyDeletions(JSON.parse(remote.content));
+                if (removed > 0) {
+                    await this.loadPasswords();
+                    this.showToast(`他の端末で削除された${removed}件をゴミ箱に移動しました`);
+                }
+            }
+
+            // 添付ファイルは1件ずつ別のファイルとして送り、本体のJSONには含めない
+            const remoteAttachments = await GitHubSync.listAttachments();
+            const localAttachments = await Storage.getAttachmentRefs();
+            const remoteUuids = new Set(remoteAttachments.map(a => a.uuid));
+            const localUuids = new Set(localAttachments.map(a => a.uuid));
+
+            for (const { uuid } of localAttachments) {
+                if (!remoteUuids.has(uuid)) {
+                    await GitHubSync.pushAttachment(await Storage.getAttachment(uuid));
+                }
+            }
+
+            const data = await Storage.exportData({ attachments: false });
+            await GitHubSync.push(data, `Update passwords - ${new Date().toISOString().slice(0, 10)}`);
+
+            // 本体を更新してから、どのエントリからも参照されなくなった添付ファイルを削除
+            for (const { uuid, sha } of remoteAttachments) {
+                if (!localUuids.has(uuid)) {
+                    await GitHubSync.deleteAttachment(uuid, sha);
+                }
+            }
+            this.showToast('Pushしました');
+        } catch (error) {
+            console.error('Pushエラー:', error);
+            this.showToast(error.message || 'Pushに失敗しました', 'error');
+        }
+    },
+
+    /**
+     * KDF設定UIを更新
+     */
+    updateKdfUI() {
+        if (!this.kdf) return;
+
+        document.getElementById('kdf-status').textContent = `現在: ${CryptoUtils.describeKdf(this.kdf)}`;
+        document.getElementById('kdf-algorithm').value = this.kdf.algorithm;
+
+        const argon2 = this.kdf.algorithm === CryptoUtils.KDF_ARGON2ID ? this.kdf : CryptoUtils.ARGON2_DEFAULTS;
+        document.getElementById('kdf-argon2-memory').value = Math.round(argon2.memory / 1024);
+        document.getElementById('kdf-argon2-iterations').value = argon2.iterations;
+        document.getElementById('kdf-argon2-parallelism').value = argon2.parallelism;
+        document.getElementById('kdf-pbkdf2-iterations').value = this.kdf.algorithm === CryptoUtils.KDF_PBKDF2
+            ? this.kdf.iterations
+            : CryptoUtils.PBKDF2_MIN_ITERATIONS;
+        document.getElementById('kdf-benchmark-result').textContent = '';
+
+        this.toggleKdfParams(this.kdf.algorithm);
+    },
+
+    /**
+     * 選択中のKDFに応じてパラメータ入力欄を切り替え
+     */
+    toggleKdfParams(algorithm) {
+        const isArgon2 = algorithm === CryptoUtils.KDF_ARGON2ID;
+        document.getElementById('kdf-pbkdf2-params').style.display = isArgon2 ? 'none' : 'block';
+        document.getElementById('kdf-argon2-params').style.display = isArgon2 ? 'block' : 'none';
+    },
+
+    /**
+     * 入力欄からKDF設定を読み取る
+     */
+    readKdfForm() {
+        const algorithm = document.getElementById('kdf-algorithm').value;
+        if (algorithm === CryptoUtils.KDF_ARGON2ID) {
+            return {
+                algorithm,
+                memory: parseInt(document.getElementById('kdf-argon2-memory').value, 10) * 1024,
+                iterations: parseInt(document.getElementById('kdf-argon2-iterations').value, 10),
+                parallelism: parseInt(document.getElementById('kdf-argon2-parallelism').value, 10)
+            };
+        }
+        return {
+            algorithm,
+            iterations: parseInt(document.getElementById('kdf-pbkdf2-iterations').value, 10)
+        };
+    },
+
+    /**
+     * KDFベンチマークを実行して推奨値を入力欄に反映
+     */
+    async runKdfBenchmark() {
+        const resultEl = document.getElementById('kdf-benchmark-result');
+        resultEl.textContent = '計測中...';
+
+        // 表示を更新してから重い処理を始める
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        try {
+            const { kdf, estimatedMs } = await CryptoUtils.benchmarkKdf(this.readKdfForm());
+
+            if (kdf.algorithm === CryptoUtils.KDF_ARGON2ID) {
+                document.getElementById('kdf-argon2-iterations').value = kdf.iterations;
+            } else {
+                document.getElementById('kdf-pbkdf2-iterations').value = kdf.iterations;
+            }
+
+            resultEl.textContent = `推奨: ${CryptoUtils.describeKdf(kdf)}（この端末で約${(estimatedMs / 1000).toFixed(1)}秒）`;
+
+        } catch (error) {
+            console.error('ベンチマークエラー:', error);
+            resultEl.textContent = '';
+            this.showToast(error.message || 'ベンチマークに失敗しました', 'error');
+        }
+    },
+
+    /**
+     * 新しいKDF設定で鍵を再導出し、Vault全体を再暗号化
+     */
+    async strengthenKdf() {
+        let newKdf;
+        try {
+            newKdf = CryptoUtils.validateKdf(this.readKdfForm());
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        const password = await this.promptPassword('KDFを変更するにはマスターパスワードを入力してください');
+        if (password === null) return;
+
+        this.showToast('鍵を再導出中...');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        try {
+            if (!await this.verifyCurrentPassword(password)) {
+                this.showToast('パスワードが正しくありません', 'error');
+                return;
+            }
+
+            await this.rewrapDataKey(password, newKdf);
+
+            this.updateKdfUI();
+            this.showToast('KDFを更新しました');
+
+        } catch (error) {
+            console.error('KDF更新エラー:', error);
+            this.showToast('KDFの更新に失敗しました', 'error');
+        }
+    },
+
+    /**
+     * マスターパスワードを変更
+     */
+    async changeMasterPassword() {
+        const currentInput = document.getElementById('change-current-password');
+        const newInput = document.getElementById('change-new-password');
+        const confirmInput = document.getElementById('change-confirm-password');
+        const newPassword = newInput.value;
+
+        if (newPassword !== confirmInput.value) {
+            this.showToast('新しいパスワードが一致しません', 'error');
+            return;
+        }
+
+        if (newPassword.length < 8) {
+            this.showToast('パスワードは8文字以上で設定してください', 'error');
+            return;
+        }
+
+        this.showToast('再暗号化中...');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        try {
+            if (!await this.verifyCurrentPassword(currentInput.value)) {
+                this.showToast('現在のパスワードが正しくありません', 'error');
+                return;
+            }
+
+            await this.rewrapDataKey(newPassword, this.kdf);
+
+            currentInput.value = '';
+            newInput.value = '';
+            confirmInput.value = '';
+            this.showToast('マスターパスワードを変更しました');
+
+        } catch (error) {
+            console.error('パスワード変更エラー:', error);
+            this.showToast('パスワードの変更に失敗しました。データは変更されていません', 'error');
+        }
+    },
+
+    /**
+     * 現在のマスターパスワードか検証
+     * @returns {Promise<boolean>}
+     */
+    async verifyCurrentPassword(password) {
+        const keyCheck = await Storage.getSetting('keyCheck');
+        const passwordKey = await CryptoUtils.deriveKey(password, this.encryptionSalt, this.kdf);
+        return CryptoUtils.verifyKeyCheck(keyCheck, passwordKey);
+    },
+
+    /**
+     * 開いているVaultのマスターパスワードか検証（ロック中でも使える）
+     * @returns {Promise<boolean>}
+     */
+    async verifyVaultPassword(password) {
+        const kdf = CryptoUtils.normalizeKdf(await Storage.getSetting('kdf'));
+        const keyCheck = await Storage.getSetting('keyCheck');
+        if (!keyCheck) return this.verifyLegacyMasterHash(password, kdf);
+
+        const passwordKey = await CryptoUtils.deriveKey(password, await Storage.getSetting('encryptionSalt'), kdf);
+        return CryptoUtils.verifyKeyCheck(keyCheck, passwordKey);
+    },
+
+    /**
+     * 旧Vaultの保存済みハッシュでマスターパスワードを検証
+     * @returns {Promise<boolean>}
+     */
+    async verifyLegacyMasterHash(password, kdf) {
+        const storedHash = await Storage.getSetting('masterHash');
+        const storedSalt = await Storage.getSetting('masterSalt');
+        if (!storedHash || !storedSalt) return false;
+        return CryptoUtils.verifyMasterPassword(password, storedHash, storedSalt, kdf);
+    },
+
+    /**
+     * 新しいソルト・KDFでパスワード由来の鍵を導出し直し、データ鍵をラップし直す
+     * エントリ自体はデータ鍵で暗号化されているため再暗号化は不要
+     */
+    async rewrapDataKey(password, kdf) {
+        const encryptionSalt = CryptoUtils.arrayBufferToBase64(CryptoUtils.getRandomBytes(CryptoUtils.SALT_LENGTH));
+        const passwordKey = await CryptoUtils.deriveKey(password, encryptionSalt, kdf);
+        const wrappedKeys = await Storage.getSetting('wrappedKeys');
+
+        await Storage.rekey([], {
+            encryptionSalt,
+            kdf,
+            keyCheck: await CryptoUtils.createKeyCheck(passwordKey, kdf.algorithm),
+            wrappedKeys: {
+                ...wrappedKeys,
+                password: await CryptoUtils.wrapKey(this.encryptionKey, passwordKey, kdf.algorithm)
+            }
+        });
+
+        this.encryptionSalt = encryptionSalt;
+        this.kdf = kdf;
+    },
+
+    /**
+     * パスワード入力モーダルを表示
+     * @returns {Promise<string|null>} キャンセル時はnull
+     */
+    promptPassword(message) {
+        document.getElementById('password-prompt-message').textContent = message;
+        document.getElementById('password-prompt-input').value = '';
+        document.getElementById('password-prompt-modal').classList.add('active');
+        document.getElementById('password-prompt-input').focus();
+
+        return new Promise(resolve => {
+            this.passwordPromptResolver = resolve;
+        });
+    },
+
+    /**
+     * パスワード入力モーダルを閉じて結果を返す
+     */
+    resolvePasswordPrompt(value) {
+        document.getElementById('password-prompt-modal').classList.remove('active');
+        document.getElementById('password-prompt-input').value = '';
+
+        const resolve = this.passwordPromptResolver;
+        this.passwordPromptResolver = null;
+        if (resolve) resolve(value);
+    },
+
+    /**
+     * Vaultの名前入力モーダルを表示
+     * @returns {Promise<string|null>} キャンセル時はnull
+     */
+    promptVaultName(title, initial = '') {
+        document.getElementById('vault-name-title').textContent = title;
+        document.getElementById('vault-name-input').value = initial;
+        document.getElementById('vault-name-modal').classList.add('active');
+        document.getElementById('vault-name-input').focus();
+
+        return new Promise(resolve => {
+            this.vaultNameResolver = resolve;
+        });
+    },
+
+    resolveVaultName(value) {
+        document.getElementById('vault-name-modal').classList.remove('active');
+        document.getElementById('vault-name-input').value = '';
+
+        const resolve = this.vaultNameResolver;
+        this.vaultNameResolver = null;
+        if (resolve) resolve(value);
+    },
+
+    /**
+     * 確認モーダルを表示
+     * @returns {Promise<boolean>} キャンセル時はfalse
+     */
+    confirmAction(message) {
+        document.getElementById('confirm-modal-message').textContent = message;
+        document.getElementById('confirm-modal').classList.add('active');
+
+        return new Promise(resolve => {
+            this.confirmResolver = resolve;
+        });
+    },
+
+    /**
+     * 確認モーダルを閉じて結果を返す
+     */
+    resolveConfirm(confirmed) {
+        document.getElementById('confirm-modal').classList.remove('active');
+
+        const resolve = this.confirmResolver;
+        this.confirmResolver = null;
+        if (resolve) resolve(confirmed);
+    },
+
+    /**
+     * GitHub設定をクリア
+     */
+    async clearGitHubConfig() {
+        await GitHubSync.clearConfig();
+        this.showToast('設定をクリアしました');
+        this.updateSyncUI();
+    },
+
+    /**
+     * パスワード表示/非表示を切り替え
+     */
+    togglePasswordVisibility(inputId) {
+        const input = document.getElementById(inputId);
+        input.type = input.type === 'password' ? 'text' : 'password';
+    },
+
+    /**
+     * トースト通知を表示
      */
     showToast(message, type = 'success') {
         const container = document.getElementById('toast-container');
@@ -787,14 +3539,21 @@ const App = {
     /**
      * カスタムフィールド入力欄を追加
      */
-    addCustomFieldInput(label = '', value = '') {
+    addCustomFieldInput(label = '', value = '', noAutoClear = false) {
         const container = document.getElementById('detail-custom-fields');
         const row = document.createElement('div');
         row.className = 'custom-field-row';
         row.innerHTML = `
             <div class="custom-field-inputs">
                 <input type="text" class="input-field custom-field-label" placeholder="項目名 (例: API Key)" value="${this.escapeHtml(label)}" required>
-                <input type="text" class="input-field custom-field-value" placeholder="値" value="${this.escapeHtml(value)}" required>
+                <div class="input-wrapper">
+                    <input type="text" class="input-field custom-field-value" placeholder="値" value="${this.escapeHtml(value)}" required>
+                    <span class="input-icon custom-field-copy" title="コピー">📋</span>
+                </div>
+                <label class="checkbox-group">
+                    <input type="checkbox" class="checkbox-input custom-field-keep" ${noAutoClear ? 'checked' : ''}>
+                    <span class="checkbox-label">コピー後に自動クリアしない</span>
+                </label>
             </div>
             <button type="button" class="remove-field-btn" title="削除">🗑️</button>
         `;
@@ -803,6 +3562,14 @@ const App = {
             row.remove();
         });
 
+        row.querySelector('.custom-field-copy').addEventListener('click', () => {
+            const fieldValue = row.querySelector('.custom-field-value').value;
+            const keep = row.querySelector('.custom-field-keep').checked;
+            if (!fieldValue) return;
+            this.copyToClipboard(fieldValue, !keep);
+            if (this.editMode) this.markUsed(this.currentPasswordId);
+        });
+
         container.appendChild(row);
     },
 
@@ -814,23 +3581,588 @@ const App = {
         document.querySelectorAll('#detail-custom-fields .custom-field-row').forEach(row => {
             const label = row.querySelector('.custom-field-label').value.trim();
             const value = row.querySelector('.custom-field-value').value.trim();
+            const noAutoClear = row.querySelector('.custom-field-keep').checked;
             if (label && value) {
-                fields.push({ label, value });
+                fields.push(noAutoClear ? { label, value, noAutoClear } : { label, value });
             }
         });
         return fields;
     },
 
+    /**
+     * URL入力欄を追加
+     */
+    addUrlInput(url = '', match = UrlMatch.DEFAULT_RULE) {
+        const row = document.createElement('div');
+        row.className = 'url-row';
+        row.innerHTML = `
+            <input type="text" class="input-field url-input" inputmode="url" placeholder="https://example.com" autocomplete="off">
+            <select class="input-field url-match" title="一致ルール">
+                ${Object.entries(UrlMatch.RULES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-icon btn-secondary url-open-btn" title="サイトを開いてパスワードをコピー">🌐</button>
+            <button type="button" class="remove-field-btn" title="削除">🗑️</button>
+        `;
+        // 値は属性に埋め込まずに設定する
+        row.querySelector('.url-input').value = url;
+        row.querySelector('.url-match').value = UrlMatch.RULES[match] ? match : UrlMatch.DEFAULT_RULE;
+
+        row.querySelector('.url-open-btn').addEventListener('click', () => {
+            const entryUrl = { url: row.querySelector('.url-input').value, match: row.querySelector('.url-match').value };
+            this.openAndCopy(UrlMatch.openable(entryUrl), document.getElementById('detail-password').value,
+                this.editMode ? this.currentPasswordId : null);
+        });
+        row.querySelector('.remove-field-btn').addEventListener('click', () => row.remove());
+
+        document.getElementById('detail-urls').appendChild(row);
+    },
+
+    /**
+     * URLと一致ルールを収集
+     */
+    collectUrls() {
+        return [...document.querySelectorAll('#detail-urls .url-row')]
+            .map(row => ({ url: row.querySelector('.url-input').value.trim(), match: row.querySelector('.url-match').value }))
+            .filter(entryUrl => entryUrl.url);
+    },
+
+    /**
+     * サイトを開いてパスワードをコピー
+     * @param {string|null} href - UrlMatch.openableで確認済みのURL
+     * @param {number|null} id - 最終使用日時を更新するエントリ
+     */
+    openAndCopy(href, password, id = null) {
+        if (!href) {
+            this.showToast('開けるURLがありません（http/httpsのみ）', 'error');
+            return;
+        }
+
+        // 別のタブに移るとクリップボードに書き込めなくなるため、先に書き込みを始める
+        if (password) this.copyToClipboard(password, ClipboardGuard.shouldAutoClear('password'));
+        window.open(href, '_blank', 'noopener');
+        if (id !== null) this.markUsed(id);
+    },
+
+    /**
+     * 2段階認証のコード表示の中身（残り時間のリングとコード。値はrefreshOtpCodesで入れる）
+     */
+    otpCodeHtml() {
+        return `
+            <svg class="otp-ring" viewBox="0 0 36 36" aria-hidden="true">
+                <circle class="otp-ring-track" cx="18" cy="18" r="15"></circle>
+                <circle class="otp-ring-progress" cx="18" cy="18" r="15" pathLength="100"></circle>
+            </svg>
+            <span class="otp-code-text">••• •••</span>
+        `;
+    },
+
+    /**
+     * 詳細画面の2段階認証の入力を解析し、コードと設定の要約を表示
+     */
+    updateOtpPreview() {
+        const value = document.getElementById('detail-otp').value.trim();
+        const preview = document.getElementById('otp-preview');
+        const codeEl = preview.querySelector('.otp-code');
+        const summaryEl = document.getElementById('otp-summary');
+
+        this.otpDetail = null;
+        if (!value) {
+            preview.style.display = 'none';
+            codeEl.innerHTML = '';
+            return;
+        }
+
+        preview.style.display = 'flex';
+        try {
+            this.otpDetail = Otp.parse(value);
+            codeEl.innerHTML = this.otpCodeHtml();
+            codeEl.style.display = '';
+            summaryEl.textContent = [Otp.label(this.otpDetail), Otp.describe(this.otpDetail)].filter(Boolean).join(' ・ ');
+            summaryEl.classList.remove('error');
+            this.startOtpTimer();
+        } catch (error) {
+            codeEl.innerHTML = '';
+            codeEl.style.display = 'none';
+            summaryEl.textContent = error.message;
+            summaryEl.classList.add('error');
+        }
+    },
+
+    /**
+     * コード表示の要素（data-otp）に対応する設定
+     * @param {string|number} key - 'detail' か エントリのid
+     */
+    otpConfigFor(key) {
+        if (key === 'detail') return this.otpDetail;
+        const entry = this.passwords.find(p => p.id === parseInt(key));
+        return entry && entry.totp ? entry.totp : null;
+    },
+
+    /**
+     * 表示中のコードを1秒ごとに更新（表示するものがなくなれば止まる）
+     */
+    startOtpTimer() {
+        this.refreshOtpCodes();
+        if (!this.otpTimer) {
+            this.otpTimer = setInterval(() => this.refreshOtpCodes(), 1000);
+        }
+    },
+
+    stopOtpTimer() {
+        clearInterval(this.otpTimer);
+        this.otpTimer = null;
+    },
+
+    async refreshOtpCodes() {
+        const targets = [...document.querySelectorAll('[data-otp]')]
+            .map(el => ({ el, config: this.otpConfigFor(el.dataset.otp) }))
+            .filter(({ config }) => config);
+        if (targets.length === 0) {
+            this.stopOtpTimer();
+            return;
+        }
+
+        // RFCのテストベクトルと一致しない環境では誤ったコードを出さない
+        const verified = await Otp.selfTest();
+        const now = Date.now();
+
+        for (const { el, config } of targets) {
+            const textEl = el.querySelector('.otp-code-text');
+            if (!textEl) continue;
+            if (!verified) {
+                textEl.textContent = '計算エラー';
+                continue;
+            }
+
+            const isTotp = config.type === 'totp';
+            el.classList.toggle('hotp', !isTotp);
+            if (isTotp) {
+                const remaining = Otp.remaining(config, now);
+                el.querySelector('.otp-ring-progress').style.strokeDashoffset = String(100 - remaining / config.period * 100);
+                el.classList.toggle('expiring', remaining <= this.OTP_WARNING_SECONDS);
+            }
+
+            const counter = isTotp ? Otp.counterAt(config, now) : config.counter;
+            const cached = this.otpCache.get(el);
+            if (cached && cached.config === config && cached.counter === counter) continue;
+
+            const code = await Otp.generate(config, now);
+            this.otpCache.set(el, { config, counter, code });
+            textEl.textContent = Otp.format(code);
+        }
+    },
+
+    /**
+     * 2段階認証のコードをコピー（HOTPはカウンターを進める）
+     * @param {string|number} key - 'detail' か エントリのid
+     */
+    async copyOtp(key) {
+        const config = this.otpConfigFor(key);
+        if (!config) return;
+        if (!await Otp.selfTest()) {
+            this.showToast('この環境ではワンタイムパスワードを正しく計算できません', 'error');
+            return;
+        }
+
+        // 表示中のコードがあればそのまま使う（クリップボードへの書き込みをクリック直後に行うため）
+        const el = document.querySelector(`[data-otp="${key}"]`);
+        const cached = el ? this.otpCache.get(el) : null;
+        const counter = config.type === 'totp' ? Otp.counterAt(config) : config.counter;
+        const code = cached && cached.config === config && cached.counter === counter
+            ? cached.code
+            : await Otp.generate(config);
+        this.copyToClipboard(code, ClipboardGuard.shouldAutoClear('totp'));
+
+        const id = key === 'detail' ? (this.editMode ? this.currentPasswordId : null) : parseInt(key);
+        if (config.type === 'hotp') this.advanceHotp(key, id);
+        if (id !== null) this.markUsed(id);
+    },
+
+    /**
+     * HOTPのカウンターを1つ進める（保存済みのエントリはmarkUsedで保存される）
+     */
+    advanceHotp(key, id) {
+        const entry = id !== null ? this.passwords.find(p => p.id === id) : null;
+
+        if (key === 'detail') {
+            const next = { ...this.otpDetail, counter: this.otpDetail.counter + 1 };
+            document.getElementById('detail-otp').value = Otp.toUri(next);
+            this.updateOtpPreview();
+            // 保存済みと同じシークレットキーなら、保存を待たずにカウンターを反映する
+            if (entry && entry.totp && entry.totp.secret === next.secret) {
+                entry.totp = { ...entry.totp, counter: next.counter };
+            }
+        } else if (entry) {
+            entry.totp = { ...entry.totp, counter: entry.totp.counter + 1 };
+            this.refreshOtpCodes();
+        }
+    },
+
+    /**
+     * 平文のインポートデータの2段階認証（URI・シークレットキー・設定のオブジェクト）。解析できなければ取り込まない
+     */
+    importOtp(value) {
+        if (!value) return {};
+        try {
+            return { totp: typeof value === 'string' ? Otp.parse(value) : Otp.normalize(value) };
+        } catch (error) {
+            console.warn('2段階認証の設定を取り込めませんでした:', error.message);
+            return {};
+        }
+    },
+
+    /**
+     * 画像ファイルのQRコードから2段階認証を読み取る
+     */
+    async scanOtpImage(file) {
+        try {
+            const text = await QrDecoder.scanFile(file);
+            if (!text) throw new Error('QRコードが見つかりませんでした');
+            this.applyScannedOtp(text);
+        } catch (error) {
+            console.error('QRコードの読み取りエラー:', error);
+            this.showToast(error.message || 'QRコードを読み取れませんでした', 'error');
+        }
+    },
+
+    /**
+     * カメラのQRコードから2段階認証を読み取る
+     */
+    async scanOtpCamera() {
+        try {
+            const text = await this.scanQrFromCamera();
+            if (text) this.applyScannedOtp(text);
+        } catch (error) {
+            console.error('カメラの読み取りエラー:', error);
+            this.showToast(error.message || 'カメラを使えませんでした', 'error');
+        }
+    },
+
+    /**
+     * 読み取ったotpauth:// URIを入力し、サービス名が空なら発行者を入れる
+     * @throws {Error} 2段階認証のQRコードでない
+     */
+    applyScannedOtp(text) {
+        if (!/^otpauth:\/\//i.test(text)) throw new Error('2段階認証のQRコードではありません');
+        const config = Otp.parse(text);
+
+        document.getElementById('detail-otp').value = Otp.toUri(config);
+        this.updateOtpPreview();
+        const serviceInput = document.getElementById('detail-service');
+        if (!serviceInput.value.trim() && config.issuer) serviceInput.value = config.issuer;
+
+        this.showToast('2段階認証の設定を読み取りました');
+    },
+
+    /**
+     * カメラの映像からQRコードを探す
+     * @returns {Promise<string|null>} 読み取った文字列（キャンセルされたらnull）
+     */
+    async scanQrFromCamera() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('このブラウザではカメラを使えません');
+        }
+        this.stopQrCamera();
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        } catch (error) {
+            throw new Error(error.name === 'NotAllowedError' ? 'カメラの使用が許可されていません' : 'カメラを起動できませんでした');
+        }
+
+        const modal = document.getElementById('qr-camera-modal');
+        const video = document.getElementById('qr-camera-video');
+        document.getElementById('qr-camera-status').textContent = 'QRコードを枠内に写してください';
+        video.srcObject = stream;
+        modal.classList.add('active');
+
+        return new Promise((resolve) => {
+            const camera = { stream, timer: null };
+            camera.finish = (text) => {
+                clearTimeout(camera.timer);
+                stream.getTracks().forEach(track => track.stop());
+                video.srcObject = null;
+                modal.classList.remove('active');
+                if (this.qrCamera === camera) this.qrCamera = null;
+                resolve(text);
+            };
+            this.qrCamera = camera;
+
+            const scanFrame = async () => {
+                if (this.qrCamera !== camera) return;
+                try {
+                    const text = await QrDecoder.scan(video);
+                    if (text && this.qrCamera === camera) {
+                        camera.finish(text);
+                        return;
+                    }
+                } catch (error) {
+                    // 映像の準備中などは次のフレームで試す
+                }
+                if (this.qrCamera === camera) camera.timer = setTimeout(scanFrame, this.QR_SCAN_INTERVAL_MS);
+            };
+            video.play().catch(() => {}).then(scanFrame);
+        });
+    },
+
+    /**
+     * カメラでの読み取りを中止
+     */
+    stopQrCamera() {
+        if (this.qrCamera) this.qrCamera.finish(null);
+    },
+
+    /**
+     * 2段階認証のインポートを開始
+     */
+    openOtpImport() {
+        this.otpImport = { accounts: [], batches: new Map(), skipped: [] };
+        this.renderOtpImport();
+        document.getElementById('otp-import-modal').classList.add('active');
+    },
+
+    closeOtpImport() {
+        this.otpImport = null;
+        document.getElementById('otp-import-list').innerHTML = '';
+        document.getElementById('otp-import-status').textContent = '';
+        document.getElementById('otp-import-modal').classList.remove('active');
+    },
+
+    /**
+     * QRコードの画像をまとめて読み取る
+     */
+    async addOtpImportImages(files) {
+        const errors = [];
+        for (const file of files) {
+            try {
+                const text = await QrDecoder.scanFile(file);
+                if (!text) throw new Error('QRコードが見つかりませんでした');
+                this.addOtpImportText(text);
+            } catch (error) {
+                errors.push(`${file.name}: ${error.message}`);
+            }
+        }
+        if (!this.otpImport) return;
+
+        this.renderOtpImport();
+        if (errors.length > 0) {
+            console.warn('QRコードの読み取りエラー:', errors);
+            this.showToast(errors.length === 1 ? errors[0] : `${errors.length}枚の画像を読み取れませんでした`, 'error');
+        }
+    },
+
+    async scanOtpImportCamera() {
+        try {
+            const text = await this.scanQrFromCamera();
+            if (!text || !this.otpImport) return;
+            this.addOtpImportText(text);
+            this.renderOtpImport();
+        } catch (error) {
+            console.error('カメラの読み取りエラー:', error);
+            this.showToast(error.message || 'カメラを使えませんでした', 'error');
+        }
+    },
+
+    /**
+     * 読み取ったQRコード（移行用・otpauth://）のアカウントを追加（同じシークレットキーは1件にまとめる）
+     * @throws {Error} 2段階認証のQRコードでない
+     */
+    addOtpImportText(text) {
+        let configs;
+        if (OtpMigration.isMigrationUri(text)) {
+            const { accounts, skipped, batch } = OtpMigration.parse(text);
+            const seen = this.otpImport.batches.get(batch.id) || { size: batch.size, indexes: new Set() };
+            seen.indexes.add(batch.index);
+            this.otpImport.batches.set(batch.id, seen);
+            this.otpImport.skipped.push(...skipped.filter(name => !this.otpImport.skipped.includes(name)));
+            configs = accounts;
+        } else if (/^otpauth:\/\//i.test(text)) {
+            configs = [Otp.parse(text)];
+        } else {
+            throw new Error('2段階認証のQRコードではありません');
+        }
+
+        configs.forEach(config => {
+            if (this.otpImport.accounts.some(a => a.config.secret === config.secret && a.config.type === config.type)) return;
+            const { target, note } = this.matchOtpEntry(config);
+            this.otpImport.accounts.push({ config, target, note });
+        });
+    },
+
+    /**
+     * アカウントの取り込み先を推測（発行者・名前がサービス名と一致するログインエントリ）
+     * @returns {{target: string|number, note: string}}
+     */
+    matchOtpEntry(config) {
+        const logins = this.passwords.filter(p => EntryTypes.typeOf(p) === 'login');
+        const registered = logins.find(p => p.totp && p.totp.secret === config.secret);
+        if (registered) return { target: 'skip', note: `「${registered.service}」に登録済み` };
+
+        const names = [config.issuer, config.account].filter(Boolean).map(name => Search.fold(name));
+        const account = Search.fold(config.account);
+        // 他のアカウントの取り込み先に選んだエントリは除く
+        const taken = new Set(this.otpImport.accounts.map(a => a.target));
+        const candidates = logins.filter(p => names.includes(Search.fold(p.service)) && !taken.has(p.id));
+        // 同じサービスが複数あれば、ユーザー名かメールアドレスがアカウント名と一致するものを選ぶ
+        const entry = candidates.find(p => [p.username, p.email].some(value => value && Search.fold(value) === account)) ||
+            candidates[0];
+        return entry
+            ? { target: entry.id, note: `「${entry.service}」に一致` }
+            : { target: 'new', note: '' };
+    },
+
+    /**
+     * 読み取ったアカウントと取り込み先の一覧を表示
+     */
+    renderOtpImport() {
+        const { accounts } = this.otpImport;
+        const listEl = document.getElementById('otp-import-list');
+
+        const logins = this.passwords
+            .filter(p => EntryTypes.typeOf(p) === 'login')
+            .sort((a, b) => a.service.localeCompare(b.service, 'ja'));
+
+        listEl.innerHTML = '';
+        accounts.forEach(account => {
+            const row = document.createElement('div');
+            row.className = 'otp-import-row';
+            row.innerHTML = `
+                <div class="otp-import-info">
+                    <div class="otp-import-name"></div>
+                    <div class="otp-import-meta"></div>
+                </div>
+                <select class="input-field otp-import-target"></select>
+            `;
+            row.querySelector('.otp-import-name').textContent = Otp.label(account.config) || '名前なし';
+            row.querySelector('.otp-import-meta').textContent = [Otp.describe(account.config), account.note].filter(Boolean).join(' ・ ');
+
+            const select = row.querySelector('.otp-import-target');
+            select.add(new Option('＋ 新しいエントリを作成', 'new'));
+            logins.forEach(p => {
+                const who = p.username || p.email;
+                select.add(new Option(`→ ${p.service}${who ? `（${who}）` : ''}${p.totp ? ' ※上書き' : ''}`, String(p.id)));
+            });
+            select.add(new Option('取り込まない', 'skip'));
+            select.value = String(account.target);
+            select.addEventListener('change', () => {
+                account.target = ['new', 'skip'].includes(select.value) ? select.value : parseInt(select.value, 10);
+                this.renderOtpImportStatus();
+            });
+
+            listEl.appendChild(row);
+        });
+
+        this.renderOtpImportStatus();
+    },
+
+    /**
+     * 読み取り状況と取り込み先の重複を表示（重複があれば取り込めないようにする）
+     */
+    renderOtpImportStatus() {
+        const { accounts, batches, skipped } = this.otpImport;
+        const conflicts = this.getOtpImportConflicts();
+
+        // 複数枚に分かれた移行用QRコードの読み取り状況
+        const status = [accounts.length > 0 ? `${accounts.length}件のアカウント` : 'QRコードを追加してください'];
+        batches.forEach(({ size, indexes }) => {
+            if (size > 1) {
+                status.push(indexes.size < size ? `QRコード ${indexes.size}/${size}枚（残りも追加してください）` : `QRコード ${size}枚すべて読み取り済み`);
+            }
+        });
+        if (skipped.length > 0) status.push(`未対応のため取り込めません: ${skipped.join('、')}`);
+        if (conflicts.size > 0) status.push('同じエントリに複数のアカウントは取り込めません。取り込み先を変更してください');
+        document.getElementById('otp-import-status').textContent = status.join(' ・ ');
+
+        document.querySelectorAll('#otp-import-list .otp-import-row').forEach((row, index) => {
+            row.classList.toggle('conflict', conflicts.has(accounts[index].target));
+        });
+        document.getElementById('otp-import-apply').disabled = accounts.length === 0 || conflicts.size > 0;
+    },
+
+    /**
+     * 複数のアカウントの取り込み先に選ばれている既存エントリのID
+     * エントリに保存できる2段階認証は1つだけのため、後から取り込んだものが先のものを上書きしてしまう
+     * @returns {Set<number>}
+     */
+    getOtpImportConflicts() {
+        const seen = new Set();
+        const conflicts = new Set();
+        this.otpImport.accounts.forEach(({ target }) => {
+            if (target === 'new' || target === 'skip') return;
+            if (seen.has(target)) conflicts.add(target);
+            seen.add(target);
+        });
+        return conflicts;
+    },
+
+    /**
+     * 選んだ取り込み先に保存（既存のエントリは2段階認証を置き換え、以前の設定は変更履歴に残す）
+     */
+    async applyOtpImport() {
+        if (this.getOtpImportConflicts().size > 0) {
+            this.showToast('同じエントリに複数のアカウントは取り込めません', 'error');
+            return;
+        }
+
+        const accounts = this.otpImport.accounts.filter(a => a.target !== 'skip');
+        const now = new Date().toISOString();
+        const limit = await this.getHistoryLimit();
+        let created = 0;
+        let updated = 0;
+
+        try {
+            for (const { config, target } of accounts) {
+                if (target === 'new') {
+                    const isEmail = config.account.includes('@');
+                    const data = {
+                        type: 'login',
+                        service: config.issuer || config.account || '2段階認証',
+                        email: isEmail ? config.account : '',
+                        username: isEmail ? '' : config.account,
+                        password: '',
+                        urls: [],
+                        totp: config,
+                        customFields: [],
+                        memo: '',
+                        folder: '',
+                        tags: [],
+                        favorite: false,
+                        createdAt: now,
+                        updatedAt: now,
+                        lastUsedAt: null
+                    };
+                    const encrypted = await CryptoUtils.encrypt(data, this.encryptionKey);
+                    await Storage.addPassword({ ...encrypted, uuid: Storage.generateUuid(), schemaVersion: Storage.ENTRY_SCHEMA_VERSION });
+                    created++;
+                } else {
+                    const entry = this.passwords.find(p => p.id === target);
+                    if (!entry) continue;
+                    const data = { ...this.entryPayload(entry), totp: config, updatedAt: now };
+                    data.history = this.buildHistory(entry, data, limit);
+                    await Storage.updatePassword(entry.id, await CryptoUtils.encrypt(data, this.encryptionKey));
+                    updated++;
+                }
+            }
+        } catch (error) {
+            console.error('2段階認証のインポートエラー:', error);
+            this.showToast('取り込みに失敗しました', 'error');
+        }
+
+        this.closeOtpImport();
+        await this.loadPasswords();
+        if (created + updated > 0) {
+            this.showToast(`2段階認証を取り込みました（作成 ${created}件・更新 ${updated}件）`);
+        }
+    },
+
     /**
      * クリップボードにコピー (汎用)
      */
-    async copyToClipboard(text) {
+    async copyToClipboard(text, autoClear = true) {
         try {
-            await navigator.clipboard.writeText(text);
+            await ClipboardGuard.copy(text, autoClear);
             this.showToast('クリップボードにコピーしました');
-            setTimeout(() => {
-                this.showToast('セキュリティのため、クリップボードをクリアしてください', 'warning');
-            }, 10000);
         } catch (error) {
             console.error('コピーエラー:', error);
             this.showToast('コピーに失敗しました', 'error');
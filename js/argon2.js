@@ -0,0 +1,495 @@
+/**
+ * Argon2id（RFC 9106）の純JavaScript実装
+ * 外部ライブラリやWASMを読み込まずにオフラインで動作させるため、BLAKE2bを含めて同梱する
+ *
+ * 64bit演算はすべて (下位32bit, 上位32bit) の組で表現する
+ */
+
+const Argon2 = {
+  VERSION: 0x13,
+  TYPE_ID: 2,             // Argon2id
+  BLOCK_SIZE: 1024,       // バイト
+  SYNC_POINTS: 4,
+
+  BLAKE2B_IV: new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+    0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+    0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+  ]),
+
+  BLAKE2B_SIGMA: [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3]
+  ],
+
+  /**
+   * Argon2idでハッシュを計算
+   * @param {Object} params
+   * @param {Uint8Array} params.password
+   * @param {Uint8Array} params.salt
+   * @param {number} params.iterations - パス数 t
+   * @param {number} params.memory - メモリサイズ（KiB）
+   * @param {number} params.parallelism - レーン数 p
+   * @param {number} params.hashLength - 出力長（バイト）
+   * @param {Uint8Array} [params.secret]
+   * @param {Uint8Array} [params.associatedData]
+   * @returns {Uint8Array}
+   */
+  hash(params) {
+    const {
+      password,
+      salt,
+      iterations,
+      memory,
+      parallelism,
+      hashLength = 32,
+      secret = new Uint8Array(0),
+      associatedData = new Uint8Array(0)
+    } = params;
+
+    if (iterations < 1) throw new Error('Argon2: iterationsは1以上が必要です');
+    if (parallelism < 1) throw new Error('Argon2: parallelismは1以上が必要です');
+    if (memory < 8 * parallelism) throw new Error('Argon2: memoryは8×parallelism KiB以上が必要です');
+    if (salt.length < 8) throw new Error('Argon2: saltは8バイト以上が必要です');
+
+    // H0
+    const h0 = this.blake2b(this.concat([
+      this.le32(parallelism),
+      this.le32(hashLength),
+      this.le32(memory),
+      this.le32(iterations),
+      this.le32(this.VERSION),
+      this.le32(this.TYPE_ID),
+      this.le32(password.length), password,
+      this.le32(salt.length), salt,
+      this.le32(secret.length), secret,
+      this.le32(associatedData.length), associatedData
+    ]), 64);
+
+    const segmentLength = Math.floor(memory / (parallelism * this.SYNC_POINTS));
+    const laneLength = segmentLength * this.SYNC_POINTS;
+    const blockCount = laneLength * parallelism;
+    const words = this.BLOCK_SIZE / 4;
+    const mem = new Uint32Array(blockCount * words);
+
+    // 各レーンの先頭2ブロック
+    for (let lane = 0; lane < parallelism; lane++) {
+      for (let i = 0; i < 2; i++) {
+        const block = this.hashLong(this.concat([h0, this.le32(i), this.le32(lane)]), this.BLOCK_SIZE);
+        const view = new Uint32Array(block.buffer, block.byteOffset, words);
+        mem.set(view, (lane * laneLength + i) * words);
+      }
+    }
+
+    const ctx = {
+      mem,
+      lanes: parallelism,
+      laneLength,
+      segmentLength,
+      blockCount,
+      passes: iterations,
+      scratchR: new Uint32Array(words),
+      scratchZ: new Uint32Array(words),
+      zeroBlock: new Uint32Array(words),
+      inputBlock: new Uint32Array(words),
+      addressBlock: new Uint32Array(words)
+    };
+
+    for (let pass = 0; pass < iterations; pass++) {
+      for (let slice = 0; slice < this.SYNC_POINTS; slice++) {
+        for (let lane = 0; lane < parallelism; lane++) {
+          this.fillSegment(ctx, pass, lane, slice);
+        }
+      }
+    }
+
+    // 最終ブロック = 各レーン末尾ブロックのXOR
+    const final = new Uint32Array(words);
+    for (let lane = 0; lane < parallelism; lane++) {
+      const offset = (lane * laneLength + laneLength - 1) * words;
+      for (let k = 0; k < words; k++) {
+        final[k] ^= mem[offset + k];
+      }
+    }
+
+    const result = this.hashLong(new Uint8Array(final.buffer), hashLength);
+    mem.fill(0);
+    return result;
+  },
+
+  /**
+   * 1セグメント分のブロックを計算
+   */
+  fillSegment(ctx, pass, lane, slice) {
+    const { mem, laneLength, segmentLength, lanes } = ctx;
+    const words = this.BLOCK_SIZE / 4;
+    const dataIndependent = pass === 0 && slice < this.SYNC_POINTS / 2;
+    const addressesPerBlock = words / 2;
+
+    if (dataIndependent) {
+      ctx.inputBlock.fill(0);
+      ctx.inputBlock[0] = pass;
+      ctx.inputBlock[2] = lane;
+      ctx.inputBlock[4] = slice;
+      ctx.inputBlock[6] = ctx.blockCount;
+      ctx.inputBlock[8] = ctx.passes;
+      ctx.inputBlock[10] = this.TYPE_ID;
+    }
+
+    let startIndex = 0;
+    if (pass === 0 && slice === 0) {
+      startIndex = 2;
+      if (dataIndependent) this.nextAddresses(ctx);
+    }
+
+    let currOffset = lane * laneLength + slice * segmentLength + startIndex;
+    let prevOffset = currOffset % laneLength === 0 ? currOffset + laneLength - 1 : currOffset - 1;
+
+    for (let i = startIndex; i < segmentLength; i++, currOffset++, prevOffset++) {
+      if (currOffset % laneLength === 1) prevOffset = currOffset - 1;
+
+      let randLo;
+      let randHi;
+      if (dataIndependent) {
+        if (i % addressesPerBlock === 0) this.nextAddresses(ctx);
+        const k = (i % addressesPerBlock) * 2;
+        randLo = ctx.addressBlock[k];
+        randHi = ctx.addressBlock[k + 1];
+      } else {
+        randLo = mem[prevOffset * words];
+        randHi = mem[prevOffset * words + 1];
+      }
+
+      let refLane = randHi % lanes;
+      if (pass === 0 && slice === 0) refLane = lane;
+
+      const refIndex = this.indexAlpha(ctx, pass, slice, i, randLo, refLane === lane);
+      const refOffset = refLane * laneLength + refIndex;
+
+      this.compress(ctx, mem, prevOffset * words, mem, refOffset * words, mem, currOffset * words, pass !== 0);
+    }
+  },
+
+  /**
+   * データ非依存アドレッシング用のアドレスブロックを生成
+   */
+  nextAddresses(ctx) {
+    // 入力ブロックのカウンタ（7番目の64bitワード）をインクリメント
+    ctx.inputBlock[12] = (ctx.inputBlock[12] + 1) >>> 0;
+    if (ctx.inputBlock[12] === 0) ctx.inputBlock[13] = (ctx.inputBlock[13] + 1) >>> 0;
+
+    this.compress(ctx, ctx.zeroBlock, 0, ctx.inputBlock, 0, ctx.addressBlock, 0, false);
+    this.compress(ctx, ctx.zeroBlock, 0, ctx.addressBlock, 0, ctx.addressBlock, 0, false);
+  },
+
+  /**
+   * 参照ブロックのレーン内インデックスを計算
+   */
+  indexAlpha(ctx, pass, slice, index, randLo, sameLane) {
+    const { laneLength, segmentLength } = ctx;
+    let areaSize;
+
+    if (pass === 0) {
+      if (sameLane) {
+        areaSize = slice * segmentLength + index - 1;
+      } else {
+        areaSize = slice * segmentLength + (index === 0 ? -1 : 0);
+      }
+    } else {
+      if (sameLane) {
+        areaSize = laneLength - segmentLength + index - 1;
+      } else {
+        areaSize = laneLength - segmentLength + (index === 0 ? -1 : 0);
+      }
+    }
+
+    let relative = this.mulHi(randLo, randLo);
+    relative = areaSize - 1 - this.mulHi(areaSize, relative);
+
+    let start = 0;
+    if (pass !== 0) {
+      start = slice === this.SYNC_POINTS - 1 ? 0 : (slice + 1) * segmentLength;
+    }
+
+    return (start + relative) % laneLength;
+  },
+
+  /**
+   * 圧縮関数 G: out = P(X ⊕ Y) ⊕ (X ⊕ Y) [⊕ out]
+   */
+  compress(ctx, xArr, xOff, yArr, yOff, outArr, outOff, withXor) {
+    const R = ctx.scratchR;
+    const Z = ctx.scratchZ;
+    const words = this.BLOCK_SIZE / 4;
+
+    for (let k = 0; k < words; k++) {
+      R[k] = xArr[xOff + k] ^ yArr[yOff + k];
+    }
+    Z.set(R);
+
+    // 行方向: 16ワード × 8行
+    for (let row = 0; row < 8; row++) {
+      const b = row * 16;
+      this.permute(Z, b, b + 1, b + 2, b + 3, b + 4, b + 5, b + 6, b + 7,
+        b + 8, b + 9, b + 10, b + 11, b + 12, b + 13, b + 14, b + 15);
+    }
+
+    // 列方向: 2ワード × 8行
+    for (let col = 0; col < 8; col++) {
+      const b = col * 2;
+      this.permute(Z, b, b + 1, b + 16, b + 17, b + 32, b + 33, b + 48, b + 49,
+        b + 64, b + 65, b + 80, b + 81, b + 96, b + 97, b + 112, b + 113);
+    }
+
+    if (withXor) {
+      for (let k = 0; k < words; k++) {
+        outArr[outOff + k] ^= Z[k] ^ R[k];
+      }
+    } else {
+      for (let k = 0; k < words; k++) {
+        outArr[outOff + k] = Z[k] ^ R[k];
+      }
+    }
+  },
+
+  /**
+   * 置換 P（BlaMka版のBLAKE2bラウンド）
+   * 引数は64bitワードのインデックス
+   */
+  permute(v, v0, v1, v2, v3, v4, v5, v6, v7, v8, v9, v10, v11, v12, v13, v14, v15) {
+    this.gb(v, v0, v4, v8, v12);
+    this.gb(v, v1, v5, v9, v13);
+    this.gb(v, v2, v6, v10, v14);
+    this.gb(v, v3, v7, v11, v15);
+    this.gb(v, v0, v5, v10, v15);
+    this.gb(v, v1, v6, v11, v12);
+    this.gb(v, v2, v7, v8, v13);
+    this.gb(v, v3, v4, v9, v14);
+  },
+
+  gb(v, a, b, c, d) {
+    this.blamka(v, a, b);
+    this.xorRotr(v, d, a, 32);
+    this.blamka(v, c, d);
+    this.xorRotr(v, b, c, 24);
+    this.blamka(v, a, b);
+    this.xorRotr(v, d, a, 16);
+    this.blamka(v, c, d);
+    this.xorRotr(v, b, c, 63);
+  },
+
+  /**
+   * v[x] = v[x] + v[y] + 2 * lo32(v[x]) * lo32(v[y])
+   */
+  blamka(v, x, y) {
+    const xl = v[2 * x];
+    const xh = v[2 * x + 1];
+    const yl = v[2 * y];
+    const yh = v[2 * y + 1];
+
+    // lo32(x) * lo32(y) の64bit積
+    const aL = xl & 0xffff;
+    const aH = xl >>> 16;
+    const bL = yl & 0xffff;
+    const bH = yl >>> 16;
+    const ll = aL * bL;
+    const lh = aL * bH;
+    const hl = aH * bL;
+    const hh = aH * bH;
+    const mid = (ll >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+    let pl = (((mid & 0xffff) << 16) | (ll & 0xffff)) >>> 0;
+    let ph = (hh + (lh >>> 16) + (hl >>> 16) + (mid >>> 16)) >>> 0;
+
+    // ×2
+    ph = ((ph << 1) | (pl >>> 31)) >>> 0;
+    pl = (pl << 1) >>> 0;
+
+    // x + y + p
+    let lo = xl + yl;
+    let hi = xh + yh + (lo > 0xffffffff ? 1 : 0);
+    lo >>>= 0;
+    const lo2 = lo + pl;
+    hi = hi + ph + (lo2 > 0xffffffff ? 1 : 0);
+
+    v[2 * x] = lo2 >>> 0;
+    v[2 * x + 1] = hi >>> 0;
+  },
+
+  /**
+   * v[x] = rotr64(v[x] ⊕ v[y], n)
+   */
+  xorRotr(v, x, y, n) {
+    const lo = v[2 * x] ^ v[2 * y];
+    const hi = v[2 * x + 1] ^ v[2 * y + 1];
+
+    if (n === 32) {
+      v[2 * x] = hi;
+      v[2 * x + 1] = lo;
+    } else if (n < 32) {
+      v[2 * x] = (lo >>> n) | (hi << (32 - n));
+      v[2 * x + 1] = (hi >>> n) | (lo << (32 - n));
+    } else {
+      // n = 63 は左1bit回転と等価
+      v[2 * x] = (lo << 1) | (hi >>> 31);
+      v[2 * x + 1] = (hi << 1) | (lo >>> 31);
+    }
+  },
+
+  /**
+   * 32bit × 32bit の積の上位32bit
+   */
+  mulHi(a, b) {
+    const aL = a & 0xffff;
+    const aH = a >>> 16;
+    const bL = b & 0xffff;
+    const bH = b >>> 16;
+    const ll = aL * bL;
+    const lh = aL * bH;
+    const hl = aH * bL;
+    const hh = aH * bH;
+    const mid = (ll >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+    return (hh + (lh >>> 16) + (hl >>> 16) + (mid >>> 16)) >>> 0;
+  },
+
+  /**
+   * 可変長ハッシュ H'
+   */
+  hashLong(input, length) {
+    const prefixed = this.concat([this.le32(length), input]);
+    if (length <= 64) {
+      return this.blake2b(prefixed, length);
+    }
+
+    const out = new Uint8Array(length);
+    const r = Math.ceil(length / 32) - 2;
+    let v = this.blake2b(prefixed, 64);
+    out.set(v.subarray(0, 32), 0);
+    for (let i = 1; i < r; i++) {
+      v = this.blake2b(v, 64);
+      out.set(v.subarray(0, 32), i * 32);
+    }
+    v = this.blake2b(v, length - 32 * r);
+    out.set(v, r * 32);
+    return out;
+  },
+
+  /**
+   * BLAKE2b（キーなし）
+   */
+  blake2b(input, outLength) {
+    const h = new Uint32Array(this.BLAKE2B_IV);
+    h[0] ^= 0x01010000 ^ outLength;
+
+    const v = new Uint32Array(32);
+    const m = new Uint32Array(32);
+    const block = new Uint8Array(128);
+    let counter = 0;
+    let offset = 0;
+
+    // 最終ブロック以外を処理
+    while (input.length - offset > 128) {
+      block.set(input.subarray(offset, offset + 128));
+      offset += 128;
+      counter += 128;
+      this.blake2bCompress(h, v, m, block, counter, false);
+    }
+
+    block.fill(0);
+    block.set(input.subarray(offset));
+    counter += input.length - offset;
+    this.blake2bCompress(h, v, m, block, counter, true);
+
+    const out = new Uint8Array(outLength);
+    for (let i = 0; i < outLength; i++) {
+      out[i] = h[i >> 2] >>> (8 * (i & 3));
+    }
+    return out;
+  },
+
+  blake2bCompress(h, v, m, block, counter, last) {
+    for (let i = 0; i < 32; i++) {
+      m[i] = block[4 * i] | (block[4 * i + 1] << 8) | (block[4 * i + 2] << 16) | (block[4 * i + 3] << 24);
+    }
+    for (let i = 0; i < 16; i++) {
+      v[i] = h[i];
+      v[i + 16] = this.BLAKE2B_IV[i];
+    }
+
+    // カウンタ（入力長は2^53未満なので上位ワードは数値演算で足りる）
+    v[24] ^= counter >>> 0;
+    v[25] ^= Math.floor(counter / 0x100000000);
+    if (last) {
+      v[28] = ~v[28];
+      v[29] = ~v[29];
+    }
+
+    for (let round = 0; round < 12; round++) {
+      const s = this.BLAKE2B_SIGMA[round];
+      this.blake2bMix(v, m, 0, 4, 8, 12, s[0], s[1]);
+      this.blake2bMix(v, m, 1, 5, 9, 13, s[2], s[3]);
+      this.blake2bMix(v, m, 2, 6, 10, 14, s[4], s[5]);
+      this.blake2bMix(v, m, 3, 7, 11, 15, s[6], s[7]);
+      this.blake2bMix(v, m, 0, 5, 10, 15, s[8], s[9]);
+      this.blake2bMix(v, m, 1, 6, 11, 12, s[10], s[11]);
+      this.blake2bMix(v, m, 2, 7, 8, 13, s[12], s[13]);
+      this.blake2bMix(v, m, 3, 4, 9, 14, s[14], s[15]);
+    }
+
+    for (let i = 0; i < 16; i++) {
+      h[i] ^= v[i] ^ v[i + 16];
+    }
+  },
+
+  blake2bMix(v, m, a, b, c, d, x, y) {
+    this.add64(v, a, v, b);
+    this.add64(v, a, m, x);
+    this.xorRotr(v, d, a, 32);
+    this.add64(v, c, v, d);
+    this.xorRotr(v, b, c, 24);
+    this.add64(v, a, v, b);
+    this.add64(v, a, m, y);
+    this.xorRotr(v, d, a, 16);
+    this.add64(v, c, v, d);
+    this.xorRotr(v, b, c, 63);
+  },
+
+  /**
+   * v[a] += arr[b]（64bit加算）
+   */
+  add64(v, a, arr, b) {
+    const lo = v[2 * a] + arr[2 * b];
+    v[2 * a + 1] = v[2 * a + 1] + arr[2 * b + 1] + (lo > 0xffffffff ? 1 : 0);
+    v[2 * a] = lo;
+  },
+
+  le32(n) {
+    return new Uint8Array([n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff]);
+  },
+
+  concat(arrays) {
+    const total = arrays.reduce((sum, a) => sum + a.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const a of arrays) {
+      out.set(a, offset);
+      offset += a.length;
+    }
+    return out;
+  }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Argon2;
+}
@@ -0,0 +1,105 @@
+/**
+ * 添付ファイル
+ * 本体はデータ鍵で暗号化して別ストアに保存し、名前・種類・サイズ・ハッシュはエントリの暗号化ペイロードに持つ。
+ * ハッシュを照合することで、別の添付ファイルの本体と差し替えられていないことも確認する。
+ */
+
+const Attachments = {
+    MAX_FILE_BYTES: 10 * 1024 * 1024,
+    // Base64化と暗号化で保存時に増える分
+    STORAGE_OVERHEAD: 1.4,
+    PREVIEW_TYPES: [/^image\/(png|jpeg|gif|webp|bmp)$/, /^text\//, /^application\/pdf$/, /^application\/json$/],
+
+    /**
+     * ファイルを暗号化して保存
+     * @param {string} entryUuid - 添付先エントリのuuid
+     * @param {File} file
+     * @param {Uint8Array} key - データ鍵
+     * @returns {Promise<{id: string, name: string, type: string, size: number, sha256: string, addedAt: string}>} ペイロードに追加するメタデータ
+     */
+    async add(entryUuid, file, key) {
+        if (file.size > this.MAX_FILE_BYTES) {
+            throw new Error(`${file.name} は大きすぎます（上限 ${this.formatSize(this.MAX_FILE_BYTES)}）`);
+        }
+        await this.checkQuota(file.size);
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const uuid = Storage.generateUuid();
+        const envelope = await CryptoUtils.encryptBytes(bytes, key);
+        await Storage.addAttachment({ uuid, entryUuid, ...envelope });
+
+        return {
+            id: uuid,
+            name: file.name,
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            sha256: await this.digest(bytes),
+            addedAt: new Date().toISOString()
+        };
+    },
+
+    /**
+     * 復号してBlobとして取り出す
+     * @throws {Error} 本体がない（未同期）・復号失敗・ハッシュ不一致
+     */
+    async read(meta, key) {
+        const record = await Storage.getAttachment(meta.id);
+        if (!record) {
+            throw new Error('添付ファイルの本体がこの端末にありません（同期のPullで取得できます）');
+        }
+
+        const bytes = await CryptoUtils.decryptBytes(record, key);
+        if (await this.digest(bytes) !== meta.sha256) {
+            throw CryptoUtils.createError(CryptoUtils.ERROR_TAMPERED, '添付ファイルの内容が記録と一致しません');
+        }
+        return new Blob([bytes], { type: meta.type });
+    },
+
+    async remove(ids) {
+        await Storage.deleteAttachments(ids);
+    },
+
+    /**
+     * ブラウザのストレージ使用量と上限（取得できなければnull）
+     * @returns {Promise<{usage: number, quota: number}|null>}
+     */
+    async estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 保存できる空きがあるか確認
+     */
+    async checkQuota(size) {
+        const estimate = await this.estimate();
+        if (estimate && estimate.quota && estimate.usage + size * this.STORAGE_OVERHEAD > estimate.quota) {
+            throw new Error('ストレージの空き容量が不足しています');
+        }
+    },
+
+    canPreview(type) {
+        return this.PREVIEW_TYPES.some(pattern => pattern.test(type));
+    },
+
+    async digest(bytes) {
+        return CryptoUtils.arrayBufferToBase64(await crypto.subtle.digest('SHA-256', bytes));
+    },
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Attachments;
+}
@@ -0,0 +1,174 @@
+/**
+ * 自動ロック
+ * 無操作・バックグラウンド移行・セッション上限・画面スリープを検知してロックを要求する
+ */
+
+const AutoLock = {
+    DEFAULTS: {
+        idleMinutes: 5,          // 0 = 無効
+        lockOnHidden: false,     // タブ非表示・アプリのバックグラウンド移行でロック
+        maxSessionMinutes: 0,    // 0 = 無効
+        lockOnSleep: true,       // 画面スリープ（タイマー停止）からの復帰でロック
+        warningSeconds: 30       // ロック前に警告を出す秒数
+    },
+    TICK_MS: 1000,
+    SLEEP_GAP_MS: 30000,         // 表示中にこれ以上タイマーが止まっていたらスリープとみなす
+    ACTIVITY_EVENTS: ['pointerdown', 'keydown', 'touchstart', 'wheel', 'scroll'],
+
+    settings: null,
+    active: false,
+    timer: null,
+    lastActivity: 0,
+    sessionStart: 0,
+    lastTick: 0,
+    onWarn: null,
+    onLock: null,
+
+    /**
+     * 保存された設定を読み込む
+     */
+    async loadSettings() {
+        const saved = await Storage.getSetting('autoLock');
+        this.settings = { ...this.DEFAULTS, ...saved };
+        return this.settings;
+    },
+
+    /**
+     * 設定を保存（セッション中なら即反映）
+     */
+    async saveSettings(settings) {
+        this.settings = { ...this.DEFAULTS, ...settings };
+        await Storage.saveSetting('autoLock', this.settings);
+        if (this.active) this.tick();
+    },
+
+    /**
+     * 監視を開始
+     * @param {Object} handlers
+     * @param {Function} handlers.onWarn - (secondsLeft: number|null, reason: string) 警告の表示/解除
+     * @param {Function} handlers.onLock - (reason: string) ロック要求
+     */
+    async start({ onWarn, onLock }) {
+        this.stop();
+        await this.loadSettings();
+
+        this.onWarn = onWarn;
+        this.onLock = onLock;
+        this.active = true;
+
+        const now = Date.now();
+        this.lastActivity = now;
+        this.sessionStart = now;
+        this.lastTick = now;
+
+        this.handleActivity = () => { this.lastActivity = Date.now(); };
+        this.handleVisibility = (event) => this.onVisibilityChange(event);
+        this.handleFreeze = () => {
+            if (this.settings.lockOnSleep) this.lock('sleep');
+        };
+
+        this.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, this.handleActivity, { passive: true, capture: true });
+        });
+        document.addEventListener('visibilitychange', this.handleVisibility);
+        document.addEventListener('freeze', this.handleFreeze);
+        window.addEventListener('pagehide', this.handleVisibility);
+
+        this.timer = setInterval(() => this.tick(), this.TICK_MS);
+    },
+
+    /**
+     * 監視を停止
+     */
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.active) {
+            this.ACTIVITY_EVENTS.forEach(type => {
+                document.removeEventListener(type, this.handleActivity, { capture: true });
+            });
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+            document.removeEventListener('freeze', this.handleFreeze);
+            window.removeEventListener('pagehide', this.handleVisibility);
+        }
+
+        this.active = false;
+        this.onWarn = null;
+        this.onLock = null;
+    },
+
+    /**
+     * 操作があったとみなして無操作タイマーをリセット
+     */
+    extend() {
+        this.lastActivity = Date.now();
+        this.tick();
+    },
+
+    /**
+     * 表示状態の変化（バックグラウンド移行・復帰）
+     */
+    onVisibilityChange(event) {
+        if (!this.active) return;
+
+        if (document.visibilityState === 'hidden' || event.type === 'pagehide') {
+            if (this.settings.lockOnHidden) this.lock('hidden');
+            return;
+        }
+
+        // 再表示時: 非表示中のタイマー間引きをスリープと誤判定しないよう基準を更新してから判定
+        this.lastTick = Date.now();
+        this.tick();
+    },
+
+    /**
+     * 1秒ごとの判定
+     */
+    tick() {
+        if (!this.active) return;
+
+        const now = Date.now();
+        const { idleMinutes, maxSessionMinutes, lockOnSleep, warningSeconds } = this.settings;
+
+        // 表示中にタイマーが長時間止まっていた = 端末がスリープしていた
+        const visible = document.visibilityState !== 'hidden';
+        if (lockOnSleep && visible && now - this.lastTick > this.SLEEP_GAP_MS) {
+            this.lock('sleep');
+            return;
+        }
+        this.lastTick = now;
+
+        const deadlines = [];
+        if (idleMinutes > 0) {
+            deadlines.push({ reason: 'idle', at: this.lastActivity + idleMinutes * 60000 });
+        }
+        if (maxSessionMinutes > 0) {
+            deadlines.push({ reason: 'session', at: this.sessionStart + maxSessionMinutes * 60000 });
+        }
+        if (deadlines.length === 0) {
+            if (this.onWarn) this.onWarn(null);
+            return;
+        }
+
+        const next = deadlines.reduce((a, b) => (a.at <= b.at ? a : b));
+        const secondsLeft = Math.ceil((next.at - now) / 1000);
+
+        if (secondsLeft <= 0) {
+            this.lock(next.reason);
+        } else if (this.onWarn) {
+            this.onWarn(secondsLeft <= warningSeconds ? secondsLeft : null, next.reason);
+        }
+    },
+
+    lock(reason) {
+        const onLock = this.onLock;
+        this.stop();
+        if (onLock) onLock(reason);
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoLock;
+}
@@ -0,0 +1,141 @@
+/**
+ * クリップボード自動クリア
+ * コピーした秘密情報を一定時間後・ロック時・ページ離脱時にクリップボードから消去する
+ */
+
+const ClipboardGuard = {
+    DEFAULTS: {
+        clearSeconds: 30,   // 0 = 時間経過ではクリアしない（ロック・ページ離脱時のみ）
+        keepFields: []      // 自動クリアしない標準フィールド ('email', 'username')
+    },
+    TICK_MS: 1000,
+
+    settings: null,
+    pending: null,          // { value, clearAt }
+    timer: null,
+    onChange: null,         // (secondsLeft: number|null) 残り時間の通知。クリア待ちがなければnull
+
+    /**
+     * 保存された設定を読み込み、ページ離脱時のクリアを登録
+     */
+    async init() {
+        await this.loadSettings();
+
+        // 別アプリへの貼り付けを妨げないよう、非表示では消さずページ離脱時のみ消す
+        window.addEventListener('pagehide', () => this.clear());
+        document.addEventListener('visibilitychange', () => {
+            // 非表示中はタイマーが間引かれるため、復帰時に期限を再判定
+            if (document.visibilityState === 'visible') this.tick();
+        });
+    },
+
+    /**
+     * 保存された設定を読み込む
+     */
+    async loadSettings() {
+        const saved = await Storage.getSetting('clipboard');
+        this.settings = { ...this.DEFAULTS, ...saved };
+        return this.settings;
+    },
+
+    /**
+     * 設定を保存
+     */
+    async saveSettings(settings) {
+        this.settings = { ...this.DEFAULTS, ...settings };
+        await Storage.saveSetting('clipboard', this.settings);
+    },
+
+    /**
+     * 標準フィールドを自動クリアするか
+     */
+    shouldAutoClear(field) {
+        return !this.settings.keepFields.includes(field);
+    },
+
+    /**
+     * クリップボードに書き込み、必要なら自動クリアを予約
+     * @param {string} text
+     * @param {boolean} autoClear - falseなら消去を予約しない
+     */
+    async copy(text, autoClear = true) {
+        await navigator.clipboard.writeText(text);
+
+        if (!autoClear) {
+            // 別の値で上書きしたので、前の予約は不要
+            this.cancel();
+            return;
+        }
+
+        const { clearSeconds } = this.settings;
+        this.pending = {
+            value: text,
+            clearAt: clearSeconds > 0 ? Date.now() + clearSeconds * 1000 : null
+        };
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), this.TICK_MS);
+        }
+        this.tick();
+    },
+
+    /**
+     * 残り時間の通知と期限到来時のクリア
+     */
+    tick() {
+        if (!this.pending) return;
+
+        const { clearAt } = this.pending;
+        if (clearAt === null) {
+            if (this.onChange) this.onChange(null);
+            return;
+        }
+
+        const secondsLeft = Math.ceil((clearAt - Date.now()) / 1000);
+        if (secondsLeft <= 0) {
+            this.clear();
+        } else if (this.onChange) {
+            this.onChange(secondsLeft);
+        }
+    },
+
+    /**
+     * 予約中の値がまだクリップボードに残っていれば消去
+     * 読み取りが許可されていない環境では確認できないため、そのまま消去する
+     */
+    async clear() {
+        const pending = this.pending;
+        this.cancel();
+        if (!pending) return;
+
+        try {
+            let current = pending.value;
+            try {
+                current = await navigator.clipboard.readText();
+            } catch (error) {
+                // 読み取り不可（権限なし・非対応）
+            }
+
+            if (current === pending.value) {
+                await navigator.clipboard.writeText('');
+            }
+        } catch (error) {
+            console.error('クリップボードのクリアに失敗:', error);
+        }
+    },
+
+    /**
+     * 自動クリアの予約を取り消す
+     */
+    cancel() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.pending = null;
+        if (this.onChange) this.onChange(null);
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClipboardGuard;
+}
@@ -0,0 +1,20 @@
+/**
+ * 暗号化Worker
+ * 鍵導出（PBKDF2 / Argon2id）と一括復号をメインスレッドの外で実行する
+ */
+
+importScripts('argon2.js', 'crypto.js');
+
+self.addEventListener('message', async (event) => {
+  const { id, method, args } = event.data;
+
+  try {
+    if (!CryptoUtils.WORKER_METHODS.includes(method)) {
+      throw new Error(`未対応の処理です: ${method}`);
+    }
+    const result = await CryptoUtils[method](...args);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: { message: error.message, code: error.code } });
+  }
+});
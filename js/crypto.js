@@ -1,6 +1,8 @@
 /**
  * 暗号化ユーティリティ
- * CryptoJSを使用して全デバイス互換性を確保
+ * Web Crypto API (crypto.subtle) を使用。旧CryptoJS版と同じバイト列を生成・復号できる。
+ * 鍵導出と一括復号は専用Worker（crypto-worker.js）で実行し、UIを止めない。
+ * このファイルはWorker内でも読み込まれ、その場合は同じメソッドを直接実行する。
  */
 
 const CryptoUtils = {
@@ -8,7 +10,43 @@ const CryptoUtils = {
   SALT_LENGTH: 16,
   IV_LENGTH: 16,  // AES-CBC用
   KEY_LENGTH: 256,
-  PBKDF2_ITERATIONS: 100000,
+  PBKDF2_ITERATIONS: 100000,  // 旧バージョンの既定値（kdf設定のないVault用）
+
+  // KDF
+  KDF_PBKDF2: 'pbkdf2-sha256',
+  KDF_ARGON2ID: 'argon2id',
+  PBKDF2_MIN_ITERATIONS: 100000,
+  ARGON2_MIN_MEMORY: 8192,    // KiB
+  ARGON2_DEFAULTS: { memory: 19456, iterations: 2, parallelism: 1 },  // OWASP推奨の最低ライン
+  KDF_NONE: 'none',           // ランダム生成したデータ鍵（KDFを使わない）
+
+  // リカバリーコード（紛らわしい 0/O/1/I を除いた32文字 × 24桁 = 120bit）
+  RECOVERY_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+  RECOVERY_CODE_LENGTH: 24,
+  RECOVERY_KDF: { algorithm: 'pbkdf2-sha256', iterations: 100000 },
+
+  // パスキー（WebAuthn PRF拡張の出力からHKDFで鍵暗号化鍵を導出）
+  KDF_WEBAUTHN_PRF: 'webauthn-prf',
+  PASSKEY_HKDF_INFO: 'password-manager-passkey-kek',
+
+  // 暗号化エンベロープ
+  ENVELOPE_VERSION: 2,
+  ALGORITHM: 'A256CBC-HS256',  // AES-256-CBC + HMAC-SHA256 (Encrypt-then-MAC)
+
+  // キーチェック値（正しい鍵で復号できることだけを確認する固定値）
+  KEY_CHECK_VALUE: 'password-manager-key-check',
+
+  // 復号エラーの種別
+  ERROR_WRONG_KEY: 'WRONG_KEY',
+  ERROR_TAMPERED: 'TAMPERED',
+
+  // Worker
+  WORKER_URL: 'js/crypto-worker.js',
+  WORKER_METHODS: ['deriveBits', 'runBenchmark', 'decryptBatch'],
+  worker: null,
+  workerDisabled: false,
+  pendingRequests: new Map(),
+  nextRequestId: 1,
 
   /**
    * ランダムバイト生成
@@ -42,112 +80,534 @@ const CryptoUtils = {
   },
 
   /**
-   * WordArrayをBase64に変換（CryptoJS用）
+   * Base64をUint8Arrayに変換
    */
-  wordArrayToBase64(wordArray) {
-    return CryptoJS.enc.Base64.stringify(wordArray);
+  base64ToBytes(base64) {
+    return new Uint8Array(this.base64ToArrayBuffer(base64));
   },
 
   /**
-   * Base64をWordArrayに変換（CryptoJS用）
+   * 専用Workerを取得（Worker内・非対応環境・起動失敗時はnull）
    */
-  base64ToWordArray(base64) {
-    return CryptoJS.enc.Base64.parse(base64);
+  getWorker() {
+    if (this.worker) return this.worker;
+    if (this.workerDisabled || typeof window === 'undefined' || typeof Worker === 'undefined') {
+      return null;
+    }
+
+    try {
+      this.worker = new Worker(this.WORKER_URL);
+      this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerFailure(event);
+    } catch (error) {
+      console.error('暗号化Workerを起動できません:', error);
+      this.workerDisabled = true;
+      return null;
+    }
+    return this.worker;
   },
 
   /**
-   * マスターパスワードをハッシュ化（保存用）
-   * @returns {Promise<{hash: string, salt: string}>}
+   * 重い処理をWorkerで実行（Workerが使えなければこのスレッドで実行）
    */
-  async hashMasterPassword(password) {
-    const saltBytes = this.getRandomBytes(this.SALT_LENGTH);
-    const saltBase64 = this.arrayBufferToBase64(saltBytes);
+  async callWorker(method, args) {
+    const worker = this.getWorker();
+    if (!worker) {
+      return this[method](...args);
+    }
 
-    // CryptoJSを使用（全デバイス互換）
-    const salt = this.base64ToWordArray(saltBase64);
-    const hash = CryptoJS.PBKDF2(password, salt, {
-      keySize: 256 / 32,
-      iterations: this.PBKDF2_ITERATIONS,
-      hasher: CryptoJS.algo.SHA256
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.pendingRequests.set(id, { method, args, resolve, reject });
+      worker.postMessage({ id, method, args });
     });
+  },
+
+  /**
+   * Workerからの応答を処理
+   */
+  handleWorkerMessage({ id, result, error }) {
+    const request = this.pendingRequests.get(id);
+    if (!request) return;
+    this.pendingRequests.delete(id);
+
+    if (error) {
+      request.reject(this.createError(error.code, error.message));
+    } else {
+      request.resolve(result);
+    }
+  },
+
+  /**
+   * Workerが起動・実行に失敗した場合、以降はこのスレッドで処理する
+   */
+  handleWorkerFailure(event) {
+    console.error('暗号化Workerエラー（メインスレッドで続行）:', event.message || event);
+    this.worker.terminate();
+    this.worker = null;
+    this.workerDisabled = true;
+
+    const pending = [...this.pendingRequests.values()];
+    this.pendingRequests.clear();
+    for (const request of pending) {
+      this[request.method](...request.args).then(request.resolve, request.reject);
+    }
+  },
+
+  /**
+   * KDF設定を正規化
+   * 設定が保存されていない旧Vaultは PBKDF2-SHA256 / 100,000回 とみなす
+   * @returns {{algorithm: string, iterations: number, memory?: number, parallelism?: number}}
+   */
+  normalizeKdf(kdf) {
+    if (!kdf || !kdf.algorithm) {
+      return { algorithm: this.KDF_PBKDF2, iterations: this.PBKDF2_ITERATIONS };
+    }
+    if (kdf.algorithm === this.KDF_ARGON2ID) {
+      return {
+        algorithm: this.KDF_ARGON2ID,
+        memory: kdf.memory,
+        iterations: kdf.iterations,
+        parallelism: kdf.parallelism
+      };
+    }
+    if (kdf.algorithm === this.KDF_PBKDF2) {
+      return { algorithm: this.KDF_PBKDF2, iterations: kdf.iterations };
+    }
+    throw new Error(`未対応のKDFです: ${kdf.algorithm}`);
+  },
+
+  /**
+   * KDFパラメータを検証
+   * @throws {Error} 下限を下回る場合
+   */
+  validateKdf(kdf) {
+    const normalized = this.normalizeKdf(kdf);
+    const isInt = (n) => Number.isInteger(n) && n > 0;
+
+    if (normalized.algorithm === this.KDF_PBKDF2) {
+      if (!isInt(normalized.iterations) || normalized.iterations < this.PBKDF2_MIN_ITERATIONS) {
+        throw new Error(`PBKDF2の反復回数は${this.PBKDF2_MIN_ITERATIONS.toLocaleString()}回以上にしてください`);
+      }
+    } else {
+      if (!isInt(normalized.memory) || normalized.memory < this.ARGON2_MIN_MEMORY) {
+        throw new Error(`Argon2idのメモリは${this.ARGON2_MIN_MEMORY / 1024}MiB以上にしてください`);
+      }
+      if (!isInt(normalized.iterations) || !isInt(normalized.parallelism)) {
+        throw new Error('Argon2idの反復回数と並列度は1以上にしてください');
+      }
+    }
+    return normalized;
+  },
+
+  /**
+   * KDF設定を表示用の文字列に変換
+   */
+  describeKdf(kdf) {
+    const normalized = this.normalizeKdf(kdf);
+    if (normalized.algorithm === this.KDF_ARGON2ID) {
+      return `Argon2id / ${normalized.memory / 1024}MiB / ${normalized.iterations}回 / 並列度${normalized.parallelism}`;
+    }
+    return `PBKDF2-SHA256 / ${normalized.iterations.toLocaleString()}回`;
+  },
 
+  /**
+   * パスワードから256bitを導出（Worker内で実行される）
+   * @returns {Promise<Uint8Array>}
+   */
+  async deriveBits(password, saltBase64, kdf) {
+    const normalized = this.normalizeKdf(kdf);
+    const passwordBytes = new TextEncoder().encode(password);
+    const salt = this.base64ToBytes(saltBase64);
+
+    if (normalized.algorithm === this.KDF_ARGON2ID) {
+      return Argon2.hash({
+        password: passwordBytes,
+        salt,
+        iterations: normalized.iterations,
+        memory: normalized.memory,
+        parallelism: normalized.parallelism,
+        hashLength: this.KEY_LENGTH / 8
+      });
+    }
+
+    const baseKey = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({
+      name: 'PBKDF2',
+      salt,
+      iterations: normalized.iterations,
+      hash: 'SHA-256'
+    }, baseKey, this.KEY_LENGTH);
+    return new Uint8Array(bits);
+  },
+
+  /**
+   * 旧Vaultの保存済みハッシュでマスターパスワードを検証
+   * 新しいVaultはハッシュを保存せず、キーチェック値で検証する
+   * @returns {Promise<boolean>}
+   */
+  async verifyMasterPassword(password, storedHash, storedSalt, kdf) {
+    const computedHash = this.arrayBufferToBase64(await this.deriveKey(password, storedSalt, kdf));
+    return this.timingSafeEqual(computedHash, storedHash);
+  },
+
+  /**
+   * パスワードから暗号化キーを導出
+   * @returns {Promise<Uint8Array>}
+   */
+  async deriveKey(password, salt, kdf) {
+    const saltBase64 = typeof salt === 'string' ? salt : this.arrayBufferToBase64(salt);
+    return this.callWorker('deriveBits', [password, saltBase64, kdf]);
+  },
+
+  /**
+   * この端末でKDFの所要時間を計測し、目標時間に合うパラメータを提案
+   * @param {Object} kdf - 計測するKDF（Argon2idはmemory/parallelismを固定して反復回数を決める）
+   * @param {number} targetMs - 1回の導出にかける目標時間
+   * @returns {Promise<{kdf: Object, elapsedMs: number, estimatedMs: number}>}
+   */
+  async benchmarkKdf(kdf, targetMs = 1000) {
+    return this.callWorker('runBenchmark', [kdf, targetMs]);
+  },
+
+  /**
+   * KDFベンチマーク本体（Worker内で実行される）
+   */
+  async runBenchmark(kdf, targetMs) {
+    const salt = this.arrayBufferToBase64(this.getRandomBytes(this.SALT_LENGTH));
+    const normalized = this.normalizeKdf(kdf);
+
+    if (normalized.algorithm === this.KDF_ARGON2ID) {
+      const sample = { ...normalized, iterations: 1 };
+      const start = performance.now();
+      await this.deriveBits('benchmark', salt, sample);
+      const elapsedMs = performance.now() - start;
+      const iterations = Math.max(1, Math.floor(targetMs / elapsedMs));
+      return {
+        kdf: { ...normalized, iterations },
+        elapsedMs,
+        estimatedMs: elapsedMs * iterations
+      };
+    }
+
+    const sampleIterations = 100000;
+    const start = performance.now();
+    await this.deriveBits('benchmark', salt, { algorithm: this.KDF_PBKDF2, iterations: sampleIterations });
+    const elapsedMs = performance.now() - start;
+    const perIteration = elapsedMs / sampleIterations;
+    const iterations = Math.max(
+      this.PBKDF2_MIN_ITERATIONS,
+      Math.floor(targetMs / perIteration / 10000) * 10000
+    );
     return {
-      hash: this.wordArrayToBase64(hash),
-      salt: saltBase64
+      kdf: { algorithm: this.KDF_PBKDF2, iterations },
+      elapsedMs,
+      estimatedMs: perIteration * iterations
     };
   },
 
   /**
-   * マスターパスワードを検証
+   * キーチェック値を作成
+   * パスワード由来の鍵で固定値を認証付き暗号化したもの。ハッシュと違いVaultの外で総当たりの標的にならない。
+   * @returns {Promise<Object>} 暗号化エンベロープ
+   */
+  async createKeyCheck(key, kdfId) {
+    return this.encrypt({ check: this.KEY_CHECK_VALUE }, key, kdfId);
+  },
+
+  /**
+   * キーチェック値で鍵を検証
+   * @throws {Error} キーチェック値自体が改ざんされている場合は code = ERROR_TAMPERED
    * @returns {Promise<boolean>}
    */
-  async verifyMasterPassword(password, storedHash, storedSalt) {
-    // CryptoJSを使用（全デバイス互換）
-    const salt = this.base64ToWordArray(storedSalt);
-    const hash = CryptoJS.PBKDF2(password, salt, {
-      keySize: 256 / 32,
-      iterations: this.PBKDF2_ITERATIONS,
-      hasher: CryptoJS.algo.SHA256
-    });
+  async verifyKeyCheck(keyCheck, key) {
+    try {
+      const { check } = await this.decrypt(keyCheck, key);
+      return check === this.KEY_CHECK_VALUE;
+    } catch (error) {
+      if (error.code === this.ERROR_WRONG_KEY) return false;
+      throw error;
+    }
+  },
 
-    const computedHash = this.wordArrayToBase64(hash);
-    return computedHash === storedHash;
+  /**
+   * エントリ暗号化用のデータ鍵をランダム生成
+   * @returns {Uint8Array}
+   */
+  generateDataKey() {
+    return this.getRandomBytes(this.KEY_LENGTH / 8);
   },
 
   /**
-   * パスワードから暗号化キーを導出
-   * @returns {Promise<WordArray>}
+   * データ鍵を鍵暗号化鍵（KEK）でラップ
+   * @param {string} kdfId - KEKの導出に使ったKDF
+   * @returns {Promise<Object>} 暗号化エンベロープ
    */
-  async deriveKey(password, salt) {
-    const saltBase64 = typeof salt === 'string' ? salt : this.arrayBufferToBase64(salt);
+  async wrapKey(dataKey, kek, kdfId) {
+    return this.encrypt({ key: this.arrayBufferToBase64(dataKey) }, kek, kdfId);
+  },
 
-    // CryptoJSを使用（全デバイス互換）
-    const saltWordArray = this.base64ToWordArray(saltBase64);
-    return CryptoJS.PBKDF2(password, saltWordArray, {
-      keySize: 256 / 32,
-      iterations: this.PBKDF2_ITERATIONS,
-      hasher: CryptoJS.algo.SHA256
-    });
+  /**
+   * ラップされたデータ鍵を取り出す
+   * @throws {Error} KEKが違う場合は code = ERROR_WRONG_KEY
+   * @returns {Promise<Uint8Array>}
+   */
+  async unwrapKey(wrapped, kek) {
+    const { key } = await this.decrypt(wrapped, kek);
+    return this.base64ToBytes(key);
   },
 
   /**
-   * データを暗号化 (AES-CBC)
-   * @returns {Promise<{ciphertext: string, iv: string}>}
+   * リカバリーコードを生成（表示用に4桁ごとにハイフン区切り）
    */
-  async encrypt(data, key) {
-    const dataString = JSON.stringify(data);
+  generateRecoveryCode() {
+    const alphabet = this.RECOVERY_ALPHABET;
+    const bytes = this.getRandomBytes(this.RECOVERY_CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < bytes.length; i++) {
+      // 32文字なので剰余による偏りはない
+      code += alphabet[bytes[i] % alphabet.length];
+    }
+    return code.match(/.{1,4}/g).join('-');
+  },
 
-    // CryptoJS AES-CBC（全デバイス互換）
-    const iv = CryptoJS.lib.WordArray.random(16);
-    const encrypted = CryptoJS.AES.encrypt(dataString, key, {
-      iv: iv,
-      mode: CryptoJS.mode.CBC,
-      padding: CryptoJS.pad.Pkcs7
-    });
+  /**
+   * 入力されたリカバリーコードを正規化（区切り文字・空白・大小文字の揺れを吸収）
+   */
+  normalizeRecoveryCode(code) {
+    return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  },
+
+  /**
+   * リカバリーコードから鍵暗号化鍵を導出
+   * @returns {Promise<Uint8Array>}
+   */
+  async deriveRecoveryKey(code, salt) {
+    return this.deriveKey(this.normalizeRecoveryCode(code), salt, this.RECOVERY_KDF);
+  },
+
+  /**
+   * WebAuthn PRF拡張の出力から鍵暗号化鍵を導出（HKDF-SHA256）
+   * @param {Uint8Array} prfOutput - 認証器が返す32バイトの秘密
+   * @param {Uint8Array} salt - 登録時に生成したPRFの入力値
+   * @returns {Promise<Uint8Array>}
+   */
+  async derivePasskeyKey(prfOutput, salt) {
+    const ikm = await crypto.subtle.importKey('raw', prfOutput, 'HKDF', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt,
+        info: new TextEncoder().encode(this.PASSKEY_HKDF_INFO)
+      },
+      ikm,
+      this.KEY_LENGTH
+    );
+    return new Uint8Array(bits);
+  },
+
+  /**
+   * HMAC-SHA256
+   * @returns {Promise<Uint8Array>}
+   */
+  async hmacSha256(keyBytes, message) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+  },
+
+  /**
+   * 用途別のサブキーを導出
+   * 同じキーを暗号化とMACに使い回さないよう、HMACでキーを分離する
+   * @returns {Promise<{encKey: CryptoKey, macKey: CryptoKey, keyId: string}>}
+   */
+  async splitKey(key) {
+    const keyId = this.arrayBufferToBase64(await this.hmacSha256(key, 'key-id')).slice(0, 11);
+    const encBytes = await this.hmacSha256(key, 'enc');
+    const macBytes = await this.hmacSha256(key, 'mac');
 
     return {
-      ciphertext: encrypted.ciphertext.toString(CryptoJS.enc.Base64),
-      iv: iv.toString(CryptoJS.enc.Base64)
+      encKey: await crypto.subtle.importKey('raw', encBytes, 'AES-CBC', false, ['encrypt', 'decrypt']),
+      macKey: await crypto.subtle.importKey('raw', macBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+      keyId
     };
   },
 
   /**
-   * データを復号化 (AES-CBC)
+   * エンベロープの認証タグを計算
+   */
+  async computeTag(envelope, macKey) {
+    const message = [
+      envelope.v,
+      envelope.alg,
+      envelope.kdf,
+      envelope.kid,
+      envelope.iv,
+      envelope.ciphertext
+    ].join('.');
+    const tag = await crypto.subtle.sign('HMAC', macKey, new TextEncoder().encode(message));
+    return this.arrayBufferToBase64(tag);
+  },
+
+  /**
+   * 文字列を定数時間で比較
+   */
+  timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  },
+
+  /**
+   * 種別付きのエラーを生成
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  },
+
+  /**
+   * 旧形式（MACなしのAES-CBC）のレコードか判定
+   */
+  isLegacyEnvelope(record) {
+    return !record.v;
+  },
+
+  /**
+   * データを暗号化 (AES-CBC + HMAC-SHA256)
+   * @param {string} kdfId - キーの導出に使ったKDF（エンベロープに記録する）
+   * @param {Object} [subkeys] - 同じ鍵で大量に暗号化するときの splitKey の結果
+   * @returns {Promise<{v: number, alg: string, kdf: string, kid: string, iv: string, ciphertext: string, tag: string}>}
+   */
+  async encrypt(data, key, kdfId = this.KDF_NONE, subkeys = null) {
+    return this.encryptBytes(new TextEncoder().encode(JSON.stringify(data)), key, kdfId, subkeys);
+  },
+
+  /**
+   * バイト列を暗号化（添付ファイル用。エンベロープの形式はencryptと同じ）
+   * @param {Uint8Array} plaintext
+   */
+  async encryptBytes(plaintext, key, kdfId = this.KDF_NONE, subkeys = null) {
+    const { encKey, macKey, keyId } = subkeys || await this.splitKey(key);
+
+    // AES-CBC（PKCS#7パディング）
+    const iv = this.getRandomBytes(this.IV_LENGTH);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, encKey, plaintext);
+
+    const envelope = {
+      v: this.ENVELOPE_VERSION,
+      alg: this.ALGORITHM,
+      kdf: kdfId,
+      kid: keyId,
+      iv: this.arrayBufferToBase64(iv),
+      ciphertext: this.arrayBufferToBase64(ciphertext)
+    };
+    envelope.tag = await this.computeTag(envelope, macKey);
+
+    return envelope;
+  },
+
+  /**
+   * データを復号化
+   * 認証タグを検証してから復号する。旧形式のレコードもそのまま読める。
+   * @param {Object} [subkeys] - 同じ鍵で大量に復号するときの splitKey の結果
+   * @throws {Error} code が ERROR_WRONG_KEY（別のキーで暗号化）または ERROR_TAMPERED（改ざん・破損）
    * @returns {Promise<any>}
    */
-  async decrypt(ciphertext, iv, key) {
-    const ivWordArray = this.base64ToWordArray(iv);
-    const cipherParams = CryptoJS.lib.CipherParams.create({
-      ciphertext: this.base64ToWordArray(ciphertext)
-    });
+  async decrypt(envelope, key, subkeys = null) {
+    if (this.isLegacyEnvelope(envelope)) {
+      return this.decryptLegacy(envelope.ciphertext, envelope.iv, key);
+    }
 
-    const decrypted = CryptoJS.AES.decrypt(cipherParams, key, {
-      iv: ivWordArray,
-      mode: CryptoJS.mode.CBC,
-      padding: CryptoJS.pad.Pkcs7
-    });
+    const plaintext = await this.decryptBytes(envelope, key, subkeys);
+    try {
+      return JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(plaintext));
+    } catch (error) {
+      throw this.createError(this.ERROR_TAMPERED, 'データが破損しています');
+    }
+  },
+
+  /**
+   * バイト列に復号（添付ファイル用）
+   * @throws {Error} decryptと同じエラーコード
+   * @returns {Promise<Uint8Array>}
+   */
+  async decryptBytes(envelope, key, subkeys = null) {
+    if (envelope.v !== this.ENVELOPE_VERSION || envelope.alg !== this.ALGORITHM) {
+      throw this.createError(this.ERROR_TAMPERED, `未対応の暗号化形式です: v${envelope.v} ${envelope.alg}`);
+    }
 
-    return JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
+    const { encKey, macKey, keyId } = subkeys || await this.splitKey(key);
+
+    // キーIDが違えば改ざんではなく「別のキーで暗号化されたデータ」
+    if (envelope.kid !== keyId) {
+      throw this.createError(this.ERROR_WRONG_KEY, '暗号化キーが一致しません');
+    }
+
+    if (!this.timingSafeEqual(await this.computeTag(envelope, macKey), envelope.tag)) {
+      throw this.createError(this.ERROR_TAMPERED, '認証タグが一致しません（改ざんまたは破損）');
+    }
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-CBC', iv: this.base64ToBytes(envelope.iv) },
+        encKey,
+        this.base64ToBytes(envelope.ciphertext)
+      );
+      return new Uint8Array(plaintext);
+    } catch (error) {
+      throw this.createError(this.ERROR_TAMPERED, 'データが破損しています');
+    }
+  },
+
+  /**
+   * 複数のレコードをまとめて復号（Workerで実行）
+   * @returns {Promise<Array<{data?: any, error?: {code: string, message: string}}>>} 入力と同じ順序
+   */
+  async decryptMany(envelopes, key) {
+    return this.callWorker('decryptBatch', [envelopes, key]);
+  },
+
+  /**
+   * 一括復号の本体（Worker内で実行される）
+   */
+  async decryptBatch(envelopes, key) {
+    const subkeys = await this.splitKey(key);
+    const results = [];
+
+    for (const envelope of envelopes) {
+      try {
+        results.push({ data: await this.decrypt(envelope, key, subkeys) });
+      } catch (error) {
+        results.push({ error: { code: error.code || this.ERROR_TAMPERED, message: error.message } });
+      }
+    }
+    return results;
+  },
+
+  /**
+   * 旧形式のデータを復号化 (AES-CBC, MACなし)
+   * 改ざんと鍵違いを区別できないため、失敗はすべて ERROR_WRONG_KEY として扱う
+   * @returns {Promise<any>}
+   */
+  async decryptLegacy(ciphertext, iv, key) {
+    try {
+      const aesKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['decrypt']);
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-CBC', iv: this.base64ToBytes(iv) },
+        aesKey,
+        this.base64ToBytes(ciphertext)
+      );
+      return JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(plaintext));
+    } catch (error) {
+      throw this.createError(this.ERROR_WRONG_KEY, '旧形式データの復号に失敗しました');
+    }
   }
 };
 
@@ -0,0 +1,179 @@
+/**
+ * エントリの種類
+ * 種類ごとの入力項目・一覧のアイコンと表示・コピー対象を定義する。
+ * どの種類でも表示名はservice、メモはmemoに保持し、種類固有の項目はペイロード直下に置く。
+ */
+
+const EntryTypes = {
+    DEFAULT: 'login',
+
+    /**
+     * 項目の定義
+     * input: 'text' | 'secret'（伏せ字・表示切替） | 'textarea' | 'date' | 'select'
+     * copy: 詳細画面にコピーボタンを出す / history: 変更前の値を履歴に残す
+     * ログインの項目はdetail-formに固定で配置しているため、ここでは持たない
+     */
+    TYPES: {
+        login: {
+            label: 'ログイン',
+            icon: null,                 // サービス名の頭文字
+            titleLabel: 'サービス名',
+            titlePlaceholder: '例: Google',
+            copyField: 'password',
+            fields: []
+        },
+        note: {
+            label: 'セキュアメモ',
+            icon: '📝',
+            titleLabel: 'タイトル',
+            titlePlaceholder: '例: 金庫の暗証番号',
+            memoLabel: '内容',
+            copyField: 'memo',
+            fields: []
+        },
+        card: {
+            label: 'クレジットカード',
+            icon: '💳',
+            titleLabel: 'カード名',
+            titlePlaceholder: '例: メインのVISA',
+            copyField: 'number',
+            fields: [
+                { key: 'cardholder', label: 'カード名義', input: 'text', copy: true, placeholder: '例: TARO YAMADA' },
+                { key: 'number', label: 'カード番号', input: 'secret', copy: true, history: true, required: true, inputmode: 'numeric', placeholder: '例: 4111 1111 1111 1111' },
+                { key: 'expiry', label: '有効期限', input: 'text', copy: true, placeholder: 'MM/YY', pattern: '(0[1-9]|1[0-2])/[0-9]{2}' },
+                { key: 'cvv', label: 'セキュリティコード', input: 'secret', copy: true, history: true, inputmode: 'numeric', placeholder: '例: 123' },
+                { key: 'pin', label: '暗証番号', input: 'secret', copy: true, history: true, inputmode: 'numeric' }
+            ]
+        },
+        identity: {
+            label: '個人情報',
+            icon: '🪪',
+            titleLabel: '表示名',
+            titlePlaceholder: '例: 自宅',
+            copyField: 'address',
+            fields: [
+                { key: 'fullName', label: '氏名', input: 'text', copy: true },
+                { key: 'birthday', label: '生年月日', input: 'date', copy: true },
+                { key: 'email', label: 'メールアドレス', input: 'text', copy: true, inputmode: 'email' },
+                { key: 'phone', label: '電話番号', input: 'text', copy: true, inputmode: 'tel' },
+                { key: 'postalCode', label: '郵便番号', input: 'text', copy: true, placeholder: '例: 100-0001' },
+                { key: 'address', label: '住所', input: 'textarea', copy: true },
+                { key: 'idNumber', label: '身分証番号', input: 'secret', copy: true, history: true, placeholder: '例: 運転免許証・パスポートの番号' }
+            ]
+        },
+        wifi: {
+            label: 'Wi-Fi',
+            icon: '📶',
+            titleLabel: '表示名',
+            titlePlaceholder: '例: 自宅のWi-Fi',
+            copyField: 'password',
+            fields: [
+                { key: 'ssid', label: 'ネットワーク名 (SSID)', input: 'text', copy: true, required: true },
+                { key: 'password', label: 'パスワード', input: 'secret', copy: true, history: true },
+                { key: 'security', label: 'セキュリティ', input: 'select', options: ['WPA3', 'WPA2', 'WPA', 'WEP', 'なし'] }
+            ]
+        },
+        license: {
+            label: 'ソフトウェアライセンス',
+            icon: '🔑',
+            titleLabel: 'ソフトウェア名',
+            titlePlaceholder: '例: Photoshop',
+            copyField: 'licenseKey',
+            fields: [
+                { key: 'licenseKey', label: 'ライセンスキー', input: 'secret', copy: true, history: true, required: true },
+                { key: 'version', label: 'バージョン', input: 'text' },
+                { key: 'licensee', label: '登録者', input: 'text', copy: true },
+                { key: 'email', label: '登録メールアドレス', input: 'text', copy: true, inputmode: 'email' },
+                { key: 'orderNumber', label: '注文番号', input: 'text', copy: true },
+                { key: 'purchasedAt', label: '購入日', input: 'date' }
+            ]
+        }
+    },
+
+    /**
+     * 種類の定義（不明な種類はログインとして扱う）
+     */
+    get(type) {
+        return this.TYPES[type] || this.TYPES[this.DEFAULT];
+    },
+
+    typeOf(entry) {
+        return this.TYPES[entry.type] ? entry.type : this.DEFAULT;
+    },
+
+    /**
+     * 項目の定義を取得
+     */
+    field(type, key) {
+        return this.get(type).fields.find(f => f.key === key) || null;
+    },
+
+    /**
+     * 一覧の2行目に出す補足
+     */
+    subtitle(entry) {
+        switch (this.typeOf(entry)) {
+            case 'note':
+                return (entry.memo || '').split('\n')[0];
+            case 'card': {
+                const parts = [this.maskCardNumber(entry.number)];
+                if (entry.expiry) {
+                    parts.push(this.isExpired(entry.expiry) ? `${entry.expiry}（期限切れ）` : `有効期限 ${entry.expiry}`);
+                }
+                return parts.filter(Boolean).join(' ・ ');
+            }
+            case 'identity':
+                return entry.fullName || entry.email || '';
+            case 'wifi':
+                return entry.ssid || '';
+            case 'license':
+                return [entry.version, entry.licensee].filter(Boolean).join(' ・ ');
+            default:
+                return entry.username || entry.email || '';
+        }
+    },
+
+    /**
+     * 一覧のコピーボタンでコピーする値（なければnull）
+     */
+    copyValue(entry) {
+        const key = this.get(this.typeOf(entry)).copyField;
+        return (key && entry[key]) || null;
+    },
+
+    /**
+     * 外部データから種類固有の項目を取り出す（平文のインポート用）
+     */
+    pickFields(type, source) {
+        const picked = {};
+        this.get(type).fields.forEach(f => {
+            if (source[f.key] !== undefined && source[f.key] !== null) {
+                picked[f.key] = String(source[f.key]);
+            }
+        });
+        return picked;
+    },
+
+    /**
+     * カード番号を下4桁以外伏せる
+     */
+    maskCardNumber(number) {
+        const digits = (number || '').replace(/\D/g, '');
+        return digits ? `•••• ${digits.slice(-4)}` : '';
+    },
+
+    /**
+     * 有効期限（MM/YY）が過ぎているか。月末まで有効
+     */
+    isExpired(expiry, now = new Date()) {
+        const match = /^(\d{2})\/(\d{2})$/.exec(expiry || '');
+        if (!match) return false;
+        const endOfMonth = new Date(2000 + parseInt(match[2], 10), parseInt(match[1], 10), 1);
+        return now >= endOfMonth;
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EntryTypes;
+}
@@ -8,7 +8,8 @@ const GitHubSync = {
     // 設定
     REPO_OWNER: null,
     REPO_NAME: null,
-    FILE_PATH: 'pwa/data/passwords.json',
+    DEFAULT_FILE_PATH: 'pwa/data/passwords.json',
+    FILE_PATH: 'pwa/data/passwords.json',      // Vaultごとに設定（添付ファイルは同じフォルダの attachments/<uuid>.json）
     token: null,
 
     /**
@@ -18,19 +19,22 @@ const GitHubSync = {
         this.token = await Storage.getSetting('githubToken');
         this.REPO_OWNER = await Storage.getSetting('githubRepoOwner');
         this.REPO_NAME = await Storage.getSetting('githubRepoName');
+        this.FILE_PATH = (await Storage.getSetting('githubFilePath')) || this.DEFAULT_FILE_PATH;
         return !!(this.token && this.REPO_OWNER && this.REPO_NAME);
     },
 
     /**
      * 設定を保存
      */
-    async saveConfig(token, repoOwner, repoName) {
+    async saveConfig(token, repoOwner, repoName, filePath = this.FILE_PATH) {
         await Storage.saveSetting('githubToken', token);
         await Storage.saveSetting('githubRepoOwner', repoOwner);
         await Storage.saveSetting('githubRepoName', repoName);
+        await Storage.saveSetting('githubFilePath', filePath);
         this.token = token;
         this.REPO_OWNER = repoOwner;
         this.REPO_NAME = repoName;
+        this.FILE_PATH = filePath;
     },
 
     /**
@@ -40,9 +44,11 @@ const GitHubSync = {
         await Storage.saveSetting('githubToken', null);
         await Storage.saveSetting('githubRepoOwner', null);
         await Storage.saveSetting('githubRepoName', null);
+        await Storage.saveSetting('githubFilePath', null);
         this.token = null;
         this.REPO_OWNER = null;
         this.REPO_NAME = null;
+        this.FILE_PATH = this.DEFAULT_FILE_PATH;
     },
 
     /**
@@ -151,6 +157,99 @@ const GitHubSync = {
         }
 
         return await response.json();
+    },
+
+    /**
+     * Contents APIのURLとヘッダー（添付ファイル用）
+     */
+    contentsUrl(path) {
+        if (!this.token || !this.REPO_OWNER || !this.REPO_NAME) {
+            throw new Error('GitHub設定が未完了です');
+        }
+        return `https://api.github.com/repos/${this.REPO_OWNER}/${this.REPO_NAME}/contents/${path}`;
+    },
+
+    /**
+     * 添付ファイルの保存先（本体のJSONと同じフォルダ）
+     */
+    attachmentsDir() {
+        return this.FILE_PATH.replace(/[^/]*$/, '') + 'attachments';
+    },
+
+    headers(accept = 'application/vnd.github+json') {
+        return {
+            'Authorization': `Bearer ${this.token}`,
+            'Accept': accept,
+            'X-GitHub-Api-Version': '2022-11-28'
+        };
+    },
+
+    /**
+     * リモートの添付ファイル一覧
+     * @returns {Promise<Array<{uuid: string, sha: string}>>}
+     */
+    async listAttachments() {
+        const response = await fetch(this.contentsUrl(this.attachmentsDir()), { headers: this.headers() });
+
+        if (response.status === 404) {
+            return [];
+        }
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || '添付ファイル一覧の取得に失敗しました');
+        }
+
+        return (await response.json())
+            .filter(item => item.type === 'file' && item.name.endsWith('.json'))
+            .map(item => ({ uuid: item.name.slice(0, -'.json'.length), sha: item.sha }));
+    },
+
+    /**
+     * 添付ファイルを取得
+     * 1MBを超えるファイルはJSON形式では中身が返らないため、raw形式で取得する
+     * @returns {Promise<Object>} 暗号化済みレコード
+     */
+    async pullAttachment(uuid) {
+        const response = await fetch(this.contentsUrl(`${this.attachmentsDir()}/${uuid}.json`), {
+            headers: this.headers('application/vnd.github.raw+json')
+        });
+
+        if (!response.ok) {
+            throw new Error(`添付ファイルの取得に失敗しました (${response.status})`);
+        }
+        return JSON.parse(await response.text());
+    },
+
+    /**
+     * 添付ファイルを保存（暗号化済みのため内容は変わらず、新規作成のみ）
+     */
+    async pushAttachment(record) {
+        const response = await fetch(this.contentsUrl(`${this.attachmentsDir()}/${record.uuid}.json`), {
+            method: 'PUT',
+            headers: { ...this.headers(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Add attachment ${record.uuid}`,
+                content: btoa(JSON.stringify(record))  // 暗号化済みレコードはASCIIのみ
+            })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.message || '添付ファイルのPushに失敗しました');
+        }
+    },
+
+    async deleteAttachment(uuid, sha) {
+        const response = await fetch(this.contentsUrl(`${this.attachmentsDir()}/${uuid}.json`), {
+            method: 'DELETE',
+            headers: { ...this.headers(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: `Delete attachment ${uuid}`, sha })
+        });
+
+        if (!response.ok && response.status !== 404) {
+            const error = await response.json();
+            throw new Error(error.message || '添付ファイルの削除に失敗しました');
+        }
     }
 };
 
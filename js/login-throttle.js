@@ -0,0 +1,94 @@
+/**
+ * ログイン試行の制限
+ * 連続失敗回数を永続化して指数的に待ち時間を延ばし、失敗の記録をロック解除後に提示する。
+ * 設定により、規定回数の連続失敗でこの端末のデータを消去する（GitHub上のデータには触れない）。
+ */
+
+const LoginThrottle = {
+    STATE_KEY: 'loginAttempts',
+    POLICY_KEY: 'loginPolicy',
+    FREE_ATTEMPTS: 3,           // 待ち時間なしで失敗できる回数
+    BASE_DELAY_MS: 5000,        // 以降、失敗ごとに倍増
+    MAX_DELAY_MS: 15 * 60000,
+    LOG_LIMIT: 50,
+    POLICY_DEFAULTS: {
+        wipeAfter: 0            // 0 = 消去しない
+    },
+
+    /**
+     * 試行状態を読み込む
+     * @returns {Promise<{failures: number, lockedUntil: number, log: Array<{at: string, method: string, seen: boolean}>}>}
+     */
+    async getState() {
+        const saved = await Storage.getSetting(this.STATE_KEY);
+        return { failures: 0, lockedUntil: 0, log: [], ...saved };
+    },
+
+    async getPolicy() {
+        const saved = await Storage.getSetting(this.POLICY_KEY);
+        return { ...this.POLICY_DEFAULTS, ...saved };
+    },
+
+    async savePolicy(policy) {
+        await Storage.saveSetting(this.POLICY_KEY, { ...this.POLICY_DEFAULTS, ...policy });
+    },
+
+    /**
+     * 次の試行まで待つ必要があるミリ秒（0なら試行可能）
+     */
+    async getRemainingMs() {
+        const { lockedUntil } = await this.getState();
+        return Math.max(0, lockedUntil - Date.now());
+    },
+
+    /**
+     * 連続失敗回数に応じた待ち時間
+     */
+    delayFor(failures) {
+        if (failures < this.FREE_ATTEMPTS) return 0;
+        return Math.min(this.BASE_DELAY_MS * 2 ** (failures - this.FREE_ATTEMPTS), this.MAX_DELAY_MS);
+    },
+
+    /**
+     * 失敗を記録
+     * @param {string} method - 'password' | 'recovery'
+     * @returns {Promise<{failures: number, delayMs: number, wipe: boolean}>} wipe=trueなら消去ポリシーに達した
+     */
+    async recordFailure(method) {
+        const state = await this.getState();
+        const failures = state.failures + 1;
+        const delayMs = this.delayFor(failures);
+
+        const log = [...state.log, { at: new Date().toISOString(), method, seen: false }].slice(-this.LOG_LIMIT);
+        await Storage.saveSetting(this.STATE_KEY, {
+            failures,
+            lockedUntil: Date.now() + delayMs,
+            log
+        });
+
+        const { wipeAfter } = await this.getPolicy();
+        return { failures, delayMs, wipe: wipeAfter > 0 && failures >= wipeAfter };
+    },
+
+    /**
+     * 成功を記録して連続失敗回数をリセット
+     * @returns {Promise<Array>} 前回のロック解除以降の失敗記録
+     */
+    async recordSuccess() {
+        const state = await this.getState();
+        const unseen = state.log.filter(entry => !entry.seen);
+
+        await Storage.saveSetting(this.STATE_KEY, {
+            failures: 0,
+            lockedUntil: 0,
+            log: state.log.map(entry => ({ ...entry, seen: true }))
+        });
+
+        return unseen;
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoginThrottle;
+}
@@ -0,0 +1,167 @@
+/**
+ * Google Authenticator の移行用QRコード（otpauth-migration://offline?data=）の解析
+ * data はBase64のprotobuf（MigrationPayload）で、1つのQRコードに複数のアカウントが入る。
+ * アカウントが多いと複数のQRコードに分かれる（batch_size枚のうちbatch_index枚目）。
+ */
+
+const OtpMigration = {
+    // MigrationPayload.OtpParameters の列挙値
+    ALGORITHMS: { 0: 'SHA1', 1: 'SHA1', 2: 'SHA256', 3: 'SHA512' },   // 4: MD5 は未対応
+    DIGITS: { 0: 6, 1: 6, 2: 8 },
+    TYPES: { 0: 'totp', 1: 'hotp', 2: 'totp' },
+
+    isMigrationUri(text) {
+        return /^otpauth-migration:\/\//i.test((text || '').trim());
+    },
+
+    /**
+     * 移行用URIを解析
+     * @returns {{accounts: Array<Object>, skipped: string[], batch: {id: number, index: number, size: number}}}
+     *   accountsはOtp.normalizeの結果。対応していないアカウントは名前をskippedに入れる
+     * @throws {Error} 移行用URIでない・データが壊れている
+     */
+    parse(uri) {
+        const match = (uri || '').trim().match(/^otpauth-migration:\/\/offline\?(?:.*&)?data=([^&#]*)/i);
+        if (!match) throw new Error('Google Authenticator の移行用QRコードではありません');
+
+        // URLSearchParamsは + を空白にするため、自分でデコードする
+        let bytes;
+        try {
+            const base64 = decodeURIComponent(match[1]).replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+            bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        } catch (error) {
+            throw new Error('移行用データを読み取れません');
+        }
+
+        const payload = this.decodePayload(bytes);
+        const accounts = [];
+        const skipped = [];
+        payload.parameters.forEach(parameters => {
+            try {
+                accounts.push(this.toConfig(parameters));
+            } catch (error) {
+                skipped.push(`${parameters.issuer || parameters.name || '名前なし'}（${error.message}）`);
+            }
+        });
+
+        return {
+            accounts,
+            skipped,
+            batch: { id: payload.batchId, index: payload.batchIndex, size: Math.max(1, payload.batchSize) }
+        };
+    },
+
+    /**
+     * MigrationPayload を読む
+     */
+    decodePayload(bytes) {
+        const payload = { parameters: [], batchSize: 1, batchIndex: 0, batchId: 0 };
+        this.readMessage(bytes, (field, value) => {
+            switch (field) {
+                case 1: payload.parameters.push(this.decodeParameters(value)); break;
+                case 3: payload.batchSize = Number(value); break;
+                case 4: payload.batchIndex = Number(value); break;
+                case 5: payload.batchId = Number(value); break;
+            }
+        });
+        return payload;
+    },
+
+    /**
+     * OtpParameters を読む
+     */
+    decodeParameters(bytes) {
+        const parameters = { secret: new Uint8Array(0), name: '', issuer: '', algorithm: 0, digits: 0, type: 0, counter: 0 };
+        const text = (value) => new TextDecoder().decode(value);
+        this.readMessage(bytes, (field, value) => {
+            switch (field) {
+                case 1: parameters.secret = value; break;
+                case 2: parameters.name = text(value); break;
+                case 3: parameters.issuer = text(value); break;
+                case 4: parameters.algorithm = Number(value); break;
+                case 5: parameters.digits = Number(value); break;
+                case 6: parameters.type = Number(value); break;
+                case 7: parameters.counter = Number(value); break;
+            }
+        });
+        return parameters;
+    },
+
+    /**
+     * protobufのメッセージを1フィールドずつ読む
+     * @param {Uint8Array} bytes
+     * @param {(field: number, value: BigInt|Uint8Array) => void} onField - varintはBigInt、長さ付きはバイト列
+     * @throws {Error} データが途中で終わっている・未知の型
+     */
+    readMessage(bytes, onField) {
+        let offset = 0;
+        const readVarint = () => {
+            let value = 0n;
+            for (let shift = 0n; ; shift += 7n) {
+                if (offset >= bytes.length || shift > 63n) throw new Error('移行用データが壊れています');
+                const byte = bytes[offset++];
+                value |= BigInt(byte & 0x7f) << shift;
+                if ((byte & 0x80) === 0) return value;
+            }
+        };
+        const skip = (length) => {
+            if (offset + length > bytes.length) throw new Error('移行用データが壊れています');
+            offset += length;
+        };
+
+        while (offset < bytes.length) {
+            const key = Number(readVarint());
+            const field = key >>> 3;
+            switch (key & 7) {
+                case 0:
+                    onField(field, readVarint());
+                    break;
+                case 1:
+                    skip(8);
+                    break;
+                case 2: {
+                    const length = Number(readVarint());
+                    const start = offset;
+                    skip(length);
+                    onField(field, bytes.subarray(start, offset));
+                    break;
+                }
+                case 5:
+                    skip(4);
+                    break;
+                default:
+                    throw new Error('移行用データが壊れています');
+            }
+        }
+    },
+
+    /**
+     * OtpParameters を Otp の設定に変換
+     * @throws {Error} 未対応のアルゴリズムなど
+     */
+    toConfig(parameters) {
+        const algorithm = this.ALGORITHMS[parameters.algorithm];
+        if (!algorithm) throw new Error('未対応のアルゴリズムです');
+        if (parameters.secret.length === 0) throw new Error('シークレットキーがありません');
+
+        // 名前は「発行者:アカウント」の形のことがある
+        let account = parameters.name;
+        const issuer = parameters.issuer || (account.includes(':') ? account.slice(0, account.indexOf(':')) : '');
+        if (issuer && account.startsWith(`${issuer}:`)) account = account.slice(issuer.length + 1);
+
+        return Otp.normalize({
+            type: this.TYPES[parameters.type] || 'totp',
+            secret: Otp.base32Encode(parameters.secret),
+            algorithm,
+            digits: this.DIGITS[parameters.digits] || 6,
+            counter: parameters.counter,
+            issuer,
+            account
+        });
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OtpMigration;
+}
@@ -0,0 +1,319 @@
+/**
+ * 2段階認証のワンタイムパスワード（TOTP: RFC 6238 / HOTP: RFC 4226）
+ * エントリには otpauth:// URI を解析した設定を保存し、コードは表示・コピーのたびに計算する。
+ * 計算結果はRFCのテストベクトルで検証し、一致しない環境ではコードを表示しない。
+ */
+
+const Otp = {
+    TYPES: ['totp', 'hotp'],
+    ALGORITHMS: { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' },
+    DEFAULTS: { type: 'totp', algorithm: 'SHA1', digits: 6, period: 30, counter: 0 },
+    MIN_DIGITS: 6,
+    MAX_DIGITS: 8,
+    MAX_PERIOD: 3600,
+    BASE32_ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    keys: new Map(),            // インポート済みのHMAC鍵（ロック時にclearCacheで破棄）
+    selfTestResult: null,
+
+    /**
+     * otpauth:// URI またはシークレットキー（Base32）を解析
+     * 例: otpauth://totp/Example:alice@example.com?secret=JBSWY3DPEHPK3PXP&issuer=Example
+     * @returns {{type: string, secret: string, algorithm: string, digits: number, period?: number, counter?: number, issuer: string, account: string}}
+     * @throws {Error} 解析できない・未対応の設定
+     */
+    parse(input) {
+        const text = (input || '').trim();
+        if (!text) throw new Error('シークレットキーを入力してください');
+
+        if (!/^otpauth:/i.test(text)) {
+            return this.normalize({ secret: text });
+        }
+
+        const match = text.match(/^otpauth:\/\/(totp|hotp)\/([^?#]*)(?:\?([^#]*))?/i);
+        if (!match) throw new Error('otpauth:// のURIを解析できません');
+
+        let label;
+        try {
+            label = decodeURIComponent(match[2]);
+        } catch (error) {
+            throw new Error('otpauth:// のURIを解析できません');
+        }
+        // ラベルは「発行者:アカウント」（発行者は省略可）
+        const separator = label.indexOf(':');
+        const params = new URLSearchParams(match[3] || '');
+        const number = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+
+        return this.normalize({
+            type: match[1].toLowerCase(),
+            secret: params.get('secret') || '',
+            algorithm: params.get('algorithm') || undefined,
+            digits: number('digits'),
+            period: number('period'),
+            counter: number('counter'),
+            issuer: params.get('issuer') || (separator === -1 ? '' : label.slice(0, separator).trim()),
+            account: (separator === -1 ? label : label.slice(separator + 1)).trim()
+        });
+    },
+
+    /**
+     * 設定を検証し、既定値を補って保存する形に揃える
+     * @throws {Error}
+     */
+    normalize(config) {
+        const type = (config.type || this.DEFAULTS.type).toLowerCase();
+        if (!this.TYPES.includes(type)) throw new Error(`未対応の種類です: ${config.type}`);
+
+        const secret = this.normalizeSecret(config.secret);
+        if (!secret) throw new Error('シークレットキーを入力してください');
+        this.base32Decode(secret);
+
+        const algorithm = (config.algorithm || this.DEFAULTS.algorithm).toUpperCase().replace('-', '');
+        if (!this.ALGORITHMS[algorithm]) throw new Error(`未対応のアルゴリズムです: ${config.algorithm}`);
+
+        const digits = config.digits === undefined ? this.DEFAULTS.digits : config.digits;
+        if (!Number.isInteger(digits) || digits < this.MIN_DIGITS || digits > this.MAX_DIGITS) {
+            throw new Error(`桁数は${this.MIN_DIGITS}〜${this.MAX_DIGITS}にしてください`);
+        }
+
+        const normalized = { type, secret, algorithm, digits };
+        if (type === 'totp') {
+            const period = config.period === undefined ? this.DEFAULTS.period : config.period;
+            if (!Number.isInteger(period) || period < 1 || period > this.MAX_PERIOD) {
+                throw new Error('更新間隔（秒）が正しくありません');
+            }
+            normalized.period = period;
+        } else {
+            const counter = config.counter === undefined ? this.DEFAULTS.counter : config.counter;
+            if (!Number.isSafeInteger(counter) || counter < 0) throw new Error('カウンターが正しくありません');
+            normalized.counter = counter;
+        }
+        normalized.issuer = (config.issuer || '').trim();
+        normalized.account = (config.account || '').trim();
+        return normalized;
+    },
+
+    /**
+     * シークレットキーの表記揺れ（小文字・空白・区切り・パディング）を揃える
+     */
+    normalizeSecret(secret) {
+        return (secret || '').toUpperCase().replace(/[\s\-=]/g, '');
+    },
+
+    /**
+     * 設定を otpauth:// URI に戻す（履歴・エクスポート用）
+     */
+    toUri(config) {
+        const params = new URLSearchParams({ secret: config.secret });
+        if (config.issuer) params.set('issuer', config.issuer);
+        params.set('algorithm', config.algorithm);
+        params.set('digits', String(config.digits));
+        if (config.type === 'totp') {
+            params.set('period', String(config.period));
+        } else {
+            params.set('counter', String(config.counter));
+        }
+        return `otpauth://${config.type}/${encodeURIComponent(this.label(config))}?${params}`;
+    },
+
+    /**
+     * 表示用のラベル（発行者:アカウント）
+     */
+    label(config) {
+        if (config.issuer && config.account) return `${config.issuer}:${config.account}`;
+        return config.issuer || config.account || '';
+    },
+
+    /**
+     * 設定の要約（例: TOTP・SHA1・6桁・30秒）
+     */
+    describe(config) {
+        return [
+            config.type.toUpperCase(),
+            config.algorithm,
+            `${config.digits}桁`,
+            config.type === 'totp' ? `${config.period}秒` : `カウンター ${config.counter}`
+        ].join('・');
+    },
+
+    /**
+     * Base32（RFC 4648）をバイト列に変換
+     * @throws {Error} Base32でない文字を含む
+     */
+    base32Decode(text) {
+        const clean = this.normalizeSecret(text);
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+
+        for (const ch of clean) {
+            const value = this.BASE32_ALPHABET.indexOf(ch);
+            if (value === -1) throw new Error('シークレットキーに使えない文字が含まれています（Base32: A〜Z, 2〜7）');
+            buffer = (buffer << 5) | value;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((buffer >> bits) & 0xff);
+            }
+        }
+        if (bytes.length === 0) throw new Error('シークレットキーが短すぎます');
+        return new Uint8Array(bytes);
+    },
+
+    /**
+     * バイト列をBase32（パディングなし）に変換
+     */
+    base32Encode(bytes) {
+        let text = '';
+        let buffer = 0;
+        let bits = 0;
+
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                bits -= 5;
+                text += this.BASE32_ALPHABET[(buffer >> bits) & 31];
+            }
+            buffer &= (1 << bits) - 1;
+        }
+        if (bits > 0) text += this.BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+        return text;
+    },
+
+    /**
+     * 現在のコード
+     * @param {Object} config - normalizeの結果
+     * @param {number} now - ミリ秒
+     * @returns {Promise<string>}
+     */
+    async generate(config, now = Date.now()) {
+        const counter = config.type === 'totp' ? this.counterAt(config, now) : config.counter;
+        return this.hotp(config, counter);
+    },
+
+    /**
+     * TOTPの時刻ステップ
+     */
+    counterAt(config, now = Date.now()) {
+        return Math.floor(now / 1000 / config.period);
+    },
+
+    /**
+     * TOTPのコードが切り替わるまでの秒数
+     */
+    remaining(config, now = Date.now()) {
+        return config.period - Math.floor(now / 1000) % config.period;
+    },
+
+    /**
+     * カウンター値に対するコード（RFC 4226）
+     */
+    async hotp(config, counter) {
+        const cacheKey = `${config.algorithm}:${config.secret}`;
+        let key = this.keys.get(cacheKey);
+        if (!key) {
+            key = await crypto.subtle.importKey(
+                'raw',
+                this.base32Decode(config.secret),
+                { name: 'HMAC', hash: this.ALGORITHMS[config.algorithm] },
+                false,
+                ['sign']
+            );
+            this.keys.set(cacheKey, key);
+        }
+        return this.truncate(key, counter, config.digits);
+    },
+
+    /**
+     * HMACの動的切り詰め
+     */
+    async truncate(key, counter, digits) {
+        // カウンターは8バイトのビッグエンディアン（2^32以上は上位の4バイトに入る）
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter >>> 0);
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+        return String(binary % 10 ** digits).padStart(digits, '0');
+    },
+
+    /**
+     * 読みやすいよう半分で区切る（例: 123 456）
+     */
+    format(code) {
+        const half = Math.floor(code.length / 2);
+        return `${code.slice(0, half)} ${code.slice(half)}`;
+    },
+
+    /**
+     * インポート済みの鍵を破棄（ロック時）
+     */
+    clearCache() {
+        this.keys.clear();
+    },
+
+    /**
+     * RFC 6238 付録B・RFC 4226 付録Dのテストベクトルで計算を検証（結果は保持する）
+     * @returns {Promise<boolean>}
+     */
+    selfTest() {
+        if (!this.selfTestResult) {
+            this.selfTestResult = this.runSelfTest().catch(error => {
+                console.error('ワンタイムパスワードの検証エラー:', error);
+                return false;
+            });
+        }
+        return this.selfTestResult;
+    },
+
+    /**
+     * テストベクトルのシード（ASCIIの "1234567890" の繰り返し）をBase32にしたもの
+     */
+    SELF_TEST_SECRETS: {
+        SHA1: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+        SHA256: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA',
+        SHA512: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNA'
+    },
+
+    /**
+     * 保存する設定と同じ otpauth:// URI から計算し、Base32の復号・設定の正規化・時刻ステップの計算も含めて検証する
+     */
+    async runSelfTest() {
+        // [時刻（秒）, SHA1, SHA256, SHA512]（8桁・30秒）
+        const totpVectors = [
+            [59, '94287082', '46119246', '90693936'],
+            [1111111109, '07081804', '68084774', '25091201'],
+            [1111111111, '14050471', '67062674', '99943326'],
+            [1234567890, '89005924', '91819424', '93441116'],
+            [2000000000, '69279037', '90698825', '38618901'],
+            [20000000000, '65353130', '77737706', '47863826']
+        ];
+        // カウンター0〜9（SHA1・6桁）
+        const hotpVectors = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+        const algorithms = ['SHA1', 'SHA256', 'SHA512'];
+        const totpConfigs = algorithms.map(algorithm => this.parse(
+            `otpauth://totp/RFC6238?secret=${this.SELF_TEST_SECRETS[algorithm]}&algorithm=${this.ALGORITHMS[algorithm]}&digits=8&period=30`
+        ));
+
+        for (const [time, ...expected] of totpVectors) {
+            const results = await Promise.all(totpConfigs.map(config => this.generate(config, time * 1000)));
+            if (results.some((code, i) => code !== expected[i])) return false;
+        }
+        for (let counter = 0; counter < hotpVectors.length; counter++) {
+            const config = this.parse(`otpauth://hotp/RFC4226?secret=${this.SELF_TEST_SECRETS.SHA1}&counter=${counter}`);
+            if (await this.generate(config) !== hotpVectors[counter]) return false;
+        }
+        return true;
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Otp;
+}
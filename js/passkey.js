@@ -0,0 +1,160 @@
+/**
+ * パスキーによるロック解除
+ * WebAuthn PRF拡張の出力から鍵暗号化鍵を導出し、データ鍵をラップしてこの端末に保存する。
+ * サーバーがないため署名は検証せず、PRFの出力（認証器の秘密）だけに依存する。
+ */
+
+const Passkey = {
+    RP_NAME: 'Password Manager',
+    SETTING_KEY: 'passkeys',
+    PRF_SALT_LENGTH: 32,
+    CHALLENGE_LENGTH: 32,
+
+    /**
+     * WebAuthnが使える環境か（PRF対応は登録時に判定）
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && !!window.PublicKeyCredential && !!navigator.credentials;
+    },
+
+    /**
+     * 登録済みパスキー一覧
+     * @returns {Promise<Array<{id, name, prfSalt, wrapped, createdAt, lastUsedAt}>>}
+     */
+    async list() {
+        return (await Storage.getSetting(this.SETTING_KEY)) || [];
+    },
+
+    /**
+     * パスキーを登録してデータ鍵をラップ
+     * 認証器の種類（端末内蔵・セキュリティキー）は限定しない
+     */
+    async register(dataKey, name) {
+        const entries = await this.list();
+        const prfSalt = CryptoUtils.getRandomBytes(this.PRF_SALT_LENGTH);
+
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                rp: { name: this.RP_NAME },
+                user: {
+                    id: CryptoUtils.getRandomBytes(16),
+                    name: name,
+                    displayName: name
+                },
+                challenge: CryptoUtils.getRandomBytes(this.CHALLENGE_LENGTH),
+                pubKeyCredParams: [
+                    { type: 'public-key', alg: -7 },    // ES256
+                    { type: 'public-key', alg: -257 }   // RS256
+                ],
+                authenticatorSelection: {
+                    residentKey: 'discouraged',
+                    userVerification: 'required'
+                },
+                excludeCredentials: entries.map(entry => ({ type: 'public-key', id: this.fromBase64Url(entry.id) })),
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+
+        const prf = credential.getClientExtensionResults().prf;
+        if (!prf || !prf.enabled) {
+            throw new Error('このパスキーはPRF拡張に対応していません');
+        }
+
+        const id = this.toBase64Url(credential.rawId);
+
+        // 登録時にPRFを評価しない認証器では、続けて認証してPRFの出力を得る
+        let prfOutput = prf.results && prf.results.first;
+        if (!prfOutput) {
+            prfOutput = (await this.authenticate([{ id, prfSalt: CryptoUtils.arrayBufferToBase64(prfSalt) }])).prfOutput;
+        }
+
+        const kek = await CryptoUtils.derivePasskeyKey(new Uint8Array(prfOutput), prfSalt);
+        const entry = {
+            id,
+            name,
+            prfSalt: CryptoUtils.arrayBufferToBase64(prfSalt),
+            wrapped: await CryptoUtils.wrapKey(dataKey, kek, CryptoUtils.KDF_WEBAUTHN_PRF),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        kek.fill(0);
+
+        await Storage.saveSetting(this.SETTING_KEY, [...entries, entry]);
+        return entry;
+    },
+
+    /**
+     * 登録済みパスキーで認証してPRFの出力を得る
+     * @returns {Promise<{id: string, prfOutput: ArrayBuffer}>}
+     */
+    async authenticate(entries) {
+        const evalByCredential = {};
+        entries.forEach(entry => {
+            evalByCredential[entry.id] = { first: CryptoUtils.base64ToBytes(entry.prfSalt) };
+        });
+
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                challenge: CryptoUtils.getRandomBytes(this.CHALLENGE_LENGTH),
+                allowCredentials: entries.map(entry => ({ type: 'public-key', id: this.fromBase64Url(entry.id) })),
+                userVerification: 'required',
+                extensions: { prf: { evalByCredential } }
+            }
+        });
+
+        const prf = credential.getClientExtensionResults().prf;
+        if (!prf || !prf.results || !prf.results.first) {
+            throw new Error('パスキーからPRFの出力を取得できませんでした');
+        }
+
+        return { id: this.toBase64Url(credential.rawId), prfOutput: prf.results.first };
+    },
+
+    /**
+     * パスキーで認証してデータ鍵を取り出す
+     * @returns {Promise<Uint8Array>}
+     */
+    async unlock() {
+        const entries = await this.list();
+        if (entries.length === 0) {
+            throw new Error('パスキーが登録されていません');
+        }
+
+        const { id, prfOutput } = await this.authenticate(entries);
+        const entry = entries.find(e => e.id === id);
+        if (!entry) {
+            throw new Error('登録されていないパスキーです');
+        }
+
+        const kek = await CryptoUtils.derivePasskeyKey(new Uint8Array(prfOutput), CryptoUtils.base64ToBytes(entry.prfSalt));
+        const dataKey = await CryptoUtils.unwrapKey(entry.wrapped, kek);
+        kek.fill(0);
+
+        entry.lastUsedAt = new Date().toISOString();
+        await Storage.saveSetting(this.SETTING_KEY, entries);
+
+        return dataKey;
+    },
+
+    /**
+     * 登録を解除（ラップしたデータ鍵を破棄する。認証器側の資格情報は残る）
+     */
+    async revoke(id) {
+        const entries = await this.list();
+        await Storage.saveSetting(this.SETTING_KEY, entries.filter(entry => entry.id !== id));
+    },
+
+    toBase64Url(buffer) {
+        return CryptoUtils.arrayBufferToBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    fromBase64Url(str) {
+        const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+        return CryptoUtils.base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Passkey;
+}
@@ -1,5 +1,7 @@
 /**
  * パスワード生成ユーティリティ
+ * ランダムな文字列のほか、単語リスト（Wordlist）を使ったパスフレーズも生成できる。
+ * 文字はすべてrandomIntで選び、剰余による偏りを出さない。
  */
 
 const PasswordGenerator = {
@@ -7,86 +9,308 @@ const PasswordGenerator = {
     UPPERCASE: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
     NUMBERS: '0123456789',
     SYMBOLS: '!@#$%^&*()_+-=[]{}|;:,.<>?',
+    AMBIGUOUS: 'Il1|O0o',
+    MODES: ['characters', 'passphrase'],
+    CHARACTER_DEFAULTS: {
+        length: 16, lowercase: true, uppercase: true, numbers: true, symbols: true, symbolSet: '', excludeAmbiguous: false,
+        minLowercase: 1, minUppercase: 1, minNumbers: 1, minSymbols: 1
+    },
+    MIN_LENGTH: 4,
+    MAX_LENGTH: 128,
+    MAX_ATTEMPTS: 100,
+    CAPITALIZE: ['none', 'words', 'random'],
+    // 単語表は接頭辞を含む語があり、区切りなしでは単語の境目が分からずエントロピーを過大に見積もるため空文字は使わない
+    SEPARATORS: ['-', ' ', '.', '_'],
+    PASSPHRASE_DEFAULTS: { words: 6, separator: '-', capitalize: 'none', digit: false, symbol: false },
+    MIN_WORDS: 3,
+    MAX_WORDS: 12,
 
     /**
      * パスワードを生成
      * @param {Object} options
+     * @param {string} options.mode - 'characters'（文字列）または 'passphrase'（単語を並べる。オプションはgeneratePassphrase）
      * @param {number} options.length - パスワードの長さ（デフォルト: 16）
      * @param {boolean} options.lowercase - 小文字を含む（デフォルト: true）
      * @param {boolean} options.uppercase - 大文字を含む（デフォルト: true）
      * @param {boolean} options.numbers - 数字を含む（デフォルト: true）
      * @param {boolean} options.symbols - 記号を含む（デフォルト: true）
+     * @param {string} options.symbolSet - 使う記号（空ならSYMBOLS）
+     * @param {boolean} options.excludeAmbiguous - 見間違えやすい文字（AMBIGUOUS）を使わない
+     * @param {number} options.minLowercase - 小文字の最低文字数（minUppercase・minNumbers・minSymbolsも同様。デフォルト: 1）
+     * @param {string|Object} options.rules - サイトのパスワードルール（passwordrules の書式またはPasswordRules.parseの結果）。文字種の指定より優先する
      * @returns {string}
+     * @throws {Error} ルールが解析できない・満たせない
      */
     generate(options = {}) {
-        const {
-            length = 16,
-            lowercase = true,
-            uppercase = true,
-            numbers = true,
-            symbols = true
-        } = options;
-
-        let charset = '';
-        if (lowercase) charset += this.LOWERCASE;
-        if (uppercase) charset += this.UPPERCASE;
-        if (numbers) charset += this.NUMBERS;
-        if (symbols) charset += this.SYMBOLS;
-
-        if (charset.length === 0) {
-            charset = this.LOWERCASE + this.UPPERCASE + this.NUMBERS;
+        if (options.mode === 'passphrase') {
+            return this.generatePassphrase(options);
         }
 
-        // 暗号学的に安全な乱数を使用
-        const randomBytes = crypto.getRandomValues(new Uint8Array(length));
-        let password = '';
+        const policy = this.policy(options);
+
+        for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+            // 最低文字数の分を各文字種から選び、残りを使える文字全体から選んで並べ替える
+            const chars = [];
+            policy.required.forEach(({ chars: set, min }) => {
+                for (let i = 0; i < min; i++) chars.push(this.pick(set));
+            });
+            while (chars.length < policy.length) {
+                chars.push(this.pick(policy.pool));
+            }
+            this.shuffle(chars);
+
+            const password = chars.join('');
+            if (!this.exceedsConsecutive(password, policy.maxConsecutive)) return password;
+        }
+        throw new Error('ルールを満たすパスワードを生成できませんでした');
+    },
+
+    /**
+     * 文字列モードのオプションに既定値を補い、範囲外の値を丸める
+     */
+    characterOptions(options = {}) {
+        const merged = { ...this.CHARACTER_DEFAULTS, ...options };
+        const count = (value, fallback, min) => {
+            const number = parseInt(value, 10);
+            return Number.isNaN(number) ? fallback : Math.max(min, Math.min(this.MAX_LENGTH, number));
+        };
+        // 記号は空白・英数字を除いた半角文字だけ
+        const symbolSet = [...new Set(String(merged.symbolSet || '').replace(/[^\x21-\x7e]|[A-Za-z0-9]/g, ''))].join('');
+
+        const opts = {
+            length: count(merged.length, this.CHARACTER_DEFAULTS.length, this.MIN_LENGTH),
+            lowercase: !!merged.lowercase,
+            uppercase: !!merged.uppercase,
+            numbers: !!merged.numbers,
+            symbols: !!merged.symbols,
+            symbolSet: symbolSet || this.SYMBOLS,
+            excludeAmbiguous: !!merged.excludeAmbiguous,
+            minLowercase: count(merged.minLowercase, 1, 0),
+            minUppercase: count(merged.minUppercase, 1, 0),
+            minNumbers: count(merged.minNumbers, 1, 0),
+            minSymbols: count(merged.minSymbols, 1, 0)
+        };
+        // 使う文字種の最低文字数の合計がMAX_LENGTHを超えないよう、後ろの文字種から減らす
+        let remaining = this.MAX_LENGTH;
+        [['lowercase', 'minLowercase'], ['uppercase', 'minUppercase'], ['numbers', 'minNumbers'], ['symbols', 'minSymbols']]
+            .filter(([flag]) => opts[flag])
+            .forEach(([, key]) => {
+                opts[key] = Math.min(opts[key], remaining);
+                remaining -= opts[key];
+            });
+        return opts;
+    },
+
+    /**
+     * 文字列モードの生成条件
+     * 長さは最低文字数の合計以上・MAX_LENGTH以下にし、ルールがあればルールの範囲に収める
+     * @returns {{length: number, pool: string[], required: Array<{chars: string[], min: number}>, maxConsecutive: number|null}}
+     * @throws {Error} ルールが解析できない・minlength がMAX_LENGTHを超える
+     */
+    policy(options = {}) {
+        const opts = this.characterOptions(options);
+        // 見間違えやすい文字を除くと空になる集合（例: [1l]）はそのまま使う
+        const strip = (chars) => {
+            const all = [...chars];
+            const kept = opts.excludeAmbiguous ? all.filter(ch => !this.AMBIGUOUS.includes(ch)) : all;
+            return kept.length > 0 ? kept : all;
+        };
+
+        if (options.rules) {
+            const rules = typeof options.rules === 'string' ? PasswordRules.parse(options.rules) : options.rules;
+            if (rules.minLength > this.MAX_LENGTH) {
+                throw new Error(`minlength（${rules.minLength}文字）が生成できる長さの上限（${this.MAX_LENGTH}文字）を超えています`);
+            }
+            const required = rules.required.map(set => ({ chars: strip(set.chars), min: 1 }));
+            const length = Math.min(this.MAX_LENGTH,
+                Math.max(rules.minLength || 1, required.length, Math.min(rules.maxLength || Infinity, opts.length)));
+            return { length, pool: strip(PasswordRules.allowedChars(rules)), required, maxConsecutive: rules.maxConsecutive };
+        }
 
-        for (let i = 0; i < length; i++) {
-            password += charset[randomBytes[i] % charset.length];
+        const classes = [
+            { enabled: opts.lowercase, chars: this.LOWERCASE, min: opts.minLowercase },
+            { enabled: opts.uppercase, chars: this.UPPERCASE, min: opts.minUppercase },
+            { enabled: opts.numbers, chars: this.NUMBERS, min: opts.minNumbers },
+            { enabled: opts.symbols, chars: opts.symbolSet, min: opts.minSymbols }
+        ].filter(c => c.enabled);
+        // 文字種をすべて外したときは英数字を使う
+        if (classes.length === 0) {
+            classes.push({ chars: this.LOWERCASE + this.UPPERCASE + this.NUMBERS, min: 0 });
         }
 
-        // 各文字種が少なくとも1つ含まれることを保証
-        const checks = [];
-        if (lowercase) checks.push({ chars: this.LOWERCASE, has: /[a-z]/ });
-        if (uppercase) checks.push({ chars: this.UPPERCASE, has: /[A-Z]/ });
-        if (numbers) checks.push({ chars: this.NUMBERS, has: /[0-9]/ });
-        if (symbols) checks.push({ chars: this.SYMBOLS, has: /[!@#$%^&*()_+\-=\[\]{}|;:,.<>?]/ });
-
-        for (const check of checks) {
-            if (!check.has.test(password)) {
-                // 足りない文字種をランダムな位置に挿入
-                const pos = crypto.getRandomValues(new Uint8Array(1))[0] % length;
-                const char = check.chars[crypto.getRandomValues(new Uint8Array(1))[0] % check.chars.length];
-                password = password.substring(0, pos) + char + password.substring(pos + 1);
+        const required = classes.map(c => ({ chars: strip(c.chars), min: c.min }));
+        return {
+            length: Math.min(this.MAX_LENGTH, Math.max(opts.length, required.reduce((sum, c) => sum + c.min, 0))),
+            pool: [...new Set(required.flatMap(c => c.chars))],
+            required: required.filter(c => c.min > 0),
+            maxConsecutive: null
+        };
+    },
+
+    /**
+     * 同じ文字がmaxを超えて続いているか
+     */
+    exceedsConsecutive(password, max) {
+        return !!max && new RegExp(`(.)\\1{${max}}`).test(password);
+    },
+
+    /**
+     * パスフレーズを生成（例: Timber-orbit-Plaza7-sketch-gravy-mellow）
+     * @param {Object} options
+     * @param {number} options.words - 単語数（デフォルト: 6、MIN_WORDS〜MAX_WORDS）
+     * @param {string} options.separator - 区切り文字（デフォルト: -、SEPARATORSのいずれか）
+     * @param {string} options.capitalize - 'none'（小文字のまま）/ 'words'（各単語の先頭を大文字）/ 'random'（単語ごとにランダム）
+     * @param {boolean} options.digit - ランダムな単語の後ろに数字を1つ付ける
+     * @param {boolean} options.symbol - ランダムな単語の後ろに記号を1つ付ける
+     * @returns {string}
+     */
+    generatePassphrase(options = {}) {
+        const { words, separator, capitalize, digit, symbol } = this.passphraseOptions(options);
+        const parts = [];
+
+        for (let i = 0; i < words; i++) {
+            let word = Wordlist.WORDS[this.randomInt(Wordlist.WORDS.length)];
+            if (capitalize === 'words' || (capitalize === 'random' && this.randomInt(2) === 1)) {
+                word = word[0].toUpperCase() + word.slice(1);
             }
+            parts.push(word);
+        }
+
+        if (digit) parts[this.randomInt(words)] += this.NUMBERS[this.randomInt(this.NUMBERS.length)];
+        if (symbol) {
+            const symbols = this.passphraseSymbols(separator);
+            parts[this.randomInt(words)] += symbols[this.randomInt(symbols.length)];
+        }
+
+        return parts.join(separator);
+    },
+
+    /**
+     * パスフレーズに付け足す記号（区切り文字と同じ記号は単語の境目と見分けられないため除く）
+     */
+    passphraseSymbols(separator) {
+        return [...this.SYMBOLS].filter(ch => ch !== separator);
+    },
+
+    /**
+     * パスフレーズのオプションに既定値を補い、範囲外の値を丸める
+     */
+    passphraseOptions(options = {}) {
+        const merged = { ...this.PASSPHRASE_DEFAULTS, ...options };
+        const words = parseInt(merged.words, 10);
+        return {
+            words: Number.isNaN(words) ? this.PASSPHRASE_DEFAULTS.words : Math.max(this.MIN_WORDS, Math.min(this.MAX_WORDS, words)),
+            separator: this.SEPARATORS.includes(merged.separator) ? merged.separator : this.PASSPHRASE_DEFAULTS.separator,
+            capitalize: this.CAPITALIZE.includes(merged.capitalize) ? merged.capitalize : this.PASSPHRASE_DEFAULTS.capitalize,
+            digit: !!merged.digit,
+            symbol: !!merged.symbol
+        };
+    },
+
+    /**
+     * 生成されるパスワードのエントロピー（ビット）
+     * 攻撃者が生成方法とオプションを知っている前提で、取り得るパターン数から求める。
+     * 文字列モードは最低文字数を満たす文字列の数から求めた上限で、最低文字数の分を先に選ぶため実際の分布は一様でなく、
+     * 同じ文字の連続の制限（maxConsecutive）も数えていない。
+     * @param {Object} options - generateと同じ
+     * @returns {number}
+     * @throws {Error} ルールが解析できない・満たせない
+     */
+    entropy(options = {}) {
+        if (options.mode === 'passphrase') {
+            const { words, separator, capitalize, digit, symbol } = this.passphraseOptions(options);
+            let bits = words * Math.log2(Wordlist.WORDS.length);
+            if (capitalize === 'random') bits += words;
+            // 付け足す文字の種類 × 付ける単語の位置
+            if (digit) bits += Math.log2(this.NUMBERS.length * words);
+            if (symbol) bits += Math.log2(this.passphraseSymbols(separator).length * words);
+            return bits;
         }
 
-        return password;
+        const policy = this.policy(options);
+        const requiredChars = policy.required.flatMap(c => c.chars);
+        const pool = new Set(policy.pool);
+        // ルールの文字クラスが重なる・使える文字に含まれないときは数え分けられないので、使える文字の組み合わせ全体で見積もる
+        if (new Set(requiredChars).size !== requiredChars.length || requiredChars.some(ch => !pool.has(ch))) {
+            return policy.length * Math.log2(policy.pool.length);
+        }
+
+        // ways[t]: 最低文字数のある文字種だけでt文字の並びを作る数。文字種を1つずつ加え、k文字（min以上）を差し込む位置を選ぶ
+        const length = policy.length;
+        const binomial = [[1n]];
+        for (let n = 1; n <= length; n++) {
+            binomial.push(Array.from({ length: n + 1 }, (_, k) => (k === 0 || k === n ? 1n : binomial[n - 1][k - 1] + binomial[n - 1][k])));
+        }
+        const powers = (base) => {
+            const list = [1n];
+            for (let k = 1; k <= length; k++) list.push(list[k - 1] * BigInt(base));
+            return list;
+        };
+        let ways = [1n];
+        policy.required.forEach(({ chars, min }) => {
+            const power = powers(chars.length);
+            const next = Array(length + 1).fill(0n);
+            ways.forEach((count, t) => {
+                for (let k = min; t + k <= length; k++) {
+                    next[t + k] += count * binomial[t + k][k] * power[k];
+                }
+            });
+            ways = next;
+        });
+        // 残りの位置は最低文字数のない文字から選ぶ
+        const others = powers(policy.pool.length - requiredChars.length);
+        const total = ways.reduce((sum, count, t) => sum + count * binomial[length][t] * others[length - t], 0n);
+        return this.log2BigInt(total);
     },
 
     /**
-     * パスワードの強度を評価
-     * @returns {Object} { score: number, label: string, color: string }
+     * BigIntの2を底とする対数（Number に収まらない大きさでも上位53ビットから求める）
      */
-    evaluateStrength(password) {
-        let score = 0;
+    log2BigInt(value) {
+        const bits = value.toString(2).length;
+        const shift = Math.max(0, bits - 53);
+        return shift + Math.log2(Number(value >> BigInt(shift)));
+    },
 
-        // 長さによるスコア
-        if (password.length >= 8) score += 1;
-        if (password.length >= 12) score += 1;
-        if (password.length >= 16) score += 1;
+    /**
+     * 文字の配列から一様に1文字選ぶ
+     */
+    pick(chars) {
+        return chars[this.randomInt(chars.length)];
+    },
 
-        // 文字種によるスコア
-        if (/[a-z]/.test(password)) score += 1;
-        if (/[A-Z]/.test(password)) score += 1;
-        if (/[0-9]/.test(password)) score += 1;
-        if (/[^a-zA-Z0-9]/.test(password)) score += 1;
+    /**
+     * 配列を一様に並べ替える（Fisher-Yates）
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    },
 
-        // 連続文字のペナルティ
-        if (/(.)\1{2,}/.test(password)) score -= 1;
+    /**
+     * 0以上max未満の一様な乱数（剰余の偏りが出ないよう、端数の範囲は引き直す）
+     */
+    randomInt(max) {
+        const limit = Math.floor(0x100000000 / max) * max;
+        const buffer = new Uint32Array(1);
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+        return buffer[0] % max;
+    },
 
-        // スコアを0-4にクランプ
-        score = Math.max(0, Math.min(4, score));
+    /**
+     * パスワードの強度を評価（StrengthEstimatorで推測回数を見積もる）
+     * @param {string} password
+     * @param {string[]} userInputs - サービス名・ユーザー名など、パスワードに含めるべきでない語
+     * @returns {Object} { score: number, label: string, color: string, guesses: number, crackTimes: Array, feedback: Object }
+     *   crackTimes・feedbackはStrengthEstimator.estimateと同じ
+     */
+    evaluateStrength(password, userInputs = []) {
+        const estimate = StrengthEstimator.estimate(password, userInputs);
 
         const levels = [
             { label: '非常に弱い', color: '#ef4444' },
@@ -97,8 +321,11 @@ const PasswordGenerator = {
         ];
 
         return {
-            score,
-            ...levels[score]
+            score: estimate.score,
+            ...levels[estimate.score],
+            guesses: estimate.guesses,
+            crackTimes: estimate.crackTimes,
+            feedback: estimate.feedback
         };
     }
 };
@@ -0,0 +1,191 @@
+/**
+ * サイトのパスワードルール（HTMLの passwordrules 属性の書式）の解析
+ * 例: minlength: 12; maxlength: 32; required: upper; required: digit; allowed: lower, [-_.];
+ * 書式は https://developer.apple.com/password-rules/ を参照。
+ */
+
+const PasswordRules = {
+    // 文字クラス（specialの空白は入力ミスの元になるため生成には使わない）
+    CLASSES: {
+        upper: { label: '大文字', chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' },
+        lower: { label: '小文字', chars: 'abcdefghijklmnopqrstuvwxyz' },
+        digit: { label: '数字', chars: '0123456789' },
+        special: { label: '記号', chars: '-~!@#$%^&*_+=`|(){}[:;"\'<>,.?]/\\' },
+        'ascii-printable': { label: '英数字と記号', chars: '' },
+        unicode: { label: '英数字と記号', chars: '' }
+    },
+
+    /**
+     * ルールを解析
+     * @returns {{minLength: number|null, maxLength: number|null, maxConsecutive: number|null,
+     *   required: Array<{chars: string, label: string}>, allowed: {chars: string, label: string}|null}}
+     *   requiredはルールごとに「この中から1文字以上」、allowedは使ってよい文字（requiredの文字も使える）
+     * @throws {Error} 書式の誤り・未知の文字クラス
+     */
+    parse(text) {
+        const rules = { minLength: null, maxLength: null, maxConsecutive: null, required: [], allowed: null };
+
+        this.split(text || '').forEach(rule => {
+            const colon = rule.indexOf(':');
+            if (colon === -1) throw new Error(`「${rule}」に : がありません`);
+            const name = rule.slice(0, colon).trim().toLowerCase();
+            const value = rule.slice(colon + 1).trim();
+
+            switch (name) {
+                case 'required':
+                    rules.required.push(this.parseClasses(value));
+                    break;
+                case 'allowed': {
+                    const allowed = this.parseClasses(value);
+                    rules.allowed = rules.allowed
+                        ? { chars: this.union(rules.allowed.chars, allowed.chars), label: `${rules.allowed.label}, ${allowed.label}` }
+                        : allowed;
+                    break;
+                }
+                // 同じルールが複数あれば最も厳しい値を使う
+                case 'minlength':
+                    rules.minLength = Math.max(rules.minLength || 0, this.parseNumber(name, value));
+                    break;
+                case 'maxlength':
+                    rules.maxLength = Math.min(rules.maxLength || Infinity, this.parseNumber(name, value));
+                    break;
+                case 'max-consecutive':
+                    rules.maxConsecutive = Math.min(rules.maxConsecutive || Infinity, this.parseNumber(name, value));
+                    break;
+                default:
+                    throw new Error(`未対応のルールです: ${name}`);
+            }
+        });
+
+        if (rules.minLength && rules.maxLength && rules.minLength > rules.maxLength) {
+            throw new Error('minlength が maxlength より大きくなっています');
+        }
+        // required はそれぞれ1文字以上必要なので、maxlength の文字数に収まらなければ満たせない
+        if (rules.maxLength && rules.required.length > rules.maxLength) {
+            throw new Error(`required が${rules.required.length}つあり、maxlength（${rules.maxLength}文字）に収まりません`);
+        }
+        return rules;
+    },
+
+    /**
+     * ; で区切る（[ ] の中の ; は文字として扱う）
+     */
+    split(text) {
+        const rules = [];
+        let current = '';
+        let inSet = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inSet) {
+                current += ch;
+                if (ch === ']' && this.closesSet(text, i)) inSet = false;
+            } else if (ch === ';') {
+                rules.push(current);
+                current = '';
+            } else {
+                if (ch === '[') inSet = true;
+                current += ch;
+            }
+        }
+        rules.push(current);
+        return rules.map(rule => rule.trim()).filter(Boolean);
+    },
+
+    /**
+     * ] の後が区切り（, ; 末尾）なら文字セットの終わり。そうでなければ ] という文字
+     */
+    closesSet(text, index) {
+        const rest = text.slice(index + 1).trimStart();
+        return rest === '' || rest[0] === ',' || rest[0] === ';';
+    },
+
+    /**
+     * 「upper, digit, [-_]」のような文字クラスの並びを1つの文字集合にする
+     * @returns {{chars: string, label: string}}
+     */
+    parseClasses(value) {
+        const items = [];
+        let rest = value;
+
+        while (rest) {
+            if (rest[0] === '[') {
+                let end = rest.indexOf(']', 1);
+                while (end !== -1 && !this.closesSet(rest, end)) end = rest.indexOf(']', end + 1);
+                if (end === -1) throw new Error(`[ が閉じられていません: ${rest}`);
+                const chars = rest.slice(1, end).replace(/\s/g, '');
+                if (!chars) throw new Error('[ ] の中に文字がありません');
+                if (/[^\x21-\x7e]/.test(chars)) throw new Error(`[ ] の中は半角の英数字と記号にしてください: ${chars}`);
+                items.push({ chars, label: `[${chars}]` });
+                rest = rest.slice(end + 1);
+            } else {
+                const match = rest.match(/^[^,]*/);
+                const name = match[0].trim().toLowerCase();
+                const def = this.CLASSES[name];
+                if (!def) throw new Error(`未知の文字クラスです: ${match[0].trim() || '（空）'}`);
+                items.push({ chars: def.chars || this.printable(), label: def.label });
+                rest = rest.slice(match[0].length);
+            }
+            rest = rest.trim();
+            if (rest[0] === ',') rest = rest.slice(1).trim();
+        }
+
+        if (items.length === 0) throw new Error('文字クラスを指定してください');
+        return {
+            chars: items.reduce((chars, item) => this.union(chars, item.chars), ''),
+            label: items.map(item => item.label).join(', ')
+        };
+    },
+
+    parseNumber(name, value) {
+        if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) throw new Error(`${name} には1以上の数を指定してください`);
+        return parseInt(value, 10);
+    },
+
+    /**
+     * 空白を除いた表示可能なASCII文字（ascii-printable・unicodeの生成に使う）
+     */
+    printable() {
+        let chars = '';
+        for (let code = 0x21; code <= 0x7e; code++) chars += String.fromCharCode(code);
+        return chars;
+    },
+
+    /**
+     * 重複のない和集合
+     */
+    union(a, b) {
+        return [...new Set([...a, ...b])].join('');
+    },
+
+    /**
+     * 使える文字全体（allowed・requiredのどちらもなければ表示可能なASCII文字すべて）
+     */
+    allowedChars(rules) {
+        const chars = rules.required.reduce((all, set) => this.union(all, set.chars), rules.allowed ? rules.allowed.chars : '');
+        return chars || this.printable();
+    },
+
+    /**
+     * 要約（例: 12〜32文字・必須: 大文字 / 数字・使用可: 小文字, [-_.]）
+     */
+    describe(rules) {
+        const parts = [];
+        if (rules.minLength && rules.maxLength) {
+            parts.push(`${rules.minLength}〜${rules.maxLength}文字`);
+        } else if (rules.minLength) {
+            parts.push(`${rules.minLength}文字以上`);
+        } else if (rules.maxLength) {
+            parts.push(`${rules.maxLength}文字以下`);
+        }
+        if (rules.required.length > 0) parts.push(`必須: ${rules.required.map(set => set.label).join(' / ')}`);
+        if (rules.allowed) parts.push(`使用可: ${rules.allowed.label}`);
+        if (rules.maxConsecutive) parts.push(`同じ文字の連続は${rules.maxConsecutive}文字まで`);
+        return parts.join('・') || '制限なし';
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordRules;
+}
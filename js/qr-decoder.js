@@ -0,0 +1,972 @@
+/**
+ * QRコードの読み取り
+ * BarcodeDetectorがあればそれを使い、ない環境（Firefox・iOSの一部など）では画像を自前で解析する。
+ * 自前の解析は 二値化 → ファインダーパターンの検出 → 射影変換でモジュールを読み取り →
+ * 形式情報・マスクの解除 → リードソロモン符号の誤り訂正 → データの復号 の順に行う。
+ */
+
+const QrDecoder = {
+    MAX_DIMENSION: 1024,        // これより大きい画像は縮小して解析する
+    BLOCK_SIZE: 8,              // 二値化の閾値を求める領域
+    MIN_DYNAMIC_RANGE: 24,      // 明暗差がこれ以下の領域は一様とみなし、周囲の閾値を使う
+    ALPHANUMERIC: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:',
+    // 誤り訂正レベル（L, M, Q, H）ごと・バージョン（1〜40）ごとのブロック数と1ブロックの誤り訂正コード語数
+    EC_BLOCKS: [
+        [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ],
+    EC_CODEWORDS_PER_BLOCK: [
+        [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ],
+    gf: null,
+
+    /**
+     * 画像・動画のフレームからQRコードの文字列を読み取る
+     * @param {ImageBitmap|HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} source
+     * @returns {Promise<string|null>} 見つからなければnull
+     */
+    async scan(source) {
+        if (typeof BarcodeDetector !== 'undefined') {
+            try {
+                const detector = new BarcodeDetector({ formats: ['qr_code'] });
+                const codes = await detector.detect(source);
+                if (codes.length > 0) return codes[0].rawValue;
+            } catch (error) {
+                // 対応していない形式・環境では自前の解析に切り替える
+            }
+        }
+
+        const imageData = this.toImageData(source);
+        return imageData ? this.decode(imageData) : null;
+    },
+
+    /**
+     * 画像ファイルからQRコードの文字列を読み取る
+     */
+    async scanFile(file) {
+        const bitmap = await createImageBitmap(file);
+        try {
+            return await this.scan(bitmap);
+        } finally {
+            if (bitmap.close) bitmap.close();
+        }
+    },
+
+    /**
+     * 画像をピクセルデータに変換（大きい画像は縮小）
+     */
+    toImageData(source) {
+        const width = source.videoWidth || source.naturalWidth || source.width;
+        const height = source.videoHeight || source.naturalHeight || source.height;
+        if (!width || !height) return null;
+
+        const scale = Math.min(1, this.MAX_DIMENSION / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    },
+
+    /**
+     * ピクセルデータを解析
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - RGBA
+     * @returns {string|null}
+     */
+    decode(imageData) {
+        const image = this.binarize(imageData);
+
+        // 白黒反転したQRコードも試す
+        for (const inverted of [false, true]) {
+            if (inverted) image.bits = image.bits.map(bit => bit ^ 1);
+
+            for (const patterns of this.findFinderPatternSets(image)) {
+                const text = this.decodeAt(image, patterns);
+                if (text !== null) return text;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * 3つのファインダーパターンの位置からQRコードを読み取る
+     */
+    decodeAt(image, { topLeft, topRight, bottomLeft }) {
+        const moduleSize = this.moduleSizeBetween(image, topLeft, topRight, bottomLeft);
+        const estimated = Math.round((this.distance(topLeft, topRight) + this.distance(topLeft, bottomLeft)) / 2 / moduleSize) + 7;
+
+        // 一辺のモジュール数は4で割って1余る数。推定がずれていることがあるため、隣のバージョンも試す
+        const base = estimated + [1, 0, -1, -2][estimated % 4];
+        for (const dimension of [base, base + 4, base - 4]) {
+            const version = (dimension - 17) / 4;
+            if (version < 1 || version > 40) continue;
+
+            const transform = this.createTransform(image, topLeft, topRight, bottomLeft, dimension, moduleSize);
+            const matrix = this.sampleGrid(image, transform, dimension);
+
+            // 鏡像で写ったコードも読めるよう、転置した行列も試す
+            for (const bits of [matrix, this.transpose(matrix, dimension)]) {
+                try {
+                    return this.decodeMatrix(bits, dimension);
+                } catch (error) {
+                    // 次の候補を試す
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * モジュールの大きさ。傾いたコードでは横方向の幅が大きく出るため、ファインダーパターンどうしを結ぶ向き（コードの軸）で測り直す
+     */
+    moduleSizeBetween(image, topLeft, topRight, bottomLeft) {
+        const sizes = [];
+        for (const [a, b] of [[topLeft, topRight], [topRight, topLeft], [topLeft, bottomLeft], [bottomLeft, topLeft]]) {
+            const length = this.distance(a, b);
+            const dx = (b.x - a.x) / length;
+            const dy = (b.y - a.y) / length;
+            const forward = this.patternRadius(image, a, dx, dy, a.size * 7);
+            const backward = this.patternRadius(image, a, -dx, -dy, a.size * 7);
+            if (forward !== null && backward !== null) sizes.push((forward + backward) / 7);
+        }
+        if (sizes.length === 0) return (topLeft.size + topRight.size + bottomLeft.size) / 3;
+        return sizes.reduce((sum, size) => sum + size, 0) / sizes.length;
+    },
+
+    /**
+     * ファインダーパターンの中心から指定の向きに、暗・明・暗を抜けて外側の明に入るまでの距離
+     */
+    patternRadius(image, center, dx, dy, limit) {
+        let state = 0;
+        for (let t = 0; t < limit; t++) {
+            const dark = this.isDark(image, center.x + dx * t, center.y + dy * t);
+            // 状態0と2は暗、1は明が続く。境界は直前の画素との間にある
+            if (dark !== (state !== 1) && ++state === 3) return t - 0.5;
+        }
+        return null;
+    },
+
+    /**
+     * 局所的な閾値で二値化（1 = 暗）
+     */
+    binarize({ width, height, data }) {
+        const luminance = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            luminance[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+        }
+
+        const size = this.BLOCK_SIZE;
+        const blocksX = Math.ceil(width / size);
+        const blocksY = Math.ceil(height / size);
+        const mins = new Uint8Array(blocksX * blocksY);
+        const maxs = new Uint8Array(blocksX * blocksY);
+        const averages = new Float32Array(blocksX * blocksY);
+        let strongest = 0;
+
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                let min = 255;
+                let max = 0;
+                let sum = 0;
+                let count = 0;
+                for (let y = by * size; y < Math.min(height, (by + 1) * size); y++) {
+                    for (let x = bx * size; x < Math.min(width, (bx + 1) * size); x++) {
+                        const value = luminance[y * width + x];
+                        sum += value;
+                        count++;
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    }
+                }
+                const index = by * blocksX + bx;
+                mins[index] = min;
+                maxs[index] = max;
+                averages[index] = sum / count;
+                strongest = Math.max(strongest, max - min);
+            }
+        }
+
+        // 背景のノイズを模様とみなさないよう、画像内で最も強い明暗差（QRコードの縁）の1/4未満は一様とする
+        const dynamicRange = Math.max(this.MIN_DYNAMIC_RANGE, strongest / 4);
+        const blackPoints = new Float32Array(blocksX * blocksY);
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                const index = by * blocksX + bx;
+                const min = mins[index];
+                let average = averages[index];
+                if (maxs[index] - min <= dynamicRange) {
+                    // 一様な領域は暗いものとみなさず、隣の領域の閾値に寄せる
+                    average = min / 2;
+                    if (by > 0 && bx > 0) {
+                        const neighbors = (blackPoints[index - blocksX] + 2 * blackPoints[index - 1] +
+                            blackPoints[index - blocksX - 1]) / 4;
+                        if (min < neighbors) average = neighbors;
+                    }
+                }
+                blackPoints[index] = average;
+            }
+        }
+
+        const bits = new Uint8Array(width * height);
+        for (let by = 0; by < blocksY; by++) {
+            for (let bx = 0; bx < blocksX; bx++) {
+                // 周囲5×5領域の平均を閾値にする
+                let sum = 0;
+                let count = 0;
+                for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+                    for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+                        sum += blackPoints[ny * blocksX + nx];
+                        count++;
+                    }
+                }
+                const threshold = sum / count;
+
+                for (let y = by * size; y < Math.min(height, (by + 1) * size); y++) {
+                    for (let x = bx * size; x < Math.min(width, (bx + 1) * size); x++) {
+                        bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                    }
+                }
+            }
+        }
+
+        return { width, height, bits };
+    },
+
+    isDark(image, x, y) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        if (ix < 0 || iy < 0 || ix >= image.width || iy >= image.height) return false;
+        return image.bits[iy * image.width + ix] === 1;
+    },
+
+    /**
+     * ファインダーパターン（暗:明:暗:明:暗 = 1:1:3:1:1）の候補を探し、直角二等辺三角形に近い3つの組を返す
+     * @returns {Array<{topLeft, topRight, bottomLeft}>} よさそうな順
+     */
+    findFinderPatternSets(image) {
+        const candidates = [];
+
+        for (let y = 0; y < image.height; y++) {
+            const counts = [0, 0, 0, 0, 0];
+            let state = 0;
+            for (let x = 0; x < image.width; x++) {
+                if (image.bits[y * image.width + x] === 1) {
+                    if (state % 2 === 1) state++;
+                    counts[state]++;
+                } else if (state % 2 === 0) {
+                    if (state === 4) {
+                        if (this.isFinderRatio(counts) && this.confirmCenter(image, candidates, counts, y, x)) {
+                            counts.fill(0);
+                            state = 0;
+                        } else {
+                            counts.splice(0, 2);
+                            counts.push(1, 0);
+                            state = 3;
+                        }
+                    } else {
+                        counts[++state]++;
+                    }
+                } else {
+                    counts[state]++;
+                }
+            }
+            if (this.isFinderRatio(counts)) this.confirmCenter(image, candidates, counts, y, image.width);
+        }
+
+        // 複数回見つかった候補を優先する
+        const confirmed = candidates.filter(c => c.count >= 2);
+        const pool = (confirmed.length >= 3 ? confirmed : candidates)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 8);
+
+        const sets = [];
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const set = this.orderPatterns(pool[i], pool[j], pool[k]);
+                    if (set) sets.push(set);
+                }
+            }
+        }
+        return sets.sort((a, b) => a.score - b.score).slice(0, 3);
+    },
+
+    isFinderRatio(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total < 7 || counts.some(count => count === 0)) return false;
+        const module = total / 7;
+        const variance = module / 2;
+        return Math.abs(module - counts[0]) < variance &&
+            Math.abs(module - counts[1]) < variance &&
+            Math.abs(3 * module - counts[2]) < 3 * variance &&
+            Math.abs(module - counts[3]) < variance &&
+            Math.abs(module - counts[4]) < variance;
+    },
+
+    centerFromEnd(counts, end) {
+        return end - counts[4] - counts[3] - counts[2] / 2;
+    },
+
+    /**
+     * 横方向で見つけた候補を縦・横に確認し、近い候補があればまとめる
+     */
+    confirmCenter(image, candidates, counts, y, endX) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const centerX = this.centerFromEnd(counts, endX);
+        const centerY = this.crossCheck(image, Math.floor(centerX), y, counts[2], total, true);
+        if (Number.isNaN(centerY)) return false;
+        const refinedX = this.crossCheck(image, Math.floor(centerX), Math.floor(centerY), counts[2], total, false);
+        if (Number.isNaN(refinedX)) return false;
+
+        const size = total / 7;
+        const existing = candidates.find(c =>
+            Math.abs(centerY - c.y) <= size && Math.abs(refinedX - c.x) <= size &&
+            (Math.abs(size - c.size) <= 1 || Math.abs(size - c.size) <= c.size));
+        if (existing) {
+            const n = existing.count;
+            existing.x = (existing.x * n + refinedX) / (n + 1);
+            existing.y = (existing.y * n + centerY) / (n + 1);
+            existing.size = (existing.size * n + size) / (n + 1);
+            existing.count++;
+        } else {
+            candidates.push({ x: refinedX, y: centerY, size, count: 1 });
+        }
+        return true;
+    },
+
+    /**
+     * 中心を通る縦（vertical=true）または横の線上で比率を確認し、中心の座標を返す（確認できなければNaN）
+     */
+    crossCheck(image, x, y, maxCount, originalTotal, vertical) {
+        const limit = vertical ? image.height : image.width;
+        const dark = (i) => vertical ? this.isDark(image, x, i) : this.isDark(image, i, y);
+        const counts = [0, 0, 0, 0, 0];
+        let i = vertical ? y : x;
+        const start = i;
+
+        while (i >= 0 && dark(i)) { counts[2]++; i--; }
+        if (i < 0) return NaN;
+        while (i >= 0 && !dark(i) && counts[1] <= maxCount) { counts[1]++; i--; }
+        if (i < 0 || counts[1] > maxCount) return NaN;
+        while (i >= 0 && dark(i) && counts[0] <= maxCount) { counts[0]++; i--; }
+        if (counts[0] > maxCount) return NaN;
+
+        i = start + 1;
+        while (i < limit && dark(i)) { counts[2]++; i++; }
+        if (i === limit) return NaN;
+        while (i < limit && !dark(i) && counts[3] < maxCount) { counts[3]++; i++; }
+        if (i === limit || counts[3] >= maxCount) return NaN;
+        while (i < limit && dark(i) && counts[4] < maxCount) { counts[4]++; i++; }
+        if (counts[4] >= maxCount) return NaN;
+
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return NaN;
+        return this.isFinderRatio(counts) ? this.centerFromEnd(counts, i) : NaN;
+    },
+
+    /**
+     * 3つの候補を左上・右上・左下に並べる（形が合わなければnull）
+     */
+    orderPatterns(a, b, c) {
+        const sizes = [a.size, b.size, c.size];
+        const sizeSpread = (Math.max(...sizes) - Math.min(...sizes)) / Math.max(...sizes);
+        if (sizeSpread > 0.5) return null;
+
+        // 最も長い辺の対角が左上
+        const ab = this.distance(a, b);
+        const bc = this.distance(b, c);
+        const ac = this.distance(a, c);
+        let topLeft, p, q, legs, hypotenuse;
+        if (bc >= ab && bc >= ac) {
+            [topLeft, p, q, legs, hypotenuse] = [a, b, c, [ab, ac], bc];
+        } else if (ac >= ab && ac >= bc) {
+            [topLeft, p, q, legs, hypotenuse] = [b, a, c, [ab, bc], ac];
+        } else {
+            [topLeft, p, q, legs, hypotenuse] = [c, a, b, [ac, bc], ab];
+        }
+
+        const legRatio = Math.abs(legs[0] - legs[1]) / Math.max(...legs);
+        const angleError = Math.abs(hypotenuse - Math.hypot(legs[0], legs[1])) / hypotenuse;
+        if (legRatio > 0.3 || angleError > 0.15) return null;
+
+        // 外積の向きで右上と左下を決める
+        const cross = (q.x - topLeft.x) * (p.y - topLeft.y) - (q.y - topLeft.y) * (p.x - topLeft.x);
+        const [bottomLeft, topRight] = cross < 0 ? [q, p] : [p, q];
+        return { topLeft, topRight, bottomLeft, score: legRatio + angleError + sizeSpread };
+    },
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    },
+
+    /**
+     * モジュール座標から画像座標への射影変換
+     * バージョン2以上は右下のアライメントパターンを探して台形のゆがみも補正する
+     */
+    createTransform(image, topLeft, topRight, bottomLeft, dimension, moduleSize) {
+        const far = dimension - 3.5;
+        let bottomRight = {
+            x: topRight.x - topLeft.x + bottomLeft.x,
+            y: topRight.y - topLeft.y + bottomLeft.y
+        };
+        let source = far;
+
+        if (dimension > 21) {
+            const correction = 1 - 3 / (dimension - 7);
+            const estimate = {
+                x: topLeft.x + correction * (bottomRight.x - topLeft.x),
+                y: topLeft.y + correction * (bottomRight.y - topLeft.y)
+            };
+            const alignment = this.findAlignmentPattern(image, estimate, topLeft, topRight, bottomLeft, dimension, moduleSize);
+            if (alignment) {
+                bottomRight = alignment;
+                source = far - 3;
+            }
+        }
+
+        return this.quadrilateralToQuadrilateral(
+            [3.5, 3.5, far, 3.5, source, source, 3.5, far],
+            [topLeft.x, topLeft.y, topRight.x, topRight.y, bottomRight.x, bottomRight.y, bottomLeft.x, bottomLeft.y]
+        );
+    },
+
+    /**
+     * 推定位置の周囲でアライメントパターン（暗1・明8・暗16モジュールの5×5）に最もよく合う点を探す
+     */
+    findAlignmentPattern(image, estimate, topLeft, topRight, bottomLeft, dimension, moduleSize) {
+        // QRコードの軸方向の1モジュール分のベクトル
+        const span = dimension - 7;
+        const ux = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+        const uy = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+
+        const scoreAt = (cx, cy) => {
+            let score = 0;
+            for (let v = -2; v <= 2; v++) {
+                for (let u = -2; u <= 2; u++) {
+                    const expectDark = Math.max(Math.abs(u), Math.abs(v)) !== 1;
+                    const dark = this.isDark(image, cx + u * ux.x + v * uy.x, cy + u * ux.y + v * uy.y);
+                    if (dark === expectDark) score++;
+                }
+            }
+            return score;
+        };
+
+        for (const allowance of [4, 8, 16]) {
+            const radius = Math.ceil(allowance * moduleSize);
+            // 最もよく合う点が複数あれば（中心のモジュール内の各画素）その平均を中心とする
+            let best = { score: 0, x: 0, y: 0, count: 0 };
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const x = estimate.x + dx;
+                    const y = estimate.y + dy;
+                    if (!this.isDark(image, x, y)) continue;
+                    const score = scoreAt(x, y);
+                    if (score > best.score) {
+                        best = { score, x, y, count: 1 };
+                    } else if (score === best.score) {
+                        best.x += x;
+                        best.y += y;
+                        best.count++;
+                    }
+                }
+            }
+            if (best.score >= 23) return { x: best.x / best.count, y: best.y / best.count };
+        }
+        return null;
+    },
+
+    /**
+     * 四角形から四角形への射影変換（4頂点ずつ [x0, y0, ..., x3, y3]）
+     * @returns {(x: number, y: number) => {x: number, y: number}}
+     */
+    quadrilateralToQuadrilateral(from, to) {
+        const toSquare = this.adjoint(this.squareToQuadrilateral(from));
+        const fromSquare = this.squareToQuadrilateral(to);
+        const m = this.multiply(fromSquare, toSquare);
+        return (x, y) => {
+            const denominator = m[6] * x + m[7] * y + m[8];
+            return {
+                x: (m[0] * x + m[1] * y + m[2]) / denominator,
+                y: (m[3] * x + m[4] * y + m[5]) / denominator
+            };
+        };
+    },
+
+    /**
+     * 単位正方形 (0,0) (1,0) (1,1) (0,1) から四角形への変換行列（3×3、行優先）
+     */
+    squareToQuadrilateral([x0, y0, x1, y1, x2, y2, x3, y3]) {
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy3 = y0 - y1 + y2 - y3;
+        if (dx3 === 0 && dy3 === 0) {
+            return [x1 - x0, x3 - x0, x0, y1 - y0, y3 - y0, y0, 0, 0, 1];
+        }
+        const dx1 = x1 - x2;
+        const dx2 = x3 - x2;
+        const dy1 = y1 - y2;
+        const dy2 = y3 - y2;
+        const denominator = dx1 * dy2 - dx2 * dy1;
+        const g = (dx3 * dy2 - dx2 * dy3) / denominator;
+        const h = (dx1 * dy3 - dx3 * dy1) / denominator;
+        return [
+            x1 - x0 + g * x1, x3 - x0 + h * x3, x0,
+            y1 - y0 + g * y1, y3 - y0 + h * y3, y0,
+            g, h, 1
+        ];
+    },
+
+    adjoint([a, b, c, d, e, f, g, h, i]) {
+        return [
+            e * i - f * h, c * h - b * i, b * f - c * e,
+            f * g - d * i, a * i - c * g, c * d - a * f,
+            d * h - e * g, b * g - a * h, a * e - b * d
+        ];
+    },
+
+    multiply(p, q) {
+        const result = new Array(9).fill(0);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                for (let k = 0; k < 3; k++) {
+                    result[row * 3 + col] += p[row * 3 + k] * q[k * 3 + col];
+                }
+            }
+        }
+        return result;
+    },
+
+    /**
+     * 各モジュールの中心の明暗を読み取る
+     * @returns {Uint8Array} dimension×dimension（行優先、1 = 暗）
+     */
+    sampleGrid(image, transform, dimension) {
+        const matrix = new Uint8Array(dimension * dimension);
+        for (let y = 0; y < dimension; y++) {
+            for (let x = 0; x < dimension; x++) {
+                const point = transform(x + 0.5, y + 0.5);
+                matrix[y * dimension + x] = this.isDark(image, point.x, point.y) ? 1 : 0;
+            }
+        }
+        return matrix;
+    },
+
+    transpose(matrix, dimension) {
+        const result = new Uint8Array(matrix.length);
+        for (let y = 0; y < dimension; y++) {
+            for (let x = 0; x < dimension; x++) {
+                result[x * dimension + y] = matrix[y * dimension + x];
+            }
+        }
+        return result;
+    },
+
+    /**
+     * モジュールの行列を復号
+     * @throws {Error} 形式情報が読めない・誤りが訂正できる数を超えている
+     */
+    decodeMatrix(matrix, dimension) {
+        const version = (dimension - 17) / 4;
+        const get = (x, y) => matrix[y * dimension + x];
+        const { level, mask } = this.readFormat(get, dimension);
+
+        const reserved = this.functionPatterns(version, dimension);
+        const codewords = [];
+        let current = 0;
+        let bitCount = 0;
+        let upward = true;
+
+        // 右下から2列ずつジグザグに読む（縦のタイミングパターンの列は飛ばす）
+        for (let right = dimension - 1; right > 0; right -= 2) {
+            if (right === 6) right--;
+            for (let step = 0; step < dimension; step++) {
+                const y = upward ? dimension - 1 - step : step;
+                for (let col = 0; col < 2; col++) {
+                    const x = right - col;
+                    if (reserved[y * dimension + x]) continue;
+                    current = (current << 1) | (get(x, y) ^ (this.isMasked(mask, y, x) ? 1 : 0));
+                    if (++bitCount === 8) {
+                        codewords.push(current);
+                        current = 0;
+                        bitCount = 0;
+                    }
+                }
+            }
+            upward = !upward;
+        }
+
+        const data = this.correctErrors(codewords, version, level);
+        return this.decodeSegments(data, version);
+    },
+
+    /**
+     * 形式情報（誤り訂正レベルとマスク）を読む。2か所の写しのうち、正しい符号に近いほうを使う
+     */
+    readFormat(get, dimension) {
+        let first = 0;
+        for (let x = 0; x <= 5; x++) first = (first << 1) | get(x, 8);
+        first = (first << 1) | get(7, 8);
+        first = (first << 1) | get(8, 8);
+        first = (first << 1) | get(8, 7);
+        for (let y = 5; y >= 0; y--) first = (first << 1) | get(8, y);
+
+        let second = 0;
+        for (let y = dimension - 1; y >= dimension - 7; y--) second = (second << 1) | get(8, y);
+        for (let x = dimension - 8; x < dimension; x++) second = (second << 1) | get(x, 8);
+
+        let best = null;
+        for (let info = 0; info < 32; info++) {
+            let remainder = info;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const code = ((info << 10) | remainder) ^ 0x5412;
+
+            for (const read of [first, second]) {
+                const distance = this.bitCount(code ^ read);
+                if (!best || distance < best.distance) best = { info, distance };
+            }
+        }
+        if (best.distance > 3) throw new Error('形式情報を読み取れません');
+
+        // 誤り訂正レベルのビットは M=00 L=01 H=10 Q=11。L, M, Q, H の順の添字にする
+        return { level: [1, 0, 3, 2][best.info >> 3], mask: best.info & 7 };
+    },
+
+    bitCount(value) {
+        let count = 0;
+        for (let v = value; v; v >>>= 1) count += v & 1;
+        return count;
+    },
+
+    isMasked(mask, row, col) {
+        switch (mask) {
+            case 0: return (row + col) % 2 === 0;
+            case 1: return row % 2 === 0;
+            case 2: return col % 3 === 0;
+            case 3: return (row + col) % 3 === 0;
+            case 4: return (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+            case 5: return (row * col) % 2 + (row * col) % 3 === 0;
+            case 6: return ((row * col) % 2 + (row * col) % 3) % 2 === 0;
+            default: return ((row + col) % 2 + (row * col) % 3) % 2 === 0;
+        }
+    },
+
+    /**
+     * データ以外（ファインダー・タイミング・アライメント・形式情報・型番情報）のモジュール
+     */
+    functionPatterns(version, dimension) {
+        const reserved = new Uint8Array(dimension * dimension);
+        const region = (left, top, width, height) => {
+            for (let y = top; y < top + height; y++) {
+                for (let x = left; x < left + width; x++) reserved[y * dimension + x] = 1;
+            }
+        };
+
+        region(0, 0, 9, 9);
+        region(dimension - 8, 0, 8, 9);
+        region(0, dimension - 8, 9, 8);
+        region(6, 9, 1, dimension - 17);
+        region(9, 6, dimension - 17, 1);
+
+        const positions = this.alignmentPositions(version, dimension);
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                // ファインダーパターンと重なる3か所にはない
+                const last = positions.length - 1;
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                region(x - 2, y - 2, 5, 5);
+            });
+        });
+
+        if (version >= 7) {
+            region(dimension - 11, 0, 3, 6);
+            region(0, dimension - 11, 6, 3);
+        }
+        return reserved;
+    },
+
+    alignmentPositions(version, dimension) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let pos = dimension - 7; positions.length < count; pos -= step) {
+            positions.splice(1, 0, pos);
+        }
+        return positions;
+    },
+
+    /**
+     * ブロックに分け、リードソロモン符号で誤りを訂正してデータのコード語を返す
+     */
+    correctErrors(codewords, version, level) {
+        const numBlocks = this.EC_BLOCKS[level][version - 1];
+        const ecPerBlock = this.EC_CODEWORDS_PER_BLOCK[level][version - 1];
+        const total = this.totalCodewords(version);
+        if (codewords.length < total) throw new Error('コード語が不足しています');
+
+        const numShortBlocks = numBlocks - total % numBlocks;
+        const shortLength = Math.floor(total / numBlocks);
+        const blocks = Array.from({ length: numBlocks }, (_, i) => ({
+            dataLength: shortLength - ecPerBlock + (i < numShortBlocks ? 0 : 1),
+            codewords: []
+        }));
+
+        // データ部はブロックを交互に、短いブロックが尽きた後は長いブロックだけに並んでいる
+        let offset = 0;
+        for (let i = 0; i < shortLength - ecPerBlock + 1; i++) {
+            blocks.forEach(block => {
+                if (i < block.dataLength) block.codewords.push(codewords[offset++]);
+            });
+        }
+        for (let i = 0; i < ecPerBlock; i++) {
+            blocks.forEach(block => block.codewords.push(codewords[offset++]));
+        }
+
+        const data = [];
+        blocks.forEach(block => {
+            this.reedSolomonDecode(block.codewords, ecPerBlock);
+            data.push(...block.codewords.slice(0, block.dataLength));
+        });
+        return data;
+    },
+
+    totalCodewords(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const align = Math.floor(version / 7) + 2;
+            modules -= (25 * align - 10) * align - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return Math.floor(modules / 8);
+    },
+
+    /**
+     * GF(256)（原始多項式 x^8+x^4+x^3+x^2+1）の指数・対数表
+     */
+    field() {
+        if (this.gf) return this.gf;
+        const exp = new Uint8Array(256);
+        const log = new Uint8Array(256);
+        let x = 1;
+        for (let i = 0; i < 255; i++) {
+            exp[i] = x;
+            log[x] = i;
+            x <<= 1;
+            if (x & 0x100) x ^= 0x11d;
+        }
+        exp[255] = exp[0];
+        const mul = (a, b) => (a === 0 || b === 0) ? 0 : exp[(log[a] + log[b]) % 255];
+        const inv = (a) => exp[255 - log[a]];
+        this.gf = { exp, log, mul, inv };
+        return this.gf;
+    },
+
+    /**
+     * リードソロモン符号の誤り訂正（codewordsを直接書き換える）
+     * 多項式は係数の配列（次数の高い順）で表す
+     * @throws {Error} 訂正できない
+     */
+    reedSolomonDecode(codewords, ecCount) {
+        const { exp, log, mul, inv } = this.field();
+        const poly = {
+            trim: (p) => {
+                let i = 0;
+                while (i < p.length - 1 && p[i] === 0) i++;
+                return p.slice(i);
+            },
+            degree: (p) => p.length - 1,
+            coefficient: (p, degree) => p[p.length - 1 - degree],
+            isZero: (p) => p[0] === 0,
+            evaluate: (p, a) => {
+                if (a === 0) return p[p.length - 1];
+                let result = 0;
+                for (const c of p) result = mul(a, result) ^ c;
+                return result;
+            },
+            add: (a, b) => {
+                if (a.length < b.length) [a, b] = [b, a];
+                const result = a.slice();
+                const diff = a.length - b.length;
+                for (let i = 0; i < b.length; i++) result[i + diff] ^= b[i];
+                return poly.trim(result);
+            },
+            multiply: (a, b) => {
+                if (poly.isZero(a) || poly.isZero(b)) return [0];
+                const result = new Array(a.length + b.length - 1).fill(0);
+                for (let i = 0; i < a.length; i++) {
+                    for (let j = 0; j < b.length; j++) result[i + j] ^= mul(a[i], b[j]);
+                }
+                return poly.trim(result);
+            },
+            monomial: (degree, coefficient) => {
+                if (coefficient === 0) return [0];
+                const result = new Array(degree + 1).fill(0);
+                result[0] = coefficient;
+                return result;
+            },
+            scale: (p, degree, coefficient) => {
+                if (coefficient === 0) return [0];
+                return poly.trim([...p.map(c => mul(c, coefficient)), ...new Array(degree).fill(0)]);
+            }
+        };
+
+        // シンドローム（生成多項式の根は α^0 から）
+        const syndromes = new Array(ecCount);
+        let hasError = false;
+        for (let i = 0; i < ecCount; i++) {
+            const value = poly.evaluate(codewords, exp[i]);
+            syndromes[ecCount - 1 - i] = value;
+            if (value !== 0) hasError = true;
+        }
+        if (!hasError) return;
+
+        // ユークリッドの互除法で誤り位置多項式σと誤り値多項式ωを求める
+        let rLast = poly.monomial(ecCount, 1);
+        let r = poly.trim(syndromes);
+        let tLast = [0];
+        let t = [1];
+        while (2 * poly.degree(r) >= ecCount) {
+            const rLastLast = rLast;
+            const tLastLast = tLast;
+            rLast = r;
+            tLast = t;
+            if (poly.isZero(rLast)) throw new Error('誤りを訂正できません');
+
+            r = rLastLast;
+            let q = [0];
+            const leadInverse = inv(poly.coefficient(rLast, poly.degree(rLast)));
+            while (poly.degree(r) >= poly.degree(rLast) && !poly.isZero(r)) {
+                const degreeDiff = poly.degree(r) - poly.degree(rLast);
+                const scale = mul(poly.coefficient(r, poly.degree(r)), leadInverse);
+                q = poly.add(q, poly.monomial(degreeDiff, scale));
+                r = poly.add(r, poly.scale(rLast, degreeDiff, scale));
+            }
+            t = poly.add(poly.multiply(q, tLast), tLastLast);
+            if (poly.degree(r) >= poly.degree(rLast)) throw new Error('誤りを訂正できません');
+        }
+
+        const sigmaAtZero = poly.coefficient(t, 0);
+        if (sigmaAtZero === 0) throw new Error('誤りを訂正できません');
+        const sigma = poly.scale(t, 0, inv(sigmaAtZero));
+        const omega = poly.scale(r, 0, inv(sigmaAtZero));
+
+        // 誤り位置（σの根の逆数）
+        const numErrors = poly.degree(sigma);
+        const locations = [];
+        if (numErrors === 1) {
+            locations.push(poly.coefficient(sigma, 1));
+        } else {
+            for (let i = 1; i < 256 && locations.length < numErrors; i++) {
+                if (poly.evaluate(sigma, i) === 0) locations.push(inv(i));
+            }
+        }
+        if (locations.length !== numErrors) throw new Error('誤りを訂正できません');
+
+        // 誤りの値（Forneyのアルゴリズム）
+        locations.forEach((location, i) => {
+            const xiInverse = inv(location);
+            let denominator = 1;
+            locations.forEach((other, j) => {
+                if (i === j) return;
+                const term = mul(other, xiInverse);
+                denominator = mul(denominator, (term & 1) === 0 ? term | 1 : term & ~1);
+            });
+            const magnitude = mul(poly.evaluate(omega, xiInverse), inv(denominator));
+            const position = codewords.length - 1 - log[location];
+            if (position < 0) throw new Error('誤りを訂正できません');
+            codewords[position] ^= magnitude;
+        });
+    },
+
+    /**
+     * データのコード語を文字列に復号（数字・英数字・8bitバイト・漢字モード）
+     */
+    decodeSegments(data, version) {
+        let bitOffset = 0;
+        const available = () => data.length * 8 - bitOffset;
+        const read = (bits) => {
+            if (bits > available()) throw new Error('データが途中で終わっています');
+            let value = 0;
+            for (let i = 0; i < bits; i++) {
+                const byte = data[(bitOffset + i) >> 3];
+                value = (value << 1) | ((byte >> (7 - ((bitOffset + i) & 7))) & 1);
+            }
+            bitOffset += bits;
+            return value;
+        };
+        // 文字数のビット数はバージョンで変わる
+        const countBits = (small, medium, large) => version <= 9 ? small : version <= 26 ? medium : large;
+
+        let text = '';
+        while (available() >= 4) {
+            const mode = read(4);
+            if (mode === 0) break;
+
+            switch (mode) {
+                case 1: {   // 数字
+                    let count = read(countBits(10, 12, 14));
+                    for (; count >= 3; count -= 3) text += String(read(10)).padStart(3, '0');
+                    if (count === 2) text += String(read(7)).padStart(2, '0');
+                    if (count === 1) text += String(read(4));
+                    break;
+                }
+                case 2: {   // 英数字
+                    let count = read(countBits(9, 11, 13));
+                    for (; count >= 2; count -= 2) {
+                        const value = read(11);
+                        text += this.ALPHANUMERIC[Math.floor(value / 45)] + this.ALPHANUMERIC[value % 45];
+                    }
+                    if (count === 1) text += this.ALPHANUMERIC[read(6)];
+                    break;
+                }
+                case 4: {   // 8bitバイト（UTF-8として扱う）
+                    const count = read(countBits(8, 16, 16));
+                    const bytes = new Uint8Array(count);
+                    for (let i = 0; i < count; i++) bytes[i] = read(8);
+                    text += new TextDecoder('utf-8').decode(bytes);
+                    break;
+                }
+                case 8: {   // 漢字（Shift_JIS）
+                    const count = read(countBits(8, 10, 12));
+                    const bytes = new Uint8Array(count * 2);
+                    for (let i = 0; i < count; i++) {
+                        const value = read(13);
+                        let assembled = (Math.floor(value / 0xc0) << 8) | (value % 0xc0);
+                        assembled += assembled < 0x1f00 ? 0x8140 : 0xc140;
+                        bytes[i * 2] = assembled >> 8;
+                        bytes[i * 2 + 1] = assembled & 0xff;
+                    }
+                    text += new TextDecoder('shift_jis').decode(bytes);
+                    break;
+                }
+                case 7: {   // ECI（文字コードの指定。UTF-8以外はほぼ使われないため読み飛ばす）
+                    const first = read(8);
+                    if ((first & 0xc0) === 0x80) read(8);
+                    else if ((first & 0xe0) === 0xc0) read(16);
+                    break;
+                }
+                case 3:     // 連結（位置とパリティを読み飛ばす）
+                    read(16);
+                    break;
+                case 5:     // FNC1（1番目の位置）
+                    break;
+                case 9:     // FNC1（2番目の位置）
+                    read(8);
+                    break;
+                default:
+                    throw new Error('未対応のモードです');
+            }
+        }
+        return text;
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrDecoder;
+}
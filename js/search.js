@@ -0,0 +1,391 @@
+/**
+ * 一覧の検索
+ * 復号済みのエントリを項目ごとの重みと最終使用日時で順位付けし、綴りの誤りや単語の一部でも一致させる。
+ * tag: folder: type: has: weak: の演算子で絞り込み、先頭に - を付けると除外する。
+ * 検索用に正規化した項目はエントリのオブジェクトごとにキャッシュする（保存時はオブジェクトが置き換わる）。
+ */
+
+const Search = {
+    // 項目の重み（一致したときの得点）
+    WEIGHTS: {
+        service: 10,
+        subtitle: 6,
+        username: 6,
+        email: 6,
+        tags: 5,
+        url: 5,
+        folder: 4,
+        field: 3,
+        custom: 2,
+        memo: 1
+    },
+    // 一致の種類ごとの係数
+    QUALITY: {
+        word: 1,        // 単語と完全一致
+        prefix: 0.8,    // 単語の先頭と一致
+        substring: 0.6, // 単語の途中と一致
+        typo: 0.4       // 綴りの誤りを許して一致（誤り1つごとに下げる）
+    },
+    // 最近使ったエントリへの加点（半減期ごとに半分）
+    RECENCY_WEIGHT: 3,
+    RECENCY_HALF_LIFE_DAYS: 14,
+    WORD_PATTERN: /[\p{L}\p{N}]+/gu,
+    WEAK_SCORE: 1,              // PasswordGenerator.evaluateStrength のこのスコア以下を弱いとみなす
+    IDLE_SLICE_MS: 10,          // requestIdleCallback がない環境で1回に推定する時間
+    index: new WeakMap(),
+    weakness: new WeakMap(),    // エントリ → 弱いか（強度の推定は重いので、読み込み後にアイドル時間で計算して保持する）
+    weaknessScan: null,         // 実行中の推定 { pending }
+
+    /**
+     * 演算子の判定（valueは正規化済み）
+     */
+    OPERATORS: {
+        tag: (entry, value) => (entry.tags || []).some(tag => Search.fold(tag) === value),
+        folder: (entry, value) => {
+            const folder = Search.fold(entry.folder || '');
+            return folder === value || folder.startsWith(value + '/');
+        },
+        type: (entry, value) => {
+            const type = EntryTypes.typeOf(entry);
+            return type === value || Search.fold(EntryTypes.get(type).label).startsWith(value);
+        },
+        has: (entry, value) => {
+            const check = Search.HAS[value];
+            return check ? check(entry) : false;
+        },
+        weak: (entry, value) => {
+            const weak = Search.isWeak(entry);
+            return weak !== null && weak === !['false', 'no', '0'].includes(value);
+        }
+    },
+
+    HAS: {
+        totp: entry => !!entry.totp,
+        attachment: entry => (entry.attachments || []).length > 0,
+        url: entry => (entry.urls || []).length > 0,
+        memo: entry => !!entry.memo,
+        tag: entry => (entry.tags || []).length > 0,
+        folder: entry => !!entry.folder
+    },
+
+    /**
+     * 検索語を解析
+     * 例: `gogle tag:仕事 -type:note "two words"`
+     * @returns {{terms: Array<{text: string, negate: boolean}>, filters: Array<{key: string, value: string, negate: boolean}>}}
+     */
+    parse(query) {
+        const terms = [];
+        const filters = [];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            const negate = match[1] === '-';
+            const key = (match[2] || '').toLowerCase();
+            const value = this.fold(match[3] !== undefined ? match[3] : match[4] || '').trim();
+
+            if (key && this.OPERATORS[key]) {
+                if (value) filters.push({ key, value, negate });
+            } else {
+                // 演算子でない「xxx:」（URLなど）は検索語の一部
+                const text = key ? this.fold(`${match[2]}:`) + value : value;
+                if (text) terms.push({ text, negate });
+            }
+        }
+
+        return { terms, filters };
+    },
+
+    /**
+     * 条件に一致するエントリを得点の高い順に返す
+     * @param {Array} entries
+     * @param {{terms: Array, filters: Array}} parsed - parseの結果
+     */
+    rank(entries, parsed, now = Date.now()) {
+        const { terms, filters } = parsed;
+        const results = [];
+
+        for (const entry of entries) {
+            if (!filters.every(f => this.OPERATORS[f.key](entry, f.value) !== f.negate)) continue;
+
+            const score = this.score(entry, terms, now);
+            if (score !== null) results.push({ entry, score });
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.entry.service.localeCompare(b.entry.service, 'ja'))
+            .map(result => result.entry);
+    },
+
+    /**
+     * エントリの得点（一致しなければnull）
+     * 検索語はすべて一致する必要があり、それぞれ最も重い項目の得点を合計する
+     */
+    score(entry, terms, now) {
+        const fields = this.fieldsOf(entry);
+        let score = 0;
+
+        for (const term of terms) {
+            if (term.negate) {
+                // 除外は綴りの誤りを許さない
+                if (fields.some(field => field.text.includes(term.text))) return null;
+                continue;
+            }
+
+            let best = 0;
+            for (const field of fields) {
+                // 重い順に並んでいるため、これ以上の得点は出ない
+                if (field.weight <= best) break;
+                best = Math.max(best, field.weight * this.matchQuality(term.text, field));
+            }
+            if (best === 0) return null;
+            score += best;
+        }
+
+        if (entry.lastUsedAt) {
+            const days = (now - new Date(entry.lastUsedAt).getTime()) / 86400000;
+            score += this.RECENCY_WEIGHT * 0.5 ** (Math.max(0, days) / this.RECENCY_HALF_LIFE_DAYS);
+        }
+        return score;
+    },
+
+    /**
+     * 検索語と項目の一致の度合い（0 = 一致しない）
+     */
+    matchQuality(term, field) {
+        if (field.text.includes(term)) {
+            if (field.words.includes(term)) return this.QUALITY.word;
+            if (field.words.some(word => word.startsWith(term))) return this.QUALITY.prefix;
+            return this.QUALITY.substring;
+        }
+
+        const maxTypos = this.maxTypos(term);
+        if (maxTypos === 0) return 0;
+
+        let best = maxTypos + 1;
+        for (const word of field.words) {
+            best = Math.min(best, this.prefixDistance(term, word, maxTypos));
+            if (best === 1) break;
+        }
+        return best <= maxTypos ? this.QUALITY.typo / best : 0;
+    },
+
+    /**
+     * 許す綴りの誤りの数（短い語や数字は誤りを許すと一致しすぎる）
+     */
+    maxTypos(term) {
+        if (/^\d+$/.test(term)) return 0;
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    },
+
+    /**
+     * 単語の先頭部分との編集距離（置換・挿入・削除・隣接文字の入れ替え）
+     * 単語の途中までの入力でも一致させるため、単語の長さではなく検索語の長さ前後で最小値を取る
+     * @returns {number} maxを超える場合はmax+1
+     */
+    prefixDistance(term, word, max) {
+        const m = term.length;
+        if (word.length < m - max) return max + 1;
+        const n = Math.min(word.length, m + max);
+
+        let prevPrev = null;
+        let prev = Array.from({ length: n + 1 }, (_, j) => j);
+        for (let i = 1; i <= m; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= n; j++) {
+                const cost = term[i - 1] === word[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && term[i - 1] === word[j - 2] && term[i - 2] === word[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+                row.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = row;
+        }
+
+        let best = max + 1;
+        for (let j = Math.max(0, m - max); j <= n; j++) {
+            best = Math.min(best, prev[j]);
+        }
+        return best;
+    },
+
+    /**
+     * 検索対象の項目（秘密の項目は含めない）
+     * @returns {Array<{weight: number, text: string, words: string[]}>}
+     */
+    fieldsOf(entry) {
+        const cached = this.index.get(entry);
+        if (cached) return cached;
+
+        const type = EntryTypes.typeOf(entry);
+        const w = this.WEIGHTS;
+        const values = [
+            [w.service, entry.service],
+            [w.subtitle, EntryTypes.subtitle(entry)],
+            [w.tags, (entry.tags || []).join(' ')],
+            [w.folder, entry.folder],
+            [w.memo, entry.memo]
+        ];
+        if (type === 'login') {
+            values.push([w.username, entry.username], [w.email, entry.email]);
+            (entry.urls || []).forEach(entryUrl => values.push([w.url, entryUrl.url]));
+        }
+        EntryTypes.get(type).fields
+            .filter(f => f.input !== 'secret')
+            .forEach(f => values.push([w.field, entry[f.key]]));
+        (entry.customFields || []).forEach(f => values.push([w.custom, f.label], [w.custom, f.value]));
+
+        const fields = values
+            .filter(([, value]) => value)
+            .map(([weight, value]) => {
+                const text = this.fold(value);
+                return { weight, text, words: text.match(this.WORD_PATTERN) || [] };
+            })
+            .sort((a, b) => b.weight - a.weight);
+
+        this.index.set(entry, fields);
+        return fields;
+    },
+
+    /**
+     * 表示する文字列を一致した部分とそれ以外に分割（一覧の強調表示用）
+     * @returns {Array<{text: string, match: boolean}>}
+     */
+    highlight(text, terms) {
+        const source = String(text || '');
+        const { folded, starts } = this.foldWithMap(source);
+        const marked = new Array(folded.length).fill(false);
+
+        terms.filter(term => !term.negate).forEach(({ text: term }) => {
+            let found = false;
+            for (let i = folded.indexOf(term); i !== -1; i = folded.indexOf(term, i + 1)) {
+                marked.fill(true, i, i + term.length);
+                found = true;
+            }
+
+            const maxTypos = this.maxTypos(term);
+            if (found || maxTypos === 0) return;
+
+            // 綴りの誤りで一致した単語は単語全体を強調する
+            for (const match of folded.matchAll(this.WORD_PATTERN)) {
+                if (this.prefixDistance(term, match[0], maxTypos) <= maxTypos) {
+                    marked.fill(true, match.index, match.index + match[0].length);
+                }
+            }
+        });
+
+        const segments = [];
+        let i = 0;
+        while (i < folded.length) {
+            let j = i;
+            while (j < folded.length && marked[j] === marked[i]) j++;
+            segments.push({ text: source.slice(starts[i], starts[j]), match: marked[i] });
+            i = j;
+        }
+        return segments.filter(segment => segment.text);
+    },
+
+    /**
+     * 大文字小文字・全角半角・カタカナとひらがなを区別しない形に変換
+     */
+    fold(text) {
+        return this.foldWithMap(String(text)).folded;
+    },
+
+    /**
+     * foldの結果と、変換後の各文字が元の文字列のどこから来たか
+     * @returns {{folded: string, starts: number[]}} starts[i]は変換後のi文字目に対応する元の位置（末尾に元の長さ）
+     */
+    foldWithMap(text) {
+        let folded = '';
+        const starts = [];
+        let offset = 0;
+
+        const chars = [...text];
+        for (let i = 0; i < chars.length; i++) {
+            // 半角カナの濁点・半濁点は前の文字と合わせて変換する
+            const ch = /^[\uff9e\uff9f]$/.test(chars[i + 1] || '') ? chars[i] + chars[++i] : chars[i];
+            const converted = ch.normalize('NFKC').toLowerCase()
+                .replace(/[ァ-ヶ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+            for (let k = 0; k < converted.length; k++) starts.push(offset);
+            folded += converted;
+            offset += ch.length;
+        }
+        starts.push(offset);
+        return { folded, starts };
+    },
+
+    /**
+     * パスワードが弱いか（パスワードのないエントリと、まだ推定していないエントリはnull）
+     * 検索のたびに推定すると重いため、scanWeaknessの結果だけを読む
+     */
+    isWeak(entry) {
+        if (!entry.password || !this.weakness.has(entry)) return null;
+        return this.weakness.get(entry);
+    },
+
+    /**
+     * 未推定のエントリのパスワード強度を、アイドル時間に少しずつ推定する（実行中の推定は止めて始め直す）
+     * @param {Array<Object>} entries
+     * @param {Function} [onDone] - 推定し終えたときに呼ぶ（推定するものがなければ呼ばない）
+     */
+    scanWeakness(entries, onDone = () => {}) {
+        this.stopWeaknessScan();
+
+        const pending = entries.filter(entry => entry.password && !this.weakness.has(entry));
+        if (pending.length === 0) return;
+
+        const scan = { pending };
+        this.weaknessScan = scan;
+
+        const step = (deadline) => {
+            if (this.weaknessScan !== scan) return;
+            // 時間がなくても1件は進める
+            do {
+                const entry = scan.pending.pop();
+                const strength = PasswordGenerator.evaluateStrength(entry.password, [entry.service, entry.username, entry.email]);
+                this.weakness.set(entry, strength.score <= this.WEAK_SCORE);
+            } while (scan.pending.length > 0 && deadline.timeRemaining() > 0);
+
+            if (scan.pending.length > 0) {
+                this.requestIdle(step);
+                return;
+            }
+            this.weaknessScan = null;
+            onDone();
+        };
+        this.requestIdle(step);
+    },
+
+    /**
+     * 実行中の推定を止める（ロック時に復号済みのパスワードを残さない）
+     */
+    stopWeaknessScan() {
+        if (!this.weaknessScan) return;
+        this.weaknessScan.pending = [];
+        this.weaknessScan = null;
+    },
+
+    requestIdle(callback) {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(callback, { timeout: 1000 });
+            return;
+        }
+        setTimeout(() => {
+            const start = Date.now();
+            callback({ timeRemaining: () => Math.max(0, start + this.IDLE_SLICE_MS - Date.now()) });
+        }, 0);
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Search;
+}
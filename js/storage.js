@@ -5,40 +5,154 @@
 
 const Storage = {
     DB_NAME: 'PasswordManagerDB',
-    DB_VERSION: 1,
+    DB_VERSION: 5,
     db: null,
 
+    // レコードの暗号化ペイロードの形式（schemaVersionがないレコードは1）
+    ENTRY_SCHEMA_VERSION: 5,
+
+    // エクスポート・同期で持ち運ぶVaultの鍵情報
+    VAULT_SETTING_KEYS: ['encryptionSalt', 'kdf', 'keyCheck', 'wrappedKeys', 'recoverySalt'],
+    // 旧形式のエクスポートを読み込むときだけ復元する鍵情報（ロック解除時にキーチェック値へ移行される）
+    LEGACY_SETTING_KEYS: ['masterHash', 'masterSalt'],
+    // この端末にだけ保存し、Vaultの鍵情報を復元したら破棄する設定
+    DEVICE_SETTING_KEYS: ['passkeys'],
+
     /**
      * データベースを初期化
+     * @param {string} [dbName] - 開くVaultのデータベース（VaultRegistryを参照）
      */
-    async init() {
+    async init(dbName = this.DB_NAME) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            const request = indexedDB.open(dbName, this.DB_VERSION);
 
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
-                this.db = request.result;
-                resolve(this.db);
+                const db = request.result;
+                // 別タブで新しいバージョンが開かれたり削除されたりしたら接続を閉じて妨げない
+                db.onversionchange = () => db.close();
+                this.db = db;
+                resolve(db);
+            };
+            request.onblocked = () => {
+                console.warn('他のタブが古いバージョンのデータベースを開いているため、移行を待機しています');
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const tx = event.target.transaction;
 
-                // パスワードストア
-                if (!db.objectStoreNames.contains('passwords')) {
-                    const passwordStore = db.createObjectStore('passwords', {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    passwordStore.createIndex('service', 'service', { unique: false });
+                // 現在のバージョンから順に移行を適用
+                for (let version = event.oldVersion + 1; version <= this.DB_VERSION; version++) {
+                    console.log(`データベースを v${version} に移行`);
+                    this.MIGRATIONS[version](db, tx);
                 }
+            };
+        });
+    },
 
-                // 設定ストア
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
+    /**
+     * データベースを閉じる（Vaultの切り替え・削除時）
+     */
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    },
+
+    /**
+     * データベースの移行（キーは移行後のバージョン）
+     * 鍵がない状態で実行されるため、暗号化ペイロードの移行はENTRY_MIGRATIONSでロック解除時に行う
+     */
+    MIGRATIONS: {
+        // v1: 初期スキーマ
+        1(db) {
+            // パスワードストア
+            if (!db.objectStoreNames.contains('passwords')) {
+                const passwordStore = db.createObjectStore('passwords', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                passwordStore.createIndex('service', 'service', { unique: false });
+            }
+
+            // 設定ストア
+            if (!db.objectStoreNames.contains('settings')) {
+                db.createObjectStore('settings', { keyPath: 'key' });
+            }
+        },
+
+        // v2: 端末をまたいで変わらないUUIDをレコードに付与
+        2(db, tx) {
+            const store = tx.objectStore('passwords');
+            store.createIndex('uuid', 'uuid', { unique: true });
+
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (!cursor.value.uuid) {
+                    cursor.update({ ...cursor.value, uuid: Storage.generateUuid() });
                 }
+                cursor.continue();
             };
-        });
+        },
+
+        // v3: ゴミ箱と、完全に削除したエントリの記録（同期で復活させないため）
+        3(db) {
+            db.createObjectStore('trash', { keyPath: 'uuid' });
+            db.createObjectStore('tombstones', { keyPath: 'uuid' });
+        },
+
+        // v4: 復号できなかったレコードの隔離
+        4(db) {
+            db.createObjectStore('quarantine', { keyPath: 'uuid' });
+        },
+
+        // v5: 添付ファイル（一覧の読み込みで本体を読まないよう別ストアに置く）
+        5(db) {
+            const store = db.createObjectStore('attachments', { keyPath: 'uuid' });
+            store.createIndex('entryUuid', 'entryUuid', { unique: false });
+        }
+    },
+
+    /**
+     * 暗号化ペイロードの移行（キーは移行後のschemaVersion）
+     * ロック解除時に復号したデータへ適用し、再暗号化して保存する
+     */
+    ENTRY_MIGRATIONS: {
+        // v2: 作成・更新・最終使用日時（利用状況が分かるため暗号化して保持）
+        // 旧データの作成日時は不明なので移行日時で代用する
+        2(data, now) {
+            return { createdAt: now, updatedAt: now, lastUsedAt: null, ...data };
+        },
+        // v3: フォルダ（'/'区切りのパス）・タグ・お気に入り
+        3(data) {
+            return { folder: '', tags: [], favorite: false, ...data };
+        },
+        // v4: エントリの種類（既存のエントリはすべてログイン）
+        4(data) {
+            return { type: 'login', ...data };
+        },
+        // v5: ログインのURLと一致ルール
+        5(data) {
+            return data.type === 'login' ? { urls: [], ...data } : data;
+        }
+    },
+
+    /**
+     * 復号したペイロードを最新の形式に移行
+     * @param {number} fromVersion - レコードのschemaVersion
+     */
+    upgradeEntry(data, fromVersion) {
+        const now = new Date().toISOString();
+        let upgraded = data;
+        for (let version = fromVersion + 1; version <= this.ENTRY_SCHEMA_VERSION; version++) {
+            upgraded = this.ENTRY_MIGRATIONS[version](upgraded, now);
+        }
+        return upgraded;
+    },
+
+    generateUuid() {
+        return crypto.randomUUID();
     },
 
     /**
@@ -68,32 +182,102 @@ const Storage = {
     },
 
     /**
-     * パスワードを追加
+     * 設定を削除
+     */
+    async deleteSetting(key) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('settings', 'readwrite');
+            const store = tx.objectStore('settings');
+            const request = store.delete(key);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * パスワードを追加（エクスポートされたレコードのidは使わず、新しいidを振る）
      * @returns {Promise<number>} 追加されたパスワードのID
      */
     async addPassword(encryptedData) {
+        const { id, ...record } = encryptedData;
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('passwords', 'readwrite');
             const store = tx.objectStore('passwords');
-            const request = store.add(encryptedData);
+            const request = store.add({ uuid: this.generateUuid(), ...record });
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     },
 
     /**
-     * パスワードを更新
+     * uuidでパスワードを取得
+     * @returns {Promise<Object|undefined>}
+     */
+    async getPasswordByUuid(uuid) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('passwords', 'readonly');
+            const request = tx.objectStore('passwords').index('uuid').get(uuid);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * インポートしたレコードを追加（同じuuidのエントリがあれば、置き換えるかをshouldReplaceで決める）
+     * @param {Object} record - エクスポートされた暗号化済みレコード
+     * @param {(existing: Object, incoming: Object) => Promise<boolean>} [shouldReplace] - 省略時は既存のエントリを残す
+     * @returns {Promise<'added'|'replaced'|'skipped'>}
+     */
+    async importPassword(record, shouldReplace = async () => false) {
+        const { id, ...incoming } = record;
+        const existing = incoming.uuid ? await this.getPasswordByUuid(incoming.uuid) : undefined;
+
+        if (!existing) {
+            // ゴミ箱にあるエントリも既存として扱い、削除したままにする（インポートする方が新しければゴミ箱の中身を置き換える）
+            const trashed = incoming.uuid ? await this.getTrashItem(incoming.uuid) : undefined;
+            if (trashed) {
+                if (!await shouldReplace(trashed, incoming)) return 'skipped';
+                await this.putTrash([{ ...incoming, deletedAt: trashed.deletedAt }]);
+                return 'replaced';
+            }
+            await this.addPassword(incoming);
+            return 'added';
+        }
+        if (!await shouldReplace(existing, incoming)) {
+            return 'skipped';
+        }
+        // 旧形式のレコードには版がないため、既存の版を引き継がないよう明示する
+        await this.updatePassword(existing.id, { ...incoming, schemaVersion: incoming.schemaVersion || 1 });
+        return 'replaced';
+    },
+
+    /**
+     * パスワードを更新（uuid・schemaVersionは既存レコードの値を引き継ぐ）
      */
     async updatePassword(id, encryptedData) {
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction('passwords', 'readwrite');
             const store = tx.objectStore('passwords');
-            const request = store.put({ ...encryptedData, id });
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
+            const getRequest = store.get(id);
+            getRequest.onsuccess = () => {
+                store.put({ ...this.recordMeta(getRequest.result), ...encryptedData, id });
+            };
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
         });
     },
 
+    /**
+     * 暗号化ペイロード以外のレコード情報
+     */
+    recordMeta(record) {
+        const meta = {};
+        if (record && record.uuid) meta.uuid = record.uuid;
+        if (record && record.schemaVersion) meta.schemaVersion = record.schemaVersion;
+        return meta;
+    },
+
     /**
      * パスワードを削除
      */
@@ -133,23 +317,429 @@ const Storage = {
         });
     },
 
+    /**
+     * パスワードをゴミ箱に移動
+     */
+    async trashPassword(id) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['passwords', 'trash'], 'readwrite');
+            const passwordStore = tx.objectStore('passwords');
+            const getRequest = passwordStore.get(id);
+            getRequest.onsuccess = () => {
+                const record = getRequest.result;
+                if (!record) return;
+                tx.objectStore('trash').put({ ...record, deletedAt: new Date().toISOString() });
+                passwordStore.delete(id);
+            };
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * ゴミ箱の全レコードを取得
+     */
+    async getTrash() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('trash', 'readonly');
+            const request = tx.objectStore('trash').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getTrashItem(uuid) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('trash', 'readonly');
+            const request = tx.objectStore('trash').get(uuid);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async putTrash(records) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('trash', 'readwrite');
+            for (const record of records) {
+                tx.objectStore('trash').put(record);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * ゴミ箱からパスワードに戻す（idは新しく採番する）
+     * 削除後のインポートなどで同じuuidのエントリが一覧にもあれば、shouldReplaceで残す方を決める
+     * @param {(existing: Object, restored: Object) => Promise<boolean>} [shouldReplace] - 省略時は一覧のエントリを残す
+     * @returns {Promise<'restored'|'replaced'|'kept'|null>} ゴミ箱になければnull
+     */
+    async restoreFromTrash(uuid, shouldReplace = async () => false) {
+        const record = await this.getTrashItem(uuid);
+        if (!record) return null;
+
+        const { id, deletedAt, ...restored } = record;
+        const existing = await this.getPasswordByUuid(uuid);
+        const replace = !!existing && await shouldReplace(existing, restored);
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['passwords', 'trash'], 'readwrite');
+            if (!existing) {
+                tx.objectStore('passwords').add(restored);
+            } else if (replace) {
+                tx.objectStore('passwords').put({ ...restored, id: existing.id });
+            }
+            tx.objectStore('trash').delete(uuid);
+
+            tx.oncomplete = () => resolve(!existing ? 'restored' : replace ? 'replaced' : 'kept');
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * ゴミ箱から完全に削除し、削除の記録を残す
+     * @param {Array<string>} uuids
+     */
+    async deleteFromTrash(uuids) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['trash', 'tombstones', 'attachments'], 'readwrite');
+            const deletedAt = new Date().toISOString();
+            for (const uuid of uuids) {
+                tx.objectStore('trash').delete(uuid);
+                tx.objectStore('tombstones').put({ uuid, deletedAt });
+                this.deleteAttachmentsOf(tx.objectStore('attachments'), uuid);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * 保持期間を過ぎたゴミ箱のレコードを完全に削除
+     * @param {number} days - 0なら削除しない
+     * @returns {Promise<number>} 削除した件数
+     */
+    async purgeTrash(days) {
+        if (!days) return 0;
+
+        const threshold = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = (await this.getTrash())
+            .filter(record => new Date(record.deletedAt).getTime() < threshold)
+            .map(record => record.uuid);
+
+        if (expired.length > 0) await this.deleteFromTrash(expired);
+        return expired.length;
+    },
+
+    async getTombstones() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('tombstones', 'readonly');
+            const request = tx.objectStore('tombstones').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * 復号できなかったレコードを隔離
+     * @param {Array<{record: Object, reason: string, message: string}>} items - recordにidがなければ一覧には入っていないものとして扱う
+     */
+    async quarantine(items) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['passwords', 'quarantine'], 'readwrite');
+            const quarantinedAt = new Date().toISOString();
+            for (const { record, reason, message } of items) {
+                tx.objectStore('quarantine').put({
+                    ...record,
+                    uuid: record.uuid || this.generateUuid(),
+                    quarantine: { reason, message, quarantinedAt }
+                });
+                if (record.id !== undefined) tx.objectStore('passwords').delete(record.id);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    async getQuarantine() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('quarantine', 'readonly');
+            const request = tx.objectStore('quarantine').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * 再暗号化できたレコードを隔離から戻す
+     * @param {Array<Object>} records - 現在の鍵で暗号化し直したレコード（uuidを含む。同じuuidのエントリがあれば置き換える）
+     * @param {Array<string>} [superseded] - 一覧にあるエントリの方が新しいため、隔離から外すだけのuuid
+     */
+    async releaseFromQuarantine(records, superseded = []) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['passwords', 'quarantine'], 'readwrite');
+            const passwords = tx.objectStore('passwords');
+            for (const record of records) {
+                const { id, quarantine, keySource, attachmentBlobs, ...released } = record;
+                const request = passwords.index('uuid').getKey(record.uuid);
+                request.onsuccess = () => {
+                    passwords.put(request.result === undefined ? released : { ...released, id: request.result });
+                };
+                tx.objectStore('quarantine').delete(record.uuid);
+            }
+            for (const uuid of superseded) {
+                tx.objectStore('quarantine').delete(uuid);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * 隔離したレコードを完全に削除し、削除の記録を残す
+     */
+    async deleteFromQuarantine(uuids) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['quarantine', 'tombstones', 'attachments'], 'readwrite');
+            const deletedAt = new Date().toISOString();
+            for (const uuid of uuids) {
+                tx.objectStore('quarantine').delete(uuid);
+                tx.objectStore('tombstones').put({ uuid, deletedAt });
+                this.deleteAttachmentsOf(tx.objectStore('attachments'), uuid);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * 添付ファイルを保存
+     * @param {Object} record - { uuid, entryUuid, ...暗号化エンベロープ }
+     */
+    async addAttachment(record) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readwrite');
+            const request = tx.objectStore('attachments').add(record);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAttachment(uuid) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readonly');
+            const request = tx.objectStore('attachments').get(uuid);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async getAllAttachments() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readonly');
+            const request = tx.objectStore('attachments').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * エントリの添付ファイルの本体
+     */
+    async getAttachmentsOf(entryUuid) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readonly');
+            const request = tx.objectStore('attachments').index('entryUuid').getAll(entryUuid);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * 添付ファイルのuuidと添付先エントリのuuid（本体は読み込まない）
+     * @returns {Promise<Array<{uuid: string, entryUuid: string}>>}
+     */
+    async getAttachmentRefs() {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readonly');
+            const refs = [];
+            const request = tx.objectStore('attachments').index('entryUuid').openKeyCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(refs);
+                refs.push({ uuid: cursor.primaryKey, entryUuid: cursor.key });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * 添付ファイルをまとめて保存（インポート・同期用。同じuuidは上書き）
+     */
+    async putAttachments(records) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readwrite');
+            for (const record of records) {
+                tx.objectStore('attachments').put(record);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    async deleteAttachments(uuids) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('attachments', 'readwrite');
+            for (const uuid of uuids) {
+                tx.objectStore('attachments').delete(uuid);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * エントリの添付ファイルを削除（呼び出し元のトランザクション内で実行）
+     */
+    deleteAttachmentsOf(store, entryUuid) {
+        store.index('entryUuid').openKeyCursor(IDBKeyRange.only(entryUuid)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    },
+
+    /**
+     * エクスポート・同期データのゴミ箱と削除記録を取り込む
+     * 手元にある同じエントリはゴミ箱へ移動・削除する（削除を優先）
+     * @returns {Promise<number>} 手元のパスワードから取り除いた件数
+     */
+    async applyDeletions({ trash = [], tombstones = [] }) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['passwords', 'trash', 'tombstones', 'attachments'], 'readwrite');
+            const passwordStore = tx.objectStore('passwords');
+            const trashStore = tx.objectStore('trash');
+            const tombstoneStore = tx.objectStore('tombstones');
+            const deletedUuids = new Set(tombstones.map(t => t.uuid));
+            let removed = 0;
+
+            const removeLocal = (uuid) => {
+                const keyRequest = passwordStore.index('uuid').getKey(uuid);
+                keyRequest.onsuccess = () => {
+                    if (keyRequest.result === undefined) return;
+                    passwordStore.delete(keyRequest.result);
+                    removed++;
+                };
+            };
+
+            for (const record of trash) {
+                if (deletedUuids.has(record.uuid)) continue;
+                removeLocal(record.uuid);
+                // ゴミ箱に同じエントリがあれば既存として扱い、後から削除した方を残す
+                const trashRequest = trashStore.get(record.uuid);
+                trashRequest.onsuccess = () => {
+                    const local = trashRequest.result;
+                    if (!local || new Date(record.deletedAt) > new Date(local.deletedAt)) trashStore.put(record);
+                };
+            }
+            for (const tombstone of tombstones) {
+                removeLocal(tombstone.uuid);
+                trashStore.delete(tombstone.uuid);
+                tombstoneStore.put(tombstone);
+                this.deleteAttachmentsOf(tx.objectStore('attachments'), tombstone.uuid);
+            }
+
+            tx.oncomplete = () => resolve(removed);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * 暗号化データと設定を1つのトランザクションで置き換える
+     * 鍵の再導出時に使用。途中で失敗した場合は何も書き込まれない。
+     * @param {Array<Object>} records - idを含む暗号化済みレコード
+     * @param {Object} settings - 更新する設定 { key: value }
+     * @param {Array<string>} removeKeys - 削除する設定キー
+     */
+    async rekey(records, settings, removeKeys = []) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['passwords', 'settings'], 'readwrite');
+            const passwordStore = tx.objectStore('passwords');
+            const settingsStore = tx.objectStore('settings');
+
+            for (const record of records) {
+                passwordStore.put(record);
+            }
+            for (const [key, value] of Object.entries(settings)) {
+                settingsStore.put({ key, value });
+            }
+            for (const key of removeKeys) {
+                settingsStore.delete(key);
+            }
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+        });
+    },
+
     /**
      * データをエクスポート（JSON形式）
+     * @param {Object} [options]
+     * @param {boolean} [options.attachments=true] - 添付ファイルを含める（同期では別ファイルで送るため含めない）
      */
-    async exportData() {
+    async exportData({ attachments = true } = {}) {
         const passwords = await this.getAllPasswords();
-        const masterHash = await this.getSetting('masterHash');
-        const masterSalt = await this.getSetting('masterSalt');
-        const encryptionSalt = await this.getSetting('encryptionSalt');
-
-        return JSON.stringify({
+        const data = {
             version: 1,
-            exportDate: new Date().toISOString(),
-            masterHash,
-            masterSalt,
-            encryptionSalt,
-            passwords
-        }, null, 2);
+            exportDate: new Date().toISOString()
+        };
+
+        for (const key of this.VAULT_SETTING_KEYS) {
+            data[key] = await this.getSetting(key);
+        }
+        // 隔離中のレコードも元の形で含め、この端末で読めないだけのデータを同期で失わないようにする
+        const quarantined = (await this.getQuarantine()).map(({ id, quarantine, ...record }) => record);
+        data.passwords = [...passwords, ...quarantined];
+        data.trash = await this.getTrash();
+        data.tombstones = await this.getTombstones();
+        if (attachments) {
+            data.attachments = await this.getAllAttachments();
+        }
+
+        return JSON.stringify(data, null, 2);
+    },
+
+    /**
+     * エクスポートデータからVaultの鍵情報を復元
+     */
+    async restoreVaultSettings(data) {
+        for (const key of [...this.VAULT_SETTING_KEYS, ...this.LEGACY_SETTING_KEYS]) {
+            if (data[key]) await this.saveSetting(key, data[key]);
+        }
+        // 端末に登録したパスキーは復元前のデータ鍵をラップしているため無効になる
+        for (const key of this.DEVICE_SETTING_KEYS) {
+            await this.deleteSetting(key);
+        }
+    },
+
+    /**
+     * Vaultの鍵情報と、それに結びついた端末の設定だけを削除（自動ロックなど他の端末設定は残す）
+     */
+    async clearVaultSettings() {
+        for (const key of [...this.VAULT_SETTING_KEYS, ...this.LEGACY_SETTING_KEYS, ...this.DEVICE_SETTING_KEYS]) {
+            await this.deleteSetting(key);
+        }
     },
 
     /**
@@ -163,26 +753,29 @@ const Storage = {
         }
 
         // 設定を復元
-        if (data.masterHash) await this.saveSetting('masterHash', data.masterHash);
-        if (data.masterSalt) await this.saveSetting('masterSalt', data.masterSalt);
-        if (data.encryptionSalt) await this.saveSetting('encryptionSalt', data.encryptionSalt);
+        await this.restoreVaultSettings(data);
 
-        // パスワードを復元
+        // パスワードを復元（鍵がないため新旧を比べられず、同じuuidのエントリがあれば既存を残す）
         for (const pw of data.passwords) {
-            await this.addPassword(pw);
+            await this.importPassword(pw);
         }
+        await this.putAttachments(data.attachments || []);
+        await this.applyDeletions(data);
 
         return data.passwords.length;
     },
 
     /**
      * 全データを削除
+     * @param {Array<string>} [keep] - 残すストア（同期のPullで端末側の隔離データや添付ファイルを残す）
      */
-    async clearAll() {
+    async clearAll(keep = []) {
+        const stores = ['passwords', 'trash', 'tombstones', 'quarantine', 'attachments', 'settings']
+            .filter(name => !keep.includes(name));
+
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(['passwords', 'settings'], 'readwrite');
-            tx.objectStore('passwords').clear();
-            tx.objectStore('settings').clear();
+            const tx = this.db.transaction(stores, 'readwrite');
+            stores.forEach(name => tx.objectStore(name).clear());
             tx.oncomplete = () => resolve();
             tx.onerror = () => reject(tx.error);
         });
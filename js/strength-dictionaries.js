@@ -0,0 +1,2066 @@
+/**
+ * パスワード強度の推定（StrengthEstimator）に使う辞書（オフラインで使えるよう同梱）
+ * zxcvbn（Copyright (c) 2012-2016 Dan Wheeler and Dropbox, Inc. / MIT License）の頻度リストから上位を抜粋している。
+ * 各リストは頻出順で、先頭ほど推測されやすい。
+ */
+
+const StrengthDictionaries = {
+    // 流出したパスワードの頻出順（上位10000件）
+    passwords: `
+        123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon 123123 baseball abc123
+        football monkey letmein shadow master 696969 mustang 666666 qwertyuiop 123321 1234567890 pussy
+        superman 654321 1qaz2wsx 7777777 fuckyou qazwsx jordan 123qwe 000000 killer trustno1 hunter harley
+        zxcvbnm asdfgh buster batman soccer tigger charlie sunshine iloveyou fuckme ranger hockey computer
+        starwars asshole pepper klaster 112233 zxcvbn freedom princess maggie pass ginger 11111111 131313
+        fuck love cheese 159753 summer chelsea dallas biteme matrix yankees 6969 corvette austin access
+        thunder merlin secret diamond hello hammer fucker 1234qwer silver gfhjkm internet samantha golfer
+        scooter test orange cookie q1w2e3r4t5 maverick sparky phoenix mickey bigdog snoopy guitar whatever
+        chicken camaro mercedes peanut ferrari falcon cowboy welcome sexy samsung steelers smokey dakota
+        arsenal boomer eagles tigers marina nascar booboo gateway yellow porsche monster spider diablo
+        hannah bulldog junior london purple compaq lakers iceman qwer1234 hardcore cowboys money banana
+        ncc1701 boston tennis q1w2e3r4 coffee scooby 123654 nikita yamaha mother barney brandy chester
+        fuckoff oliver player forever rangers midnight chicago bigdaddy redsox angel badboy fender jasper
+        slayer rabbit natasha marine bigdick wizard marlboro raiders prince casper fishing flower jasmine
+        iwantu panties adidas winter winner gandalf password1 enter ghbdtn 1q2w3e4r golden cocacola jordan23
+        winston madison angels panther blowme sexsex bigtits spanky bitch sophie asdfasdf horny thx1138
+        toyota tiger dick canada 12344321 blowjob 8675309 muffin liverpoo apples qwerty123 passw0rd abcd1234
+        pokemon 123abc slipknot qazxsw 123456a scorpion qwaszx butter startrek rainbow asdfghjkl razz
+        newyork redskins gemini cameron qazwsxedc florida liverpool turtle sierra viking booger butthead
+        doctor rocket 159357 dolphins captain bandit jaguar packers pookie peaches 789456 asdf dolphin
+        helpme blue theman maxwell qwertyui shithead lovers maddog giants nirvana metallic hotdog rosebud
+        mountain warrior stupid elephant suckit success bond007 jackass alexis porn lucky scorpio samson
+        q1w2e3 azerty rush2112 driver freddy 1q2w3e4r5t sydney gators dexter red123 123456q 12345a bubba
+        creative voodoo golf trouble america nissan gunner garfield bullshit asdfghjk 5150 fucking apollo
+        1qazxsw2 2112 eminem legend airborne bear beavis apple brooklyn godzilla skippy 4815162342 buddy
+        qwert kitten magic shelby beaver phantom asdasd xavier braves darkness blink182 copper platinum
+        qweqwe tomcat 01012011 girls bigboy 102030 animal police online 11223344 voyager lifehack 12qwaszx
+        fish sniper 315475 trinity blazer heaven lover snowball playboy loveme bubbles hooters cricket
+        willow donkey topgun nintendo saturn destiny pakistan pumpkin digital sergey redwings explorer tits
+        private runner therock guinness lasvegas beatles 789456123 fire cassie christin qwerty1 celtic
+        asdf1234 andrey broncos 007007 babygirl eclipse fluffy cartman michigan carolina testing alexande
+        birdie pantera cherry vampire mexico dickhead buffalo genius montana beer minecraft maximus flyers
+        lovely stalker metallica doggie snickers speedy bronco lol123 paradise yankee horses magnum dreams
+        147258369 lacrosse ou812 goober enigma qwertyu scotty pimpin bollocks surfer cock poohbear genesis
+        star asd123 qweasdzxc racing hello1 hawaii eagle1 viper poopoo einstein boobies 12345q bitches
+        drowssap simple badger alaska action jester drummer 111222 spitfire forest maryjane champion diesel
+        svetlana friday hotrod 147258 chevy lucky1 westside security google badass tester shorty thumper
+        hitman mozart zaq12wsx boobs reddog 010203 lizard a123456 123456789a ruslan eagle 1232323q scarface
+        qwerty12 147852 a12345 buddha porno 420420 spirit money1 stargate qwe123 naruto mercury liberty
+        12345qwert semperfi suzuki popcorn spooky marley scotland kitty cherokee vikings simpsons rascal
+        qweasd hummer loveyou michael1 patches russia jupiter penguin passion cumshot vfhbyf honda vladimir
+        sandman passport raider bastard 123789 infinity assman bulldogs fantasy sucker 1234554321 horney
+        domino budlight disney ironman usuckballz1 softball brutus redrum bigred mnbvcxz fktrcfylh karina
+        marines digger kawasaki cougar fireman oksana monday cunt justice nigger super wildcats tinker
+        logitech dancer swordfis avalon everton alexandr motorola patriots hentai madonna pussy1 ducati
+        colorado connor juventus galore smooth freeuser warcraft boogie titanic wolverin elizabet arizona
+        valentin saints asdfg accord test123 password123 christ yfnfif stinky slut spiderma naughty chopper
+        hello123 ncc1701d extreme skyline poop zombie pearljam 123qweasd froggy awesome vision pirate fylhtq
+        dreamer bullet predator empire 123123a kirill charlie1 panthers penis skipper nemesis rasdzv3
+        peekaboo rolltide cardinal psycho danger mookie happy1 wanker chevelle manutd goblue 9379992 hobbes
+        vegeta fyfcnfcbz 852456 picard 159951 windows loverboy victory vfrcbv bambam serega 123654789 turkey
+        tweety galina hiphop rooster changeme berlin taurus suckme polina electric avatar 134679 maksim
+        raptor alpha1 hendrix newport bigcock brazil spring a1b2c3 madmax alpha britney sublime darkside
+        bigman wolfpack classic hercules ronaldo letmein1 1q2w3e 741852963 spiderman blizzard 123456789q
+        cheyenne cjkysirj tiger1 wombat bubba1 pandora zxc123 holiday wildcat devils horse alabama 147852369
+        caesar 12312 buddy1 bondage pussycat pickle shaggy catch22 leather chronic a1b2c3d4 admin qqq111
+        qaz123 airplane kodiak freepass billybob sunset katana phpbb chocolat snowman angel1 stingray
+        firebird wolves zeppelin detroit pontiac gundam panzer vagina outlaw redhead tarheels greenday
+        nastya 01011980 hardon engineer dragon1 hellfire serenity cobra fireball lickme darkstar 1029384756
+        01011 mustang1 flash 124578 strike beauty pavilion 01012000 bobafett dbrnjhbz bigmac bowling chris1
+        ytrewq natali pyramid rulez welcome1 dodgers apache swimming whynot teens trooper fuckit defender
+        precious 135790 packard weasel popeye lucifer cancer icecream 142536 raven swordfish presario viktor
+        rockstar blonde james1 wutang spike pimp atlanta airforce thailand casino lennon mouse 741852 hacker
+        bluebird hawkeye 456123 theone catfish sailor goldfish nfnmzyf tattoo pervert barbie maxima nipples
+        machine trucks wrangler rocks tornado lights cadillac bubble pegasus madman longhorn browns target
+        666999 eatme qazwsx123 microsoft dilbert christia baller lesbian shooter xfiles seattle qazqaz
+        cthutq amateur prelude corona freaky malibu 123qweasdzxc assassin 246810 atlantis integra pussies
+        iloveu lonewolf dragons monkey1 unicorn software bobcat stealth peewee openup 753951 srinivas zaqwsx
+        valentina shotgun trigger veronika bruins coyote babydoll joker dollar lestat rocky1 hottie random
+        butterfly wordpass smiley sweety snake chipper woody samurai devildog gizmo maddie soso123aljg
+        mistress freedom1 flipper express hjvfirf moose cessna piglet polaris teacher montreal cookies
+        wolfgang scully fatboy wicked balls tickle bunny dfvgbh foobar transam pepsi fetish oicu812 basketba
+        toshiba hotstuff sunday booty gambit 31415926 impala stephani jessica1 hooker lancer knicks shamrock
+        fuckyou2 stinger 314159 redneck deftones squirt siemens blaster trucker subaru renegade ibanez
+        manson swinger reaper blondie mylove galaxy blahblah enterpri travel 1234abcd babylon5 indiana
+        skeeter master1 sugar ficken smoke bigone sweetpea fucked trfnthbyf marino escort smitty bigfoot
+        babes larisa trumpet spartan valera babylon asdfghj yankees1 bigboobs stormy mister hamlet aardvark
+        butterfl marathon paladin cavalier manchester skater indigo hornet buckeyes 01011990 indians karate
+        hesoyam toronto diamonds chiefs buckeye 1qaz2wsx3edc highland hotsex charger redman passwor maiden
+        drpepper storm pornstar garden 12345678910 pencil sherlock timber thuglife insane pizza jungle
+        jesus1 aragorn 1a2b3c hamster david1 triumph techno lollol pioneer catdog 321654 fktrctq morpheus
+        141627 pascal shadow1 hobbit wetpussy erotic consumer blabla justme stones chrissy spartak goforit
+        burger pitbull adgjmptw italia barcelona hunting colors kissme virgin overlord pebbles sundance
+        emerald doggy racecar irina element 1478963 zipper alpine basket goddess poison nipple sakura chichi
+        huskers 13579 pussys q12345 ultimate ncc1701e blackie nicola rommel matthew1 caserta omega geronimo
+        sammy1 trojan 123qwe123 philips nugget tarzan chicks aleksandr bassman trixie portugal anakin dodger
+        bomber superfly madness q1w2e3r4t5y6 loser 123asd fatcat ybrbnf soldier warlock wrinkle1 desire
+        sexual babe seminole alejandr 951753 11235813 westham andrei concrete access14 weed letmein2 ladybug
+        naked christop trombone tintin bluesky rhbcnbyf qazxswedc onelove cdtnkfyf whore vfvjxrf titans
+        stallion truck hansolo blue22 smiles beagle panama kingkong flatron inferno mongoose connect poiuyt
+        snatch qawsed juice blessed rocker snakes turbo bluemoon sex4me finger jamaica a1234567 mulder
+        beetle fuckyou1 passat immortal plastic 123454321 anthony1 whiskey dietcoke suck spunky magic1
+        monitor cactus exigen planet ripper teen spyder apple1 nolimit hollywoo sluts sticky trunks 1234321
+        14789632 pickles sailing bonehead ghbdtnbr delta charlott rubber 911911 112358 molly1 yomama
+        hongkong jumper william1 ilovesex faster unreal cumming memphis 1123581321 nylons legion sebastia
+        shalom pentium geheim werewolf funtime ferret orion curious 555666 niners cantona sprite philly
+        pirates abgrtyu lollipop eternity boeing super123 sweets cooldude tottenha green1 jackoff stocking
+        7895123 moomoo martini biscuit drizzt colt45 fossil makaveli snapper satan666 maniac salmon patriot
+        verbatim nasty shasta asdzxc shaved blackcat raistlin qwerty12345 punkrock cjkywt 01012010 4128
+        waterloo crimson twister oxford musicman seinfeld biggie condor ravens megadeth wolfman cosmos
+        sharks banshee keeper foxtrot gn56gn56 skywalke velvet black1 sesame dogs squirrel privet sunrise
+        wolverine sucks legolas grendel ghost cats carrot frosty lvbnhbq blades stardust frog qazwsxed
+        121314 coolio brownie groovy twilight daytona vanhalen pikachu peanuts licker hershey jericho
+        intrepid ninja 1234567a zaq123 lobster goblin punisher strider shogun kansas amadeus seven7 jason1
+        neptune showtime muscle oldman ekaterina rfrfirf getsome showme 111222333 obiwan skittles danni
+        tanker maestro tarheel anubis hannibal anal newlife gothic shark fighter blue123 blues 123456z
+        princes slick chaos thunder1 sabine 1q2w3e4r5t6y python test1 mirage devil clover tequila chelsea1
+        surfing delete potato chubby panasonic sandiego portland baggins fusion sooners blackdog buttons
+        californ moscow playtime mature 1a2b3c4d dagger dima stimpy asdf123 gangster warriors iverson
+        chargers byteme swallow liquid lucky7 dingdong nymets cracker mushroom 456852 crusader bigguy miami
+        dkflbvbh bugger nimrod tazman stranger newpass doodle powder gotcha guardian dublin slapshot
+        septembe 147896325 pepsi1 milano grizzly woody1 knights photos 2468 nookie charly rammstein brasil
+        123321123 scruffy munchkin poopie 123098 kittycat latino walnut 1701 thegame viper1 1passwor kolobok
+        picasso robert1 barcelon bananas trance auburn coltrane eatshit goodluck starcraft wheels parrot
+        postal blade wisdom pink gorilla katerina pass123 andrew1 shaney14 dumbass osiris fuck_inside
+        oakland discover ranger1 spanking lonestar bingo meridian ping heather1 dookie stonecol megaman
+        192837465 rjntyjr ledzep lowrider 25802580 richard1 firefly griffey racerx paradox ghjcnj gangsta
+        zaq1xsw2 tacobell weezer sirius halflife buffett shiloh 123698745 vertigo sergei aliens sobaka
+        keyboard kangaroo sinner soccer1 0.0.000 bonjour socrates chucky hotboy sprint 0007 sarah1 scarlet
+        celica shazam formula1 sommer trebor qwerasdf jeep mailcreated5240 bollox asshole1 fuckface honda1
+        rebels vacation lexmark penguins 12369874 ragnarok formula 258456 tempest vfhecz tacoma qwertz
+        colombia flames rockon duck prodigy wookie dodgeram mustangs 123qaz sithlord smoker server bang
+        incubus scoobydo oblivion molson kitkat titleist rescue zxcv1234 carpet 1122 bigballs tardis jimbob
+        xanadu blueeyes shaman mersedes pooper pussy69 golfing hearts mallard 12312312 kenwood patrick1 dogg
+        cowboys1 oracle 123zxc nuttertools 102938 topper 1122334455 shemale sleepy gremlin yourmom 123987
+        gateway1 printer monkeys peterpan mikey kingston cooler analsex jimbo pa55word asterix freckles
+        birdman frank1 defiant aussie stud blondes tatyana 445566 aspirine mariners jackal deadhead katrin
+        anime rootbeer frogger polo scooter1 hallo noodles thomas1 parola shaolin celine 11112222 plymouth
+        creampie justdoit ohyeah fatass assfuck amazon 1234567q kisses magnus camel nopass bosco 987456
+        6751520 harley1 putter champs massive spidey lightnin camelot letsgo gizmodo aezakmi bones caliente
+        12121 goodtime thankyou raiders1 brucelee redalert aquarius 456654 catherin smokin pooh mypass
+        astros roller porkchop sapphire qwert123 kevin1 a1s2d3f4 beckham atomic rusty1 vanilla qazwsxedcrfv
+        hunter1 kaktus cxfcnmt blacky 753159 elvis1 aggies blackjac bangkok scream 123321q iforgot power1
+        kasper abc12 buster1 slappy shitty veritas chevrole amber1 01012001 vader amsterdam jammer primus
+        spectrum eduard granny horny1 sasha1 clancy usa123 satan diamond1 hitler avenger 1221 spankme
+        123456qwerty simba smudge scrappy labrador john316 syracuse front242 falcons husker candyman
+        commando gator pacman delta1 pancho krishna fatman clitoris pineappl lesbians 8j4ye3uz barkley
+        vulcan punkin boner celtics monopoly flyboy romashka hamburg 123456aa lick gangbang 223344 area51
+        spartans aaa111 tricky snuggles drago homerun vectra homer1 hermes topcat cuddles infiniti
+        1234567890q cosworth goose phoenix1 killer1 ivanov bossman qawsedrf peugeot exigent doberman durango
+        brandon1 plumber telefon horndog laguna rbhbkk dawg webmaster breeze beast porsche9 beefcake leopard
+        redbull oscar1 topdog godsmack theking pics omega1 speaker viktoria fuckers bowler starbuck gjkbyf
+        valhalla anarchy blacks herbie kingpin starfish nokia loveit achilles 906090 labtec ncc1701a fitness
+        jordan1 brando arsenal1 bull kicker napass desert sailboat bohica tractor hidden muppet jackson1
+        jimmy1 terminator phillies pa55w0rd terror farside swingers legacy frontier butthole doughboy jrcfyf
+        tuesday sabbath daniel1 nebraska homers qwertyuio azamat fallen agent007 striker camels iguana
+        looker pinkfloy moloko qwerty123456 dannyboy luckydog 789654 pistol whocares charmed skiing select
+        franky puppy daniil vladik vette vfrcbvrf ihateyou nevada moneys vkontakte mandingo puppies 666777
+        mystic zidane kotenok dilligaf budman bunghole zvezda 123457 triton golfball technics trojans panda
+        laptop rookie 01011991 15426378 aberdeen gustav jethro enterprise igor stripper filter hurrican
+        rfnthbyf lespaul gizmo1 butch 132435 dthjybrf 1366613 excalibu 963852 nofear momoney possum cutter
+        oilers moocow cupcake gbpltw batman1 splash svetik super1 soleil bogdan melissa1 vipers babyboy
+        tdutybq lancelot ccbill keystone passwort flamingo firefox dogman vortex rebel noodle raven1 zaphod
+        killme pokemon1 coolman danila designer skinny kamikaze deadman gopher doobie warhammer deeznuts
+        freaks engage chevy1 steve1 apollo13 poncho hammers azsxdc dracula 000007 sassy bitch1 boots deskjet
+        12332 macdaddy mighty rangers1 manchest sterlin casey1 meatball mailman sinatra cthulhu summer1
+        bubbas cartoon bicycle eatpussy truelove sentinel tolkien breast capone lickit summit 123456k peter1
+        daisy1 kitty1 123456789z crazy1 jamesbon texas1 sexygirl 362436 sonic billyboy redhot microsof
+        microlab daddy1 rockets iloveyo fernand gordon24 danie cutlass polska star69 titties pantyhos
+        01011985 thekid aikido gofish mayday 1234qwe coke anfield sony lansing smut scotch sexx catman
+        73501505 hustler saun dfkthbz passwor1 jenny1 azsxdcfv cheers irish1 gabrie tinman orioles 1225
+        charlton fortuna 01011970 airbus rustam xtreme bigmoney zxcasd retard grumpy huskies boxing 4runner
+        kelly1 ultima warlord fordf150 oranges rotten asdfjkl superstar denali sultan bikini saratoga thor
+        figaro sixers wildfire vladislav 128500 sparta mayhem greenbay chewie music1 number1 cancun fabie
+        mellon poiuytrewq cloud9 crunch bigtime chicken1 piccolo bigbird 321654987 billy1 mojo 01011981
+        maradona sandro chester1 bizkit rjirfrgbde 789123 rightnow jasmine1 hyperion treasure meatloaf
+        armani rovers jarhead 01011986 cruise coconut dragoon utopia davids cosmo rfhbyf reebok 1066 charli
+        giorgi sticks sayang pass1234 exodus anaconda zaqxsw illini woofwoof emily1 sandy1 packer poontang
+        govols jedi tomato beaner cooter creamy lionking happy123 albatros poodle kenworth dinosaur greens
+        goku happyday eeyore tsunami cabbage holyshit turkey50 memorex chaser bogart orgasm tommy1 volley
+        whisper knopka ericsson walleye 321123 pepper1 katie1 chickens tyler1 corrado twisted 100000 zorro
+        clemson zxcasdqwe tootsie milana zenith fktrcfylhf shania frisco polniypizdec0211 crazybab junebug
+        fugazi rereirf vfvekz 1001 sausage vfczyz koshka clapton justin1 anhyeuem condom fubar hardrock
+        skywalker tundra cocks gringo 150781 canon vitalik aspire stocks samsung1 applepie abc12345 arjay
+        gandalf1 boob pillow sparkle gmoney rockhard lucky13 samiam everest hellyeah bigsexy skorpion rfrnec
+        hedgehog australi candle slacker dicks voyeur jazzman america1 bobby1 br0d3r wolfie vfksirf
+        1qa2ws3ed 13243546 fright yosemite temp karolina fart barsik surf cheetah baddog deniska starship
+        bootie milena hithere kume greatone dildo 50cent 0.0.0.000 albion amanda1 midget lion maxell
+        football1 cyclone freeporn nikola bonsai kenshin slider balloon roadkill killbill 222333 jerkoff
+        78945612 dinamo tekken rambler goliath cinnamon malaka backdoor fiesta packers1 rastaman fletch
+        sojdlg123aljg stefano artemis calico nyjets damnit robotech duchess rctybz hooter keywest 18436572
+        hal9000 mechanic pingpong operator presto sword rasputin spank bristol faggot shado 963852741
+        amsterda 321456 wibble carrera alibaba majestic ramses duster route66 trident clipper steeler
+        wrestlin divine kipper gotohell kingfish snake1 passwords buttman pompey viagra zxcvbnm1 spurs
+        332211 slutty lineage2 oleg macross pooter brian1 qwert1 charles1 slave jokers yzerman swimmer
+        ne1469 nwo4life solnce seamus lolipop pupsik moose1 ivanova secret1 matador love69 420247 ktyjxrf
+        subway cinder vermont pussie chico florian magick guiness allsop ghetto flash1 a123456789 typhoon
+        dfkthf depeche skydive dammit seeker fuckthis crysis kcj9wx5n umbrella r2d2c3po 123123q snoopdog
+        critter theboss ding 162534 splinter kinky cyclops jayhawk 456321 caramel qwer123 underdog caveman
+        onlyme grapes feather hotshot fuckher renault george1 sex123 pippen 000001 789987 floppy cunts
+        megapass 1000 pornos usmc kickass great1 quattro 135246 wassup helloo p0015123 nicole1 chivas
+        shannon1 bullseye java fishes blackhaw jamesbond tunafish juggalo dkflbckfd 123789456 dallas1
+        translator 122333 beanie alucard gfhjkm123 supersta magicman ashley1 cohiba xbox360 caligula
+        12131415 facial 7753191 dfktynbyf cobra1 cigars fang klingon bob123 safari looser 10203 deepthroat
+        malina 200000 tazmania gonzo goalie jacob1 monaco cruiser misfit vh5150 tommyboy marino13 yousuck
+        sharky vfhufhbnf horizon absolut brighton 123456r death1 kungfu maxx forfun mamapapa enter1 budweise
+        banker getmoney kostya qazwsx12 bigbear vector fallout nudist gunners royals chainsaw scania trader
+        blueboy walrus eastside kahuna qwerty1234 love123 steph 01011989 cypress champ undertaker ybrjkfq
+        europa snowboar sabres moneyman chrisbln minime nipper groucho whitey viewsonic penthous wolf359
+        fabric flounder coolguy whitesox passme smegma skidoo thanatos fucku2 snapple dalejr mondeo thesims
+        mybaby panasoni sinbad thecat topher frodo sneakers q123456 z1x2c3 alfa chicago1 taylor1 ghjcnjnfr
+        cat123 olivier cyber titanium 0420 madison1 jabroni dang hambone intruder holly1 gargoyle sadie1
+        static poseidon studly newcastl sexxxx poppy johannes danzig beastie musica buckshot sunnyday adonis
+        bluedog bonkers 2128506 chrono compute spawn 01011988 turbo1 smelly wapbbs goldstar ferrari1 778899
+        quantum pisces boomboom gunnar 1024 test1234 florida1 nike superman1 multiplelo custom motherlode
+        1qwerty westwood usnavy apple123 daewoo korn stereo sasuke sunflowe watcher dharma 555777 mouse1
+        assholes babyblue 123qwerty marius walmart snoop starfire tigger1 paintbal knickers aaliyah
+        lokomotiv theend winston1 sapper rover erotica scanner racer zeus sexy69 doogie bayern joshua1
+        newbie scott1 losers droopy outkast martin1 dodge1 wasser ufkbyf rjycnfynby thirteen 12345z 112211
+        hotred deejay hotpussy 192837 jessic philippe scout panther1 cubbies havefun magpie fghtkm avalanch
+        newyork1 pudding leonid harry1 cbr600 audia4 bimmer fucku 01011984 idontknow vfvfgfgf 1357 aleksey
+        builder 01011987 zerocool godfather mylife donuts allmine redfish 777888 sascha nitram bounce 333666
+        smokes 1x2zkg8w rodman stunner zxasqw12 hoosier hairy beretta insert 123456s rtyuehe francesc tights
+        cheese1 micron quartz hockey1 gegcbr searay jewels bogey paintball celeron padres bing syncmaster
+        ziggy simon1 beaches prissy diehard orange1 mittens aleksandra queens 02071986 biggles thongs
+        southpark artur twinkle gretzky rabota cambiami monalisa gollum chuckles spike1 gladiator whisky
+        spongebob sexy1 03082006 mazafaka meathead 4121 ou8122 barefoot 12345678q cfitymrf bigass a1s2d3
+        kosmos blessing titty clevelan terrapin ginger1 johnboy maggot clarinet deeznutz 336699 stumpy
+        stoney footbal traveler volvo bucket snapon pianoman hawkeyes futbol casanova tango goodboy scuba
+        honey1 sexyman warthog mustard abc1234 nickel 10203040 meowmeow 1012 boricua prophet sauron 12qwas
+        reefer andromeda crystal1 joker1 90210 goofy loco lovesex triangle whatsup mellow bengals monster1
+        maste 01011910 lover1 love1 123aaa sunshin smeghead hokies sting welder rambo cerberus bunny1
+        rockford monke 1q2w3e4r5 goldwing gabriell buzzard crjhgbjy james007 rainman groove tiberius purdue
+        nokia6300 hayabusa shou jagger diver zigzag poochie usarmy phish redwood redwing 12345679 salamander
+        silver1 abcd123 sputnik boobie ripple eternal 12qw34er thegreat allstar slinky gesperrt mishka
+        whiskers pinhead overkill sweet1 rhfcjnrf montgom240 sersolution jamie1 starman proxy swords nikolay
+        bacardi rasta badgirl rebecca1 wildman penny1 spaceman 1007 10101 logan1 hacked bulldog1 helmet
+        windsor buffy1 runescape trapper 123451 banane dbrnjh ripken 12345qwe frisky shun fester oasis
+        lightning ib6ub9 cicero kool pony thedog 784512 01011992 megatron illusion edward1 napster 11223
+        squash roadking woohoo 19411945 hoosiers 01091989 tracker bagira midway leavemealone br549 14725836
+        235689 menace rachel1 feng laser stoned realmadrid 787898 balloons tinkerbell 5551212 maria1 pobeda
+        heineken sonics moonlight optimus comet orchid 02071982 jaybird kashmir 12345678a chuang chunky
+        peach mortgage rulezzz saleen chuckie zippy fishing1 gsxr750 doghouse maxim reader shai buddah
+        benfica chou salomon meister eraser blackbir bigmike starter pissing angus deluxe eagles1 hardcock
+        135792468 mian seahawks godfathe bookworm gregor intel talisman blackjack babyface hawaiian dogfood
+        zhong 01011975 sancho ludmila medusa mortimer 123456654321 roadrunn just4me stalin 01011993 handyman
+        alphabet pizzas calgary clouds password2 cgfhnfr f**k cubswin gong lexus max123 xxx123 digital1
+        gfhjkm1 7779311 missy1 michae beautifu gator1 1005 pacers buddie chinook heckfy dutchess sally1
+        breasts beowulf darkman jenn tiffany1 zhei quan qazwsx1 satana shang idontkno smiths puddin nasty1
+        teddybea valkyrie passwd chao boxster killers yoda cheater inuyasha beast1 wareagle foryou
+        dragonball mermaid bhbirf teddy1 dolphin1 misty1 delphi gromit sponge qazzaq fytxrf gameover diao
+        sergi beamer beemer kittykat rancid manowar adam12 diggler assword austin1 wishbone gonavy sparky1
+        fisting thedude sinister 1213 venera novell salsero jayden fuckoff1 linda1 vedder 02021987 1pussy
+        redline lust jktymrf 02011985 dfcbkbq dragon12 chrome gamecube titten cong bella1 leng 02081988
+        eureka bitchass 147369 banner lakota 123321a mustafa preacher hotbox 02041986 z1x2c3v4 playstation
+        01011977 claymore electra checkers zheng qing armagedon 02051986 wrestle svoboda bulls nimbus alenka
+        madina newpass6 onetime aa123456 bartman 02091987 silverad electron 12345t devil666 oliver1 skylar
+        rhtdtlrj gobucks johann 12011987 milkman 02101985 camper thunderb bigbutt jammin davide cheeks
+        goaway lighter claudi thumbs pissoff ghostrider cocaine teng squall lotus hootie blackout doitnow
+        subzero 02031986 marine1 02021988 pothead 123456qw skate 1369 peng antoni neng miao bcfields 1492
+        marika 794613 musashi tulips nong piao chai ruan southpar 02061985 nude mandarin 654123 ninjas
+        cannabis jetski xerxes zhuang kleopatra dickie bilbo pinky morgan1 1020 1017 dieter baseball1
+        tottenham quest yfnfkmz dirtbike 1234567890a mango jackson5 ipswich iamgod 02011987 tdutybz modena
+        qiao slippery qweasd123 bluefish samtron toon 111333 iscool 02091986 petrov fuzzy zhou 1357924680
+        mollydog deng 02021986 1236987 pheonix zhun ghblehjr othello starcraf 000111 sanfran a11111 cameltoe
+        badman vasilisa jiang 1qaz2ws luan sveta 12qw12 akira chuai 369963 cheech beatle pickup paloma
+        01011983 caravan elizaveta gawker banzai pussey mullet seng bingo1 bearcat flexible farscape
+        borussia zhuai templar guitar1 toolman yfcntymrf chloe1 xiang slave1 guai nuggets 02081984 mantis
+        slim scorpio1 fyutkbyf thedoors 02081987 02061986 123qq123 zappa fergie 7ugd5hip2j huai asdfzxcv
+        sunflower pussyman deadpool bigtit 01011982 love12 lassie skyler gatorade carpedie jockey mancity
+        spectre 02021984 cameron1 artemka reng 02031984 iomega jing moritz spice rhino spinner heater zhai
+        hover talon grease qiong corleone ltybcrf tian cowboy1 hippie chimera ting alex123 02021985 mickey1
+        corsair sonoma aaron1 xxxpass bacchus webmaste chuo xyz123 chrysler spurs1 artem shei cosmic
+        01020304 deutsch gabriel1 123455 oceans 987456321 binladen latinas a12345678 speedo buttercu
+        02081989 21031988 merlot millwall ceng kotaku jiong dragonba 2580 stonecold snuffy 01011999 02011986
+        hellos blaze maggie1 slapper istanbul bonjovi babylove mazda bullfrog phoeni meng porsche1 nomore
+        02061989 bobdylan capslock orion1 zaraza teddybear ntktajy myname rong wraith mets niao 02041984
+        smokie chevrolet dialog gfhjkmgfhjkm dotcom vadim monarch athlon mikey1 hamish pian liang coolness
+        chui thoma ramones ciccio chippy eddie1 house1 ning marker cougars jackpot barbados reds pdtplf
+        knockers cobalt amateurs dipshit napoli kilroy pulsar jayhawks daemon alexey weng shuang 9293709b13
+        shiner eldorado soulmate mclaren golfer1 andromed duan 50spanks sexyboy dogshit 02021983 shuo
+        kakashka syzygy 111111a yeahbaby qiang netscape fulham 120676 gooner zhui rainbow6 laurent dog123
+        halifax freeway carlitos 147963 eastwood microphone monkey12 1123 persik coldbeer geng nuan danny1
+        fgtkmcby entropy gadget just4fun sophi baggio carlito 1234567891 02021989 02041983 specialk piramida
+        suan bigblue salasana hopeful mephisto bailey1 hack annie1 generic violetta spencer1 arcadia
+        02051983 hondas 9562876 trainer jones1 smashing liao 159632 iceberg rebel1 snooker temp123 zang
+        matteo fastball q2w3e4r5 bamboo fuckyo shutup astro buddyboy nikitos redbird maxxxx shitface
+        02031987 kuai kissmyass sahara radiohea 1234asdf wildcard maxwell1 patric plasma heynow bruno1 shao
+        bigfish misfits sassy1 sheng 02011988 02081986 testpass nanook cygnus licking slavik pringles xing
+        1022 ninja1 submit dundee tiburon pinkfloyd yummy shuai guang chopin obelix insomnia stroker
+        1a2s3d4f 1223 playboy1 lazarus jorda spider1 homerj sleeper 02041982 darklord cang 02041988 02041987
+        tripod magician jelly telephon 15975 vsjasnel12 pasword iverson3 pavlov homeboy gamecock amigo
+        brodie budapest yjdsqgfhjkm reckless 02011980 pang tiger123 2469 mason1 orient 01011979 zong cdtnbr
+        maksimka 1011 bushido taxman giorgio sphinx kazantip 02101984 concorde verizon lovebug georg sam123
+        seadoo qazwsxedc123 jiao jezebel pharmacy abnormal jellybea maxime puffy islander bunnies jiggaman
+        drakon 010180 pluto zhjckfd 12365 classics crusher mordor hooligan strawberry 02081985 scrabble
+        hawaii50 1224 wg8e3wjf cthtuf premium arrow 123456qwe mazda626 ramrod tootie rhjrjlbk ghost1 1211
+        bounty niang 02071984 goat killer12 sweetnes porno1 masamune 426hemi corolla mariposa hjccbz
+        doomsday bummer blue12 zhao bird33 excalibur samsun kirsty buttfuck kfhbcf zhuo marcello ozzy
+        02021982 dynamite 655321 master12 123465 lollypop stepan 1qa2ws spiker goirish callum michael2
+        moonbeam attila henry1 lindros andrea1 sporty lantern 12365478 nextel violin volcom 998877 water1
+        imation inspiron dynamo citadel placebo clowns tiao 02061988 tripper dabears haggis merlin1 02031985
+        anthrax amerika iloveme vsegda burrito bombers snowboard forsaken katarina a1a2a3 woofer tigger2
+        fullmoon tiger2 spock hannah1 snoopy1 sexxxy sausages stanislav cobain robotics exotic green123
+        mobydick senators pumpkins fergus asddsa 147741 258852 windsurf reddevil vfitymrf nevermind nang
+        woodland 4417 mick shui q1q2q3 wingman 69696 superb zuan ganesh pecker zephyr anastasiya icu812
+        larry1 02081982 broker zalupa mihail vfibyf dogger 7007 paddle varvara schalke 1z2x3c presiden
+        yankees2 tuning poopy 02051982 concord vanguard stiffy rjhjktdf felix1 wrench firewall boxer bubba69
+        popper 02011984 temppass gobears cuan tipper fuckme1 kamila thong puss bigcat drummer1 02031982
+        sowhat digimon tigers1 rang jingle bian uranus soprano mandy1 dusty1 fandango aloha pumpkin1 postman
+        02061980 dogcat bombay pussy123 onetwo highheel pippo julie1 laura1 pepito beng smokey1 stylus
+        stratus reload duckie karen1 jimbo1 225588 369258 krusty snappy asdf12 electro 111qqq kuang fishin
+        clit abstr christma qqqqq1 1234560 carnage guyver boxers kittens zeng 1000000 qwerty11 toaster
+        cramps yugioh 02061987 icehouse zxcvbnm123 pineapple namaste harrypotter mygirl falcon1 earnhard
+        fender1 spikes nutmeg 01081989 dogboy 02091983 369852 softail mypassword prowler bigboss 1112
+        harvest heng jubilee killjoy basset keng zaqxswcde redsox1 biao titan misfit99 robot wifey kidrock
+        02101987 gameboy enrico 1z2x3c4v broncos1 arrows havana banger cookie1 chriss 123qw platypus cindy1
+        lumber pinball foxy london1 1023 05051987 02041985 password12 superma longbow radiohead nigga
+        12051988 spongebo qwert12345 abrakadabra dodgers1 02101989 chillin niceguy pistons hookup santafe
+        bigben jets 1013 vikings1 mankind viktoriya beardog hammer1 02071980 reddwarf magelan longjohn
+        jennife gilles carmex2 02071987 stasik bumper doofus slamdunk pixies garion steffi alessandro
+        beerman niceass warrior1 honolulu 134679852 visa johndeer mother1 windmill boozer oatmeal aptiva
+        busty delight tasty slick1 bergkamp badgers guitars puffin 02091981 nikki1 irishman miller1 zildjian
+        123000 airwolf magnet anai install 02041981 02061983 astra romans megan1 mudvayne freebird muscles
+        dogbert 02091980 02091984 snowflak 01011900 mang joseph1 nygiants playstat junior1 vjcrdf qwer12
+        webhompas giraffe pelican jefferso comanche bruiser monkeybo kjkszpj 123456l micro albany 02051987
+        angel123 epsilon aladin death666 hounddog josephin altima chilly 02071988 78945 ultra 02041979
+        gasman thisisit pavel idunno kimmie 05051985 paulie ballin medion moondog manolo pallmall climber
+        fishbone genesis1 153624 toffee tbone clippers krypton jerry1 picturs compass 111111q 02051988 1121
+        02081977 sairam getout 333777 cobras 22041987 bigblock severin booster norwich whiteout ctrhtn
+        123456m 02061984 hewlett shocker fuckinside 02031981 chase1 white1 versace 123456789s basebal
+        iloveyou2 bluebell 08031986 anthon stubby foreve undertak werder saiyan mama123 medic chipmunk
+        mike123 mazdarx7 qwe123qwe bowwow kjrjvjnbd celeb choochoo demo lovelife 02051984 colnago lithium
+        02051989 15051981 zzzxxx welcom anastasi fidelio franc 26061987 roadster stone55 drifter hookem
+        hellboy 1234qw cbr900rr sinned good123654 storm1 gypsy zebra zachary1 toejam buceta 02021979
+        testing1 redfox lineage mike1 highbury koroleva nathan1 washingt 02061982 02091985 vintage redbaron
+        dalshe mykids 11051987 macbeth julien james123 krasotka 111000 10011986 987123 pipeline tatarin
+        sensei codered komodo frogman 7894561230 nascar24 juicy 01031988 redrose mydick pigeon tkbpfdtnf
+        smirnoff 1215 spam winner1 flyfish moskva 81fukkc 21031987 olesya starligh summer99 13041988
+        fishhead freesex super12 06061986 azazel scoobydoo 02021981 cabron yogibear sheba1 konstantin tranny
+        chilli terminat ghbywtccf slowhand soccer12 cricket1 fuckhead 1002 seagull achtung blam bigbob bdsm
+        nostromo survivor cnfybckfd lemonade boomer1 rainbow1 rober irinka cocksuck peaches1 itsme sugar1
+        zodiac upyours dinara 135791 sunny1 chiara johnson1 02041989 solitude habibi sushi markiz smoke1
+        rockies catwoman johnny1 qwerty7 bearcats username 01011978 wanderer ohshit 02101986 sigma stephen1
+        paradigm 02011989 flanker sanity jsbach spotty bologna fantasia chevys borabora cocker 74108520
+        123ewq 12021988 01061990 gtnhjdbx 02071981 01011960 sundevil 3000gt mustang6 gagging maggi armstron
+        yfnfkb 13041987 revolver 02021976 trouble1 madcat jeremy1 jackass1 volkswag 30051985 corndog
+        pool6123 marines1 03041991 pizza1 piggy sissy 02031979 sunfire angelus undead 24061986 14061991
+        wildbill shinobi 45m2do5bs 123qwer 21011989 cleopatr lasvega hornets amorcit 11081989 coventry
+        nirvana1 destin sidekick 20061988 02081983 gbhfvblf sneaky bmw325 22021989 nfytxrf sekret kalina
+        zanzibar hotone qazws wasabi heidi1 highlander blues1 hitachi paolo 23041987 slayer1 simba1 02011981
+        tinkerbe kieran 01121986 172839 boiler 1125 bluesman waffle asdfgh01 threesom conan 1102 reflex
+        18011987 nautilus everlast fatty vader1 01071986 cyborg ghbdtn123 birddog rubble 02071983 suckers
+        02021973 skyhawk 12qw12qw dakota1 joebob nokia6233 woodie longdong lamer troll ghjcnjgfhjkm 420000
+        boating nitro armada messiah 1031 penguin1 02091989 americ 02071989 redeye asdqwe123 07071987 monty1
+        goten spikey sonata 635241 tokiohotel sonyericsson citroen compaq1 1812 umpire belmont jonny
+        pantera1 nudes palmtree 14111986 fenway bighead razor gryphon andyod22 aaaaa1 taco 10031988 enterme
+        malachi dogface reptile 01041985 dindom handball marseille candy1 19101987 torino tigge matthias
+        viewsoni 13031987 stinker evangelion 24011985 123456123 rampage sandrine 02081980 thecrow astral
+        28041987 sprinter private1 seabee shibby 02101988 25081988 fearless junkie 01091987 aramis antelope
+        draven fuck1 mazda6 eggman 02021990 barselona buddy123 19061987 fyfnjkbq nancy1 12121990 10071987
+        sluggo kille hotties irishka zxcasdqwe123 shamus fairlane honeybee soccer10 13061986 fantomas
+        17051988 10051987 20111986 gladiato karachi gambler gordo 01011995 biatch matthe 25800852 papito
+        excite buffalo1 bobdole cheshire player1 28021992 thewho 10101986 pinky1 mentor tomahawk brown1
+        03041986 bismillah bigpoppa ijrjkfl 01121988 runaway 08121986 skibum studman helper squeak holycow
+        manfred harlem glock gideon 987321 14021985 yellow1 wizard1 margarit success1 medved sf49ers lambda
+        pasadena johngalt quasar 1776 02031980 coldplay amand playa bigpimp 04041991 capricorn elefant
+        sweetness bruce1 luca dominik 10011990 biker 09051945 datsun elcamino trinitro malice audi voyager1
+        02101983 joe123 carpente spartan1 mario1 glamour diaper 12121985 22011988 winter1 asimov callisto
+        nikolai pebble 02101981 vendetta david123 boytoy 11061985 02031989 iloveyou1 stupid1 cayman casper1
+        zippo yamahar1 wildwood foxylady calibra 02041980 27061988 dungeon leedsutd 30041986 11051990
+        bestbuy antares dominion 24680 01061986 skillet enforcer derparol 01041988 196969 29071983 f00tball
+        purple1 mingus 25031987 21031990 remingto giggles klaste 3x7pxr 01011994 coolcat 29051989 megane
+        20031987 02051980 04041988 synergy 0000007 macman iforget adgjmp vjqgfhjkm 28011987 rfvfcenhf
+        16051989 25121987 16051987 rogue mamamia 08051990 20091991 1210 carnival bolitas paris1 dmitriy
+        dimas 05051989 papillon knuckles 29011985 hola tophat 28021990 100500 cutiepie devo 415263 ducks
+        ghjuhfvvf asdqwe 22021986 freefall parol 02011983 zarina buste vitamin warez bigones 17061988
+        baritone jamess twiggy mischief bitchy hetfield 1003 dontknow grinch sasha_007 18061990 12031985
+        12031987 calimero 224466 letmei 15011987 acmilan alexandre 02031977 08081988 whiteboy 21051991
+        barney1 02071978 money123 18091985 bigdawg 02031988 cygnusx1 zoloto 31011987 firefigh blowfish
+        screamer lfybbk 20051988 chelse 11121986 01031989 harddick sexylady 30031988 02041974 auditt pizdec
+        kojak kfgjxrf 20091988 123456ru wp2003wp 1204 15051990 slugger kordell1 03031986 swinging 01011974
+        02071979 rockie dimples 1234123 1dragon trucking rusty2 roger1 marijuana kerouac 02051978 08031985
+        paco thecure keepout kernel noname123 13121985 francisc bozo 02011982 22071986 02101979 obsidian
+        12345qw spud tabasco 02051985 jaguars dfktynby kokomo popova notused sevens 4200 magneto 02051976
+        roswell 15101986 21101986 lakeside bigbang aspen little1 14021986 loki suckmydick strawber carlos1
+        nokian73 dirty1 joshu 25091987 16121987 02041975 advent 17011987 slimshady whistler 10101990 stryker
+        22031984 15021985 01031985 blueball 26031988 ksusha bahamut robocop w_pass chris123 impreza prozac
+        bookie bricks 13021990 alice1 cassandr 11111q john123 4ever korova 02051973 142857 25041988 paramedi
+        eclipse1 salope 07091990 1124 darkangel 23021986 999666 nomad 02051981 smackdow 01021990 yoyoma
+        argentin moonligh 57chevy bootys hardone capricor galant spanker dkflbr 24111989 magpies krolik
+        21051988 cevthrb cheddar 22041988 bigbooty scuba1 qwedsa duffman bukkake acura johncena sexxy
+        p@ssw0rd 258369 cherries 12345s asgard leopold fuck123 mopar lalakers dogpound matrix1 crusty
+        spanner kestrel fenris universa peachy assasin lemmein eggplant hejsan canucks wendy1 doggy1 aikman
+        tupac turnip godlike fussball golden1 19283746 april1 django petrova captain1 vincent1 ratman
+        taekwondo chocha serpent perfect1 capetown vampir amore gymnast timeout nbvjatq blue32 ksenia
+        k.lvbkf nazgul budweiser clutch mariya sylveste 02051972 beaker cartman1 q11111 sexxx forever1
+        loser1 marseill magellan vehpbr sexgod jktxrf hallo123 132456 liverpool1 southpaw seneca camden
+        357159 camero tenchi johndoe 145236 roofer 741963 vlad 02041978 fktyrf zxcv123 wingnut wolfpac
+        notebook pufunga7782 brandy1 biteme1 goodgirl redhat 02031978 challeng millenium hoops maveric
+        noname angus1 gaell onion olympus sabrina1 ricard sixpack gratis gagged camaross hotgirls flasher
+        02051977 bubba123 goldfing moonshin gerrard volkov sonyfuck mandrake 258963 tracer lakers1 asians
+        susan1 money12 helmut boater diablo2 1234zxcv dogwood bubbles1 happy2 randy1 aries beach1 marcius2
+        navigator goodie hellokitty fkbyjxrf earthlink lookout jumbo opendoor stanley1 marie1 12345m
+        07071977 ashle wormix murzik 02081976 lakewood bluejays loveya commande gateway2 peppe 01011976
+        7896321 goth oreo slammer rasmus faith1 knight1 stone1 redskin ironmaiden gotmilk destiny1 dejavu
+        1master midnite timosha espresso delfin toriamos oberon ceasar markie 1a2s3d ghhh47hj7649 vjkjrj
+        daddyo dougie disco auggie lekker therock1 ou8123 start1 noway p4ssw0rd shadow12 333444 saigon
+        2fast4u capecod 23skidoo qazxcv beater bremen aaasss roadrunner peace1 12345qwer 02071975 platon
+        bordeaux vbkfirf 135798642 test12 supernov beatles1 qwert40 optimist vanessa1 prince1 ilovegod
+        nightwish natasha1 alchemy bimbo blue99 patches1 gsxr1000 richar hattrick hott solaris proton nevets
+        enternow beavis1 amigos 159357a ambers lenochka 147896 suckdick shag intercourse blue1234 spiral
+        02061977 tosser ilove 02031975 cowgirl canuck q2w3e4 munch spoons waterboy 123567 evgeniy savior
+        zasada redcar mamacita terefon globus doggies htubcnhfwbz 1008 cuervo suslik azertyui limewire
+        houston1 stratfor steaua coors tennis1 12345qwerty stigmata derf klondike patrici marijuan hardball
+        odyssey nineinch boston1 pass1 beezer sandr charon power123 a1234 vauxhall 875421 awesome1 reggae
+        boulder funstuff iriska krokodil rfntymrf sterva champ1 bball peeper m123456 toolbox cabernet
+        sheepdog magic32 pigpen 02041977 holein1 lhfrjy banan dabomb natalie1 jennaj montana1 joecool funky
+        steven1 ringo junio sammy123 qqqwww baltimor footjob geezer 357951 mash4077 cashmone pancake monic
+        grandam bongo yessir gocubs nastia vancouve barley dragon69 watford ilikepie 02071976 laddie
+        123456789m hairball toonarmy pimpdadd cvthnm hunte davinci lback sophie1 firenze q1234567 admin1
+        bonanza elway7 daman strap azert wxcvbn afrika theforce 123456t idefix wolfen houdini scheisse
+        default beech maserati 02061976 sigmachi dylan1 bigdicks eskimo mizzou 02101976 riccardo egghead
+        111777 kronos ghbrjk chaos1 jomama rfhnjirf rodeo dolemite cafc91 nittany pathfind mikael password9
+        vqsablpzla purpl gabber modelsne myxworld hellsing punker rocknrol fishon fuck69 02041976 lolol
+        twinkie tripleh cirrus redbone killer123 biggun allegro gthcbr smith1 wanking bootsy barry1 mohawk
+        koolaid 5329 futurama samoht klizma 996633 lobo honeys peanut1 556677 zxasqw joemama javelin samm
+        223322 sandra1 flicks montag nataly 3006 tasha1 1235789 dogbone poker1 p0o9i8u7 goodday smoothie
+        toocool max333 metroid archange vagabond billabon 22061941 tyson1 02031973 darkange skateboard
+        evolutio morrowind wizards frodo1 rockin cumslut plastics zaqwsxcde 5201314 doit outback bumble
+        dominiqu persona nevermore alinka 02021971 forgetit sexo all4one c2h5oh petunia sheeba kenny1
+        elisabet aolsucks woodstoc pumper 02011975 fabio granada scrapper 123459 minimoni q123456789 breaker
+        1004 02091976 ncc74656 slimshad friendster austin31 wiseguy donner dilbert1 132465 blackbird buffet
+        jellybean barfly behappy 01011971 carebear fireblad 02051975 boxcar cheeky kiteboy hello12 panda1
+        elvisp opennow doktor alex12 02101977 pornking flamengo 02091975 snowbird lonesome robin1 11111a
+        weed420 baracuda bleach 12345abc nokia1 metall singapor mariner herewego dingo tycoon cubs blunts
+        proview 123456789d kamasutra lagnaf vipergts navyseal starwar masterbate wildone peterbil cucumber
+        butkus 123qwert climax deniro gotribe cement scooby1 summer69 harrier shodan newyear 02091977
+        starwars1 romeo1 sedona harald doubled sasha123 bigguns salami awnyce kiwi homemade pimping azzer
+        bradley1 warhamme linkin dudeman qwe321 pinnacle maxdog flipflop lfitymrf fucker1 acidburn esquire
+        sperma fellatio jeepster thedon sexybitch pookey spliff widget vfntvfnbrf trinity1 mutant samuel1
+        meliss gohome 1q2q3q mercede comein grin cartoons paragon henrik rainyday pacino senna bigdog1
+        alleycat 12345qaz narnia mustang2 tanya1 gianni apollo11 wetter clovis escalade rainbows freddy1
+        smart1 daisydog s123456 cocksucker pushkin lefty sambo fyutkjxtr hiziad boyz whiplash orchard newark
+        adrenalin 1598753 bootsie chelle trustme chewy golfgti tuscl ambrosia 5wr2i7h8 penetration shonuf
+        jughead payday stickman gotham kolokol johnny5 kolbasa stang puppydog charisma gators1 mone jakarta
+        draco nightmar 01011973 inlove laetitia 02091973 tarpon nautica meadow 0192837465 luckyone 14881488
+        chessie goldeney tarakan 69camaro bungle wordup interne fuckme2 515000 dragonfl sprout 02081974
+        gerbil bandit1 02071971 melanie1 phialpha camber kathy1 adriano gonzo1 10293847 bigjohn bismarck
+        7777777a scamper 12348765 rabbits 222777 bynthytn dima123 alexander1 mallorca dragster favorite6
+        beethove burner cooper1 fosters hello2 normandy 777999 sebring 1michael lauren1 blake1 killa
+        02091971 nounours trumpet1 thumper1 playball xantia rugby1 rocknroll guillaum angela1 strelok
+        prosper buttercup masterp dbnfkbr cambridg venom treefrog lumina 1234566 supra sexybabe freee shen
+        frogs driller pavement grace1 dicky checker smackdown pandas cannibal asdffdsa blue42 zyjxrf
+        nthvbyfnjh melrose neon jabber gamma 369258147 aprilia atticus benessere catcher skipper1 azertyuiop
+        sixty9 thierry treetop jello melons 123456789qwe tantra buzzer catnip bouncer computer1 sexyone
+        ananas young1 olenka sexman mooses kittys sephiroth contra hallowee skylark sparkles 777333
+        1qazxsw23edc lucas1 q1w2e3r gofast hannes amethyst ploppy flower2 hotass amatory volleyba dixie1
+        bettyboo ticklish 02061974 frenchy phish1 murphy1 trustno 02061972 leinad mynameis spooge jupiter1
+        hyundai frosch junkmail abacab marbles 32167 casio sunshine1 wayne1 longhair caster snicker 02101973
+        gannibal skinhead hansol gatsby segblue2 montecar plato gumby kaboom matty bosco1 888999 jazzy
+        panter jesus123 charlie2 giulia candyass sex69 travis1 farmboy special1 02041973 letsdoit password01
+        allison1 abcdefg1 notredam ilikeit 789654123 liberty1 rugger uptown alcatraz 123456w airman 007bond
+        navajo kenobi terrier stayout grisha frankie1 fluff 1qazzaq1 1234561 virginie 1234568 tango1 werdna
+        octopus fitter dfcbkbcf blacklab 115599 montrose allen1 supernova frederik ilovepussy justice1
+        radeon playboy2 blubber sliver swoosh motocros lockdown pearls thebear istheman pinetree biit
+        1234rewq rustydog tampabay titts babycake jehovah vampire1 streaming collie camil fidelity calvin1
+        stitch gatit restart puppy1 budgie grunt capitals hiking dreamcas zorro1 321678 riffraff makaka
+        playmate napalm rollin amstel zxcvb123 samanth rumble fuckme69 jimmys 951357 pizzaman 1234567899
+        tralala delpiero alexi yamato itisme 1million vfndtq kahlua londo wonderboy carrots tazz ratboy
+        rfgecnf 02081973 nico fujitsu tujhrf sergbest blobby 02051970 sonic1 1357911 smirnov video1 panhead
+        bucky 02031974 44332211 duffer cashmoney left4dead bagpuss salman 01011972 titfuck 66613666 england1
+        malish dresden lemans darina zapper 123456as 123456qqq met2002 02041972 redstar blue23 1234509876
+        pajero booyah please1 tetsuo semper finder hanuman sunlight 123456n 02061971 treble cupoi password99
+        dimitri 3ip76k2 popcorn1 lol12345 stellar nympho shark1 keith1 saskia bigtruck revoluti rambo1
+        asd222 feelgood phat gogators bismark cola puck furball burnout slonik bowtie mommy1 icecube fabienn
+        mouser papamama rolex giants1 blue11 trooper1 momdad iklo morten rhubarb gareth 123456d blitz
+        canada1 r2d2 brest tigercat usmarine lilbit benny1 azrael lebowski 12345r madagaskar begemot
+        loverman dragonballz italiano mazda3 naughty1 onions diver1 cyrano capcom asdfg123 forlife fisherman
+        weare138 requiem mufasa alpha123 piercing hellas abracadabra duckman caracas macintos 02011971
+        jordan2 crescent fduecn hogtied eatmenow ramjet 18121812 kicksass whatthe discus rfhfvtkmrf rufus1
+        sqdwfe mantle vegitto trek dan123 paladin1 rudeboy liliya lunchbox riversid acapulco libero dnsadm
+        maison toomuch boobear hemlock sextoy pugsley misiek athome migue altoids marcin 123450 rhfcfdbwf
+        jeter2 rhinos rjhjkm mercury1 ronaldinho shampoo makayla kamilla masterbating tennesse holger john1
+        matchbox hores poptart parlament goodyear asdfgh1 02081970 hardwood alain erection hfytnrb highlife
+        implants benjami dipper jeeper bendover supersonic babybear laserjet gotenks bama natedogg aol123
+        pokemo rabbit1 raduga sopranos cashflow menthol pharao hacking 334455 ghjcnbnenrf lizzy muffin1
+        pooky penis1 flyer gramma dipset becca ireland1 diana1 donjuan pong ziggy1 alterego simple1 cbr900
+        logger 111555 claudia1 cantona7 matisse ljxtymrf victori harle mamas encore mangos iceman1 diamon
+        alexxx tiamat 5000 desktop mafia smurf princesa shojou blueberr welkom maximka 123890 123q123 tammy1
+        bobmarley clips demon666 ismail termite laser1 missie altair donna1 bauhaus trinitron mogwai
+        flyers88 juniper nokia5800 boroda jingles qwerasdfzxcv shakur 777666 legos mallrats 1qazxsw
+        goldeneye tamerlan julia1 backbone spleen 49ers shady darkone medic1 justi giggle cloudy aisan
+        douche parkour bluejay huskers1 redwine 1qw23er4 satchmo 1231234 nineball stewart1 ballsack probes
+        kappa amiga flipper1 dortmund 963258 trigun 1237895 homepage blinky screwy gizzmo belkin chemist
+        coolhand chachi braves1 thebest greedisgood pro100 banana1 101091m 123456g wonderfu barefeet 8inches
+        1111qqqq kcchiefs qweasdzxc123 metal1 jennifer1 xian asdasd123 pollux cheerleaers fruity mustang5
+        turbos shopper photon espana hillbill oyster macaroni gigabyte jesper motown tuxedo buster12 triplex
+        cyclones estrell mortis holla 456987 fiddle sapphic jurassic thebeast ghjcnjq baura spock1
+        metallica1 karaoke nemrac58 love1234 02031970 flvbybcnhfnjh frisbee diva ajax feathers flower1
+        soccer11 allday mierda pearl1 amature marauder 333555 redheads womans egorka godbless 159263 nimitz
+        aaaa1111 sashka madcow socce greywolf baboon pimpdaddy 123456789r reloaded lancia rfhfylfi dicker
+        placid grimace 22446688 olemiss whores culinary wannabe maxi 1234567aa amelie riley1 trample
+        phantom1 baberuth bramble asdfqwer vides 4you abc123456 taichi aztnm smother outsider hakr blackhawk
+        bigblack girlie spook valeriya gianluca freedo 1q2q3q4q handbag lavalamp cumm pertinant whatup
+        nokia123 redlight patrik 111aaa poppy1 dfytxrf aviator sweeps kristin1 cypher elway yinyang access1
+        poophead tucson noles1 monterey waterfal dank dougal 918273 suede minnesot legman bukowski ganja
+        mammoth riverrat asswipe daredevi lian arizona1 kamikadze alex1234 smile1 angel2 55bgates bellagio
+        0001 wanrltw stiletto lipton arsena biohazard bbking chappy tetris as123456 darthvad lilwayne
+        nopassword 7412369 123456789987654321 natchez glitter 14785236 mytime rubicon moto pyon wazzup tbird
+        shane1 nightowl getoff beckham7 trueblue hotgirl nevermin deathnote 13131 taffy bigal copenhag
+        apricot gallaries dtkjcbgtl totoro onlyone civicsi jesse1 baby123 sierra1 festus abacus sickboy
+        fishtank fungus charle golfpro teensex mario66 seaside aleksei rosewood blackberry 1020304050 bedlam
+        schumi deerhunt contour darkelf surveyor deltas pitchers 741258963 dipstick funny1 lizzard
+        112233445566 jupiter2 softtail titman greenman z1x2c3v4b5 smartass 12345677 notnow myworld nascar1
+        chewbacc nosferatu downhill dallas22 kuan blazers whales soldat craving powerman yfcntyf hotrats
+        cfvceyu qweasdzx princess1 feline qqwwee chitown 1234qaz mastermind 114477 dingbat care1839 standby
+        kismet atreides dogmeat icarus monkeyboy alex1 mouses nicetits sealteam chopper1 crispy winter99
+        rrpass1 myporn myspace1 corazo topolino ass123 lawman muffy orgy 1love passord hooyah ekmzyf pretzel
+        amonra nestle 01011950 jimbeam happyman z12345 stonewal helios manunited harcore dick1 gaymen 2hot4u
+        light1 qwerty13 kakashi pjkjnj alcatel taylo allah buddydog ltkmaby mongo blonds start123 audia6
+        123456v civilwar bellaco turtles mustan deadspin aaa123 fynjirf lucky123 tortoise amor summe
+        waterski zulu drag0n dtxyjcnm gizmos strife interacial pusyy goose1 bear1 equinox matri jaguar1
+        tobydog sammys nachos traktor bryan1 morgoth 444555 dasani miami1 mashka xxxxxx1 ownage nightwin
+        hotlips passmast cool123 skolko eldiablo manu 1357908642 screwyou badabing foreplay hydro kubrick
+        seductive demon1 comeon galileo aladdin metoo happines 902100 mizuno caddy bizzare girls1 redone
+        ohmygod sable bonovox girlies hamper opus gizmodo1 aaabbb pizzahut 999888 rocky2 anton1 kikimora
+        peavey ocelot a1a2a3a4 2wsx3edc jackie1 solace sprocket galary chuck1 volvo1 shurik poop123 locutus
+        virago wdtnjxtr tequier bisexual doodles makeitso fishy 789632145 nothing1 fishcake sentry libertad
+        oaktree fivestar adidas1 vegitta mississi spiffy carme neutron vantage agassi boners 123456789v
+        hilltop taipan barrage kenneth1 fister martian willem lfybkf bluestar moonman ntktdbpjh paperino
+        bikers daffy benji quake dragonfly suckcock danilka lapochka belinea calypso asshol camero1 abraxas
+        mike1234 womam q1q2q3q4q5 youknow maxpower pic's audi80 sonora raymond1 tickler tadpole belair
+        crazyman finalfantasy 999000 jonatha paisley kissmyas morgana monste mantra spunk magic123 jonesy
+        mark1 alessand 741258 baddest ghbdtnrfrltkf zxccxz tictac augustin racers 7grout foxfire 99762000
+        openit nathanie 1z2x3c4v5b seadog gangbanged lovehate hondacbr harpoon mamochka fisherma bismilla
+        locust wally1 spiderman1 saffron utjhubq 123456987 20spanks safeway pisser bdfyjd kristen1 bigdick1
+        magenta vfhujif anfisa friday13 qaz123wsx 0987654321q tyrant guan meggie kontol nurlan ayanami
+        rocket1 yaroslav websol76 mutley hugoboss websolutions elpaso gagarin badboys sephirot 918273645
+        newuser qian edcrfv booger1 852258 lockout timoxa94 mazda323 firedog sokolova skydiver jesus777
+        1234567890z soulfly canary malinka guillerm hookers dogfart surfer1 osprey india123 rhjkbr stoppedby
+        nokia5530 123456789o blue1 werter divers 3000 123456f alpina cali whoknows godspeed 986532 foreskin
+        fuzzy1 heyyou didier slapnuts fresno rosebud1 sandman1 bears1 blade1 honeybun queen1 baronn pakista
+        philipp 9111961 topsecret sniper1 214365 slipper letsfuck pippen33 godawgs mousey qw123456 scrotum
+        loveis lighthou bp2002 nancy123 jeffrey1 susieq buddy2 ralphie trout1 willi antonov sluttey rehbwf
+        marty1 darian losangeles letme1n 12345d pusssy godiva ender golfnut leonidas a1b2c3d4e5 puffer
+        general1 wizzard lehjxrf racer1 bigbucks cool12 buddys zinger esprit vbienrf josep tickling froggie
+        987654321a 895623 daddys crumbs gucci mikkel opiate tracy1 christophe came11 777555 petrovich humbug
+        dirtydog allstate horatio wachtwoord creepers squirts rotary bigd georgia1 fujifilm 2sweet dasha
+        yorkie slimjim wiccan kenzie system1 skunk b12345 getit pommes daredevil sugars bucker piston
+        lionheart 1bitch 515051 catfight recon icecold fantom vodafone kontakt boris1 vfcnth canine 01011961
+        valleywa faraon chickenwing101 qq123456 livewire livelife roosters jeepers ilya1234 coochie pavlik
+        dewalt dfhdfhf architec blackops 1qaz2wsx3edc4rfv rhfcjnf wsxedc teaser sebora 25252 rhino1 ankara
+        swifty decimal redleg shanno nermal candies smirnova dragon01 photo1 ranetki a1s2d3f4g5 axio wertzu
+        maurizio 6uldv8 zxcvasdf punkass flowe graywolf peddler 3rjs1la7qe mpegs seawolf ladyboy pianos
+        piggies vixen alexus orpheus gdtrfb z123456 macgyver hugetits ralph1 flathead maurici mailru
+        goofball nissan1 nikon stopit odin big1 smooch reboot famil bullit anthony7 gerhard methos 124038
+        morena eagle2 jessica2 zebras getlost gfynthf 123581321 sarajevo indon comets tatjana rfgbnjirf
+        joystick batman12 123456c sabre beerme victory1 kitties 1475369 badboy1 booboo1 comcast slava squid
+        saxophon lionhear qaywsx bustle nastena roadway loader hillside starlight 24681012 niggers access99
+        bazooka molly123 blackice bandi cocacol nfhfrfy timur muschi horse1 quant4307s squerting oscars
+        mygirls flashman tangerin goofy1 p0o9i8 housewifes newness monkey69 escorpio password11 hippo
+        warcraft3 qazxsw123 qpalzm ribbit ghbdtndctv bogota star123 258000 lincoln1 bigjim lacoste firestorm
+        legenda indain ludacris milamber 1009 evangeli letmesee a111111 hooters1 bigred1 shaker husky a4tech
+        cnfkrth argyle rjhjdf nataha 0o9i8u7y gibson1 sooners1 glendale archery hoochie stooge aaaaaa1
+        scorpions school1 vegas1 rapier mike23 bassoon groupd2013 macaco baker1 labia freewill santiag
+        silverado butch1 vflfufcrfh monica1 rugrat cornhole aerosmit bionicle gfgfvfvf daniel12 virgo fmale
+        favorite2 detroit1 pokey shredder baggies wednesda cosmo1 mimosa sparhawk firehawk romario 911turbo
+        funtimes fhntvrf nexus6 159753456 timothy1 bajingan terry1 frenchie raiden 1mustang babemagnet
+        74123698 nadejda truffles rapture douglas1 lamborghini motocross rjcvjc 748596 skeeter1 dante1
+        angel666 telecom carsten pietro bmw318 astro1 carpediem samir orang helium scirocco fuzzball
+        rushmore rebelz hotspur lacrimosa chevys10 madonna1 domenico yfnfirf jachin shelby1 bloke dawgs
+        dunhill atlanta1 service1 mikado devilman angelit reznor euphoria lesbain checkmat browndog phreak
+        blaze1 crash1 farida mutter luckyme horsemen vgirl jediknig asdas cesare allnight rockey starlite
+        truck1 passfan close-up samue cazzo wrinkles homely eatme1 sexpot snapshot dima1995 asthma thetruth
+        ducky blender priyanka gaucho dutchman sizzle kakarot 651550 passcode justinbieber 666333 elodie
+        sanjay 110442 alex01 lotus1 2300mj lakshmi zoomer quake3 12349876 teapot 12345687 ramada pennywis
+        striper pilot1 chingon optima nudity ethan1 euclid beeline loyola biguns zaq12345 bravo1 disney1
+        buffa assmunch vivid 6661313 wellingt aqwzsx madala11 9874123 sigmar pictere tiptop bettyboop dinero
+        tahiti gregory1 bionic speed1 fubar1 lexus1 denis1 hawthorn saxman suntzu bernhard dominika camaro1
+        hunter12 balboa bmw2002 seville diablo1 vfhbyjxrf 1234abc carling lockerroom punani darth baron1
+        vaness 1password libido picher 232425 karamba futyn007 daydream 11001001 dragon123 friends1 bopper
+        rocky123 chooch asslover shimmer riddler openme tugboat sexy123 midori gulnara christo swatch laker
+        offroad puddles hackers mannheim manager1 horseman roman1 dancer1 komputer pictuers nokia5130
+        ejaculation lioness 123456y evilone nastenka pushok javie lilman 3141592 mjolnir toulouse pussy2
+        bigworm smoke420 fullback extensa dreamcast belize delboy willie1 casablanca csyjxtr ricky1 bonghit
+        salvator basher pussylover rosie1 963258741 vivitron cobra427 meonly armageddon myfriend zardoz
+        qwedsazxc kraken fzappa starfox 333999 illmatic capoeira weenie ramzes freedom2 toasty pupkin
+        shinigami fhvfutljy nocturne churchil thumbnils tailgate neworder sexymama goarmy cerebus michelle1
+        vbifyz surfsup earthlin dabulls basketbal aligator mojojojo saibaba welcome2 wifes wdtnjr 12345w
+        slasher papabear terran footman hocke 153759 texans tom123 sfgiants billabong aassdd monolith xxx777
+        l3tm31n ticktock newone hellno japanees contortionist admin123 scout1 alabama1 divx1 rochard privat
+        radar1 bigdad fhctybq tortuga citrus avanti fantasy1 woodstock s12345 fireman1 embalmer woodwork
+        bonzai konyor newstart jigga panorama goats smithy rugrats hotmama daedalus nonstop fruitbat lisenok
+        quaker violator 12345123 my3sons cajun fraggle gayboy oldfart vulva knickerless orgasms undertow
+        binky litle kfcnjxrf masturbation bunnie alexis1 planner transexual sparty leeloo monies fozzie
+        stinger1 landrove anakonda scoobie yamaha1 henti star12 rfhlbyfk beyonce catfood cjytxrf zealots
+        strat fordtruc archangel silvi sativa boogers miles1 bigjoe tulip petite greentea shitter jonboy
+        voltron morticia evanescence 3edc4rfv longshot windows1 serge aabbcc starbucks sinful drywall
+        prelude1 www123 camel1 homebrew marlins 123412 letmeinn domini swampy plokij fordf350 webcam
+        michele1 bolivi 27731828 wingzero qawsedrftg shinji sverige jasper1 piper1 cummer iiyama gocats
+        amour alfarome jumanji mike69 fantasti 1monkey w00t88 shawn1 lorien 1a2s3d4f5g koleso murph natascha
+        sunkist kennwort emine grinder m12345 q1q2q3q4 cheeba money2 qazwsxedc1 diamante prosto pdiddy
+        stinky1 gabby1 luckys franci pornographic moochie gfhjdjp samdog empire1 comicbookdb emili
+        motdepasse iphone braveheart reeses nebula sanjose bubba2 kickflip arcangel superbow porsche911
+        xyzzy nigger1 dagobert devil1 alatam monkey2 barbara1 12345v vfpfafrf alessio babemagn aceman
+        arrakis kavkaz 987789 jasons berserk sublime1 rogue1 myspace buckwhea csyekz pussy4me vette1 boots1
+        boingo arnaud budlite redstorm paramore becky1 imtheman chango marley1 milkyway 666555 giveme mahalo
+        lux2000 lucian paddy praxis shimano bigpenis creeper newproject2004 rammstei j3qq4h7h2v hfljcnm
+        lambchop anthony2 bugman gfhjkm12 dreamer1 stooges cybersex diamant cowboyup maximus1 sentra 615243
+        goethe manhatta fastcar selmer 1213141516 yfnfitymrf denni chewey yankee1 elektra 123456789p
+        trousers fishface topspin orwell vorona sodapop motherfu ibilltes forall kookie ronald1 balrog
+        maximilian mypasswo sonny1 zzxxcc tkfkdg magoo mdogg heeled gitara lesbos marajade tippy morozova
+        enter123 lesbean pounded asd456 fialka scarab sharpie spanky1 gstring sachin 12345asd princeto
+        hellohel ursitesux billows 1234kekc kombat cashew duracell kseniya sevenof9 kostik arthur1 corvet07
+        rdfhnbhf songoku tiberian needforspeed 1qwert dropkick kevin123 panache libra a123456a kjiflm
+        vfhnsirf cntgfy iamcool narut buffer sk8ordie urlaub fireblade blanked marishka gemini1 altec
+        gorillaz chief1 revival47 ironman1 space1 ramstein doorknob devilmaycry nemesis1 sosiska pennstat
+        monday1 pioner shevchenko detectiv evildead blessed1 aggie coffees tical scotts bullwink marsel
+        krypto adrock rjitxrf asmodeus rapunzel theboys hotdogs deepthro maxpayne veronic fyyeirf otter
+        cheste abbey1 thanos bedrock bartok google1 xxxzzz rodent montecarlo hernande mikayla 123456789l
+        bravehea 12locked ltymub pegasus1 ameteur saltydog faisal milfnew momsuck everques ytngfhjkz m0nkey
+        businessbabe cooki custard 123456ab lbvjxrf outlaws 753357 qwerty78 udacha insider chees fuckmehard
+        shotokan katya seahorse vtldtlm turtle1 mike12 beebop heathe everton1 darknes barnie rbcekz alisher
+        toohot theduke 555222 reddog1 breezy bulldawg monkeyman baylee losangel mastermi apollo1 aurelie
+        zxcvb12345 cayenne bastet wsxzaq geibcnbr yello fucmy69 redwall ladybird bitchs cccccc1 rktjgfnhf
+        ghjdthrf quest1 oedipus linus impalass fartman 12345k fokker 159753a optiplex bbbbbb1 realtor
+        slipkno santacru rowdy jelena smeller 3984240 ddddd1 sexyme janet1 3698741 eatme69 cazzone today1
+        poobear ignatius master123 newpass1 heather2 snoopdogg blondinka pass12 honeydew fuckthat 890098890
+        lovem goldrush gecko biker1 llama pendejo avalanche fremont snowman1 gandolf chowder 1a2b3c4d5e
+        flyguy magadan 1fuck pingvin nokia5230 ab1234 lothar lasers bignuts renee1 royboy skynet 12340987
+        1122334 dragrace lovely1 22334455 booter 12345612 corvett 123456qq capital1 videoes funtik wyvern
+        flange sammydog hulkster 13245768 not4you vorlon omegared l58jkdjp! filippo 123mudar samadams petrus
+        chris12 charlie123 123456789123 icetea sunderla adrian1 123qweas kazanova aslan monkey123 fktyeirf
+        goodsex 123ab lbtest banaan bluenose 837519 asd12345 waffenss whateve 1a2a3a4a trailers vfhbirf
+        bhbcrf klaatu turk182 monsoon beachbum sunbeam succes clyde1 viking1 rawhide bubblegum princ
+        mackenzi hershey1 222555 dima55 niggaz manatee aquila anechka pamel bugsbunn lovel sestra newport1
+        althor hornyman wakeup zzz111 phishy cerber torrent thething solnishko babel buckeye1 peanu ethernet
+        uncencored baraka 665544 chris2 rb26dett willy1 choppers texaco biggirl 123456b anna2614 sukebe
+        caralho callofduty rt6ytere jesus7 angel12 1money timelord allblack pavlova romanov tequiero yitbos
+        lookup bulls23 snowflake dickweed barks lever irisha firestar fred1234 ghjnjnbg danman gatito betty1
+        milhouse kbctyjr masterbaiting delsol papit doggys 123698741 bdfyjdf invictus bloods kayla1 yourmama
+        apple2 angelok bigboy1 pontiac1 verygood yeshua twins2 porn4me 141516 rasta69 james2 bosshog candys
+        adventur stripe djkjlz dokken austin316 skins hogwarts vbhevbh navigato desperado xxx666 cneltyn
+        vasiliy hazmat daytek eightbal fred1 four20 74227422 fabia aerosmith manue wingchun boohoo hombre
+        sanity72 goatboy fuckm partizan avrora utahjazz submarin pussyeat heinlein control1 costaric smarty
+        chuan triplets snowy snafu teacher1 vangogh vandal evergree cochise qwerty99 pyramid1 saab900
+        sniffer qaz741 lebron23 mark123 wolvie blackbelt yoshi feeder janeway nutella fuking asscock deepak
+        poppie bigshow housewife grils tonto cynthia1 temptress irakli belle1 russell1 manders frank123
+        seabass gforce songbird zippy1 naught brenda1 chewy1 hotshit topaz 43046721 girfriend marinka
+        jakester thatsme planeta falstaff patrizia reborn riptide cherry1 shuan nogard chino oasis1 qwaszx12
+        goodlife davis1 1911a1 harrys shitfuck 12345678900 russian7 007700 bulls1 porshe danil dolphi river1
+        sabaka gobigred deborah1 volkswagen miamo alkaline muffdive 1letmein fkbyrf goodguy hallo1 nirvan
+        ozzie cannonda cvbhyjdf marmite germany1 joeblow radio1 love11 raindrop 159852 jacko newday fathead
+        elvis123 caspe citibank sports1 deuce boxter fakepass golfman snowdog birthday4 nonmembe niklas
+        parsifal krasota theshit 1235813 maganda nikita1 omicron cassie1 columbo buick sigma1 thistle bassin
+        rickster apteka sienna skulls miamor coolgirl gravis 1qazxc virgini hunter2 akasha batma motorcyc
+        bambino tenerife fordf250 zhuan iloveporn markiza hotbabes becool fynjybyf wapapapa forme mamont
+        pizda dragonz sharon1 scrooge mrbill pfloyd leeroy natedog ishmael 777111 tecumseh carajo nfy.irf
+        0000000000o blackcock fedorov antigone feanor novikova bobert peregrin spartan117 pumkin rayman
+        manuals tooltime 555333 bonethug marina1 bonnie1 tonyhawk laracroft mahalkita 18273645 terriers
+        gamer hoser littlema molotok glennwei lemon1 caboose tater 12345654321 brians fritz1 mistral jigsaw
+        fuckshit hornyguy southside edthom antonio1 bobmarle pitures ilikesex crafty nexus boarder fulcrum
+        astonvil yanks1 yngwie account1 zooropa hotlegs sammi gumbo rover1 perkele maurolarastefy lampard
+        357753 barracud dmband abcxyz pathfinder 335577 yuliya micky jayman asdfg12345 1596321 halcyon
+        rerfhtre feniks zaxscd gotyoass jaycee samson1 jamesb vibrate grandpri camino colossus davidb
+        mamo4ka nicky1 homer123 pinguin watermelon shadow01 lasttime glider 823762 helen1 pyramids tulane
+        osama rostov john12 scoote bhbyrf gohan galeries joyful bigpussy tonka mowgli astalavista zzz123
+        leafs dalejr8 unicorn1 777000 primal bigmama okmijn killzone qaz12345 snookie zxcvvcxz davidc epson
+        rockman ceaser beanbag katten 3151020 duckhunt segreto matros ragnar 699669 sexsexse 123123z
+        fuckyeah bigbutts gbcmrf element1 marketin saratov elbereth blaster1 yamahar6 grime masha juneau
+        1230123 pappy lindsay1 mooner seattle1 katzen lucent polly1 lagwagon pixie misiaczek 666666a
+        smokedog lakers24 eyeball ironhors ametuer volkodav vepsrf kimmy gumby1 poi098 ovation 1q2w3 drinker
+        penetrating summertime 1dallas prima modles takamine hardwork macintosh tahoe passthie chiks sundown
+        flowers1 boromir music123 phaedrus albert1 joung malakas gulliver parker1 balder sonne jessie1
+        domainlock2005 express1 vfkbyf youandme raketa koala dhjnvytyjub nhfrnjh testibil ybrbnjc 987654321q
+        axeman pintail pokemon123 dogggg shandy thesaint 11122233 x72jhhu3z theclash raptors zappa1 djdjxrf
+        hell666 friday1 vivaldi pluto1 lance1 guesswho jeadmi corgan skillz skippy1 mango1 gymnastic satori
+        362514 theedge cxfcnkbdfz sparkey deicide bagels lololol lemmings r4e3w2q1 silve staind schnuffi
+        dazzle basebal1 leroy1 bilbo1 luckie qwerty2 goodfell hermione peaceout davidoff yesterda killah
+        flippy chrisb zelda1 headless muttley fuckof tittys catdaddy photog beeker reaver ram1500 yorktown
+        bolero tryagain arman chicco learjet alexei jenna1 go2hell 12s3t4p55 momsanaladventure mustang9
+        protoss rooter ginola dingo1 mojave erica1 1qazse4 marvin1 redwolf sunbird dangerou maciek girsl
+        hawks1 packard1 excellen dashka soleda toonces acetate nacked jbond007 alligator debbie1 wellhung
+        monkeyma supers rigger larsson vaseline rjnzhf maripos 123456asd cbr600rr doggydog cronic jason123
+        trekker flipmode druid sonyvaio dodges mayfair mystuff fun4me samanta sofiya magics 1ranger arcane
+        sixtynin 222444 omerta luscious gbyudby bobcats envision chance1 seaweed holdem tomate mensch slicer
+        acura1 goochi qweewq punter repoman tomboy never1 cortina gomets 147896321 369852147 dogma bhjxrf
+        loglatin eragon strato gazelle growler 885522 klaudia payton34 fuckem butchie scorpi lugano
+        123456789k nichola chipper1 spide uhbujhbq rsalinas vfylfhby longhorns bugatti everquest !qaz2wsx
+        blackass 999111 snakeman p455w0rd fanatic family1 pfqxbr 777vlad mysecret marat phoenix2 october1
+        genghis panties1 cooker citron ace123 1234569 gramps blackcoc kodiak1 hickory ivanhoe blackboy
+        escher sincity beaks meandyou spaniel canon1 timmy1 lancaste polaroid edinburg fuckedup hotman
+        cueball golfclub gopack bookcase worldcup dkflbvbhjdbx twostep 17171717aa letsplay zolushka stella1
+        pfkegf kingtut 67camaro barracuda wiggles gjhjkm prancer patata kjifhf theman1 romanova sexyass
+        copper1 dobber sokolov pomidor algernon cadman amoremio william2 silly1 bobbys hercule
+        hd764nw5d7e1vb1 defcon deutschland robinhood alfalfa machoman lesbens pandora1 easypay tomservo
+        nadezhda goonies saab9000 jordyn f15eagle dbrecz 12qwerty greatsex thrawn blunted baywatch
+        doggystyle loloxx chevy2 january1 kodak bushel 78963214 ub6ib9 zz8807zpl briefs hawker 224488 first1
+        bonzo brent1 erasure 69213124 sidewind soccer13 622521 mentos kolibri onepiece united1 ponyboy
+        keksa12 wayer mypussy andrej mischa mille bruno123 garter bigpun talgat familia jazzy1 mustang8
+        newjob 747400 bobber blackbel hatteras ginge asdfjkl; camelot1 blue44 rebbyt34 ebony1 vegas123
+        myboys aleksander ijrjkflrf lopata pilsner lotus123 m0nk3y andreev freiheit balls1 drjynfrnt mazda1
+        waterpolo shibumi 852963 123bbb cezer121 blondie1 volkova rattler kleenex ben123 sanane happydog
+        satellit qazplm qazwsxedcrfvtgb meowmix badguy facefuck spice1 blondy major1 25000 anna123 654321a
+        sober1 deathrow patterso china1 naruto1 hawkeye1 waldo1 butchy crayon 5tgb6yhn klopik crocodil
+        mothra imhorny pookie1 splatter slippy lizard1 router buratino yahweh 123698 dragon11 123qwe456
+        peepers trucker1 ganjaman 1hxboqg2 cheyanne storys sebastie zztop maddison 4rfv3edc darthvader
+        jeffro iloveit victor1 hotty delphin lifeisgood gooseman shifty insertions dude123 abrupt 123masha
+        boogaloo chronos stamford pimpster kthjxrf getmein amidala flubber fettish grapeape dantes oralsex
+        jack1 foxcg33 winchest francis1 getin archon cliffy blueman 1basebal sport1 emmitt22 porn123
+        bignasty morga 123hfjdk147 ferrar juanito fabiol caseydog steveo peternorth paroll kimchi bootleg
+        gaijin secre acacia eatme2 amarillo monkey11 rfhfgep tylers a1a2a3a4a5 sweetass blower rodina
+        babushka camilo cimbom tiffan vfnbkmlf ohbaby gotigers lindsey1 dragon13 romulus qazxsw12 zxcvbn1
+        dropdead hitman47 snuggle eleven11 bloopers 357mag avangard bmw320 ginscoot dshade masterkey voodoo1
+        rootedit caramba leahcim hannover 8phrowz622 tim123 cassius 000000a angelito zzzzz1 badkarma star1
+        malaga glenwood footlove golf1 summer12 helpme1 fastcars titan1 police1 polinka k.jdm marusya
+        augusto shiraz pantyhose donald1 blaise arabella brigada c3por2d2 peter01 marco1 hellow dillweed
+        uzumymw geraldin loveyou2 toyota1 088011 gophers indy500 slainte 5hsu75kpot teejay renat racoon
+        sabrin angie1 shiznit harpua sexyred latex tucker1 alexandru wahoo teamwork deepblue goodison rundmc
+        r2d2c3p0 puppys samba ayrton boobed 999777 topsecre blowme1 123321z loudog random1 pantie drevil
+        mandolin 121212q hottub brother1 failsafe spade1 matvey open1234 carmen1 priscill schatzi kajak
+        gooddog trojans1 gordon1 kayak calamity argent ufhvjybz seviyi penfold assface dildos hawkwind
+        crowbar yanks ruffles rastus luv2epus open123 aquafina dawns jared1 teufel 12345c vwgolf pepsi123
+        amores passwerd 01478520 boliva smutty headshot password3 davidd zydfhm gbgbcmrf pornpass insertion
+        ceckbr test2 car123 checkit dbnfkbq niggas nyyankee muskrat nbuhtyjr gunner1 ocean1 fabienne
+        chrissy1 wendys loveme89 batgirl cerveza igorek steel1 ragman boris123 novifarm sexy12 qwerty777
+        mike01 giveitup 123456abc fuckall crevice hackerz gspot eight8 assassins texass swallows 123458
+        baldur moonshine labatt modem sydney1 voland dbnfkz hotchick jacker princessa dawgs1 holiday1 booper
+        reliant miranda1 jamaica1 andre1 badnaamhere barnaby tiger7 david12 margaux corsica 085tzzqi
+        universi thewall nevermor martin6 qwerty77 cipher apples1 0102030405 seraphim black123 imzadi gandon
+        ducati99 1shadow dkflbvbhjdyf 44magnum bigbad feedme samantha1 ultraman redneck1 jackdog usmc0311
+        fresh1 monique1 tigre alphaman cool1 greyhoun indycar crunchy 55chevy carefree willow1 063dyjuy
+        xrated assclown federica hilfiger trivia bronco1 mamita 100200300 simcity lexingky akatsuki retsam
+        johndeere abudfv raster elgato businka satanas mattingl redwing1 shamil patate mannn moonstar
+        evil666 b123456 bowl300 tanechka 34523452 carthage babygir santino bondarenko jesuss chico1 numlock
+        shyguy sound1 kirby1 needit mostwanted 427900 funky1 steve123 passions anduril kermit1 prospero
+        lusty barakuda dream1 broodwar porky christy1 mahal yyyyyy1 allan1 1sexy flintsto capri cumeater
+        heretic robert2 hippos blindax marykay collecti kasumi 1qaz!qaz 112233q 123258 chemistr coolboy
+        0o9i8u kabuki righton tigress nessie sergej andrew12 yfafyz ytrhjvfyn angel7 victo mobbdeep lemming
+        transfor 1725782 myhouse aeynbr muskie leno4ka westham1 cvbhyjd daffodil pussylicker pamela1 stuffer
+        warehous tinker1 2w3e4r pluton louise1 polarbea 253634 prime1 anatoliy januar wysiwyg cobraya ralphy
+        whaler xterra cableguy 112233a porn69 jamesd aqualung jimmy123 lumpy luckyman kingsize golfing1
+        alpha7 leeds1 marigold lol1234 teabag alex11 10sne1 saopaulo shanny roland1 basser 3216732167 carol1
+        year2005 morozov saturn1 joseluis bushed redrock memnoch lalaland indiana1 lovegod gulnaz buffalos
+        loveyou1 anteater pattaya jaydee redshift bartek summerti coffee1 ricochet incest schastie rakkaus
+        h2opolo suikoden perro dance1 loveme1 whoopass vladvlad boober flyers1 alessia gfcgjhn pipers papaya
+        gunsling coolone blackie1 gonads gfhjkzytn foxhound qwert12 gangrel ghjvtntq bluedevi mywife
+        summer01 hangman licorice patter vfr750 thorsten 515253 ninguna dakine strange1 mexic vergeten
+        12345432 8phrowz624 stampede floyd1 sailfish raziel ananda giacomo freeme crfprf 74185296 allstars
+        master01 solrac gfnhbjn bayliner bmw525 3465xxx catter single1 michael3 pentium4 nitrox mapet123456
+        halibut killroy xxxxx1 phillip1 poopsie arsenalfc buffys kosova all4me 32165498 arslan opensesame
+        brutis charles2 pochta nadegda backspac mustang0 invis gogeta 654321q adam25 niceday truckin gfdkbr
+        biceps sceptre bigdave lauras user345 sandys shabba ratdog cristiano natha march13 gumball getsdown
+        wasdwasd redhead1 dddddd1 longlegs 13572468 starsky ducksoup bunnys omsairam whoami fred123 danmark
+        flapper swanky lakings yfhenj asterios rainier searcher dapper ltdjxrf horsey seahawk shroom tkfkdgo
+        aquaman tashkent number9 messi10 1asshole milenium illumina vegita jodeci buster01 bareback
+        goldfinger fire1 33rjhjds sabian thinkpad smooth1 sully bonghits sushi1 magnavox colombi voiture
+        limpone oldone aruba rooster1 zhenya nomar5 touchdow limpbizkit rhfcfdxbr baphomet afrodita bball1
+        madiso ladles lovefeet matthew2 theworld thunderbird dolly1 123rrr forklift alfons berkut speedy1
+        saphire oilman creatine pussylov bastard1 456258 wicked1 filimon skyline1 fucing yfnfkbz hot123
+        abdulla nippon nolimits billiard booty1 buttplug westlife coolbean aloha1 lopas asasin 1212121
+        october2 whodat good4u d12345 kostas ilya1992 regal pioneer1 volodya focus1 bastos nbvjif fenix
+        anita1 vadimka nickle jesusc 123321456 teste christ1 essendon evgenii celticfc adam1 forumwp lovesme
+        26exkp chillout burly thelast1 marcus1 metalgear test11 ronaldo7 socrate world1 franki mommie
+        vicecity postov1000 charlie3 oldschool 333221 legoland antoshka counterstrike buggy mustang3 123454
+        qwertzui toons chesty bigtoe tigger12 limpopo rerehepf diddle nokia3250 solidsnake conan1 rockroll
+        963369 titanic1 qwezxc cloggy prashant katharin maxfli takashi cumonme michael9 mymother pennstate
+        khalid 48151623 fightclub showboat mateusz elrond teenie arrow1 mammamia dustydog dominator erasmus
+        zxcvb1 1a2a3a bones1 dennis1 galaxie pleaseme whatever1 junkyard galadriel charlies 2wsxzaq1
+        crimson1 behemoth teres master11 fairway shady1 pass99 1batman joshua12 baraban apelsin mousepad
+        melon twodogs 123321qwe metalica ryjgrf pipiska rerfhfxf lugnut cretin iloveu2 powerade aaaaaaa1
+        omanko kovalenko isabe chobits 151nxjmt shadow11 zcxfcnkbdf gy3yt2rgls vfhbyrf 159753123 bladerunner
+        goodone wonton doodie 333666999 fuckyou123 kitty123 chisox orlando1 skateboa red12345 destroye
+        snoogans satan1 juancarlo goheels jetson scottt fuckup aleksa gfhfljrc passfind oscar123 derrick1
+        hateme viper123 pieman audi100 tuffy andover shooter1 10000 makarov grant1 nighthaw 13576479
+        browneye batigol nfvfhf chocolate1 7hrdnw23 petter bantam morlii jediknight brenden argonaut
+        goodstuf wisconsi 315920 abigail1 dirtbag splurge k123456 lucky777 valdepen gsxr600 322223 ghjnjrjk
+        zaq1xsw2cde3 schwanz walter1 letmein22 nomads 124356 codeblue nokian70 fucke footbal1 agyvorc aztecs
+        passw0r smuggles femmes ballgag krasnodar tamuna schule sixtynine empires erfolg dvader ladygaga
+        elite1 venezuel nitrous kochamcie olivia1 trustn01 arioch sting1 131415 tristar 555000 maroon 135799
+        marsik 555556 fomoco natalka cwoui tartan davecole nosferat hotsauce dmitry horus dimasik skazka
+        boss302 bluebear vesper ultras tarantul asd123asd azteca theflash 8ball 1footbal titlover lucas123
+        number6 sampson1 789852 party1 dragon99 adonai carwash metropol psychnau vthctltc hounds firework
+        blink18 145632 wildcat1 satchel rice80 ghtktcnm sailor1 cubano anderso rocks1 mike11 famili dfghjc
+        besiktas roygbiv nikko bethan minotaur rakesh orange12 hfleuf jackel myangel favorite7 1478520
+        asssss agnieszka haley1 raisin htubyf 1buster cfiekz derevo 1a2a3a4a5a baltika raffles scruffy1
+        clitlick louis1 buddha1 fy.nrf walker1 makoto shadow2 redbeard vfvfvskfhfve mycock sandydog lineman
+        network1 favorite8 longdick mustangg mavericks indica 1killer cisco1 angelofwar blue69 brianna1
+        bubbaa slayer666 level42 baldrick brutus1 lowdown haribo lovesexy 500000 thissuck picker stephy
+        1fuckme characte telecast 1bigdog repytwjdf thematrix hammerhe chucha ganesha gunsmoke georgi
+        sheltie 1harley knulla sallas westie dragon7 conker crappie margosha lisboa 3e2w1q shrike grifter
+        ghjcnjghjcnj asdfg1 mnbvcxz1 myszka posture boggie rocketman flhtyfkby twiztid vostok pi314159
+        force1 televizor gtkmvtym samhain imcool jadzia dreamers strannik k2trix steelhea nikitin commodor
+        brian123 chocobo whopper ibilljpf megafon ararat thomas12 ghbrjkbcn q1234567890 hibernia kings1
+        jim123 redfive 68camaro iawgk2 xavier1 1234567u d123456 ndirish airborn halfmoon fluffy1 ranchero
+        sneaker soccer2 passion1 cowman birthday1 johnn razzle glock17 wsxqaz nubian lucky2 jelly1 henderso
+        eric1 123123e boscoe01 fuck0ff simpson1 sassie rjyjgkz nascar3 watashi loredana janus wilso conman
+        david2 mothe iloveher snikers davidj fkmnthyfnbdf mettss ratfink 123456h lostsoul sweet16 brabus
+        wobble petra1 fuckfest otters sable1 svetka spartacu bigstick milashka 1lover pasport champagn
+        papichul hrvatska hondacivic kevins tacit moneybag gohogs rasta1 246813579 ytyfdbcnm gubber darkmoon
+        vitaliy 233223 playboys tristan1 joyce1 oriflame mugwump access2 autocad thematri qweqwe123 lolwut
+        ibill01 multisyn 1233211 pelikan rob123 chacal 1234432 griffon pooch dagestan geisha satriani anjali
+        rocketma gixxer pendrago vincen hellokit killyou ruger doodah bumblebe badlands galactic emachines
+        foghorn jackso jerem avgust frontera 123369 daisymae hornyboy welcome123 tigger01 diabl angel13
+        interex iwantsex rockydog kukolka sawdust online1 3234412 bigpapa jewboy 3263827 dave123 riches
+        333222 tony1 toggle farter 124816 tities balle brasilia southsid micke ghbdtn12 patit ctdfcnjgjkm
+        olds442 zzzzzz1 nelso gremlins gypsy1 carter1 slut69 farcry 7415963 michael8 birdie1 charl
+        123456789abc 100001 aztec sinjin bigpimpi closeup atlas1 nvidia doggone classic1 manana malcolm1
+        rfkbyf hotbabe rajesh dimebag ganjubas rodion jagr68 seren syrinx funnyman karapuz 123456789n
+        bloomin admin18533362 biggdogg ocarina poopy1 hellome internet1 booties blowjobs matt1 donkey1 swede
+        1jennife evgeniya lfhbyf coach1 444777 green12 patryk pinewood justin12 271828 89600506779 notredame
+        tuborg lemond sk8ter million1 wowser pablo1 st0n3 jeeves funhouse hiroshi gobucs angeleye bereza
+        winter12 catalin qazedc andros ramazan vampyre sweethea imperium murat jamest flossy sandeep morgen
+        salamandra bigdogg stroller njdevils nutsack vittorio %%passwo playful rjyatnrf tookie ubnfhf michi
+        777444 shadow13 devils1 radiance toshiba1 beluga amormi dandfa trust1 killemall smallville polgara
+        billyb landscap steves exploite zamboni damage11 dzxtckfd trader12 pokey1 kobe08 damager egorov
+        dragon88 ckfdbr lisa69 blade2 audis4 nelson1 nibbles 23176djivanfros mutabor artofwar matvei
+        metal666 hrfzlz schwinn poohbea seven77 thinker 123456789qwerty sobriety jakers karamelka vbkfyf
+        volodin iddqd dale03 roberto1 lizaveta qqqqqq1
+    `.trim().split(/\s+/),
+
+    // 英語版Wikipediaの頻出語（上位8000件）
+    english: `
+        the of and in was is for as on with by he at from his an were are which doc https also or has had
+        first one their its after new who they two her she been other when time during there into school
+        more may years over only year most would world city some where between later three state such then
+        national used made known under many university united while part season team these american than
+        film second born south became states war through being including both before north high however
+        people family early history album area them series against until since district county name work
+        life group music following number company several four called played released career league game
+        government house each based day same won use station club international town located population
+        general college east found age march end september began home public church line june river member
+        system place century band july york january october song august best former british party named held
+        village show local november took service december built another major within along members five
+        single due although small old left final large include building served president received games
+        death february main third set children own order species park law air published road died book men
+        women army often according education central country division english top included development
+        french community among water play side list times near late form original different center power led
+        students german moved court six land council island u.s. record million research art established
+        award street military television given region support western production non political point cup
+        period business title started various election using england role produced become program works
+        field total office class written association radio union level championship director few force
+        created department founded services married though per n't site open act short society version royal
+        present northern worked professional full returned joined story france european currently language
+        social california india days design st. further round australia wrote san project control southern
+        railway board popular continued free battle considered video common position living half playing
+        recorded red post described average records special modern appeared announced areas rock release
+        elected others example term opened similar formed route census current schools originally lake
+        developed race himself forces addition information upon province match event songs result events win
+        eastern track lead teams science human construction minister germany awards available throughout
+        training style body museum australian health seven signed chief eventually appointed sea centre
+        debut tour points media light range character across features families largest indian network less
+        performance players refer europe sold festival usually taken despite designed committee process
+        return official episode institute stage followed performed japanese personal thus arts space low
+        months includes china study middle magazine leading japan groups aircraft featured federal civil
+        rights model coach canadian books remained eight type independent completed capital academy instead
+        kingdom organization countries studies competition sports size above section finished gold involved
+        reported management systems industry directed market fourth movement technology bank ground campaign
+        base lower sent rather added provided coast grand historic valley conference bridge winning
+        approximately films chinese awarded degree russian shows native female replaced municipality square
+        studio medical data african successful mid bay attack previous operations spanish theatre student
+        republic beginning provide ship primary owned writing tournament culture introduced texas related
+        natural parts governor reached ireland units senior decided italian whose higher africa standard
+        income professor placed regional los buildings championships active novel energy generally interest
+        via economic previously stated itself channel below operation leader traditional trade structure
+        limited runs prior regular famous saint navy foreign listed artist catholic airport results
+        parliament collection unit officer goal attended command staff commission lived location plays
+        commercial places foundation significant older medal self scored companies highway activities
+        programs wide musical notable library numerous paris towards individual allowed plant property
+        annual contract whom highest initially required earlier assembly artists rural seat practice
+        defeated ended soviet length spent manager press associated author issues additional characters lord
+        zealand policy engine township noted historical complete financial religious mission contains nine
+        recent represented pennsylvania administration opening secretary lines report executive youth closed
+        theory writer italy angeles appearance feature queen launched legal terms entered issue edition
+        singer greek majority background source anti cultural complex changes recording stadium islands
+        operated particularly basketball month uses port castle mostly names fort selected increased status
+        earth subsequently pacific cover variety certain goals remains upper congress becoming studied irish
+        nature particular loss caused chart dr. forced create era retired material review rate singles
+        referred larger individuals shown provides products speed democratic poland parish olympics cities
+        themselves temple wing genus households serving cost wales stations passed supported view cases
+        forms actor male matches males stars tracks females administrative median effect biography train
+        engineering camp offered chairman houses mainly 19th surface therefore nearly score ancient subject
+        prime seasons claimed experience specific jewish failed overall believed plot troops greater spain
+        consists broadcast heavy increase raised separate campus 1980s appears presented lies composed
+        recently influence fifth nations creek references elections britain double cast meaning earned
+        carried producer latter housing brothers attempt article response border remaining nearby direct
+        ships value workers politician academic label 1970s commander rule fellow residents authority editor
+        transport dutch projects responsible covered territory flight races defense tower emperor albums
+        facilities daily stories assistant managed primarily quality function proposed distribution
+        conditions prize journal code vice newspaper corps highly constructed mayor critical secondary
+        corporation rugby regiment ohio appearances serve allow nation multiple discovered directly scene
+        levels growth elements acquired 1990s officers physical 20th latin host jersey graduated arrived
+        issued literature metal estate vote immediately quickly asian competed extended produce urban 1960s
+        promoted contemporary global formerly appear industrial types opera ministry soldiers commonly mass
+        formation smaller typically drama shortly density senate effects iran polish prominent naval
+        settlement divided basis republican languages distance treatment continue product mile sources
+        footballer format clubs leadership initial offers operating avenue officially columbia grade
+        squadron fleet percent farm leaders agreement likely equipment website mount grew method transferred
+        intended renamed iron asia reserve capacity politics widely activity advanced relations scottish
+        dedicated crew founder episodes lack amount build efforts concept follows ordered leaves positive
+        economy entertainment affairs memorial ability illinois communities color text railroad scientific
+        focus comedy serves exchange environment cars direction organized firm description agency analysis
+        purpose destroyed reception planned revealed infantry architecture growing featuring household
+        candidate removed situated models knowledge solo technical organizations assigned conducted
+        participated largely purchased register gained combined headquarters adopted potential protection
+        scale approach spread independence mountains titled geography applied safety mixed accepted
+        continues captured rail defeat principal recognized lieutenant mentioned semi owner joint liberal
+        actress traffic creation basic notes unique supreme declared simply plants sales massachusetts
+        designated parties jazz compared becomes resources titles concert learning remain teaching versions
+        content alongside revolution sons block premier impact champions districts generation estimated
+        volume image sites account roles sport quarter providing zone yard scoring classes presence
+        performances representatives hosted split taught origin olympic claims critics facility occurred
+        suffered municipal damage defined resulted respectively expanded platform draft opposition expected
+        educational ontario climate reports atlantic surrounding performing reduced ranked allows birth
+        nominated younger newly kong positions theater philadelphia heritage finals disease sixth laws
+        reviews constitution tradition swedish theme fiction rome medicine trains resulting existing deputy
+        environmental labour classical develop fans granted receive alternative begins nuclear fame buried
+        connected identified palace falls letters combat sciences effort villages inspired regions towns
+        conservative chosen animals labor attacks materials yards steel representative orchestra peak
+        entitled officials returning reference northwest imperial convention examples ocean publication
+        painting subsequent frequently religion brigade fully sides acts cemetery relatively oldest
+        suggested succeeded achieved application programme cells votes promotion graduate armed supply
+        flying communist figures literary netherlands korea worldwide citizens 1950s faculty draw stock
+        seats occupied methods unknown articles claim holds authorities audience sweden interview obtained
+        covers settled transfer marked allowing funding challenge southeast unlike crown rise portion
+        transportation sector phase properties edge tropical standards institutions philosophy legislative
+        hills brand fund conflict unable founding refused attempts metres permanent starring applications
+        creating effective aired extensive employed enemy expansion billboard rank battalion multi vehicle
+        fought alliance category perform federation poetry bronze bands entry vehicles bureau maximum
+        billion trees intelligence greatest screen refers commissioned gallery injury confirmed setting
+        treaty adult americans broadcasting supporting pilot mobile writers programming existence squad
+        minnesota copies korean provincial sets defence offices agricultural internal core northeast
+        retirement factory actions prevent communications ending weekly containing functions attempted
+        interior weight bowl recognition incorporated increasing ultimately documentary derived attacked
+        lyrics mexican external churches centuries metropolitan selling opposed personnel mill visited
+        presidential roads pieces norwegian controlled 18th rear influenced wrestling weapons launch
+        composer locations developing circuit specifically studios shared canal wisconsin publishing
+        approved domestic consisted determined comic establishment exhibition southwest fuel electronic cape
+        converted educated melbourne hits wins producing norway slightly occur surname identity represent
+        constituency funds proved links structures athletic birds contest users poet institution display
+        receiving rare contained guns motion piano temperature publications passenger contributed toward
+        cathedral inhabitants architect exist athletics muslim courses abandoned signal successfully
+        disambiguation tennessee dynasty heavily maryland jews representing budget weather missouri
+        introduction faced pair chapel reform height vietnam occurs motor cambridge lands focused sought
+        patients shape invasion chemical importance communication selection regarding homes voivodeship
+        maintained borough failure aged passing agriculture oregon teachers flow philippines trail seventh
+        portuguese resistance reaching negative fashion scheduled downtown universities trained skills
+        scenes views notably typical incident candidates engines decades composition commune chain inc.
+        austria sale values employees chamber regarded winners registered task investment colonial swiss
+        user entirely flag stores closely entrance laid journalist coal equal causes turkish quebec
+        techniques promote junction easily dates kentucky singapore residence violence advance survey humans
+        expressed passes streets distinguished qualified folk establish egypt artillery visual improved
+        actual finishing medium protein switzerland productions operate poverty neighborhood organisation
+        consisting consecutive sections partnership extension reaction factor costs bodies device ethnic
+        racial flat objects chapter improve musicians courts controversy membership merged wars expedition
+        interests arab comics gain describes mining bachelor crisis joining decade 1930s distributed habitat
+        routes arena cycle divisions briefly vocals directors degrees object recordings installed adjacent
+        demand voted causing businesses ruled grounds starred drawn opposite stands formal operates persons
+        counties compete wave israeli ncaa resigned brief greece combination demographics historian contain
+        commonwealth musician collected argued louisiana session cabinet parliamentary electoral loan profit
+        regularly conservation islamic purchase 17th charts residential earliest designs paintings survived
+        moth items goods grey anniversary criticism images discovery observed underground progress
+        additionally participate thousands reduce elementary owners stating iraq resolution capture tank
+        rooms hollywood finance queensland reign maintain iowa landing broad outstanding circle path
+        manufacturing assistance sequence gmina crossing leads universal shaped kings attached medieval ages
+        metro colony affected scholars oklahoma coastal soundtrack painted attend definition meanwhile
+        purposes trophy require marketing popularity cable mathematics mississippi represents scheme appeal
+        distinct factors acid subjects roughly terminal economics senator diocese prix contrast argentina
+        czech wings relief stages duties 16th novels accused whilst equivalent charged measure documents
+        couples request danish defensive guide devices statistics credited tries passengers allied frame
+        puerto peninsula concluded instruments wounded differences associate forests afterwards replace
+        requirements aviation solution offensive ownership inner legislation hungarian contributions actors
+        translated denmark steam depending aspects assumed injured severe admitted determine shore technique
+        arrival measures translation debuted delivered returns rejected separated visitors damaged storage
+        accompanied markets industries losses gulf charter strategy corporate socialist somewhat
+        significantly physics mounted satellite experienced constant relative pattern restored belgium
+        connecticut partners harvard retained networks protected mode artistic parallel collaboration debate
+        involving journey linked salt authors components context occupation requires occasionally policies
+        tamil ottoman revolutionary hungary poem versus gardens amongst audio makeup frequency meters
+        orthodox continuing suggests legislature coalition guitarist eighth classification practices soil
+        tokyo instance limit coverage considerable ranking colleges cavalry centers daughters twin equipped
+        broadway narrow hosts rates domain boundary arranged 12th whereas brazilian forming rating strategic
+        competitions trading covering baltimore commissioner infrastructure origins replacement praised disc
+        collections expression ukraine driven edited austrian solar ensure premiered successor wooden
+        operational hispanic concerns rapid prisoners childhood meets influential tunnel employment tribe
+        qualifying adapted temporary celebrated appearing increasingly depression adults cinema entering
+        laboratory script flows romania accounts fictional pittsburgh achieve monastery franchise formally
+        tools newspapers revival sponsored processes vienna springs missions classified 13th annually
+        branches lakes gender manner advertising normally maintenance adding characteristics integrated
+        decline modified strongly critic victims malaysia arkansas nazi restoration powered monument
+        hundreds depth 15th controversial admiral criticized brick honorary initiative output visiting
+        birmingham progressive existed carbon 1920s credits colour rising hence defeating superior filmed
+        listing column surrounded orleans principles territories struck participation indonesia movements
+        index commerce conduct constitutional spiritual ambassador vocal completion edinburgh residing
+        tourism finland bears medals resident themes visible indigenous involvement basin electrical
+        ukrainian concerts boats styles processing rival drawing vessels experimental declined touring
+        supporters compilation coaching cited dated roots string explained transit traditionally poems
+        minimum representation 14th releases effectively architectural triple indicated greatly elevation
+        clinical printed 10th proposal peaked producers romanized rapidly stream innings meetings counter
+        householder honour lasted agencies document exists surviving experiences honors landscape hurricane
+        harbor panel competing profile vessel farmers lists revenue exception customers 11th participants
+        wildlife utah bible gradually preserved replacing symphony begun longest siege provinces mechanical
+        genre transmission agents executed videos benefits funded rated instrumental ninth similarly
+        dominated destruction passage technologies thereafter outer facing affiliated opportunities
+        instrument governments scholar evolution channels shares sessions widespread occasions engineers
+        scientists signing battery competitive alleged eliminated supplies judges hampshire regime portrayed
+        penalty taiwan denied submarine scholarship substantial transition victorian http nevertheless filed
+        supports continental tribes ratio doubles useful honours blocks principle retail departure ranks
+        patrol yorkshire vancouver inter extent afghanistan strip railways component organ symbol categories
+        encouraged abroad civilian periods traveled writes struggle immediate recommended adaptation
+        egyptian graduating assault drums nomination historically voting allies detailed achievement
+        percentage arabic assist frequent toured apply and/or intersection maine touchdown throne produces
+        contribution emerged obtain archbishop seek researchers remainder populations clan finnish overseas
+        fifa licensed chemistry festivals mediterranean injuries animated seeking publisher volumes limits
+        venue jerusalem generated trials islam youngest ruling glasgow germans songwriter persian
+        municipalities donated viewed belgian cooperation posted tech dual volunteer settlers commanded
+        claiming approval delhi usage terminus partly electricity locally editions premiere absence belief
+        traditions statue indicate manor stable attributed possession managing viewers chile overview seed
+        regulations essential minority cargo segment endemic forum deaths monthly playoffs erected practical
+        machines suburb relation mrs. descent indoor continuous characterized solutions caribbean rebuilt
+        serbian summary contested psychology pitch attending muhammad tenure drivers diameter assets venture
+        punk airlines concentration athletes volunteers pages mines influences sculpture protest ferry
+        behalf drafted apparent furthermore ranging romanian democracy lanka significance linear d.c.
+        certified voters recovered tours demolished boundaries assisted identify grades elsewhere mechanism
+        1940s reportedly aimed conversion suspended photography departments beijing locomotives publicly
+        dispute magazines resort conventional platforms internationally capita settlements dramatic derby
+        establishing involves statistical implementation immigrants exposed diverse layer vast ceased
+        connections belonged interstate uefa organised abuse deployed cattle partially filming mainstream
+        reduction automatic rarely subsidiary decides merger comprehensive displayed amendment guinea
+        exclusively manhattan concerning commons radical serbia baptist buses initiated portrait harbour
+        choir citizen sole unsuccessful manufactured enforcement connecting increases patterns sacred
+        muslims clothing hindu unincorporated sentenced advisory tanks campaigns fled repeated remote
+        rebellion implemented texts fitted tribute writings sufficient ministers 21st devoted jurisdiction
+        coaches interpretation pole businessman peru sporting prices cuba relocated opponent arrangement
+        elite manufacturer responded suitable distinction calendar dominant tourist earning prefecture ties
+        preparation anglo pursue worship archaeological chancellor bangladesh scores traded lowest horror
+        outdoor biology commented specialized loop arriving farming housed historians 'the patent pupils
+        christianity opponents athens northwestern maps promoting reveals flights exclusive lions norfolk
+        hebrew extensively eldest shops acquisition virtual renowned margin ongoing essentially iranian
+        alternate sailed reporting conclusion originated temperatures exposure secured landed rifle
+        framework identical martial focuses topics ballet fighters belonging wealthy negotiations evolved
+        bases oriented acres democrat heights restricted vary graduation aftermath chess illness
+        participating vertical collective immigration demonstrated leaf completing organic missile leeds
+        eligible grammar confederate improvement congressional wealth cincinnati spaces indicates
+        corresponding reaches repair isolated taxes congregation ratings leagues diplomatic submitted winds
+        awareness photographs maritime nigeria accessible animation restaurants philippine inaugural
+        dismissed armenian illustrated reservoir speakers programmes resource genetic interviews camps
+        regulation computers preferred travelled comparison distinctive recreation requested southeastern
+        dependent brisbane breeding playoff expand bonus gauge departed qualification inspiration shipping
+        slaves variations shield theories munich recognised emphasis favour variable seeds undergraduate
+        territorial intellectual qualify mini banned pointed democrats assessment judicial examination
+        attempting objective partial characteristic hardware pradesh execution ottawa metre drum exhibitions
+        withdrew attendance phrase journalism logo measured error christians trio protestant theology
+        respective atmosphere buddhist substitute curriculum fundamental outbreak rabbi intermediate
+        designation globe liberation simultaneously diseases experiments locomotive difficulties mainland
+        nepal relegated contributing database developments veteran carries ranges instruction lodge protests
+        obama newcastle experiment physician describing challenges corruption delaware adventures ensemble
+        succession renaissance tenth altitude receives approached crosses syria croatia warsaw professionals
+        improvements worn airline compound permitted preservation reducing printing scientist activist
+        comprises sized societies enters ruler gospel earthquake extend autonomous croatian serial decorated
+        relevant ideal grows grass tier towers wider welfare columns alumni descendants interface reserves
+        banking colonies manufacturers magnetic closure pitched vocalist preserve enrolled cancelled
+        equation 2000s nickname bulgaria heroes exile mathematical demands input structural tube stem
+        approaches argentine axis manuscript inherited depicted targets visits veterans regard removal
+        efficiency organisations concepts lebanon manga petersburg rally supplied amounts yale tournaments
+        broadcasts signals pilots azerbaijan architects enzyme literacy declaration placing batting
+        incumbent bulgarian consistent poll defended landmark southwestern raid resignation travels
+        casualties prestigious namely aims recipient warfare readers collapse coached controls volleyball
+        coup lesser verse pairs exhibited proteins molecular abilities integration consist aspect advocate
+        administered governing hospitals commenced coins lords variation resumed canton artificial elevated
+        palm difficulty civic efficient northeastern inducted radiation affiliate boards stakes byzantine
+        consumption freight interaction oblast numbered seminary contracts extinct predecessor bearing
+        cultures functional neighboring revised cylinder grants narrative reforms athlete tales reflect
+        presidency compositions specialist cricketer founders sequel widow disbanded associations backed
+        thereby pitcher commanding boulevard singers crops militia reviewed centres waves consequently
+        fortress tributary portions bombing excellence nest payment mars plaza unity victories scotia farms
+        nominations variant attacking suspension installation graphics estates comments acoustic destination
+        venues surrender retreat libraries quarterback customs berkeley collaborated gathered syndrome
+        dialogue recruited shanghai neighbouring psychological saudi moderate exhibit innovation depot
+        binding brunswick situations certificate actively shakespeare editorial presentation ports relay
+        nationalist methodist archives experts maintains collegiate bishops maintaining temporarily embassy
+        essex wellington connects reformed bengal recalled inches doctrine deemed legendary reconstruction
+        statements palestinian meter achievements riders interchange spots auto accurate chorus dissolved
+        missionary thai operators e.g. generations failing delayed cork nashville perceived venezuela cult
+        emerging tomb abolished documented gaining canyon episcopal stored assists compiled kerala
+        kilometers mosque grammy theorem unions segments glacier arrives theatrical circulation conferences
+        chapters displays circular authored conductor fewer dimensional nationwide liga yugoslavia peer
+        vietnamese fellowship armies regardless relating dynamic politicians mixture serie somerset
+        imprisoned posts beliefs beta layout independently electronics provisions fastest logic
+        headquartered creates challenged beaten appeals plains protocol graphic accommodate iraqi midfielder
+        span commentary freestyle reflected palestine lighting burial virtually backing prague tribal heir
+        identification prototype criteria dame arch tissue footage extending procedures predominantly
+        updated rhythm preliminary cafe disorder prevented suburbs discontinued retiring oral followers
+        extends massacre journalists conquest larvae pronounced behaviour diversity sustained addressed
+        geographic restrictions voiced milwaukee dialect quoted grid nationally nearest roster twentieth
+        separation indies manages citing intervention guidance severely migration artwork focusing rivals
+        trustees varied enabled committees centered skating slavery cardinals forcing tasks auckland youtube
+        argues colored advisor mumbai requiring theological registration refugees nineteenth survivors
+        runners colleagues priests contribute variants workshop concentrated creator lectures temples
+        exploration requirement interactive navigation companion perth allegedly releasing citizenship
+        observation stationed ph.d. sheep breed discovers encourage kilometres journals performers isle
+        saskatchewan hybrid hotels lancashire dubbed airfield anchor suburban theoretical sussex anglican
+        stockholm permanently upcoming privately receiver optical highways congo colours aggregate
+        authorized repeatedly varies fluid innovative transformed praise convoy demanded discography
+        attraction export audiences ordained enlisted occasional westminster syrian heavyweight bosnia
+        consultant eventual improving aires wickets epic reactions scandal i.e. discrimination buenos patron
+        investors conjunction testament construct encountered celebrity expanding georgian brands retain
+        underwent algorithm foods provision orbit transformation associates tactical compact varieties
+        stability refuge gathering moreover manila configuration gameplay discipline entity comprising
+        composers skill monitoring ruins museums sustainable aerial altered codes voyage friedrich conflicts
+        storyline travelling conducting merit indicating referendum currency encounter particles automobile
+        workshops acclaimed inhabited doctorate cuban phenomenon dome enrollment tobacco governance trend
+        equally manufacture hydrogen grande compensation download pianist grain shifted neutral evaluation
+        define cycling seized array relatives motors firms varying automatically restore nicknamed findings
+        governed investigate manitoba administrator vital integral indonesian confusion publishers enable
+        geographical inland naming civilians reconnaissance indianapolis lecturer deer tourists exterior
+        rhode bassist symbols scope ammunition yuan poets punjab nursing cent developers estimates
+        presbyterian nasa holdings generate renewed computing cyprus arabia duration compounds gastropod
+        permit valid touchdowns facade interactions mineral practiced allegations consequence goalkeeper
+        baronet copyright uprising carved targeted competitors mentions sanctuary fees pursued tampa
+        chronicle capabilities specified specimens toll accounting limestone staged upgraded philosophical
+        streams guild revolt rainfall supporter princeton terrain hometown probability assembled paulo
+        surrey voltage developer destroyer floors lineup curve prevention potentially onwards trips imposed
+        hosting striking strict admission apartments solely utility proceeded observations euro incidents
+        vinyl profession haven distant expelled rivalry runway torpedo zones shrine dimensions
+        investigations lithuania idaho pursuit copenhagen considerably locality wireless decrease genes
+        thermal deposits hindi habitats withdrawn biblical monuments casting plateau thesis managers
+        flooding assassination acknowledged interim inscription guided pastor finale insects transported
+        activists marshal intensity airing cardiff proposals lifestyle prey herald capitol aboriginal
+        measuring lasting interpreted occurring desired drawings healthcare panels elimination oslo ghana
+        blog sabha intent superintendent governors bankruptcy p.m. equity disk layers slovenia prussia
+        quartet mechanics graduates politically monks screenplay nato absorbed topped petition bold morocco
+        exhibits canterbury publish rankings crater dominican enhanced planes lutheran governmental joins
+        collecting brussels unified streak strategies flagship surfaces oval archive etymology imprisonment
+        instructor noting remix opposing servant rotation width trans maker synthesis excess tactics snail
+        ltd. lighthouse sequences cornwall plantation mythology performs foundations populated horizontal
+        speedway activated performer diving conceived edmonton subtropical environments prompted semifinals
+        caps bulk treasury recreational telegraph continent portraits relegation catholics graph velocity
+        rulers endangered secular observer learns inquiry idol dictionary certification estimate cluster
+        armenia observatory revived nadu consumers hypothesis manuscripts contents arguments editing trails
+        arctic essays belfast acquire promotional undertaken corridor proceedings antarctic millennium
+        labels delegates vegetation acclaim directing substance outcome diploma philosopher malta albanian
+        vicinity degc legends regiments consent terrorist scattered presidents gravity orientation
+        deployment duchy refuses estonia crowned separately renovation rises wilderness objectives
+        agreements empress slopes inclusion equality decree ballot criticised rochester recurring struggled
+        disabled henri poles prussian convert bacteria poorly sudan geological wyoming consistently minimal
+        withdrawal interviewed proximity repairs initiatives pakistani republicans propaganda viii abstract
+        commercially availability mechanisms naples discussions underlying lens proclaimed advised spelling
+        auxiliary attract lithuanian editors o'brien accordance measurement novelist ussr formats councils
+        contestants indie facebook parishes barrier battalions sponsor consulting terrorism implement uganda
+        crucial unclear notion distinguish collector attractions filipino ecology investments capability
+        renovated iceland albania accredited scouts armor sculptor cognitive errors gaming condemned
+        successive consolidated baroque entries regulatory reserved treasurer variables arose technological
+        rounded provider rhine agrees accuracy genera decreased frankfurt ecuador edges particle rendered
+        calculated careers faction rifles americas gaelic portsmouth resides merchants fiscal premises coin
+        draws presenter acceptance ceremonies pollution consensus membrane brigadier nonetheless genres
+        supervision predicted magnitude finite differ ancestry vale delegation removing proceeds placement
+        emigrated siblings molecules payments considers demonstration proportion newer valve achieving
+        confederation continuously luxury notre introducing coordinates charitable squadrons disorders
+        geometry winnipeg ulster loans longtime receptor preceding belgrade mandate wrestler neighbourhood
+        factories buddhism imported sectors protagonist steep elaborate prohibited artifacts prizes pupil
+        cooperative sovereign subspecies carriers allmusic nationals settings autobiography neighborhoods
+        analog facilitate voluntary jointly newfoundland organizing raids exercises nobel machinery baltic
+        crop granite dense websites mandatory seeks surrendered anthology comedian bombs slot synopsis
+        critically arcade marking equations halls indo inaugurated embarked speeds clause invention
+        premiership likewise presenting demonstrate designers organize examined km/h bavaria troop referee
+        detection zurich prairie rapper wingspan eurovision luxembourg slovakia inception disputed mammals
+        entrepreneur makers evangelical yield clergy trademark defunct allocated depicting volcanic batted
+        conquered sculptures providers reflects armoured locals walt herzegovina contracted entities
+        sponsorship prominence flowing ethiopia marketed corporations withdraw carnegie induced investigated
+        portfolio flowering opinions viewing classroom donations bounded perception leicester fruits
+        charleston academics statute complaints smallest deceased petroleum resolved commanders algebra
+        southampton modes cultivation transmitter spelled obtaining sizes acre pageant bats abbreviated
+        correspondence barracks feast tackles raja derives geology disputes translations counted
+        constantinople seating macedonia preventing accommodation homeland explored invaded provisional
+        transform sphere unsuccessfully missionaries conservatives highlights traces organisms openly
+        dancers fossils absent monarchy combining lanes stint dynamics chains missiles screening module
+        tribune generating miners nottingham seoul unofficial owing linking rehabilitation citation
+        louisville mollusk depicts differential zimbabwe kosovo recommendations responses pottery scorer
+        aided exceptions dialects telecommunications defines elderly lunar coupled flown 25th espn formula_1
+        bordered fragments guidelines gymnasium valued complexity papal presumably maternal challenging
+        reunited advancing comprised uncertain favorable twelfth correspondent nobility livestock expressway
+        chilean tide researcher emissions profits lengths accompanying witnessed itunes drainage slope
+        reinforced feminist sanskrit develops physicians outlets isbn coordinator averaged termed occupy
+        diagnosed yearly humanitarian prospect spacecraft stems enacted linux ancestors karnataka constitute
+        immigrant thriller ecclesiastical generals celebrations enhance heating advocated evident advances
+        bombardment watershed shuttle wicket twitter adds branded teaches schemes pension advocacy
+        conservatory cairo varsity freshwater providence seemingly shells cuisine specially peaks intensive
+        publishes trilogy skilled nacional unemployment destinations parameters verses trafficking
+        determination infinite savings alignment linguistic countryside dissolution measurements advantages
+        licence subfamily highlands modest regent algeria crest teachings knockout brewery combine
+        conventions descended chassis primitive fiji explicitly cumberland uruguay laboratories bypass elect
+        informal preceded holocaust tackle minneapolis quantity securities console doctoral religions
+        commissioners expertise unveiled precise diplomat standings infant disciplines sicily endorsed
+        systematic charted armored mild lateral townships hurling prolific invested wartime compatible
+        galleries moist battlefield decoration convent tubes terrestrial nominee requests delegate leased
+        dubai polar applying addresses munster sings commercials teamed dances eleventh midland cedar flee
+        sandstone snails inspection divide asset themed comparable paramount dairy archaeology intact
+        institutes rectangular instances phases reflecting substantially applies vacant lacked copa coloured
+        encounters sponsors encoded possess revenues ucla chaired a.m. enabling playwright stoke sociology
+        tibetan frames motto financing illustrations gibraltar chateau bolivia transmitted enclosed
+        persuaded urged folded suffolk regulated bros. submarines myth oriental malaysian effectiveness
+        narrowly acute sunk replied utilized tasmania consortium quantities gains parkway enlarged sided
+        employers adequate accordingly assumption ballad mascot distances peaking saxony projected
+        affiliation limitations metals guatemala scots theaters kindergarten verb employer differs discharge
+        controller seasonal marching guru campuses avoided vatican maori excessive chartered modifications
+        caves monetary sacramento mixing institutional celebrities irrigation shapes broadcaster anthem
+        attributes demolition offshore specification surveys yugoslav contributor auditorium lebanese
+        capturing airports classrooms chennai paths tendency determining lacking upgrade sailors detected
+        kingdoms sovereignty freely decorative momentum scholarly georges gandhi speculation transactions
+        undertook interact similarities cove teammate constituted painters tends madagascar partnerships
+        afghan personalities attained rebounds masses synagogue reopened asylum embedded imaging catalogue
+        defenders taxonomy fiber afterward appealed communists lisbon rica judaism adviser batsman
+        ecological commands lgbt cooling accessed wards shiva employs thirds scenic worcester tallest
+        contestant humanities economist textile constituencies motorway tram percussion cloth leisure 1880s
+        baden flags resemble riots coined sitcom composite implies daytime tanzania penalties optional
+        competitor excluded steering reversed autonomy reviewer breakthrough professionally damages
+        pomeranian deputies valleys ventures highlighted electorate mapping shortened executives tertiary
+        specimen launching bibliography sank pursuing binary descendant marched natives ideology turks adolf
+        archdiocese tribunal exceptional nigerian preference fails loading comeback vacuum favored alter
+        remnants consecrated spectators trends patriarch feedback paved sentences councillor astronomy
+        advocates broader commentator commissions identifying revealing theatres incomplete enables
+        constituent reformation tract haiti atmospheric screened explosive czechoslovakia acids symbolic
+        subdivision liberals incorporate challenger erie filmmaker laps kazakhstan organizational
+        evolutionary chemicals dedication riverside fauna moths maharashtra annexed gen. resembles
+        underwater garnered timeline remake suited educator hectares automotive feared latvia finalist
+        narrator portable airways plaque designing villagers licensing flank statues struggles deutsche
+        migrated cellular jacksonville wimbledon defining highlight preparatory planets cologne employ
+        frequencies detachment readily libya resign halt helicopters reef landmarks collaborative irregular
+        retaining helsinki folklore weakened viscount interred professors memorable mega repertoire rowing
+        dorsal albeit progressed operative coronation liner telugu domains philharmonic detect bengali
+        synthetic tensions atlas dramatically paralympics xbox shire kiev lengthy sued notorious seas
+        screenwriter transfers aquatic pioneers unesco radius abundant tunnels syndicated inventor
+        accreditation janeiro exeter ceremonial omaha cadet predators resided prose slavic precision abbot
+        deity engaging cambodia estonian compliance demonstrations protesters reactor commodore successes
+        chronicles mare extant listings minerals tonnes parody cultivated traders pioneering supplement
+        slovak preparations collision partnered vocational atoms malayalam welcomed documentation curved
+        functioning presently formations incorporates nazis botanical nucleus ethical greeks metric
+        automated whereby stance europeans duet disability purchasing email telescope displaced sodium
+        comparative processor inning precipitation aesthetic import coordination feud alternatively mobility
+        tibet regained succeeding hierarchy apostolic catalog reproduction inscriptions vicar clusters
+        posthumously rican loosely additions photographic nowadays selective derivative keyboards guides
+        collectively affecting combines operas networking decisive terminated continuity finishes ancestor
+        consul heated simulation leipzig incorporating georgetown formula_2 circa forestry portrayal
+        councillors advancement complained forewings confined transaction definitions reduces televised
+        1890s rapids phenomena belarus alps landscapes quarterly specifications commemorate continuation
+        isolation antenna downstream patents ensuing tended saga lifelong columnist labeled gymnastics papua
+        anticipated demise encompasses madras antarctica interval icon rams midlands ingredients priory
+        strengthen rouge explicit gaza aging securing anthropology listeners adaptations underway vista
+        malay fortified lightweight violations concerto financed jesuit observers trustee descriptions
+        nordic resistant opted accepts prohibition andhra inflation negro wholly imagery spur instructed
+        gloucester cycles middlesex destroyers statewide evacuated hyderabad peasants mice shipyard
+        coordinate pitching colombian exploring numbering compression countess hiatus exceed raced
+        archipelago traits soils o'connor vowel android facto angola amino holders logistics circuits
+        emergence kuwait partition emeritus outcomes submission promotes barack negotiated loaned stripped
+        50th excavations treatments fierce participant exports decommissioned cameo remarked residences
+        fuselage mound undergo quarry node midwest specializing occupies etc. showcase molecule offs modules
+        salon exposition revision peers positioned hunters competes algorithms reside zagreb calcium uranium
+        silicon airs counterpart outlet collectors sufficiently canberra inmates anatomy ensuring curves
+        aviv firearms basque volcano thrust sheikh extensions installations aluminum darker sacked
+        emphasized aligned asserted pseudonym spanning decorations eighteenth orbital spatial subdivided
+        notation decay macedonian amended declining cyclist feat unusually commuter birthplace latitude
+        activation overhead 30th finalists whites encyclopedia tenor qatar survives complement
+        concentrations uncommon astronomical bangalore pius genome memoir recruit prosecutor modification
+        paired container basilica arlington displacement germanic mongolia proportional debates matched
+        calcutta rows tehran aerospace prevalent arise lowland 24th spokesman supervised advertisements
+        clash tunes revelation wanderers quarterfinals fisheries steadily memoirs pastoral renewable
+        confluence acquiring strips slogan upstream scouting analyst practitioners turbine strengthened
+        heavier prehistoric plural excluding isles persecution turin rotating villain hemisphere unaware
+        arabs corpus relied singular unanimous schooling passive angles dominance instituted aria outskirts
+        balanced beginnings financially structured parachute viewer attitudes subjected escapes derbyshire
+        erosion addressing styled declaring originating colts adjusted stained occurrence fortifications
+        baghdad nitrogen localities yemen galway debris lodz victorious pharmaceutical substances unnamed
+        dwelling atop developmental activism voter refugee forested relates overlooking genocide kannada
+        insufficient oversaw partisan dioxide recipients factions mortality capped expeditions receptors
+        reorganized prominently atom flooded flute orchestral scripts mathematician airplay detached
+        rebuilding dwarf brotherhood salvation expressions arabian cameroon poetic recruiting bundesliga
+        inserted scrapped disabilities evacuation pasha undefeated crafts rituals aluminium norm pools
+        submerged occupying pathway exams prosperity wrestlers promotions basal permits nationalism trim
+        merge gazette tributaries transcription caste porto emerge modeled adjoining counterparts paraguay
+        redevelopment renewal unreleased equilibrium similarity minorities soviets comprise nodes tasked
+        unrelated expired johan precursor examinations electrons socialism exiled admiralty floods wigan
+        nonprofit lacks brigades screens repaired hanover fascist labs osaka delays judged statutory colt
+        col. offspring solving bred assisting retains somalia grouped corresponds tunisia chaplain eminent
+        chord 22nd spans viral innovations possessions mikhail kolkata icelandic implications introduces
+        racism workforce alto compulsory admits censorship onset reluctant inferior iconic progression
+        liability turnout satellites behavioral coordinated exploitation posterior averaging fringe krakow
+        mountainous greenwich para plantations reinforcements offerings famed intervals constraints
+        individually nutrition 1870s taxation threshold tomatoes fungi contractor ethiopian apprentice
+        diabetes wool gujarat honduras norse bucharest 23rd arguably accompany prone teammates perennial
+        vacancy polytechnic deficit okinawa functionality reminiscent tolerance transferring myanmar
+        concludes neighbours hydraulic economically slower plots charities synod investor catholicism
+        identifies bronx interpretations adverse judiciary hereditary nominal sensor symmetry cubic
+        triangular tenants divisional outreach representations passages undergoing cartridge testified
+        exceeded impacts limiting railroads defeats regain rendering humid retreated reliability governorate
+        antwerp infamous implied packaging lahore trades billed extinction ecole rejoined recognizes
+        projection qualifications stripes forts socially lexington accurately sexuality westward wikipedia
+        pilgrimage abolition choral stuttgart nests expressing strikeouts assessed monasteries reconstructed
+        humorous marxist fertile consort urdu patronage peruvian devised lyric baba nassau communism
+        extraction popularly markings inability litigation accounted processed emirates tempo cadets
+        eponymous contests broadly oxide courtyard frigate directory apex outline regency chiefly patrols
+        secretariat cliffs residency privy armament australians dorset geometric genetics scholarships
+        fundraising flats demographic multimedia captained documentaries updates canvas blockade guerrilla
+        songwriting administrators intake drought implementing fraction cannes refusal inscribed meditation
+        announcing exported ballots formula_3 curator basel arches flour subordinate confrontation gravel
+        simplified berkshire patriotic tuition employing servers castile posting combinations discharged
+        miniature mutations constellation incarnation ideals necessity granting ancestral crowds pioneered
+        mormon methodology rama indirect complexes bavarian patrons uttar skeleton bollywood flemish viable
+        bloc breeds triggered sustainability tailed referenced comply takeover latvian homestead platoon
+        communal nationality excavated targeting sundays posed physicist turret endowment marginal
+        dispatched commentators renovations attachment collaborations ridges barriers obligations
+        shareholders prof. defenses presided rite backgrounds arbitrary affordable gloucestershire
+        thirteenth inlet miniseries possesses detained pressures subscription realism solidarity proto
+        postgraduate noun burmese abundance homage reasoning anterior robust fencing shifting vowels garde
+        profitable loch anchored coastline samoa terminology prostitution magistrate venezuelan speculated
+        regulate fixture colonists digit induction manned expeditionary computational centennial principally
+        vein preserving engineered numerical cancellation conferred continually borne seeded advertisement
+        unanimously treaties infections ions sensors lowered amphibious lava fourteenth bahrain niagara
+        nicaragua squares congregations 26th periodic proprietary 1860s contributors seller overs emission
+        procession presumed illustrator zinc gases tens applicable stretches reproductive sixteenth
+        apparatus accomplishments canoe guam oppose recruitment accumulated limerick namibia staging remixes
+        ordnance uncertainty pedestrian temperate treason deposited registry cerambycidae attracting lankan
+        reprinted shipbuilding homosexuality neurons eliminating 1900s resume ministries beneficial
+        blackpool surplus northampton licenses constructing announcer standardized alternatives taipei
+        inadequate failures yields medalist titular obsolete torah burlington predecessors lublin retailers
+        castles depiction issuing gubernatorial propulsion tiles damascus discs alternating pomerania
+        peasant tavern redesignated 27th illustration focal mans codex specialists productivity antiquity
+        controversies promoter pits companions behaviors lyrical prestige creativity swansea dramas
+        approximate feudal tissues crude campaigned unprecedented chancel amendments surroundings allegiance
+        exchanges align firmly optimal commenting reigning landings obscure 1850s contemporaries paternal
+        devi endurance communes incorporation denominations exchanged routing resorts amnesty slender
+        explores suppression heats pronunciation centred coupe stirling freelance treatise linguistics laos
+        informs discovering pillars encourages halted robots definitive maturity tuberculosis venetian
+        silesian unchanged originates mali lincolnshire quotes seniors premise contingent distribute danube
+        gorge logging dams curling seventeenth specializes wetlands deities assess thickness rigid
+        culminated utilities substrate insignia nile assam shri currents suffrage canadians mortar asteroid
+        bosnian discoveries enzymes sanctioned replica hymn investigators tidal dominate derivatives
+        converting leinster verbs honoured criticisms dismissal discrete masculine reorganization unlimited
+        wurttemberg sacks allocation bahn jurisdictions participates lagoon famine communion culminating
+        surveyed shortage cables intersects cassette foremost adopting solicitor outright bihar reissued
+        farmland dissertation turnpike baton photographed christchurch kyoto finances rails histories
+        linebacker kilkenny accelerated dispersed handicap absorption rancho ceramic captivity cites font
+        weighed mater utilize bravery extract validity slovenian seminars discourse ranged duel ironically
+        warships sega temporal surpassed prolonged recruits northumberland greenland contributes patented
+        eligibility unification discusses reply translates beirut relies torque northward reviewers monastic
+        accession neural tramway heirs sikh subscribers amenities taliban audit rotterdam wagons kurdish
+        favoured combustion meanings persia browser diagnostic niger formula_4 denomination dividing
+        parameter branding badminton leningrad sparked hurricanes beetles propeller mozambique refined
+        diagram exhaust vacated readings markers reconciliation determines concurrent imprint primera
+        organism demonstrating filmmakers vanderbilt affiliates traction evaluated defendants megachile
+        investigative zambia assassinated rewarded probable staffordshire foreigners directorate nominees
+        consolidation commandant reddish differing unrest drilling bohemia resembling instrumentation
+        considerations haute promptly variously dwellings clans tablet enforced cockpit semifinal hussein
+        prisons ceylon emblem monumental phrases correspond crossover outlined characterised acceleration
+        caucus crusade protested composing rajasthan habsburg rhythmic interception inherent cooled ponds
+        spokesperson gradual consultation kuala globally suppressed builders avengers suffix integer enforce
+        fibers unionist proclamation uncovered infrared adapt eisenhower utilizing captains stretched
+        observing assumes prevents analyses saxophone caucasus notices villains dartmouth mongol hostilities
+        stretching veterinary lenses texture prompting overthrow excavation islanders masovian battleship
+        biographer replay degradation departing luftwaffe fleeing oversight immigrated serbs fishermen
+        strengthening respiratory italians denotes radial escorted motif wiltshire expresses accessories
+        reverted establishments inequality protocols charting famously satirical entirety trench friction
+        atletico sampling subset weekday upheld sharply correlation incorrect mughal travelers hasan
+        earnings offset evaluate specialised recognizing flexibility nagar postseason algebraic capitalism
+        crystals melodies polynomial racecourse defences austro wembley attracts anarchist resurrection
+        reviewing decreasing prefix ratified mutation displaying separating restoring assemblies ordinance
+        priesthood cruisers appoint moldova imports directive epidemic militant senegal signaling
+        restriction critique retrospective nationalists undertake sioux canals algerian redesigned
+        philanthropist depict conceptual turbines intellectuals eastward applicants contractors vendors
+        undergone namesake ensured tones substituted hindwings arrests tombs transitional principality
+        reelection taiwanese cavity manifesto broadcasters spawned thoroughbred identities generators
+        proposes hydroelectric johannesburg cortex scandinavian killings aggression boycott catalyst
+        physiology fifteenth waterfront chromosome organist costly calculation cemeteries flourished
+        recognise juniors merging disciples ashore workplace enlightenment diminished debated hailed podium
+        educate mandated distributor litre electromagnetic flotilla estuary peterborough staircase
+        selections melodic confronts wholesale integrate intercepted catalonia unite immense palatinate
+        switches earthquakes occupational successors praising concluding faculties firstly overhaul
+        empirical metacritic inauguration evergreen laden winged philosophers amalgamated geoff centimeters
+        napoleonic upright planting brewing fined sensory migrants wherein inactive headmaster warwickshire
+        siberia terminals denounced academia divinity bilateral clive omitted peerage relics apartheid
+        syndicate fearing fixtures desirable dismantled ethnicity valves biodiversity aquarium ideological
+        visibility creators analyzed tenant balkan postwar supplier smithsonian risen morphology digits
+        bohemian wilmington vishnu demonstrates aforementioned biographical mapped khorasan phosphate
+        presentations ecosystem processors calculations mosaic clashes penned recalls coding angular lattice
+        macau accountability extracted pollen therapeutic overlap violinist deposed candidacy infants
+        covenant bacterial restructuring dungeons ordination conducts builds invasive customary concurrently
+        relocation cello statutes borneo entrepreneurs sanctions packet rockefeller piedmont comparisons
+        waterfall receptions glacial surge signatures alterations advertised enduring somali botanist 100th
+        canonical motifs longitude circulated alloy indirectly margins preserves internally besieged shale
+        peripheral drained baseman reassigned tobago soloist socio grazing contexts roofs portraying
+        ottomans shrewsbury noteworthy lamps supplying beams qualifier portray greenhouse stronghold hitter
+        rites cretaceous urging derive nautical aiming fortunes verde donors reliance exceeding exclusion
+        exercised simultaneous continents guiding pillar gradient poznan eruption clinics moroccan indicator
+        trams piers parallels fragment teatro potassium satire compressed businessmen influx seine
+        perspectives shelters decreases mounting formula_5 confederacy equestrian expulsion mayors liberia
+        resisted affinity shrub unexpectedly stimulus amtrak deported perpendicular statesman wharf
+        storylines romanesque weights surfaced interceptions dhaka crambidae orchestras rwanda conclude
+        constitutes subsidiaries admissions prospective shear bilingual campaigning presiding domination
+        commemorative trailing confiscated petrol acquisitions polymer onlyinclude chloride elevations
+        resolutions hurdles pledged likelihood objected erect encoding databases aristotle hindus marshes
+        bowled ministerial grange acronym annexation squads ambient pilgrims botany sofla astronomer
+        planetary descending bestowed ceramics diplomacy metabolism colonization potomac africans engraved
+        recycling commitments resonance disciplinary jamaican narrated spectral tipperary waterford
+        stationary arbitration transparency threatens crossroads slalom oversee centenary incidence
+        economies livery moisture newsletter autobiographical bhutan propelled dependence moderately adobe
+        barrels subdivisions outlook labelled stratford arising diaspora barony automobiles ornamental
+        slated norms primetime generalized analysts vectors libyan yielded certificates rooted vernacular
+        belarusian marketplace prediction fairfax malawi viruses wooded demos mauritius prosperous coincided
+        liberties huddersfield ascent warnings hinduism glucose pulitzer unused filters illegitimate
+        acquitted protestants canopy staple psychedelic winding abbas pathways cheltenham lagos niche
+        invaders proponents barred conversely doncaster recession embraced rematch concession emigration
+        upgrades bowls tablets remixed loops kensington shootout monarchs organizers harmful punjabi
+        broadband exempt neolithic profiles portrays parma cyrillic quasi attested regimental revive
+        torpedoes heidelberg rhythms spherical denote hymns icons theologian qaeda exceptionally reinstated
+        comune playhouse lobbying grossing viceroy delivers visually armistice utrecht syllable vertices
+        analogous annex refurbished entrants knighted disciple rhetoric detailing inactivated ballads algae
+        intensified favourable sanitation receivers pornography commemorated cannons entrusted manifold
+        photographers pueblo textiles steamer myths marquess onward liturgical romney uzbekistan consistency
+        denoted hertfordshire convex hearings sulfur universidad podcast selecting emperors arises justices
+        1840s mongolian exploited termination digitally infectious sedan symmetric penal illustrate
+        formulation attribute problematic modular inverse berth searches rutgers leicestershire enthusiasts
+        lockheed upwards transverse accolades backward archaeologists crusaders nuremberg defects ferries
+        vogue containers openings transporting separates lumpur purchases attain wichita topology woodlands
+        deleted periodically syntax overturned musicals corp. strasbourg instability nationale prevailing
+        cache marathi versailles unmarried grains straits antagonist segregation assistants d'etat
+        contention dictatorship unpopular motorcycles criterion analytical salzburg militants hanged
+        worcestershire emphasize paralympic erupted convinces offences oxidation nouns populace atari
+        spanned hazardous educators playable births baha'i preseason generates invites meteorological
+        handbook foothills enclosure diffusion mirza convergence geelong coefficient connector formula_6
+        cylindrical disasters pleaded knoxville contamination compose libertarian arrondissement franciscan
+        intercontinental susceptible initiation malaria unbeaten consonants waived saloon popularized
+        estadio pseudo interdisciplinary transports transformers carriages bombings revolves ceded
+        collaborator celestial exemption colchester maltese oceanic ligue crete shareholder routed
+        depictions ridden advisors calculate lending guangzhou simplicity newscast scheduling snout eliot
+        undertaking armenians nottinghamshire whitish consulted deficiency salle cinemas superseded rigorous
+        kerman convened landowners modernization evenings pitches conditional scandinavia differed
+        formulated cyclists swami guyana dunes electrified appalachian abdomen scenarios prototypes sindh
+        consonant adaptive boroughs wolverhampton modelling cylinders amounted minimize ambassadors lenin
+        settler coincide approximation grouping murals bullying registers rumours engagements energetic
+        vertex annals bordering geologic yellowish runoff converts allegheny facilitated saturdays colliery
+        monitored rainforest interfaces geographically impaired prevalence joachim paperback slowed shankar
+        distinguishing seminal categorized authorised auspices bandwidth asserts rebranded balkans
+        supplemented seldom weaving capsule apostles populous monmouth payload symphonic densely shoreline
+        managerial masonry antioch averages textbooks royalist coliseum tandem brewers diocesan posthumous
+        walled incorrectly distributions ensued reasonably graffiti propagation automation harmonic
+        augmented middleweight limbs elongated landfall comparatively literal grossed koppen wavelength
+        1830s cerebral boasts congestion physiological practitioner coasts cartoonist undisclosed frontal
+        launches burgundy qualifiers imposing stade flanked assyrian raided multiplayer montane chesapeake
+        pathology drains vineyards intercollegiate semiconductor grassland convey citations predominant
+        rejects benefited yahoo graphs busiest encompassing hamlets explorers suppress minors graphical
+        calculus sediment intends diverted mainline unopposed cottages initiate alumnus towed autism forums
+        darlington modernist oxfordshire lectured capitalist suppliers panchayat actresses foundry
+        southbound commodity wesleyan divides palestinians luton caretaker nobleman mutiny organizer
+        preferences nomenclature splits unwilling offenders timor relying halftime semitic arithmetic
+        milestone jesuits arctiidae retrieved consuming contender edged plagued inclusive transforming khmer
+        federally insurgents distributing amherst rendition prosecutors viaduct disqualified kabul liturgy
+        prevailed reelected instructors swimmers aperture churchyard interventions totals darts metropolis
+        fuels fluent northbound correctional inflicted barrister realms culturally aristocratic
+        collaborating emphasizes choreographer inputs ensembles humboldt practised endowed strains
+        infringement archaeologist congregational magna relativity efficiently proliferation mixtape
+        abruptly regeneration commissioning yukon archaic reluctantly retailer northamptonshire universally
+        crossings boilers nickelodeon revue abbreviation retaliation scripture routinely medicinal
+        benedictine kenyan retention deteriorated glaciers apprenticeship coupling researched topography
+        entrances anaheim pivotal compensate arched modify reinforce dusseldorf journeys motorsport conceded
+        sumatra spaniards quantitative loire cinematography discarded botswana morale engined zionist
+        philanthropy sainte fatalities cypriot motorsports indicators pricing institut bethlehem implicated
+        gravitational differentiation rotor thriving precedent ambiguous concessions forecast conserved
+        fremantle asphalt landslide middlesbrough formula_7 humidity overseeing chronological diaries
+        multinational crimean turnover improvised youths declares tasmanian canadiens fumble refinery
+        weekdays unconstitutional upward guardians brownish imminent hamas endorsement naturalist martyrs
+        caledonia chords yeshiva reptiles severity mitsubishi fairs installment substitution repertory
+        keyboardist interpreter silesia noticeable rhineland transmit inconsistent booklet academies epithet
+        pertaining progressively aquatics scrutiny prefect toxicity rugged consume o'donnell evolve uniquely
+        cabaret mediated landowner transgender palazzo compilations albuquerque induce sinai remastered
+        efficacy underside analogue specify possessing advocating compatibility liberated greenville
+        mecklenburg header memorials sewage rhodesia 1800s salaries atoll coordinating partisans repealed
+        amidst subjective optimization nectar evolving exploits madhya styling accumulation raion postage
+        responds buccaneers frontman brunei choreography coated kinetic sampled inflammatory complementary
+        eclectic norte vijay a.k.a mainz casualty connectivity laureate franchises yiddish reputed
+        unpublished economical periodicals vertically bicycles brethren capacities unitary archeological
+        tehsil domesday wehrmacht justification angered mysore fielded abuses nutrients ambitions taluk
+        battleships symbolism superiority neglect attendees commentaries collaborators predictions yorker
+        breeders investing libretto informally coefficients memorandum pounder collingwood tightly
+        envisioned arbor mistakenly captures nesting conflicting enhancing streetcar manufactures
+        buckinghamshire rewards commemorating stony expenditure tornadoes semantic relocate weimar iberian
+        sighted intending ensign beverages expectation differentiate centro utilizes saxophonist catchment
+        transylvania ecosystems shortest sediments socialists ineffective kapoor formidable heroine
+        guantanamo prepares scattering pamphlet verified elector barons totaling shrubs pyrenees
+        amalgamation mutually longitudinal comte negatively masonic envoy sexes akbar mythical tonga
+        bishopric assessments malaya warns interiors reefs reflections neutrality musically nomadic
+        waterways provence collaborate scaled adulthood emerges euros optics incentives overland periodical
+        liege awarding realization slang affirmed schooner hokkaido czechoslovak protectorate undrafted
+        disagreed commencement electors spruce swindon fueled equatorial inventions suites slovene backdrop
+        adjunct energies remnant inhabit alliances simulcast reactors mosques travellers outfielder plumage
+        migratory benin experimented fibre projecting drafting laude evidenced northernmost indicted
+        directional replication croydon comedies jailed organizes devotees reservoirs turrets originate
+        economists songwriters junta trenches mounds proportions comedic apostle azerbaijani farmhouse
+        resembled disrupted playback mixes diagonal relevance govern programmer gdansk maize soundtracks
+        tendencies mastered impacted believers kilometre intervene chairperson aerodrome sails subsidies
+        ensures aesthetics congresses ratios sardinia southernmost functioned controllers downward randomly
+        distortion regents palatine disruption spirituality vidhan tracts compiler ventilation anchorage
+        symposium assert pistols excelled avenues convoys moniker constructions proponent phased spines
+        organising schleswig policing campeonato mined hourly croix lucrative authenticity haitian
+        stimulation burkina espionage midfield manually staffed awakening metabolic biographies
+        entrepreneurship conspicuous guangdong preface subgroup mythological adjutant feminism vilnius
+        oversees honourable tripoli stylized kinase societe notoriety altitudes configurations outward
+        transmissions announces auditor ethanol clube nanjing mecca haifa blogs postmaster paramilitary
+        depart positioning potent recognizable spire brackets remembrance overlapping turkic articulated
+        scientology operatic deploy readiness biotechnology restrict cinematographer inverted synonymous
+        administratively westphalia commodities replaces downloads centralized munitions preached sichuan
+        fashionable implementations matrices hiv/aids loyalist luzon celebrates hazards heiress mercenaries
+        synonym creole ljubljana technician auditioned technicians viewpoint wetland mongols princely sharif
+        coating dynasties southward doubling formula_8 mayoral harvesting conjecture goaltender oceania
+        spokane welterweight bracket gatherings weighted newscasts mussolini affiliations disadvantage
+        vibrant spheres sultanate distributors disliked establishes marches drastically yielding jewellery
+        yokohama vascular airlift canons subcommittee repression strengths graded outspoken fused pembroke
+        filmography redundant fatigue repeal threads reissue pennant edible vapor corrections stimuli
+        commemoration dictator anand secession amassed orchards pontifical experimentation greeted bangor
+        forwards decomposition quran trolley chesterfield traverse sermons burials skier climbs consultants
+        petitioned reproduce parted illuminated kurdistan reigned occupants packaged geometridae woven
+        regulating protagonists crafted affluent clergyman consoles migrant supremacy attackers caliph
+        defect convection rallies huron resin segunda quota warship overseen criticizing shrines glamorgan
+        lowering beaux hampered invasions conductors collects bluegrass surrounds substrates perpetual
+        chronology pulmonary executions crimea compiling noctuidae battled tumors minsk novgorod serviced
+        yeast computation swamps theodor baronetcy salford uruguayan shortages odisha siberian novelty
+        cinematic invitational decks dowager oppression bandits appellate state-of-the-art clade palaces
+        signalling galaxies industrialist tensor learnt incurred magistrates binds orbits ciudad willingness
+        peninsular basins biomedical shafts marlborough bournemouth withstand fitzroy dunedin variance
+        steamship integrating muscular fines akron bulbophyllum malmo disclosed cornerstone runways
+        medicines twenty20 gettysburg progresses frigates bodied transformations transforms helens modelled
+        versatile regulator pursuits legitimacy amplifier scriptures voyages examines presenters octagonal
+        poultry formula_9 anatolia computed migrate directorial hybrids localized preferring guggenheim
+        persisted grassroots inflammation fishery otago vigorous professions instructional inexpensive
+        insurgency legislators sequels surnames agrarian stainless nairobi minas forerunner aristocracy
+        transitions sicilian showcased doses hiroshima summarized gearbox emancipation limitation nuclei
+        seismic abandonment dominating appropriations occupations electrification hilly contracting
+        exaggerated entertainer kazan oricon cartridges characterization parcel maharaja exceeds aspiring
+        obituary flattened contrasted narration replies oblique outpost fronts arranger talmud keynes
+        doctrines endured confesses fortification supervisors kilometer academie jammu bathurst piracy
+        prostitutes navarre cumulative cruises lifeboat twinned radicals interacting expenditures wexford
+        libre futsal curated clockwise colloquially procurement immaculate lyricist enhancement porcelain
+        alzheimer highlighting judah disagreements storytelling sheltered wroclaw vaudeville contrasts
+        neoclassical compares contrasting deciduous francaise descriptive cyclic reactive antiquities meiji
+        repeats creditors forcibly newmarket picturesque impending uneven bison raceway solvent ecumenical
+        optic professorship harvested waterway banjo pharaoh geologist scanning dissent recycled unmanned
+        retreating gospels aqueduct branched tallinn groundbreaking syllables hangar designations procedural
+        craters cabins encryption anthropologist montevideo outgoing inverness chattanooga fascism calais
+        chapels groundwater downfall misleading robotic tortricidae pixel handel prohibit crewe renaming
+        reprised kickoff leftist spaced integers causeway pines authorship organise ptolemy accessibility
+        virtues lesions iroquois qur'an atheist synthesized biennial confederates dietary skaters stresses
+        tariff koreans intercity republics quintet baroness naive amplitude insistence tbilisi residues
+        grammatical diversified egyptians accompaniment vibration repository mandal topological distinctions
+        coherent invariant batters nuevo internationals implements follower bahia widened independents
+        cantonese totaled guadalajara wolverines befriended muzzle surveying hungarians medici deportation
+        rayon approx recounts attends clerical hellenic furnished alleging soluble systemic gallantry
+        bolshevik intervened hostel gunpowder specialising stimulate leiden removes thematic floral bafta
+        printers conglomerate eroded analytic successively lehigh thessaloniki kilda clauses ascended nehru
+        scripted tokugawa competence diplomats exclude consecration freedoms assaults revisions blacksmith
+        textual sparse concacaf slain uploaded enraged whaling guise stadiums debuting dormitory
+        cardiovascular yunnan dioceses consultancy notions lordship archdeacon collided medial airfields
+        garment wrestled adriatic reversal refueling verification jakob horseshoe intricate veracruz
+    `.trim().split(/\s+/),
+
+    // 米国の映画・テレビの頻出語（上位3000件）
+    tv: `
+        you i to that it me what this know i'm no have my don't just not do be your we it's so but all well
+        oh about right you're get here out going like yeah if can up want think that's now go him how got
+        did why see come good really look will okay back can't mean tell i'll hey he's could didn't yes
+        something because say take way little make need gonna never we're too she's i've sure our sorry
+        what's let thing maybe down man very there's should anything said much any even off please doing
+        thank give thought help talk god still wait find nothing again things let's doesn't call told great
+        better ever night away believe feel everything you've fine last keep does put around stop they're
+        i'd guy isn't always listen wanted guys huh those big lot happened thanks won't trying kind wrong
+        talking guess care bad mom remember getting we'll together dad leave understand wouldn't actually
+        hear baby nice father else stay done wasn't course might mind every enough try hell came someone
+        you'll whole yourself idea ask must coming looking woman room knew tonight real son hope went hmm
+        happy pretty saw girl sir friend already saying next job problem minute thinking haven't heard honey
+        matter myself couldn't exactly having probably happen we've hurt boy dead gotta alone excuse start
+        kill hard you'd today car ready without wants hold wanna yet seen deal once gone morning supposed
+        friends head stuff worry live truth face forget true cause soon knows telling wife who's chance run
+        move anyone person bye somebody heart miss making meet anyway phone reason damn lost looks bring
+        case turn wish tomorrow kids trust check change anymore least aren't working makes taking means
+        brother hate ago says beautiful gave fact crazy sit afraid important rest fun kid word watch glad
+        everyone sister minutes everybody bit couple whoa either mrs feeling daughter wow gets asked break
+        promise door close hand easy question tried far walk needs mine killed hospital anybody alright
+        wedding shut able die perfect stand comes hit waiting dinner funny husband almost pay answer cool
+        eyes news child shouldn't yours moment sleep read where's sounds sonny pick sometimes bed date plan
+        hours lose hands serious shit behind inside ahead week wonderful fight past cut quite he'll sick
+        it'll eat nobody goes save seems finally lives worried upset carly met brought seem sort safe
+        weren't leaving front shot loved asking running clear figure hot felt parents drink absolutely how's
+        daddy sweet alive sense meant happens bet blood ain't kidding lie meeting dear seeing sound fault
+        ten buy hour speak lady jen thinks christmas outside hang possible worse mistake ooh handle spend
+        totally giving here's marriage realize unless sex send needed scared picture talked ass hundred
+        changed completely explain certainly sign boys relationship loves hair lying choice anywhere future
+        weird luck she'll turned touch kiss crane questions obviously wonder pain calling somewhere throw
+        straight cold fast words food none drive feelings they'll marry drop cannot dream protect twenty
+        surprise sweetheart poor looked mad except gun y'know dance takes appreciate especially situation
+        besides pull hasn't worth sheridan amazing expect swear piece busy happening movie we'd catch
+        perhaps step fall watching kept darling dog honor moving till admit problems murder he'd evil
+        definitely feels honest eye broke missed longer dollars tired evening starting entire trip niles
+        suppose calm imagine fair caught blame sitting favor apartment terrible clean learn frasier relax
+        accident wake prove smart message missing forgot interested table nbsp mouth pregnant ring careful
+        shall dude ride figured wear shoot stick follow angry write stopped ran standing forgive jail
+        wearing ladies kinda lunch cristian greenlee gotten hoping phoebe thousand ridge paper tough tape
+        count boyfriend proud agree birthday they've share offer hurry feet wondering decision ones finish
+        voice herself would've mess deserve evidence cute dress interesting hotel enjoy quiet concerned
+        staying beat sweetie mention clothes fell neither mmm fix respect prison attention holding calls
+        surprised bar keeping gift hadn't putting dark owe ice helping normal aunt lawyer apart plans jax
+        girlfriend floor whether everything's box judge upstairs sake mommy possibly worst acting accept
+        blow strange saved conversation plane mama yesterday lied quick lately stuck difference store she'd
+        bought doubt listening walking cops deep dangerous buffy sleeping chloe rafe join card crime
+        gentlemen willing window walked guilty likes fighting difficult soul joke favorite uncle promised
+        bother seriously cell knowing broken advice somehow paid losing push helped killing boss liked
+        innocent rules learned thirty risk letting speaking ridiculous afternoon apologize nervous charge
+        patient boat how'd hide detective planning huge breakfast horrible awful pleasure driving hanging
+        picked sell quit apparently dying notice congratulations visit could've c'mon letter decide forward
+        fool showed smell seemed spell memory pictures slow seconds hungry hearing kitchen ma'am should've
+        realized kick grab discuss fifty reading idiot suddenly agent destroy bucks shoes peace arms demon
+        livvie consider papers incredible witch drunk attorney tells knock ways gives nose skye turns keeps
+        jealous drug sooner cares plenty extra outta weekend matters gosh opportunity impossible waste
+        pretend jump eating proof slept arrest breathe perfectly warm pulled twice easier goin dating suit
+        romantic drugs comfortable finds checked divorce begin ourselves closer ruin smile laugh treat fear
+        what'd otherwise excited mail hiding stole pacey noticed fired excellent bringing bottom note sudden
+        bathroom honestly sing foot remind charges witness finding tree dare hardly that'll steal silly
+        contact teach shop plus colonel fresh trial invited roll reach dirty choose emergency dropped butt
+        credit obvious locked loving nuts agreed prue goodbye condition guard fuckin grow cake mood crap
+        crying belong partner trick pressure dressed taste neck nurse raise lots carry whoever drinking
+        they'd breaking file lock wine spot paying assume asleep turning viki bedroom shower nikolas camera
+        fill reasons forty bigger nope breath doctors pants freak movies folks cream wild truly desk
+        convince client threw hurts spending answers shirt chair rough doin sees ought empty wind aware
+        dealing pack tight hurting guest arrested salem confused surgery expecting deacon unfortunately
+        goddamn bottle beyond whenever pool opinion starts jerk secrets falling necessary barely dancing
+        tests copy cousin ahem twelve tess skin fifteen speech orders complicated nowhere escape biggest
+        restaurant grateful usual burn address someplace screw everywhere regret goodness mistakes details
+        responsibility suspect corner hero dumb terrific whoo hole memories o'clock teeth ruined bite
+        stenbeck liar showing cards desperate search pathetic spoke scare marah afford settle stayed
+        checking hired heads concern blew alcazar champagne connection tickets happiness saving kissing
+        hated personally suggest prepared onto downstairs ticket it'd loose holy duty convinced throwing
+        kissed legs loud saturday babies where'd warning miracle carrying blind ugly shopping hates sight
+        bride coat clearly celebrate brilliant wanting forrester lips custody screwed buying toast thoughts
+        reality lexie attitude advantage grandfather sami grandma someday roof marrying powerful grown
+        grandmother fake must've ideas exciting familiar bomb bout harmony schedule capable practically
+        correct clue forgotten appointment deserves threat bloody lonely shame jacket hook scary
+        investigation invite shooting lesson criminal victim funeral considering burning strength harder
+        sisters pushed shock pushing heat chocolate miserable corinthos nightmare brings zander crash
+        chances sending recognize healthy boring feed engaged headed treated knife drag badly hire paint
+        pardon behavior closet warn gorgeous milk survive ends dump rent remembered thanksgiving rain
+        revenge prefer spare pray disappeared aside statement sometime meat fantastic breathing laughing
+        stood affair ours depends protecting jury brave fingers murdered explanation picking blah stronger
+        handsome unbelievable anytime shake oakdale wherever pulling facts waited lousy circumstances
+        disappointed weak trusted license nothin trash understanding slip sounded awake friendship stomach
+        weapon threatened mystery vegas understood basically switch frankly cheap lifetime deny clock
+        garbage why'd tear ears indeed changing singing tiny decent avoid messed filled touched disappear
+        exact pills kicked harm fortune pretending insurance fancy drove cared belongs nights lorelai lift
+        timing guarantee chest woke burned watched heading selfish drinks doll committed elevator freeze
+        noise wasting ceremony uncomfortable staring files bike stress permission thrown possibility borrow
+        fabulous doors screaming bone xander what're meal apology anger honeymoon bail parking fixed wash
+        stolen sensitive stealing photo chose lets comfort worrying pocket mateo bleeding shoulder ignore
+        talent tied garage dies demons dumped witches rude crack bothering radar soft meantime gimme kinds
+        fate concentrate throat prom messages intend ashamed somethin manage guilt interrupt guts tongue
+        shoe basement sentence purse glasses cabin universe repeat mirror wound travers tall engagement
+        therapy emotional jeez decisions soup thrilled stake chef moves extremely moments expensive counting
+        shots kidnapped cleaning shift plate impressed smells trapped aidan knocked charming attractive
+        argue puts whip embarrassed package hitting bust stairs alarm pure nail nerve incredibly walks dirt
+        stamp terribly friendly damned jobs suffering disgusting stopping deliver riding helps disaster bars
+        crossed trap talks eggs chick threatening spoken introduce confession embarrassing bags impression
+        gate reputation presents chat suffer argument talkin crowd homework coincidence cancel pride solve
+        hopefully pounds pine mate illegal generous outfit maid bath punch freaked begging recall enjoying
+        prepare wheel defend signs painful yourselves maris that'd suspicious cooking button warned sixty
+        pity yelling awhile confidence offering pleased panic hers gettin refuse grandpa testify choices
+        cruel mental gentleman coma cutting proteus guests expert benefit faces jumped toilet sneak
+        halloween privacy smoking reminds twins swing solid options commitment crush ambulance wallet gang
+        eleven option laundry assure stays skip fail discussion clinic betrayed sticking bored mansion soda
+        sheriff suite handled busted load happier studying romance procedure commit assignment suicide minds
+        swim yell llanview chasing proper believes humor hopes lawyers giant latest escaped parent tricks
+        insist dropping cheer medication flesh routine sandwich handed false beating warrant awfully odds
+        treating thin suggesting fever sweat silent clever sweater mall sharing assuming judgment goodnight
+        divorced surely steps confess math listened comin answered vulnerable bless dreaming chip zero
+        pissed nate kills tears knees chill brains unusual packed dreamed cure lookin grave cheating breaks
+        locker gifts awkward thursday joking reasonable dozen curse quartermaine millions dessert rolling
+        detail alien delicious closing vampires wore tail secure salad murderer spit offense dust conscience
+        bread answering lame invitation grief smiling pregnancy prisoner delivery guards virus shrink
+        freezing wreck massimo wire technically blown anxious cave holidays cleared wishes caring candles
+        bound charm pulse jumping jokes boom occasion silence nonsense frightened slipped dimera blowing
+        relationships kidnapping spin tool roxy packing blaming wrap obsessed fruit torture personality
+        there'll fairy necessarily seventy print motel underwear grams exhausted believing freaking
+        carefully trace touching messing recovery intention consequences belt sacrifice courage enjoyed
+        attracted remove testimony intense heal defending unfair relieved loyal slowly buzz alcohol
+        surprises psychiatrist plain attic who'd uniform terrified cleaned zach threaten fella enemies
+        satisfied imagination hooked headache forgetting counselor andie acted badge naturally frozen sakes
+        appropriate trunk dunno costume sixteen impressive kicking junk grabbed understands describe clients
+        owns affect witnesses starving instincts happily discussing deserved strangers surveillance admire
+        questioning dragged barn deeply wrapped wasted tense hoped fellas roommate mortal fascinating stops
+        arrangements agenda literally propose honesty underneath sauce promises lecture eighty torn shocked
+        backup differently ninety deck biological pheebs ease creep waitress telephone ripped raising
+        scratch rings prints thee arguing ephram asks oops diner annoying taggert sergeant blast towel clown
+        habit creature bermuda snap react paranoid handling eaten therapist comment sink reporter nurses
+        beats priority interrupting warehouse loyalty inspector pleasant excuses threats guessing tend
+        praying motive unconscious mysterious unhappy tone switched rappaport sookie neighbor loaded swore
+        piss balance toss misery thief squeeze lobby goa'uld geez exercise forth booked sandburg poker
+        eighteen d'you bury everyday digging creepy wondered liver hmmm magical fits discussed moral helpful
+        searching flew depressed aisle cris amen vows neighbors darn cents arrange annulment useless
+        adventure resist fourteen celebrating inch debt violent sand teal'c celebration reminded phones
+        paperwork emotions stubborn pound tension stroke steady overnight chips beef suits boxes cassadine
+        collect tragedy spoil realm wipe surgeon stretch stepped nephew neat limo confident perspective
+        climb punishment finest springfield hint furniture blanket twist proceed fries worries niece gloves
+        soap signature disappoint crawl convicted flip counsel doubts crimes accusing shaking remembering
+        hallway halfway bothered madam gather cameras blackmail symptoms rope ordinary imagined cigarette
+        supportive explosion trauma ouch furious cheat avoiding whew thick oooh boarding approve urgent shhh
+        misunderstanding drawer phony interfere catching bargain tragic respond punish penthouse thou rach
+        ohhh insult bugs beside begged absolute strictly socks senses sneaking reward polite checks tale
+        physically instructions fooled blows tabby bitter adorable y'all tested suggestion jewelry alike
+        jacks distracted shelter lessons constable circus audition tune shoulders mask helpless feeding
+        explains sucked robbery objection behave valuable shadows courtroom confusing talented smarter
+        mistaken customer bizarre scaring motherfucker alert vecchio reverend foolish compliment bastards
+        worker wheelchair protective gentle reverse picnic knee cage wives wednesday voices toes stink
+        scares pour cheated slide ruining filling exit cottage upside proves parked diary complaining
+        confessed pipe merely massage chop spill prayer betray waiter scam rats fraud brush tables sympathy
+        pill filthy seventeen employee bracelet pays fairly deeper arrive tracking spite shed recommend
+        oughta nanny menu diet corn roses patch dime devastated subtle bullets beans pile confirm strings
+        parade borrowed toys straighten steak premonition planted honored exam convenient traveling laying
+        insisted dish aitoro kindly grandson donor temper teenager proven mothers denial backwards tent
+        swell noon happiest drives thinkin spirits potion holes fence whatsoever rehearsal overheard lemme
+        hostage bench tryin taxi shove moron impress needle intelligent instant disagree stinks rianna
+        recover groom gesture constantly bartender suspects sealed legally hears dresses sheet psychic
+        teenage knocking judging accidentally waking rumor manners homeless hollow desperately tapes
+        referring item genoa gear majesty cried tons spells instinct quote motorcycle convincing fashioned
+        aids accomplished grip bump upsetting needing invisible forgiveness feds compare bothers tooth
+        inviting earn compromise cocktail tramp jabot intimate dignity dealt souls informed gods dressing
+        cigarettes alistair leak fond corky seduce liquor fingerprints enchantment butters stuffed stavros
+        emotionally transplant tips oxygen nicely lunatic drill complain announcement unfortunate slap
+        prayers plug opens oath o'neill mutual yacht remembers fried extraordinary bait warton sworn stare
+        safely reunion burst might've dive aboard expose buddies trusting booze sweep sore scudder properly
+        parole ditch canceled speaks glow wears thirsty skull ringing dorm dining bend unexpected pancakes
+        harsh flattered ahhh troubles fights favourite eats rage undercover spoiled sloane shine destroying
+        deliberately conspiracy thoughtful sandwiches plates nails miracles fridge drank contrary beloved
+        allergic washed stalking solved sack misses forgiven bent maciver involve dragging cooked pointing
+        foul dull beneath heels faking deaf stunt jealousy hopeless fears cuts scenario necklace crashed
+        accuse restraining homicide helicopter firing safer auction videotape tore reservations pops
+        appetite wounds vanquish ironic fathers excitement anyhow tearing sends rape laughed belly dealer
+        cooperate accomplish wakes spotted sorts reservation ashes tastes supposedly loft intentions
+        integrity wished towels suspected investigating inappropriate lipstick lawn compassion cafeteria
+        scarf precisely obsession loses lighten infection granddaughter explode balcony this'll spying
+        publicity depend cracked conscious ally absurd vicious invented forbid directions defendant bare
+        announce screwing salesman robbed leap lakeview insanity reveal possibilities kidnap gown chairs
+        wishing setup punished criminals regrets raped quarters lamp dentist anyways anonymous semester
+        risks owes lungs explaining delicate tricked eager doomed adoption stab sickness scum floating
+        envelope vault sorel pretended potatoes plea photograph payback misunderstood kiddo healing cascade
+        capeside stabbed remarkable brat privilege passionate nerves lawsuit kidney disturbed cozy tire
+        shirts oven ordering delay risky monsters honorable grounded closest breakdown bald abandon scar
+        collar worthless sucking enormous disturbing disturb distract deals conclusions vodka dishes
+        crawling briefcase wiped whistle sits roast rented pigs flirting deposit bottles topic riot
+        overreacting logical hostile embarrass casual beacon amusing altar claus survival skirt shave porch
+        ghosts favors drops dizzy chili advise strikes rehab photographer peaceful leery heavens fortunately
+        fooling expectations cigar weakness ranch practicing examine cranes bribe sail prescription hush
+        fragile forensics expense drugged cows bells visitor suitcase sorta scan manticore insecure
+        imagining hardest clerk wrist what'll starters silk pump pale nicer haul flies boot thumb there'd
+        how're elders quietly pulls idiots erase denying ankle amnesia accepting heartbeat devane confront
+        minus legitimate fixing arrogant tuna supper slightest sins sayin recipe pier paternity humiliating
+        genuine snack rational minded guessed weddings tumor humiliated aspirin spray picks eyed drowning
+        contacts ritual perfume hiring hating docks creatures visions thanking thankful sock nineteen fork
+        throws teenagers stressed slice rolls plead ladder kicks detectives assured tellin shallow
+        responsibilities repay howdy girlfriends deadly comforting ceiling verdict insensitive spilled
+        respected messy interrupted halliwell blond bleed wardrobe takin murders backs underestimate justify
+        harmless frustrated fold enzo communicate bugging arson whack salary rumors obligation liking
+        dearest congratulate vengeance rack puzzle fires courtesy caller blamed tops quiz prep curiosity
+        circles barbecue sunnydale spinning psychotic cough accusations resent laughs freshman envy drown
+        bartlet asses sofa poster highness dock apologies theirs stat stall realizes psych mmmm fools
+        understandable treats succeed stir relaxed makin gratitude faithful accent witter wandering locate
+        inevitable gretel deed crushed controlling smelled robe gossip gambling cosmetics accidents
+        surprising stiff sincere rushed refrigerator preparing nightmares mijo ignoring hunch fireworks
+        drowned brass whispering sophisticated luggage hike explore emotion crashing contacted complications
+        shining rolled righteous reconsider goody geek frightening ethics creeps courthouse camping
+        affection smythe haircut essay baked apologized vibe respects receipt mami hats destructive adore
+        adopt tracked shorts reminding dough creations cabot barrel snuck slight reporters pressing
+        magnificent madame lazy glorious fiancee bits visitation sane kindness shoulda rescued mattress
+        lounge lifted importantly glove enterprises disappointment condo beings admitting yelled waving
+        spoon screech satisfaction reads nailed worm tick resting marvelous fuss cortlandt chased pockets
+        luckily lilith filing conversations consideration consciousness worlds innocence forehead aggressive
+        trailer slam quitting inform delighted daylight danced confidential aunts washing tossed spectra
+        marrow lined implying hatred grill corpse clues sober offended morgue infected humanity distraction
+        cart wired violation promising harassment glue d'angelo cursed brutal warlocks wagon unpleasant
+        proving priorities mustn't lease flame disappearance depressing thrill sitter ribs flush earrings
+        deadline corporal collapsed update snapped smack melt figuring delusional coulda burnt tender sperm
+        realise pork popped interrogation esteem choosing undo pres prayed plague manipulate insulting
+        detention delightful coffeehouse betrayal apologizing adjust wrecked wont whipped rides reminder
+        monsieur faint bake distress correctly complaint blocked tortured risking pointless handing dumping
+        cups alibi struggling shiny risked mummy mint hose hobby fortunate fleischman fitting curtain
+        counseling rode puppet modeling memo irresponsible humiliation hiya freakin felony choke
+        blackmailing appreciated tabloid suspicion recovering pledge panicked nursery louder jeans
+        investigator homecoming frustrating buys busting buff sleeve irony dope
+    `.trim().split(/\s+/),
+
+    // 米国の頻出の姓（上位2000件）
+    surnames: `
+        smith johnson williams jones brown davis miller wilson moore taylor anderson jackson white harris
+        martin thompson garcia martinez robinson clark rodriguez lewis lee walker hall allen young hernandez
+        king wright lopez hill green adams baker gonzalez nelson carter mitchell perez roberts turner
+        phillips campbell parker evans edwards collins stewart sanchez morris rogers reed cook morgan bell
+        murphy bailey rivera cooper richardson cox howard ward torres peterson gray ramirez watson brooks
+        sanders price bennett wood barnes ross henderson coleman jenkins perry powell long patterson hughes
+        flores washington butler simmons foster gonzales bryant alexander griffin diaz hayes myers ford
+        hamilton graham sullivan wallace woods cole west owens reynolds fisher ellis harrison gibson
+        mcdonald cruz marshall ortiz gomez murray freeman wells webb simpson stevens tucker porter hicks
+        crawford boyd mason morales kennedy warren dixon ramos reyes burns gordon shaw holmes rice robertson
+        hunt black daniels palmer mills nichols grant knight ferguson stone hawkins dunn perkins hudson
+        spencer gardner stephens payne pierce berry matthews arnold wagner willis watkins olson carroll
+        duncan snyder hart cunningham lane andrews ruiz harper fox riley armstrong carpenter weaver greene
+        elliott chavez sims peters kelley franklin lawson fields gutierrez schmidt carr vasquez castillo
+        wheeler chapman montgomery richards williamson johnston banks meyer bishop mccoy howell alvarez
+        morrison hansen fernandez garza harvey burton nguyen jacobs reid fuller lynch garrett romero welch
+        larson frazier burke hanson mendoza moreno bowman medina fowler brewer hoffman carlson silva pearson
+        holland fleming jensen vargas byrd davidson hopkins herrera wade soto walters neal caldwell lowe
+        jennings barnett graves jimenez horton shelton barrett obrien castro sutton mckinney lucas miles
+        rodriquez chambers holt lambert fletcher watts bates hale rhodes pena beck newman haynes mcdaniel
+        mendez bush vaughn parks dawson santiago norris hardy steele curry powers schultz barker guzman page
+        munoz ball keller chandler weber walsh lyons ramsey wolfe schneider mullins benson sharp bowen
+        barber cummings hines baldwin griffith valdez hubbard salazar reeves warner stevenson burgess santos
+        tate cross garner mann mack moss thornton mcgee farmer delgado aguilar vega glover manning cohen
+        harmon rodgers robbins newton blair higgins ingram reese cannon strickland townsend potter goodwin
+        walton rowe hampton ortega patton swanson goodman maldonado yates becker erickson hodges rios conner
+        adkins webster malone hammond flowers cobb moody quinn pope osborne mccarthy guerrero estrada
+        sandoval gibbs gross fitzgerald stokes doyle saunders wise colon gill alvarado greer padilla waters
+        nunez ballard schwartz mcbride houston christensen klein pratt briggs parsons mclaughlin zimmerman
+        buchanan moran copeland pittman brady mccormick holloway brock poole logan bass marsh drake wong
+        jefferson morton abbott sparks norton huff massey figueroa carson bowers roberson barton tran lamb
+        harrington boone cortez clarke mathis singleton wilkins cain underwood hogan mckenzie collier luna
+        phelps mcguire bridges wilkerson nash summers atkins wilcox pitts conley marquez burnett cochran
+        chase davenport hood gates ayala sawyer vazquez dickerson hodge acosta flynn espinoza nicholson
+        monroe wolf morrow whitaker oconnor skinner ware molina kirby huffman gilmore dominguez oneal lang
+        combs kramer hancock gallagher gaines shaffer wiggins mathews mcclain fischer wall melton hensley
+        bond dyer grimes contreras wyatt baxter snow mosley shepherd larsen hoover beasley petersen
+        whitehead meyers garrison shields horn savage olsen schroeder hartman woodard mueller kemp deleon
+        booth patel calhoun wiley eaton cline navarro harrell humphrey parrish duran hutchinson hess dorsey
+        bullock robles beard dalton avila rich blackwell johns blankenship trevino salinas campos pruitt
+        callahan montoya hardin guerra mcdowell stafford gallegos henson wilkinson booker merritt atkinson
+        orr decker hobbs tanner knox pacheco stephenson glass rojas serrano marks hickman sweeney strong
+        mcclure conway roth maynard farrell lowery hurst nixon weiss trujillo ellison sloan juarez winters
+        mclean boyer villarreal mccall gentry carrillo ayers lara sexton pace hull leblanc browning
+        velasquez leach chang sellers herring noble foley bartlett mercado landry durham walls barr mckee
+        bauer rivers bradshaw pugh velez rush estes dodson morse sheppard weeks camacho bean barron
+        livingston middleton spears branch blevins chen kerr mcconnell hatfield harding solis frost giles
+        blackburn pennington woodward finley mcintosh koch mccullough blanchard rivas brennan mejia kane
+        benton buckley valentine maddox russo mcknight buck moon mcmillan crosby berg dotson mays roach chan
+        richmond meadows faulkner oneill knapp kline ochoa jacobson gay hendricks horne shepard hebert
+        cardenas mcintyre waller holman donaldson cantu morin gillespie fuentes tillman bentley peck key
+        salas rollins gamble dickson santana cabrera cervantes howe hinton hurley spence zamora yang mcneil
+        suarez petty gould mcfarland sampson carver bray macdonald stout hester melendez dillon farley
+        hopper galloway potts joyner stein aguirre osborn mercer bender franco rowland sykes pickett sears
+        mayo dunlap hayden wilder mckay coffey mccarty ewing cooley vaughan bonner cotton holder stark
+        ferrell cantrell fulton lott calderon pollard hooper burch mullen fry riddle levy duke odonnell
+        britt daugherty berger dillard alston frye riggs chaney odom duffy fitzpatrick valenzuela mayer
+        alford mcpherson acevedo barrera cote reilly compton mooney mcgowan craft clemons wynn nielsen baird
+        stanton snider rosales bright witt hays holden rutledge kinney clements castaneda slater hahn burks
+        delaney pate lancaster sharpe whitfield talley macias burris ratliff mccray madden kaufman beach
+        goff cash bolton mcfadden levine byers kirkland kidd workman carney mcleod holcomb finch sosa haney
+        franks sargent nieves downs rasmussen bird hewitt foreman valencia oneil delacruz vinson dejesus
+        hyde forbes gilliam guthrie wooten huber barlow boyle mcmahon buckner rocha puckett langley knowles
+        cooke velazquez whitley vang shea rouse hartley mayfield elder rankin hanna cowan lucero arroyo
+        slaughter haas oconnell minor boucher archer boggs dougherty andersen newell crowe wang friedman
+        bland swain holley pearce childs yarbrough galvan proctor meeks lozano mora rangel bacon villanueva
+        schaefer rosado helms boyce goss stinson ibarra hutchins covington crowley hatcher mackey bunch
+        womack polk dodd childress childers villa springer mahoney dailey belcher lockhart griggs costa
+        brandt walden moser tatum mccann akers lutz pryor orozco mcallister lugo davies shoemaker rutherford
+        newsome magee chamberlain blanton simms godfrey flanagan crum cordova escobar downing sinclair
+        donahue krueger mcginnis gore farris webber corbett andrade starr lyon yoder hastings mcgrath spivey
+        krause harden crabtree kirkpatrick arrington ritter mcghee bolden maloney gagnon dunbar ponce pike
+        mayes beatty mobley kimball butts montes eldridge braun hamm gibbons moyer manley herron plummer
+        elmore cramer rucker pierson fontenot rubio goldstein elkins wills novak hickey worley gorman katz
+        dickinson broussard woodruff crow britton nance lehman bingham zuniga whaley shafer coffman steward
+        delarosa neely mata davila mccabe kessler hinkle welsh pagan goldberg goins crouch cuevas quinones
+        mcdermott hendrickson samuels denton bergeron ivey locke haines snell hoskins byrne arias corbin
+        beltran chappell downey dooley tuttle couch payton mcelroy crockett groves cartwright dickey mcgill
+        dubois muniz tolbert dempsey cisneros sewell latham vigil tapia rainey norwood stroud meade tipton
+        kuhn hilliard bonilla teague gunn greenwood correa reece pineda phipps frey kaiser ames gunter
+        schmitt milligan espinosa bowden vickers lowry pritchard costello piper mcclellan lovell sheehan
+        hatch dobson singh jeffries hollingsworth sorensen meza fink donnelly burrell tomlinson colbert
+        billings ritchie helton sutherland peoples mcqueen thomason givens crocker vogel robison dunham
+        coker swartz keys ladner richter hargrove edmonds brantley albright murdock boswell muller quintero
+        padgett kenney daly connolly inman quintana lund barnard villegas simons huggins tidwell sanderson
+        bullard mcclendon duarte draper marrero dwyer abrams stover goode fraser crews bernal godwin conklin
+        mcneal baca esparza crowder bower brewster mcneill rodrigues leal coates raines mccain mccord miner
+        holbrook swift dukes carlisle aldridge ackerman starks ricks holliday ferris hairston sheffield
+        lange fountain doss betts kaplan carmichael bloom ruffin penn kern bowles sizemore larkin dupree
+        seals metcalf hutchison henley farr mccauley hankins gustafson curran waddell ramey cates pollock
+        cummins messer heller funk cornett palacios galindo cano hathaway pham enriquez salgado pelletier
+        painter wiseman blount feliciano houser doherty mead mcgraw swan capps blanco blackmon thomson
+        mcmanus burkett gleason dickens cormier voss rushing rosenberg hurd dumas benitez arellano marin
+        caudill bragg jaramillo huerta gipson colvin biggs vela platt cassidy tompkins mccollum dolan daley
+        crump sneed kilgore grove grimm davison brunson prater marcum devine dodge stratton rosas choi tripp
+        ledbetter hightower feldman epps yeager posey scruggs cope stubbs richey overton trotter sprague
+        cordero butcher stiles burgos woodson horner bassett purcell haskins akins ziegler spaulding hadley
+        grubbs sumner murillo zavala shook lockwood driscoll dahl thorpe redmond putnam mcwilliams mcrae
+        romano joiner sadler hedrick hager hagen fitch coulter thacker mansfield langston guidry ferreira
+        corley conn rossi lackey baez saenz mcnamara mcmullen mckenna mcdonough link engel browne roper
+        peacock eubanks drummond stringer pritchett parham mims landers grayson schafer egan timmons ohara
+        keen hamlin finn cortes mcnair nadeau moseley michaud rosen oakes kurtz jeffers calloway beal
+        bautista winn suggs stern stapleton lyles laird montano dawkins hagan goldman bryson barajas lovett
+        segura metz lockett langford hinson eastman hooks smallwood shapiro crowell whalen triplett chatman
+        aldrich cahill youngblood ybarra stallings sheets reeder connelly bateman abernathy winkler wilkes
+        masters hackett granger gillis schmitz sapp napier souza lanier gomes weir otero ledford burroughs
+        babcock ventura siegel dugan bledsoe atwood wray varner spangler anaya staley kraft fournier
+        belanger wolff thorne bynum burnette boykin swenson purvis pina khan duvall darby xiong kauffman
+        healy engle benoit valle steiner spicer shaver randle lundy chin calvert staton neff kearney darden
+        oakley medeiros mccracken crenshaw perdue dill whittaker tobin washburn hogue goodrich easley bravo
+        dennison shipley kerns jorgensen crain villalobos maurer longoria keene coon witherspoon staples
+        pettit kincaid eason madrid echols lusk stahl currie thayer shultz mcnally seay maher gagne barrow
+        nava moreland honeycutt hearn diggs caron whitten westbrook stovall ragland munson meier looney
+        kimble jolly hobson goddard culver burr presley negron connell tovar huddleston ashby salter root
+        pendleton oleary nickerson myrick judd jacobsen bain adair starnes matos busby herndon hanley
+        bellamy doty bartley yazzie rowell parson gifford cullen christiansen benavides barnhart talbot mock
+        crandall connors bonds whitt gage bergman arredondo addison lujan dowdy jernigan huynh bouchard
+        dutton rhoades ouellette kiser herrington hare blackman babb allred rudd paulson ogden koenig geiger
+        begay parra lassiter hawk esposito waldron ransom prather chacon vick sands roark parr mayberry
+        greenberg coley bruner whitman skaggs shipman leary hutton romo medrano ladd kruse askew schulz
+        alfaro tabor mohr gallo bermudez pereira bliss reaves flint comer woodall naquin guevara delong
+        carrier pickens tilley schaffer knutson fenton doran vogt vann prescott mclain landis corcoran
+        zapata hyatt hemphill faulk dove boudreaux aragon whitlock trejo tackett shearer saldana hanks
+        mckinnon koehler bourgeois keyes goodson foote lunsford goldsmith flood winslow sams reagan mccloud
+        hough esquivel naylor loomis coronado ludwig braswell bearden huang fagan ezell edmondson cronin
+        nunn lemon guillory grier dubose traylor ryder dobbins coyle aponte whitmore smalls rowan malloy
+        cardona braxton borden humphries carrasco ruff metzger huntley hinojosa finney madsen ernst dozier
+        burkhart bowser peralta daigle whittington sorenson saucedo roche redding fugate avalos waite lind
+        huston hawthorne hamby boyles boles regan faust crook beam barger hinds gallardo willoughby
+        willingham eckert busch zepeda worthington tinsley hoff hawley carmona varela rector newcomb kinsey
+        dube whatley ragsdale bernstein becerra yost mattson felder cheek handy grossman gauthier escobedo
+        braden beckman mott hillman flaherty dykes stockton stearns lofton coats cavazos beavers barrios
+        tang mosher cardwell coles burnham weller lemons beebe aguilera parnell harman couture alley
+        schumacher redd dobbs blum blalock merchant ennis denson cottrell brannon bagley aviles watt sousa
+        rosenthal rooney dietz blank paquette mcclelland duff velasco lentz grubb burrows barbour ulrich
+        shockley rader beyer mixon layton altman weathers stoner squires shipp priest lipscomb cutler
+        caballero zimmer willett thurston storey medley epperson shah mcmillian baggett torrez hirsch dent
+        poirier peachey farrar creech barth trimble dupre albrecht sample lawler crisp conroy wetzel nesbitt
+        murry jameson wilhelm patten minton matson kimbrough guinn croft toth pulliam nugent newby
+        littlejohn dias canales bernier baron singletary renteria pruett mchugh mabry landrum brower
+        stoddard cagle stjohn scales kohler kellogg hopson gant tharp gann zeigler pringle hammons fairchild
+        deaton chavis carnes rowley matlock kearns irizarry carrington starkey lopes jarrell craven baum
+        littlefield linn humphreys etheridge cuellar chastain bundy speer skelton quiroz pyle portillo
+        ponder moulton machado killian hutson hitchcock dowling cloud burdick spann pedersen levin leggett
+        hayward dietrich beaulieu barksdale wakefield snowden briscoe bowie berman ogle mcgregor laughlin
+        helm burden wheatley schreiber pressley parris alaniz agee swann snodgrass schuster radford monk
+        mattingly harp girard cheney yancey wagoner ridley lombardo hudgins gaskins duckworth coburn willey
+        prado newberry magana hammonds elam whipple slade serna ojeda liles dorman diehl upton reardon
+        michaels goetz eller bauman baer layne hummel brenner amaya adamson ornelas dowell cloutier
+        castellanos wellman
+    `.trim().split(/\s+/),
+
+    // 米国の頻出の名（女性）（上位1000件）
+    femaleNames: `
+        mary patricia linda barbara elizabeth jennifer maria susan margaret dorothy lisa nancy karen betty
+        helen sandra donna carol ruth sharon michelle laura sarah kimberly deborah jessica shirley cynthia
+        angela melissa brenda amy anna rebecca virginia kathleen pamela martha debra amanda stephanie
+        carolyn christine marie janet catherine frances ann joyce diane alice julie heather teresa doris
+        gloria evelyn jean cheryl mildred katherine joan ashley judith rose janice kelly nicole judy
+        christina kathy theresa beverly denise tammy irene jane lori rachel marilyn andrea kathryn louise
+        sara anne jacqueline wanda bonnie julia ruby lois tina phyllis norma paula diana annie lillian emily
+        robin peggy crystal gladys rita dawn connie florence tracy edna tiffany carmen rosa cindy grace
+        wendy victoria edith kim sherry sylvia josephine thelma shannon sheila ethel ellen elaine marjorie
+        carrie charlotte monica esther pauline emma juanita anita rhonda hazel amber eva debbie april leslie
+        clara lucille jamie joanne eleanor valerie danielle megan alicia suzanne michele gail bertha darlene
+        veronica jill erin geraldine lauren cathy joann lorraine lynn sally regina erica beatrice dolores
+        bernice audrey yvonne annette marion dana stacy ana renee ida vivian roberta holly brittany melanie
+        loretta yolanda jeanette laurie katie kristen vanessa alma sue elsie beth jeanne vicki carla tara
+        rosemary eileen terri gertrude lucy tonya ella stacey wilma gina kristin jessie natalie agnes vera
+        charlene bessie delores melinda pearl arlene maureen colleen allison tamara joy georgia constance
+        lillie claudia jackie marcia tanya nellie minnie marlene heidi glenda lydia viola courtney marian
+        stella caroline dora vickie mattie maxine irma mabel marsha myrtle lena christy deanna patsy hilda
+        gwendolyn jennie nora margie nina cassandra leah penny kay priscilla naomi carole olga billie dianne
+        tracey leona jenny felicia sonia miriam velma becky bobbie violet kristina toni misty mae shelly
+        daisy ramona sherri erika katrina claire lindsey lindsay geneva guadalupe belinda margarita sheryl
+        cora faye ada sabrina isabel marguerite hattie harriet molly cecilia kristi brandi blanche sandy
+        rosie joanna iris eunice angie inez lynda madeline amelia alberta genevieve monique jodi janie kayla
+        sonya jan kristine candace fannie maryann opal alison yvette melody luz susie olivia flora shelley
+        kristy mamie lula lola verna beulah antoinette candice juana jeannette pam kelli whitney bridget
+        karla celia latoya patty shelia gayle della vicky lynne sheri marianne kara jacquelyn erma blanca
+        myra leticia pat krista roxanne angelica robyn adrienne rosalie alexandra brooke bethany sadie
+        bernadette traci jody kendra nichole rachael mable ernestine muriel marcella elena krystal angelina
+        nadine kari estelle dianna paulette lora mona doreen rosemarie desiree antonia janis betsy christie
+        freda meredith lynette teri cristina eula leigh meghan sophia eloise rochelle gretchen cecelia
+        raquel henrietta alyssa jana gwen jenna tricia laverne olive tasha silvia elvira delia kate patti
+        lorena kellie sonja lila lana darla mindy essie mandy lorene elsa josefina jeannie miranda dixie
+        lucia marta faith lela johanna shari camille tami shawna elisa ebony melba ora nettie tabitha ollie
+        winifred kristie alisha aimee rena myrna marla tammie latasha bonita patrice ronda sherrie addie
+        francine deloris stacie adriana cheri abigail celeste jewel cara adele rebekah lucinda dorthy effie
+        trina reba sallie aurora lenora etta lottie kerri trisha nikki estella francisca josie tracie
+        marissa karin brittney janelle lourdes laurel helene fern elva corinne kelsey ina bettie elisabeth
+        aida caitlin ingrid iva eugenia christa goldie maude jenifer therese dena lorna janette latonya
+        candy consuelo tamika rosetta debora cherie polly dina jewell fay jillian dorothea nell trudy
+        esperanza patrica kimberley shanna helena cleo stefanie rosario ola janine mollie lupe alisa lou
+        maribel susanne bette susana elise cecile isabelle lesley jocelyn paige joni rachelle leola daphne
+        alta ester petra graciela imogene jolene keisha lacey glenna gabriela keri ursula lizzie kirsten
+        shana adeline mayra jayne jaclyn gracie sondra carmela marisa rosalind charity tonia beatriz marisol
+        clarice jeanine sheena angeline frieda lily shauna millie claudette cathleen angelia gabrielle
+        autumn katharine jodie staci lea christi justine elma luella margret dominique socorro martina margo
+        mavis callie bobbi maritza lucile leanne jeannine deana aileen lorie ladonna willa manuela gale
+        selma dolly sybil abby ivy dee winnie marcy luisa jeri magdalena ofelia meagan audra matilda leila
+        cornelia bianca simone bettye randi virgie latisha barbra georgina eliza leann bridgette rhoda haley
+        adela nola bernadine flossie ila greta ruthie nelda minerva lilly terrie letha hilary estela valarie
+        brianna rosalyn earline catalina ava mia clarissa lidia corrine alexandria concepcion tia sharron
+        rae dona ericka jami elnora chandra lenore neva marylou melisa tabatha serena avis allie sofia
+        jeanie odessa nannie harriett loraine penelope milagros emilia benita allyson ashlee tania esmeralda
+        eve pearlie zelma malinda noreen tameka saundra hillary amie althea rosalinda lilia alana clare
+        alejandra elinor lorrie jerri darcy earnestine carmella noemi marcie liza annabelle louisa earlene
+        mallory carlene nita selena tanisha katy julianne lakisha edwina maricela margery kenya dollie roxie
+        roslyn kathrine nanette charmaine lavonne ilene tammi suzette corine kaye chrystal lina deanne
+        lilian juliana aline luann kasey maryanne evangeline colette melva lawanda yesenia nadia madge
+        kathie ophelia valeria nona mitzi mari georgette claudine fran alissa roseann lakeisha susanna reva
+        deidre chasity sheree elvia alyce deirdre gena briana araceli katelyn rosanne wendi tessa berta
+        marva imelda marietta marci leonor arline sasha madelyn janna juliette deena aurelia josefa augusta
+        liliana lessie amalia savannah anastasia vilma natalia rosella lynnette corina alfreda leanna amparo
+        coleen tamra aisha wilda karyn maura mai evangelina rosanna hallie erna enid mariana lacy juliet
+        jacklyn freida madeleine mara cathryn lelia casandra bridgett angelita jannie dionne annmarie katina
+        beryl millicent katheryn diann carissa maryellen liz lauri helga gilda rhea marquita hollie tisha
+        tamera angelique francesca kaitlin lolita florine rowena reyna twila fanny janell ines concetta
+        bertie alba brigitte alyson vonda pansy elba noelle letitia deann brandie louella leta felecia
+        sharlene lesa beverley isabella herminia terra celina tori octavia jade denice germaine michell
+        cortney nelly doretha deidra monika lashonda judi chelsey antionette margot adelaide leeann elisha
+        dessie libby kathi gayla latanya mina mellisa kimberlee jasmin renae zelda elda justina gussie
+        emilie camilla abbie rocio kaitlyn edythe ashleigh selina lakesha geri allene pamala michaela dayna
+        caryn rosalia jacquline rebeca marybeth krystle iola dottie belle griselda ernestina elida adrianne
+        demetria delma jaqueline
+    `.trim().split(/\s+/),
+
+    // 米国の頻出の名（男性）（上位500件）
+    maleNames: `
+        james john robert michael william david richard charles joseph thomas christopher daniel paul mark
+        donald george kenneth steven edward brian ronald anthony kevin jason matthew gary timothy jose larry
+        jeffrey frank scott eric stephen andrew raymond gregory joshua jerry dennis walter patrick peter
+        harold douglas henry carl arthur ryan roger joe juan jack albert jonathan justin terry gerald keith
+        samuel willie ralph lawrence nicholas roy benjamin bruce brandon adam harry fred wayne billy steve
+        louis jeremy aaron randy eugene carlos russell bobby victor ernest phillip todd jesse craig alan
+        shawn clarence sean philip chris johnny earl jimmy antonio danny bryan tony luis mike stanley
+        leonard nathan dale manuel rodney curtis norman marvin vincent glenn jeffery travis jeff chad jacob
+        melvin alfred kyle francis bradley jesus herbert frederick ray joel edwin don eddie ricky troy
+        randall barry bernard mario leroy francisco marcus micheal theodore clifford miguel oscar jay jim
+        tom calvin alex jon ronnie bill lloyd tommy leon derek darrell jerome floyd leo alvin tim wesley
+        dean greg jorge dustin pedro derrick dan zachary corey herman maurice vernon roberto clyde glen
+        hector shane ricardo sam rick lester brent ramon tyler gilbert gene marc reginald ruben brett
+        nathaniel rafael edgar milton raul ben cecil duane andre elmer brad gabriel ron roland jared adrian
+        karl cory claude erik darryl neil christian javier fernando clinton ted mathew tyrone darren lonnie
+        lance cody julio kurt allan clayton hugh max dwayne dwight armando felix jimmie everett ian ken bob
+        jaime casey alfredo alberto dave ivan johnnie sidney byron julian isaac clifton willard daryl virgil
+        andy salvador kirk sergio seth kent terrance rene eduardo terrence enrique freddie stuart fredrick
+        arturo alejandro joey nick luther wendell jeremiah evan julius donnie otis trevor luke homer gerard
+        doug kenny hubert angelo shaun lyle matt alfonso orlando rex carlton ernesto pablo lorenzo omar
+        wilbur blake horace roderick kerry abraham rickey ira andres cesar johnathan malcolm rudolph damon
+        kelvin rudy preston alton archie marco pete randolph garry geoffrey jonathon felipe bennie gerardo
+        dominic loren delbert colin guillermo earnest benny noel rodolfo myron edmund salvatore cedric
+        lowell gregg sherman devin sylvester roosevelt israel jermaine forrest wilbert leland simon irving
+        owen rufus woodrow sammy kristopher levi marcos gustavo jake lionel marty gilberto clint nicolas
+        laurence ismael orville drew ervin dewey wilfred josh hugo ignacio caleb tomas sheldon erick frankie
+        darrel rogelio terence alonzo elias bert elbert ramiro conrad noah grady phil cornelius lamar
+        rolando clay percy bradford merle darin amos terrell moses irvin saul roman darnell randal tommie
+        timmy darrin brendan toby van abel dominick emilio elijah cary domingo aubrey emmett marlon emanuel
+        jerald edmond emil dewayne otto teddy reynaldo bret jess trent humberto emmanuel stephan louie
+        vicente lamont garland micah efrain heath rodger demetrius ethan eldon rocky pierre eli bryce
+        antoine robbie kendall royce sterling grover elton cleveland dylan chuck damian reuben stan leonardo
+        russel erwin benito hans monte blaine ernie curt quentin agustin jamal devon adolfo tyson wilfredo
+        bart jarrod vance denis damien joaquin harlan desmond elliot darwin gregorio kermit roscoe esteban
+    `.trim().split(/\s+/)
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrengthDictionaries;
+}
@@ -0,0 +1,888 @@
+/**
+ * パスワード強度の推定（zxcvbn と同じ考え方）
+ * パスワードを辞書の語・キーボードのなぞり・日付・繰り返し・連続した並びなどのパターンに分解し、
+ * 攻撃者がパターンの組み合わせを順に試したときに当たるまでの推測回数を見積もる。
+ * 文字の種類の数ではなく推測回数から評価するため、「Password1!」のような形だけ複雑なパスワードは弱くなる。
+ * 辞書はStrengthDictionaries（とパスフレーズ用のWordlist）を使い、通信はしない。
+ */
+
+const StrengthEstimator = {
+    MAX_LENGTH: 100,            // これより後ろは解析しない（十分に長いパスワードはこの範囲だけで最高評価になる）
+    BRUTEFORCE_CARDINALITY: 10,
+    MIN_GUESSES_BEFORE_GROWING_SEQUENCE: 10000,
+    MIN_SUBMATCH_GUESSES_SINGLE_CHAR: 10,
+    MIN_SUBMATCH_GUESSES_MULTI_CHAR: 50,
+    MIN_YEAR_SPACE: 20,
+    DATE_MIN_YEAR: 1000,
+    DATE_MAX_YEAR: 2050,
+    // 日付の区切りのない数字列をどこで日・月・年に分けるか（長さごと）
+    DATE_SPLITS: {
+        4: [[1, 2], [2, 3]],
+        5: [[1, 3], [2, 3]],
+        6: [[1, 2], [2, 4], [4, 5]],
+        7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+        8: [[2, 4], [4, 6]]
+    },
+    MAX_DELTA: 5,               // 連続した並びとみなす文字コードの間隔
+    // スコア1〜4に必要な推測回数
+    SCORE_THRESHOLDS: [1e3, 1e6, 1e8, 1e10],
+    // 攻撃の想定（1秒あたりの推測回数）
+    ATTACKS: [
+        { key: 'onlineThrottled', label: 'オンライン（試行回数の制限あり）', perSecond: 100 / 3600 },
+        { key: 'onlineUnthrottled', label: 'オンライン（制限なし）', perSecond: 10 },
+        { key: 'offlineSlowHash', label: 'オフライン（低速なハッシュ）', perSecond: 1e4 },
+        { key: 'offlineFastHash', label: 'オフライン（高速なハッシュ）', perSecond: 1e10 }
+    ],
+    MAX_L33T_SUBS: 100,         // 置き換えの組み合わせはこの数まで調べる（記号の多いパスワードで遅くならないよう）
+    L33T_TABLE: {
+        a: ['4', '@'],
+        b: ['8'],
+        c: ['(', '{', '[', '<'],
+        e: ['3'],
+        g: ['6', '9'],
+        i: ['1', '!', '|'],
+        l: ['1', '|', '7'],
+        o: ['0'],
+        s: ['$', '5'],
+        t: ['+', '7'],
+        x: ['%'],
+        z: ['2']
+    },
+    // キーの配置（1キーは「通常の文字 + Shiftの文字」。offsetは行の先頭のキーの位置）
+    KEYBOARDS: {
+        qwerty: {
+            slanted: true,
+            offsets: [0, 1, 1, 1],
+            rows: [
+                '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+',
+                'qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|',
+                'aA sS dD fF gG hH jJ kK lL ;: \'"',
+                'zZ xX cC vV bB nN mM ,< .> /?'
+            ]
+        },
+        jis: {
+            slanted: true,
+            offsets: [1, 1, 1, 1],
+            rows: [
+                '1! 2" 3# 4$ 5% 6& 7\' 8( 9) 0 -= ^~ \\|',
+                'qQ wW eE rR tT yY uU iI oO pP @` [{',
+                'aA sS dD fF gG hH jJ kK lL ;+ :* ]}',
+                'zZ xX cC vV bB nN mM ,< .> /? \\_'
+            ]
+        },
+        keypad: {
+            slanted: false,
+            offsets: [1, 0, 0, 0, 1],
+            rows: ['/ * -', '7 8 9 +', '4 5 6', '1 2 3', '0 .']
+        }
+    },
+    dictionaries: null,         // 辞書名 → Map(語 → 順位)。初回の推定時に作る
+    graphs: null,               // キーボード名 → { adjacency, shifted, startingPositions, averageDegree }
+    longestWords: new WeakMap(),    // 辞書 → 最も長い語の長さ
+
+    /**
+     * パスワードの強度を推定
+     * @param {string} password
+     * @param {string[]} userInputs - サービス名・ユーザー名など、パスワードに含めるべきでない語
+     * @returns {{guesses: number, guessesLog10: number, score: number, sequence: Array<Object>,
+     *   crackTimes: Array<{key: string, label: string, seconds: number, display: string}>,
+     *   feedback: {warning: string, suggestions: string[]}}}
+     *   scoreは0〜4、sequenceは推測回数が最小になるパターンの並び
+     */
+    estimate(password, userInputs = []) {
+        const text = [...(password || '')].slice(0, this.MAX_LENGTH).join('');
+        const dictionaries = { ...this.rankedDictionaries(), userInputs: this.userInputDictionary(userInputs) };
+        const result = this.mostGuessableMatchSequence(text, this.omnimatch(text, dictionaries));
+        const score = this.guessesToScore(result.guesses);
+
+        return {
+            guesses: result.guesses,
+            guessesLog10: Math.log10(result.guesses),
+            score,
+            sequence: result.sequence,
+            crackTimes: this.ATTACKS.map(attack => {
+                const seconds = result.guesses / attack.perSecond;
+                return { key: attack.key, label: attack.label, seconds, display: this.formatDuration(seconds) };
+            }),
+            feedback: this.feedback(score, result.sequence)
+        };
+    },
+
+    /**
+     * 同梱の辞書を順位付きのMapにする（パスフレーズの単語はどれも同じ確率で選ばれるので同じ順位）
+     */
+    rankedDictionaries() {
+        if (!this.dictionaries) {
+            const ranked = (words) => {
+                const map = new Map();
+                words.forEach((word, index) => {
+                    if (!map.has(word)) map.set(word, index + 1);
+                });
+                return map;
+            };
+            this.dictionaries = {
+                passwords: ranked(StrengthDictionaries.passwords),
+                english: ranked(StrengthDictionaries.english),
+                tv: ranked(StrengthDictionaries.tv),
+                surnames: ranked(StrengthDictionaries.surnames),
+                femaleNames: ranked(StrengthDictionaries.femaleNames),
+                maleNames: ranked(StrengthDictionaries.maleNames)
+            };
+            if (typeof Wordlist !== 'undefined') {
+                this.dictionaries.wordlist = new Map(Wordlist.WORDS.map(word => [word, Wordlist.WORDS.length]));
+            }
+        }
+        return this.dictionaries;
+    },
+
+    /**
+     * ユーザー入力の辞書（メールアドレスなどは記号で区切った部分も登録する）
+     */
+    userInputDictionary(inputs) {
+        const words = [];
+        inputs.forEach(input => {
+            const value = String(input || '').trim().toLowerCase();
+            if (!value) return;
+            words.push(value, ...value.split(/[^a-z0-9]+/).filter(part => part.length >= 3));
+        });
+        const map = new Map();
+        words.forEach(word => {
+            if (!map.has(word)) map.set(word, map.size + 1);
+        });
+        return map;
+    },
+
+    // ---- パターンの検出 ----
+
+    /**
+     * すべてのパターンを検出（i・jはパスワード内の開始・終了位置）
+     */
+    omnimatch(password, dictionaries) {
+        const matches = [
+            ...this.dictionaryMatch(password, dictionaries),
+            ...this.reverseDictionaryMatch(password, dictionaries),
+            ...this.l33tMatch(password, dictionaries),
+            ...this.spatialMatch(password),
+            ...this.repeatMatch(password, dictionaries),
+            ...this.sequenceMatch(password),
+            ...this.yearMatch(password),
+            ...this.dateMatch(password)
+        ];
+        return this.sorted(matches);
+    },
+
+    sorted(matches) {
+        return matches.sort((a, b) => (a.i - b.i) || (a.j - b.j));
+    },
+
+    /**
+     * 辞書の語（大文字・小文字は区別しない）
+     */
+    dictionaryMatch(password, dictionaries) {
+        const matches = [];
+        const lower = password.toLowerCase();
+        Object.entries(dictionaries).forEach(([name, dictionary]) => {
+            const maxLength = this.longestWord(dictionary);
+            for (let i = 0; i < password.length; i++) {
+                for (let j = i; j < Math.min(password.length, i + maxLength); j++) {
+                    const word = lower.slice(i, j + 1);
+                    const rank = dictionary.get(word);
+                    if (rank === undefined) continue;
+                    matches.push({
+                        pattern: 'dictionary', i, j,
+                        token: password.slice(i, j + 1),
+                        matchedWord: word, rank, dictionaryName: name, reversed: false, l33t: false
+                    });
+                }
+            }
+        });
+        return matches;
+    },
+
+    /**
+     * 辞書の最も長い語の長さ（これより長い部分文字列は調べない）
+     */
+    longestWord(dictionary) {
+        if (!this.longestWords.has(dictionary)) {
+            let max = 0;
+            dictionary.forEach((_, word) => {
+                max = Math.max(max, word.length);
+            });
+            this.longestWords.set(dictionary, max);
+        }
+        return this.longestWords.get(dictionary);
+    },
+
+    /**
+     * 逆さにした辞書の語（例: drowssap）
+     */
+    reverseDictionaryMatch(password, dictionaries) {
+        const reversed = this.reverse(password);
+        return this.dictionaryMatch(reversed, dictionaries).map(match => ({
+            ...match,
+            token: this.reverse(match.token),
+            reversed: true,
+            i: password.length - 1 - match.j,
+            j: password.length - 1 - match.i
+        }));
+    },
+
+    reverse(text) {
+        return text.split('').reverse().join('');
+    },
+
+    /**
+     * 文字を置き換えた辞書の語（例: p@ssw0rd）
+     */
+    l33tMatch(password, dictionaries) {
+        const matches = [];
+        this.enumerateL33tSubs(this.relevantL33tTable(password)).forEach(sub => {
+            const subbed = password.split('').map(ch => sub[ch] || ch).join('');
+            this.dictionaryMatch(subbed, dictionaries).forEach(match => {
+                const token = password.slice(match.i, match.j + 1);
+                // 置き換えた文字を含まない（普通の辞書の語と同じ）ものは除く
+                if (token.length <= 1 || token.toLowerCase() === match.matchedWord) return;
+                const matchSub = {};
+                Object.entries(sub).forEach(([subbedChar, ch]) => {
+                    if (token.includes(subbedChar)) matchSub[subbedChar] = ch;
+                });
+                matches.push({ ...match, token, l33t: true, sub: matchSub });
+            });
+        });
+        return matches;
+    },
+
+    /**
+     * パスワードに含まれる置き換え文字だけの表
+     */
+    relevantL33tTable(password) {
+        const table = {};
+        Object.entries(this.L33T_TABLE).forEach(([letter, subs]) => {
+            const relevant = subs.filter(sub => password.includes(sub));
+            if (relevant.length > 0) table[letter] = relevant;
+        });
+        return table;
+    },
+
+    /**
+     * 置き換えの組み合わせ（置き換え文字 → 元の文字）を列挙
+     * 1つの置き換え文字が複数の文字に当たる場合（1 → i / l）は別の組み合わせにする
+     */
+    enumerateL33tSubs(table) {
+        let subs = [[]];
+        Object.keys(table).forEach(letter => {
+            const next = [];
+            table[letter].forEach(l33tChar => {
+                subs.forEach(sub => {
+                    const duplicate = sub.findIndex(([ch]) => ch === l33tChar);
+                    if (duplicate === -1) {
+                        next.push([...sub, [l33tChar, letter]]);
+                    } else {
+                        const alternative = sub.filter((_, index) => index !== duplicate);
+                        alternative.push([l33tChar, letter]);
+                        next.push(sub, alternative);
+                    }
+                });
+            });
+            // 同じ組み合わせを除く
+            const seen = new Set();
+            subs = next.filter(sub => {
+                const label = sub.map(pair => pair.join(',')).sort().join('-');
+                if (seen.has(label)) return false;
+                seen.add(label);
+                return true;
+            });
+        });
+        return subs.filter(sub => sub.length > 0).slice(0, this.MAX_L33T_SUBS).map(sub => Object.fromEntries(sub));
+    },
+
+    /**
+     * キーの配置から隣接するキーの表を作る（1回だけ）
+     * 隣接キーは方向ごとの配列で、方向が変わった回数（曲がった回数）を数えるのに使う
+     */
+    keyboardGraphs() {
+        if (!this.graphs) {
+            this.graphs = {};
+            Object.entries(this.KEYBOARDS).forEach(([name, layout]) => {
+                const positions = new Map();
+                layout.rows.forEach((row, y) => {
+                    row.split(' ').forEach((key, index) => positions.set(`${layout.offsets[y] + index},${y}`, key));
+                });
+                const directions = layout.slanted
+                    ? [[-1, 0], [0, -1], [1, -1], [1, 0], [0, 1], [-1, 1]]
+                    : [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+
+                const adjacency = new Map();
+                const shifted = new Set();
+                positions.forEach((key, position) => {
+                    const [x, y] = position.split(',').map(Number);
+                    const neighbors = directions.map(([dx, dy]) => positions.get(`${x + dx},${y + dy}`) || null);
+                    key.split('').forEach((ch, index) => {
+                        adjacency.set(ch, neighbors);
+                        if (index === 1) shifted.add(ch);
+                    });
+                });
+
+                let degree = 0;
+                adjacency.forEach(neighbors => {
+                    degree += neighbors.filter(Boolean).length;
+                });
+                this.graphs[name] = {
+                    adjacency,
+                    shifted,
+                    startingPositions: adjacency.size,
+                    averageDegree: degree / adjacency.size
+                };
+            });
+        }
+        return this.graphs;
+    },
+
+    /**
+     * キーボード上で隣り合うキーをなぞった並び（例: qwerty, zxcvb, 7896）
+     */
+    spatialMatch(password) {
+        const matches = [];
+        Object.entries(this.keyboardGraphs()).forEach(([name, graph]) => {
+            let i = 0;
+            while (i < password.length - 1) {
+                let j = i + 1;
+                let lastDirection = null;
+                let turns = 0;
+                let shiftedCount = graph.shifted.has(password[i]) ? 1 : 0;
+
+                for (;;) {
+                    const neighbors = graph.adjacency.get(password[j - 1]) || [];
+                    let found = false;
+                    if (j < password.length) {
+                        const direction = neighbors.findIndex(key => key && key.includes(password[j]));
+                        if (direction !== -1) {
+                            found = true;
+                            if (neighbors[direction].indexOf(password[j]) === 1) shiftedCount++;
+                            if (lastDirection !== direction) {
+                                turns++;
+                                lastDirection = direction;
+                            }
+                        }
+                    }
+                    if (found) {
+                        j++;
+                        continue;
+                    }
+                    // 3文字以上続いたものだけ
+                    if (j - i > 2) {
+                        matches.push({ pattern: 'spatial', i, j: j - 1, token: password.slice(i, j), graph: name, turns, shiftedCount });
+                    }
+                    i = j;
+                    break;
+                }
+            }
+        });
+        return matches;
+    },
+
+    /**
+     * 繰り返し（例: aaa, abcabc）。繰り返す単位もパターンとして評価する
+     */
+    repeatMatch(password, dictionaries) {
+        const matches = [];
+        const greedy = /(.+)\1+/g;
+        const lazy = /(.+?)\1+/g;
+        const lazyAnchored = /^(.+?)\1+$/;
+        let lastIndex = 0;
+
+        while (lastIndex < password.length) {
+            greedy.lastIndex = lastIndex;
+            lazy.lastIndex = lastIndex;
+            const greedyMatch = greedy.exec(password);
+            const lazyMatch = lazy.exec(password);
+            if (!greedyMatch) break;
+
+            // 長く一致した方を使い、繰り返しの単位はできるだけ短くする（abcabcabc → abc）
+            let match;
+            let baseToken;
+            if (greedyMatch[0].length > lazyMatch[0].length) {
+                match = greedyMatch;
+                baseToken = lazyAnchored.exec(match[0])[1];
+            } else {
+                match = lazyMatch;
+                baseToken = match[1];
+            }
+            const i = match.index;
+            const j = match.index + match[0].length - 1;
+            const base = this.mostGuessableMatchSequence(baseToken, this.omnimatch(baseToken, dictionaries));
+            matches.push({
+                pattern: 'repeat', i, j,
+                token: match[0],
+                baseToken,
+                baseGuesses: base.guesses,
+                repeatCount: match[0].length / baseToken.length
+            });
+            lastIndex = j + 1;
+        }
+        return matches;
+    },
+
+    /**
+     * 文字コードが一定の間隔で並んだもの（例: abcd, 13579, zyx）
+     */
+    sequenceMatch(password) {
+        if (password.length <= 1) return [];
+        const matches = [];
+        const update = (i, j, delta) => {
+            if ((j - i > 1 || Math.abs(delta) === 1) && Math.abs(delta) > 0 && Math.abs(delta) <= this.MAX_DELTA) {
+                const token = password.slice(i, j + 1);
+                matches.push({ pattern: 'sequence', i, j, token, space: /^\d+$/.test(token) ? 10 : 26, ascending: delta > 0 });
+            }
+        };
+
+        let i = 0;
+        let lastDelta = null;
+        for (let k = 1; k < password.length; k++) {
+            const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+            if (lastDelta === null) lastDelta = delta;
+            if (delta === lastDelta) continue;
+            update(i, k - 1, lastDelta);
+            i = k - 1;
+            lastDelta = delta;
+        }
+        update(i, password.length - 1, lastDelta);
+        return matches;
+    },
+
+    /**
+     * 最近の年（例: 1987, 2024）
+     */
+    yearMatch(password) {
+        const matches = [];
+        const regex = /19\d\d|20[0-4]\d/g;
+        let match;
+        while ((match = regex.exec(password))) {
+            matches.push({ pattern: 'year', i: match.index, j: match.index + match[0].length - 1, token: match[0], year: Number(match[0]) });
+        }
+        return matches;
+    },
+
+    /**
+     * 日付（例: 19870615, 15.6.87, 2024/1/1）。区切りのない数字は日・月・年の並びを推測する
+     */
+    dateMatch(password) {
+        const matches = [];
+
+        for (let i = 0; i <= password.length - 4; i++) {
+            for (let j = i + 3; j <= i + 7 && j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                if (!/^\d{4,8}$/.test(token)) continue;
+                const candidates = this.DATE_SPLITS[token.length]
+                    .map(([k, l]) => this.mapIntsToDate([token.slice(0, k), token.slice(k, l), token.slice(l)].map(Number)))
+                    .filter(Boolean);
+                if (candidates.length === 0) continue;
+                // 今年に最も近い年の解釈を使う
+                const distance = (candidate) => Math.abs(candidate.year - this.referenceYear());
+                const best = candidates.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+                matches.push({ pattern: 'date', i, j, token, separator: '', ...best });
+            }
+        }
+
+        for (let i = 0; i <= password.length - 6; i++) {
+            for (let j = i + 5; j <= i + 9 && j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                const match = token.match(/^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/);
+                if (!match) continue;
+                const date = this.mapIntsToDate([match[1], match[3], match[4]].map(Number));
+                if (date) matches.push({ pattern: 'date', i, j, token, separator: match[2], ...date });
+            }
+        }
+
+        // 他の日付に含まれる日付（例: 19870615 の中の 8706）は除く
+        return matches.filter(match => !matches.some(other =>
+            other !== match && other.i <= match.i && other.j >= match.j));
+    },
+
+    /**
+     * 3つの数を年・月・日に解釈（解釈できなければnull）
+     */
+    mapIntsToDate(ints) {
+        if (ints[1] > 31 || ints[1] <= 0) return null;
+        let over12 = 0;
+        let over31 = 0;
+        let under1 = 0;
+        for (const int of ints) {
+            if ((int > 99 && int < this.DATE_MIN_YEAR) || int > this.DATE_MAX_YEAR) return null;
+            if (int > 31) over31++;
+            if (int > 12) over12++;
+            if (int <= 0) under1++;
+        }
+        if (over31 >= 2 || over12 === 3 || under1 >= 2) return null;
+
+        // 年は先頭か末尾
+        const splits = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+        for (const [year, rest] of splits) {
+            if (year >= this.DATE_MIN_YEAR && year <= this.DATE_MAX_YEAR) {
+                const dayMonth = this.mapIntsToDayMonth(rest);
+                return dayMonth ? { year, ...dayMonth } : null;
+            }
+        }
+        // 2桁の年
+        for (const [year, rest] of splits) {
+            const dayMonth = this.mapIntsToDayMonth(rest);
+            if (dayMonth) return { year: year > 99 ? year : year > 50 ? year + 1900 : year + 2000, ...dayMonth };
+        }
+        return null;
+    },
+
+    mapIntsToDayMonth([a, b]) {
+        for (const [day, month] of [[a, b], [b, a]]) {
+            if (day >= 1 && day <= 31 && month >= 1 && month <= 12) return { day, month };
+        }
+        return null;
+    },
+
+    referenceYear() {
+        return new Date().getFullYear();
+    },
+
+    // ---- 推測回数 ----
+
+    /**
+     * 推測回数が最小になるパターンの並びを求める（動的計画法）
+     * パターンをl個並べたものは、l個の並べ方（l!）×各パターンの推測回数の積で数える。
+     * パターンに当てはまらない部分は総当たりとする。
+     * @returns {{guesses: number, sequence: Array<Object>}}
+     */
+    mostGuessableMatchSequence(password, matches) {
+        const n = password.length;
+        if (n === 0) return { guesses: 1, sequence: [] };
+
+        const matchesByEnd = Array.from({ length: n }, () => []);
+        matches.forEach(match => matchesByEnd[match.j].push(match));
+        matchesByEnd.forEach(list => list.sort((a, b) => a.i - b.i));
+
+        // optimal.m[k].get(l): 位置kで終わるl個の並びの最後のパターン。piは推測回数の積、gは全体の推測回数
+        const optimal = {
+            m: Array.from({ length: n }, () => new Map()),
+            pi: Array.from({ length: n }, () => new Map()),
+            g: Array.from({ length: n }, () => new Map())
+        };
+
+        const update = (match, l) => {
+            const k = match.j;
+            let pi = this.estimateGuesses(match, password);
+            if (l > 1) pi *= optimal.pi[match.i - 1].get(l - 1);
+            const g = this.factorial(l) * pi + this.MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (l - 1);
+            // 個数が同じか少なく、推測回数も少ない並びがあれば採用しない
+            for (const [competingL, competingG] of optimal.g[k]) {
+                if (competingL <= l && competingG <= g) return;
+            }
+            optimal.g[k].set(l, g);
+            optimal.m[k].set(l, match);
+            optimal.pi[k].set(l, pi);
+        };
+        const bruteforce = (i, j) => ({ pattern: 'bruteforce', i, j, token: password.slice(i, j + 1) });
+        // 総当たりは他のパターンの後にだけ続ける（総当たりどうしは1つにまとめる）
+        const bruteforceUpdate = (k) => {
+            update(bruteforce(0, k), 1);
+            for (let i = 1; i <= k; i++) {
+                const match = bruteforce(i, k);
+                for (const [l, last] of [...optimal.m[i - 1]]) {
+                    if (last.pattern !== 'bruteforce') update(match, l + 1);
+                }
+            }
+        };
+
+        for (let k = 0; k < n; k++) {
+            matchesByEnd[k].forEach(match => {
+                if (match.i > 0) {
+                    [...optimal.m[match.i - 1].keys()].forEach(l => update(match, l + 1));
+                } else {
+                    update(match, 1);
+                }
+            });
+            bruteforceUpdate(k);
+        }
+
+        // 末尾から最小の並びをたどる
+        let bestL;
+        let guesses = Infinity;
+        optimal.g[n - 1].forEach((g, l) => {
+            if (g < guesses) {
+                bestL = l;
+                guesses = g;
+            }
+        });
+        const sequence = [];
+        for (let k = n - 1, l = bestL; k >= 0; l--) {
+            const match = optimal.m[k].get(l);
+            sequence.unshift(match);
+            k = match.i - 1;
+        }
+        return { guesses, sequence };
+    },
+
+    /**
+     * パターン1つの推測回数（結果はmatch.guessesに保持する）
+     */
+    estimateGuesses(match, password) {
+        if (match.guesses !== undefined) return match.guesses;
+
+        // パスワードの一部分のパターンは、最低でもこの回数はかかるものとする
+        let minGuesses = 1;
+        if (match.token.length < password.length) {
+            minGuesses = match.token.length === 1 ? this.MIN_SUBMATCH_GUESSES_SINGLE_CHAR : this.MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+        }
+        const estimators = {
+            bruteforce: () => this.bruteforceGuesses(match),
+            dictionary: () => this.dictionaryGuesses(match),
+            spatial: () => this.spatialGuesses(match),
+            repeat: () => match.baseGuesses * match.repeatCount,
+            sequence: () => this.sequenceGuesses(match),
+            year: () => Math.max(Math.abs(match.year - this.referenceYear()), this.MIN_YEAR_SPACE),
+            date: () => this.dateGuesses(match)
+        };
+        match.guesses = Math.max(estimators[match.pattern](), minGuesses);
+        return match.guesses;
+    },
+
+    bruteforceGuesses(match) {
+        const guesses = Math.min(this.BRUTEFORCE_CARDINALITY ** match.token.length, Number.MAX_VALUE);
+        const minGuesses = match.token.length === 1 ? this.MIN_SUBMATCH_GUESSES_SINGLE_CHAR + 1 : this.MIN_SUBMATCH_GUESSES_MULTI_CHAR + 1;
+        return Math.max(guesses, minGuesses);
+    },
+
+    /**
+     * 辞書の語: 順位 × 大文字の付け方 × 置き換えの仕方 × 逆さかどうか
+     */
+    dictionaryGuesses(match) {
+        return match.rank * this.uppercaseVariations(match.token) * this.l33tVariations(match) * (match.reversed ? 2 : 1);
+    },
+
+    /**
+     * 大文字の付け方の数（先頭だけ・末尾だけ・全部は2通りとみなす）
+     */
+    uppercaseVariations(word) {
+        if (word.toLowerCase() === word) return 1;
+        if (/^[A-Z][^A-Z]+$/.test(word) || /^[^A-Z]+[A-Z]$/.test(word) || /^[^a-z]+$/.test(word)) return 2;
+        const upper = (word.match(/[A-Z]/g) || []).length;
+        const lower = (word.match(/[a-z]/g) || []).length;
+        let variations = 0;
+        for (let i = 1; i <= Math.min(upper, lower); i++) variations += this.nCk(upper + lower, i);
+        return variations;
+    },
+
+    /**
+     * 置き換えの仕方の数（置き換えた文字と元の文字が混ざっていれば、その選び方の数）
+     */
+    l33tVariations(match) {
+        if (!match.l33t) return 1;
+        let variations = 1;
+        const chars = match.token.toLowerCase().split('');
+        Object.entries(match.sub).forEach(([subbed, unsubbed]) => {
+            const s = chars.filter(ch => ch === subbed).length;
+            const u = chars.filter(ch => ch === unsubbed).length;
+            if (s === 0 || u === 0) {
+                variations *= 2;
+            } else {
+                let possibilities = 0;
+                for (let i = 1; i <= Math.min(u, s); i++) possibilities += this.nCk(u + s, i);
+                variations *= possibilities;
+            }
+        });
+        return variations;
+    },
+
+    /**
+     * キーボードのなぞり: 始点 × 長さ × 曲がる位置と方向の組み合わせ（Shiftを混ぜればその分も）
+     */
+    spatialGuesses(match) {
+        const graph = this.keyboardGraphs()[match.graph];
+        const length = match.token.length;
+        let guesses = 0;
+        for (let i = 2; i <= length; i++) {
+            for (let j = 1; j <= Math.min(match.turns, i - 1); j++) {
+                guesses += this.nCk(i - 1, j - 1) * graph.startingPositions * graph.averageDegree ** j;
+            }
+        }
+        if (match.shiftedCount) {
+            const shifted = match.shiftedCount;
+            const unshifted = length - shifted;
+            if (unshifted === 0) {
+                guesses *= 2;
+            } else {
+                let variations = 0;
+                for (let i = 1; i <= Math.min(shifted, unshifted); i++) variations += this.nCk(length, i);
+                guesses *= variations;
+            }
+        }
+        return guesses;
+    },
+
+    /**
+     * 連続した並び: 始まりの文字 × 長さ（a・z・0・1・9から始まるものは特に推測されやすい）
+     */
+    sequenceGuesses(match) {
+        let base;
+        if (/^[azAZ019]/.test(match.token)) {
+            base = 4;
+        } else {
+            base = match.space;
+        }
+        if (!match.ascending) base *= 2;
+        return base * match.token.length;
+    },
+
+    /**
+     * 日付: 年の範囲 × 365日（区切りがあれば区切り文字の分も）
+     */
+    dateGuesses(match) {
+        const guesses = Math.max(Math.abs(match.year - this.referenceYear()), this.MIN_YEAR_SPACE) * 365;
+        return match.separator ? guesses * 4 : guesses;
+    },
+
+    nCk(n, k) {
+        if (k > n) return 0;
+        if (k === 0) return 1;
+        let result = 1;
+        for (let d = 1; d <= k; d++) {
+            result *= n;
+            result /= d;
+            n--;
+        }
+        return result;
+    },
+
+    factorial(n) {
+        let result = 1;
+        for (let i = 2; i <= n; i++) result *= i;
+        return result;
+    },
+
+    // ---- 評価と表示 ----
+
+    /**
+     * 推測回数を0〜4のスコアにする（境界付近の誤差で評価が揺れないよう少し余裕を持たせる）
+     */
+    guessesToScore(guesses) {
+        const delta = 5;
+        const index = this.SCORE_THRESHOLDS.findIndex(threshold => guesses < threshold + delta);
+        return index === -1 ? this.SCORE_THRESHOLDS.length : index;
+    },
+
+    /**
+     * 秒数を読みやすい長さにする（例: 3時間、5年、100年以上）
+     */
+    formatDuration(seconds) {
+        const minute = 60;
+        const hour = minute * 60;
+        const day = hour * 24;
+        const month = day * 31;
+        const year = month * 12;
+        const century = year * 100;
+
+        if (seconds < 1) return '1秒未満';
+        if (seconds < minute) return `${Math.round(seconds)}秒`;
+        if (seconds < hour) return `${Math.round(seconds / minute)}分`;
+        if (seconds < day) return `${Math.round(seconds / hour)}時間`;
+        if (seconds < month) return `${Math.round(seconds / day)}日`;
+        if (seconds < year) return `${Math.round(seconds / month)}か月`;
+        if (seconds < century) return `${Math.round(seconds / year)}年`;
+        return '100年以上';
+    },
+
+    /**
+     * 改善のための助言（スコア3以上なら助言なし）
+     * @returns {{warning: string, suggestions: string[]}}
+     */
+    feedback(score, sequence) {
+        if (sequence.length === 0) {
+            return {
+                warning: '',
+                suggestions: ['単語をいくつか組み合わせてください。よく使われる言い回しは避けてください', '記号・数字・大文字は必須ではありません']
+            };
+        }
+        if (score > 2) return { warning: '', suggestions: [] };
+
+        // 最も長いパターンについて助言する
+        const longest = sequence.reduce((a, b) => (b.token.length > a.token.length ? b : a));
+        const feedback = this.matchFeedback(longest, sequence.length === 1);
+        feedback.suggestions.unshift('単語をもう1〜2語足してください。一般的でない語ほど効果があります');
+        return feedback;
+    },
+
+    matchFeedback(match, isSoleMatch) {
+        switch (match.pattern) {
+            case 'dictionary':
+                return this.dictionaryFeedback(match, isSoleMatch);
+            case 'spatial':
+                return {
+                    warning: match.turns === 1 ? 'キーボードの1列をなぞった並びは推測されやすいです' : '短いキーボード上のパターンは推測されやすいです',
+                    suggestions: ['キーボード上のパターンを使うなら、長くして曲がる回数を増やしてください']
+                };
+            case 'repeat':
+                return {
+                    warning: match.baseToken.length === 1
+                        ? '「aaa」のような同じ文字の繰り返しは推測されやすいです'
+                        : '「abcabcabc」のような繰り返しは「abc」とほとんど変わりません',
+                    suggestions: ['単語や文字の繰り返しは避けてください']
+                };
+            case 'sequence':
+                return { warning: '「abc」「6543」のような連続した並びは推測されやすいです', suggestions: ['連続した並びは避けてください'] };
+            case 'year':
+                return { warning: '最近の年は推測されやすいです', suggestions: ['最近の年や、自分に関係のある年は避けてください'] };
+            case 'date':
+                return { warning: '日付は推測されやすいです', suggestions: ['自分に関係のある日付や年は避けてください'] };
+            default:
+                return { warning: '', suggestions: [] };
+        }
+    },
+
+    dictionaryFeedback(match, isSoleMatch) {
+        let warning = '';
+        switch (match.dictionaryName) {
+            case 'passwords':
+                if (isSoleMatch && !match.l33t && !match.reversed) {
+                    if (match.rank <= 10) {
+                        warning = 'よく使われるパスワードの上位10件に入っています';
+                    } else if (match.rank <= 100) {
+                        warning = 'よく使われるパスワードの上位100件に入っています';
+                    } else {
+                        warning = 'よく使われるパスワードです';
+                    }
+                } else if (Math.log10(match.guesses) <= 4) {
+                    warning = 'よく使われるパスワードに似ています';
+                }
+                break;
+            case 'english':
+            case 'tv':
+            case 'wordlist':
+                if (isSoleMatch) warning = '単語1つだけでは推測されやすいです';
+                break;
+            case 'surnames':
+            case 'femaleNames':
+            case 'maleNames':
+                warning = isSoleMatch ? '名前や名字だけでは推測されやすいです' : 'よくある名前や名字は推測されやすいです';
+                break;
+            case 'userInputs':
+                warning = 'サービス名やユーザー名を含むと推測されやすいです';
+                break;
+        }
+
+        const suggestions = [];
+        if (/^[A-Z][^A-Z]+$/.test(match.token)) {
+            suggestions.push('先頭を大文字にしてもあまり効果はありません');
+        } else if (/^[^a-z]+$/.test(match.token) && match.token.toLowerCase() !== match.token) {
+            suggestions.push('すべて大文字にしても小文字とほとんど変わりません');
+        }
+        if (match.reversed && match.token.length >= 4) {
+            suggestions.push('単語を逆さにしてもあまり効果はありません');
+        }
+        if (match.l33t) {
+            suggestions.push('「a」を「@」にするような予測しやすい置き換えはあまり効果がありません');
+        }
+        return { warning, suggestions };
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrengthEstimator;
+}
@@ -0,0 +1,190 @@
+/**
+ * エントリのURLと開いているサイトの照合
+ * エントリにはURLごとに一致ルール（基本ドメイン・ホスト・完全一致・正規表現）を持たせる。
+ * 基本ドメインのルールでは、同じサイトとみなすドメインのグループ（google.com と youtube.com など）も一致とする。
+ */
+
+const UrlMatch = {
+    RULES: {
+        domain: '基本ドメイン',
+        host: 'ホスト',
+        exact: '完全一致',
+        regex: '正規表現'
+    },
+    DEFAULT_RULE: 'domain',
+    SETTING_KEY: 'equivalentDomains',
+    DEFAULT_EQUIVALENTS: [
+        ['google.com', 'youtube.com', 'gmail.com'],
+        ['amazon.com', 'amazon.co.jp'],
+        ['microsoft.com', 'live.com', 'outlook.com', 'office.com', 'microsoftonline.com'],
+        ['apple.com', 'icloud.com']
+    ],
+    // 2階層のパブリックサフィックス（この下の1階層までを基本ドメインとする）
+    MULTI_LEVEL_SUFFIXES: [
+        'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'ad.jp', 'ed.jp', 'gr.jp', 'lg.jp',
+        'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz',
+        'com.br', 'com.cn', 'com.hk', 'com.tw', 'co.kr', 'co.in',
+        'github.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev'
+    ],
+    // 一致の強さ（候補の並び順に使う）
+    SCORES: { exact: 4, host: 3, regex: 3, domain: 2, equivalent: 1 },
+    equivalents: null,
+
+    /**
+     * 保存された同等ドメインのグループを読み込む
+     */
+    async loadSettings() {
+        const saved = await Storage.getSetting(this.SETTING_KEY);
+        this.equivalents = saved || this.DEFAULT_EQUIVALENTS;
+        return this.equivalents;
+    },
+
+    async saveSettings(groups) {
+        await Storage.saveSetting(this.SETTING_KEY, groups);
+        this.equivalents = groups;
+    },
+
+    /**
+     * URLを解析（スキームがなければhttpsとみなす。解析できなければnull）
+     * @returns {URL|null}
+     */
+    parse(text) {
+        const value = (text || '').trim();
+        if (!value) return null;
+        try {
+            return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * 登録可能なドメイン（例: accounts.google.co.jp → google.co.jp）
+     */
+    baseDomain(hostname) {
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+        // IPアドレスはそのまま
+        if (/^[\d.]+$/.test(host) || host.includes(':') || host.startsWith('[')) return host;
+
+        const labels = host.split('.');
+        if (labels.length <= 2) return host;
+        const suffix = labels.slice(-2).join('.');
+        return labels.slice(this.MULTI_LEVEL_SUFFIXES.includes(suffix) ? -3 : -2).join('.');
+    },
+
+    /**
+     * 登録されたURL1件と開いているサイトの一致の強さ（0 = 一致しない）
+     * @param {{url: string, match: string}} entryUrl
+     * @param {URL} target
+     */
+    score(entryUrl, target) {
+        const rule = this.RULES[entryUrl.match] ? entryUrl.match : this.DEFAULT_RULE;
+
+        if (rule === 'regex') {
+            try {
+                return new RegExp(entryUrl.url, 'i').test(target.href) ? this.SCORES.regex : 0;
+            } catch (error) {
+                return 0;
+            }
+        }
+
+        const url = this.parse(entryUrl.url);
+        if (!url) return 0;
+
+        switch (rule) {
+            case 'exact':
+                return this.withoutHash(url) === this.withoutHash(target) ? this.SCORES.exact : 0;
+            case 'host':
+                return url.host === target.host ? this.SCORES.host : 0;
+            default: {
+                const base = this.baseDomain(url.hostname);
+                const targetBase = this.baseDomain(target.hostname);
+                if (base === targetBase) return this.SCORES.domain;
+                return this.areEquivalent(base, targetBase) ? this.SCORES.equivalent : 0;
+            }
+        }
+    },
+
+    /**
+     * エントリのURLのうち最も強い一致（0 = 一致しない）
+     */
+    entryScore(entry, target) {
+        return (entry.urls || []).reduce((best, entryUrl) => Math.max(best, this.score(entryUrl, target)), 0);
+    },
+
+    areEquivalent(a, b) {
+        return (this.equivalents || this.DEFAULT_EQUIVALENTS).some(group => group.includes(a) && group.includes(b));
+    },
+
+    withoutHash(url) {
+        return url.href.replace(/#.*$/, '');
+    },
+
+    /**
+     * 開けるURL（http/https以外と正規表現はnull）
+     */
+    openable(entryUrl) {
+        if (!entryUrl || entryUrl.match === 'regex') return null;
+        const url = this.parse(entryUrl.url);
+        return url && ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    },
+
+    /**
+     * エントリの最初の開けるURL
+     */
+    primaryUrl(entry) {
+        for (const entryUrl of entry.urls || []) {
+            const href = this.openable(entryUrl);
+            if (href) return href;
+        }
+        return null;
+    },
+
+    /**
+     * 外部データのURL（文字列・文字列の配列・{url, match}の配列）をエントリの形式に揃える（平文のインポート用）
+     * @returns {Array<{url: string, match: string}>}
+     */
+    normalizeList(value) {
+        return [].concat(value || [])
+            .map(item => typeof item === 'string'
+                ? { url: item, match: this.DEFAULT_RULE }
+                : { url: String(item.url || ''), match: this.RULES[item.match] ? item.match : this.DEFAULT_RULE })
+            .map(item => ({ ...item, url: item.url.trim() }))
+            .filter(item => item.url);
+    },
+
+    /**
+     * 正規表現のルールが有効か
+     */
+    isValidPattern(entryUrl) {
+        if (entryUrl.match !== 'regex') return !!this.parse(entryUrl.url);
+        try {
+            new RegExp(entryUrl.url);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * 同等ドメインの入力（1行に1グループ、カンマか空白区切り）を解析し、基本ドメインに揃える
+     * @returns {string[][]} ドメインが2つ以上のグループ
+     */
+    parseEquivalents(text) {
+        return (text || '').split('\n')
+            .map(line => [...new Set(line.split(/[\s,、]+/)
+                .map(domain => domain.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, ''))
+                .filter(Boolean)
+                .map(domain => this.baseDomain(domain)))])
+            .filter(group => group.length >= 2);
+    },
+
+    formatEquivalents(groups) {
+        return groups.map(group => group.join(', ')).join('\n');
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlMatch;
+}
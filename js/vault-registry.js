@@ -0,0 +1,161 @@
+/**
+ * Vaultの一覧
+ * Vaultごとに別のIndexedDBを使い、このレジストリには名前とデータベース名だけを保存する（鍵情報は各Vaultのデータベース内）。
+ * 複数Vault対応前のデータベース（PasswordManagerDB）はそのまま既定のVaultとして扱う。
+ */
+
+const VaultRegistry = {
+    DB_NAME: 'PasswordManagerVaults',
+    DB_VERSION: 1,
+    DEFAULT_VAULT: { id: 'default', name: 'メイン', dbName: 'PasswordManagerDB' },
+    DB_PREFIX: 'PasswordManagerDB-',
+    CURRENT_KEY: 'currentVault',
+    NAME_MAX_LENGTH: 40,
+    db: null,
+
+    /**
+     * レジストリを開き、空なら既定のVaultを登録
+     */
+    async init() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                db.createObjectStore('vaults', { keyPath: 'id' });
+                db.createObjectStore('meta', { keyPath: 'key' });
+            };
+        });
+
+        if ((await this.list()).length === 0) {
+            await this.put({ ...this.DEFAULT_VAULT, createdAt: new Date().toISOString() });
+        }
+    },
+
+    /**
+     * 登録済みのVault（作成順）
+     * @returns {Promise<Array<{id: string, name: string, dbName: string, createdAt: string}>>}
+     */
+    async list() {
+        const vaults = await new Promise((resolve, reject) => {
+            const request = this.db.transaction('vaults', 'readonly').objectStore('vaults').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return vaults.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async get(id) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('vaults', 'readonly').objectStore('vaults').get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async put(vault) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('vaults', 'readwrite');
+            tx.objectStore('vaults').put(vault);
+            tx.oncomplete = () => resolve(vault);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * 新しいVaultを登録（データベースは初回のStorage.initで作成される）
+     */
+    async create(name) {
+        const id = Storage.generateUuid();
+        return this.put({
+            id,
+            name: await this.validateName(name),
+            dbName: this.DB_PREFIX + id,
+            createdAt: new Date().toISOString()
+        });
+    },
+
+    async rename(id, name) {
+        const vault = await this.get(id);
+        if (!vault) throw new Error('Vaultが見つかりません');
+        return this.put({ ...vault, name: await this.validateName(name, id) });
+    },
+
+    /**
+     * Vaultとそのデータベースを削除（開いている場合は先にStorage.closeしておく）
+     */
+    async remove(id) {
+        const vault = await this.get(id);
+        if (!vault) return;
+
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(vault.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('他のタブがこのVaultを開いているため、削除を待機しています');
+            };
+        });
+
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction('vaults', 'readwrite');
+            tx.objectStore('vaults').delete(id);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * 前回開いたVaultのID
+     */
+    async getCurrentId() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction('meta', 'readonly').objectStore('meta').get(this.CURRENT_KEY);
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async setCurrentId(id) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction('meta', 'readwrite');
+            tx.objectStore('meta').put({ key: this.CURRENT_KEY, value: id });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * GitHub同期の既定の保存先（Vaultごとに別のフォルダにして添付ファイルも分ける）
+     */
+    syncPath(vault) {
+        return vault.id === this.DEFAULT_VAULT.id
+            ? GitHubSync.DEFAULT_FILE_PATH
+            : `pwa/data/vaults/${vault.id}/passwords.json`;
+    },
+
+    /**
+     * 名前を検証（空・長すぎ・重複を拒否）
+     * @param {string|null} exceptId - 名前を変更するVault自身
+     * @returns {Promise<string>} 前後の空白を除いた名前
+     */
+    async validateName(name, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('名前を入力してください');
+        }
+        if (trimmed.length > this.NAME_MAX_LENGTH) {
+            throw new Error(`名前は${this.NAME_MAX_LENGTH}文字以内にしてください`);
+        }
+        if ((await this.list()).some(vault => vault.name === trimmed && vault.id !== exceptId)) {
+            throw new Error('同じ名前のVaultがあります');
+        }
+        return trimmed;
+    }
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VaultRegistry;
+}
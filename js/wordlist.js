@@ -0,0 +1,652 @@
+/**
+ * パスフレーズ用の単語リスト（オフラインで使えるよう同梱）
+ * EFFのダイスウェア単語リストと同じくサイコロ5個分の7776語で、1語あたり log2(7776) ≈ 12.9 ビット。
+ * 英語の頻出語から、読み上げやテレビのリモコンでも入力しやすい4〜9文字の小文字の語を機械的に選んだもので、
+ * 語の内容では絞り込んでいないため、地名などの固有名詞や好ましくない意味の語も含まれる。
+ */
+
+const Wordlist = {
+    WORDS: `
+        abandon abandoned abbot abducted abilities ability able aboard abolished abolition abort about
+        above abroad absence absent absolute absorbed abstract absurd abundance abundant abuse abused
+        academics academy accent accept accepted accepting accepts accessed accession accessory accident
+        accidents acclaim acclaimed accompany according account accounted accounts accuracy accurate
+        accuse accused accusing achieve achieved achieving acid acoustic acquire acquired acquiring acre
+        acres across acted acting actions activate activated active actively activism activist activists
+        activity actor actors actress acts actual actually acute adapt adapted added addicted addiction
+        adding addition additions address addressed addresses adds adequate adjacent adjoining adjourned
+        adjust adjusted adjusting admirable admiral admiralty admire admired admirer admission admit
+        admits admitted admitting adopt adopted adopting adoption adorable adore adores adult adults
+        advance advances advancing advantage adventure adverse advice advise advised adviser advisor
+        advisory advocacy advocate advocated advocates aerial aesthetic affair affairs affect affected
+        affecting affection affects affiliate afford afghan afraid after aftermath afternoon afterward
+        again against aged agencies agency agenda agent agents ages aggregate aging agitated agony agree
+        agreed agreeing agrees ahead aided aids aimed aims aircraft aired airfield airing airline
+        airlines airplay airport airports airs airways aisle alarm alarms alas albeit album albums
+        alcohol alcoholic alert algebra algorithm alias alibi alien align aligned alignment alike alive
+        alleged allegedly allergic allergies allergy allied allies allocated allow allowance allowed
+        allowing allows ally almighty almost alone along alongside already alright also altar alter
+        altered alternate although altitude aluminium aluminum alumni always amaze amazed amazing
+        amazingly ambition ambitious ambulance ambush amended amendment amends amenities amino ammo
+        amnesia amnesty among amongst amount amounts amulet amusement amusing analog analyses analysis
+        analyst analyze anarchist anatomy ancestor ancestors ancestral ancestry anchor anchored ancient
+        android anger angry animated animation ankle ankles annexed announce announced announcer annoy
+        annoyed annoying annual annually annulled annulment anonymous another answer answered answering
+        answers antarctic antenna anterior anthem anthology antidote antique antiques antiquity ants
+        anxiety anxious anybody anyhow anymore anyone anyplace anything anytime anyway anywhere apart
+        apartment apex apologies apologise apologize apology apostolic apparatus apparent appeal
+        appealed appealing appeals appear appeared appearing appears appetite applause applied applies
+        apply applying appoint appointed approach approval approve approved apron aquatic arbitrary
+        arcade arch arches architect archive archives arctic area areas arena arguably argue argued
+        argues arguing argument arguments aria arise armament armed armies armor armored armoured army
+        arose around arrange arranged array arrest arrested arresting arrests arrival arrive arrived
+        arrives arriving arrogance arrogant arson artery article articles artifacts artillery arts
+        artwork ashamed ashore aside asked asking asks asleep aspect aspects aspirin assault assembled
+        assembly asserted assess assessed asset assets assign assigned assist assistant assisted
+        assisting assists associate assume assumed assumes assuming assure assured asteroid asylum
+        athlete athletes athletic athletics atlas atom atoms atop attached attack attacked attacking
+        attacks attained attempt attempted attempts attend attendant attended attending attention attic
+        attitude attitudes attorney attorneys attract attracted attracts auction audience audiences
+        audio audit audition auditions auntie aunts authentic author authored authority auto autograph
+        automated automatic autonomy auxiliary available average averaged averaging aviation avoid
+        avoided avoiding awaiting awaits awake award awarded awards aware awareness away awful awfully
+        awhile awkward babbling babies baby bachelor back backed backfire backfired backing backpack
+        backs backstage backup backwards backyard bacteria baden badge badly badminton bagel baggage
+        bags bail bailed bailing bait bake baked bakery baking balance balanced balcony bald ballad
+        ballet ballistic ballot ballots ballroom baltic band bandage bandages bands banged banging bank
+        banking bankrupt banned banquet baptism barbecue bare barely bargain barge barging barking barn
+        baronet baroque barracks barrel barrier barriers bars bartender basal base based basement bases
+        basic basically basilica basin basis bassist batch bathing bathroom bathrooms bathtub bats
+        batsman battalion batteries battery batting battle beacon beans bearing bears beat beaten
+        beating beautiful became because become becomes becoming bedroom bedrooms beds bedside bedtime
+        beef been beep beeper bees beetles before began begged begging begin beginning begins begun
+        behalf behave behaved behaving behavior behaviors behaviour behind behold being beings belief
+        beliefs believe believed believer believes believing bells belly belong belonged belonging
+        belongs beloved below belt belts bench bend beneath benefit benefits bent berries beside besides
+        best beta betray betrayal betrayed betraying bets better betting between beverage beware beyond
+        biblical bidding bigger biggest bike bikes billboard billed billion billions binary bind binding
+        biography biology biopsy birds birth birthday birthdays bishops bite bites biting bits bitten
+        bitter bizarre blackmail bladder blame blamed blames blaming blanket blankets blast bleed
+        bleeding blend bless blessings blew blind blinded blink bloc block blockade blocked blocking
+        blocks blog blond blood blooded blouse blow blowing blown blows blueberry bluff bluffing blush
+        blushing boarding boat boathouse bodies body bodyguard bogus bohemia boil bold bombs bonded
+        bonding bone bonus book booked books bookstore boom boot booze border bordered bore bored
+        boredom boring borne borough borrow borrowed borrowing boss bosses botanical both bother
+        bothered bothering bothers bottle bottled bottles bottom bought boulevard bouncing bound
+        boundary bounded bouquet bout boutique bowl boxes boycott boyfriend boys bracelet brag bragging
+        brains brakes branches branded branding brands brat brave bravery breach bread break breakdown
+        breakfast breaking breaks breakup breath breathe breathing breaths bred breeding breeds brewery
+        bribe bribed bridal bride bridge brief briefcase briefing briefly brigade brigades brigadier
+        brighter brightest brilliant bring bringing brings broad broadcast broader broadly broadway
+        brochure broke broken bronze brother brought brownies browser bruise bruised bruises brunch
+        brush brutal bubbly buckle bucks buddhism buddies budge budget buff bugged bugging bugs build
+        builders building buildings built bulb bulk bulletin bullets bully bummed bump bumped bumps
+        bundle buns bureau burgers burglar burial buried burn burned burning burnt burst bury burying
+        buses bushes business bust busted busting busy buts button buyer buyers buying buys buzz buzzing
+        bygones bypass cabin cabinet cable cables cadet cadets cafe cafeteria caffeine cage cake cakes
+        calcium calendar caliber call called caller calling calls calmed calmly came cameo camera
+        cameras camp campaign campaigns camping camps campus campuses canal canals cancel canceled
+        canceling cancelled candidate candles cane canned cannot canoe cans canton canvas canyon capable
+        capacity cape capita capital capped caps captained captains captive captivity capture captured
+        capturing carbon card cardiac cards care cared career careers careful carefully careless cares
+        cargo caring carriage carried carriers carries carry carrying cars cart carton cartridge carve
+        carved cascade case cases cashmere casket cassette cast caste casting castles casual catalog
+        catalogue catalyst catch catches catching category caterer catering cathedral cattle caught
+        cause caused causes causing caution cautious cavalry caves caviar cease ceased cedars ceiling
+        celebrate celebrity cell cellar cells cellular cemetery census cent center centered centers
+        central centre centred cents centuries century ceramic cereal ceremony certain certainly
+        certified ceylon chain chained chains chair chaired chairman chairs chalk challenge champagne
+        champions chance chancel chances change changed changes changing channel channels chaplain
+        chapter chapters character charade charge charged charges charging charities charm charming
+        charms chart charted charter chartered charting charts chased chasing chassis chat chateau
+        chatting chauffeur cheap cheaper cheat cheated cheating check checkbook checked checking checks
+        checkup cheer cheerful cheering cheesy chef chem chemical chemicals chemistry chemo cheque chest
+        chewing chick chief chiefly child childhood childish children chili chill chips chocolate choice
+        choices choir choke choked choking choose chooses choosing chop chopped chops choral chores
+        chorus chose chosen chronicle chump chunk churches cider cigar cigarette cinema circa circle
+        circling circuit circuits circular circus citation cited cites cities citing citizen citizens
+        civic civilian civilians civilized claim claimed claiming claims clam clamp clams clan clans
+        clarify clash class classes classical classroom classy clause claw claws clean cleaned cleaner
+        cleaners cleaning clear clearance cleared clearer clearing clearly clears clergy clerk clever
+        client clients cliffs climate climb climbed climbing clinging clinical clip clock clone close
+        closed closely closer closes closest closet closing closure clothes clothing club clubs clue
+        clueless clues clumsy cluster clusters coach coached coaches coaching coalition coastal coaster
+        coastline coat cockpit cocktail cocky code codes codex cognitive coin coined coins cold collapse
+        collapsed collar colleague collect collected collector colleges collision colonel colonial
+        colonies colonists colony color colored colorful coloured colt colts column columnist columns
+        coma combat combine combined combines combining come comeback comedian comedy comes comfort
+        comfy comic comics coming command commanded commander commands commenced comment commented
+        comments commerce commit committed commodore common commonly communal commune communes communion
+        communist community commuter compact companies companion compare compared comparing compelled
+        compete competed competent competes competing compiled complain complaint complete completed
+        complex complexes comply component composed composer composers composing composite compound
+        compounds comprise comprised comprises computers computing comrade conceive conceived concept
+        concepts concern concerned concerns concert concerto concerts concluded concludes condemned
+        condition condo conducted conductor conferred confess confessed confide confident confined
+        confirm confirmed confirms conflict conflicts confront confronts confuse confused confusing
+        confusion congress connected connects conniving conquer conquered conquest conscious consensus
+        consent consider considers consist consisted consists console consort constable constant
+        construct consul consulate consult consumed consumers contact contacted contacts contain
+        contained container contains contempt content contents contest contested contests context
+        continent continue continued continues contract contrary contrast control controls convent
+        convert converted convict convicted convince convinced convoy cooked cooking cool cooled coolest
+        cooling coop cooped cooperate copied copies cops copy copyright cord core cork corner cornered
+        corners corny coroner corporal corporate corps corpus correct corrected correctly corridor
+        corrupt cosmetics cost costly costs costume costumes cottage cough could councils counselor
+        count countdown counted counter countess counties counting countries country county coup coupe
+        couple coupled couples courage course courses court courtesy courtroom courts courtyard cousin
+        cove cover coverage covered covering covers cows cozy crab crack cracked crackers cracking
+        cracks crafts cramp cranberry crane cranes crank cranky crash crashed crashing crate crater
+        crawl crawled crawling crazed crazier crazy cream create created creates creating creation
+        creations creator creature credit credited credits creep creeps creepy crest crew crib cricketer
+        cried cries crime crimes criminal criminals crippled crisis criteria critic critical criticism
+        criticize critics critique crock crooked crop crops crossed crosses crossing crossover crowd
+        crowded crowds crowned crucial crude cruel cruelty cruisers cruising crummy crusade crush
+        crushed crushing crying crypt cubic cubicle cuff cuffs cuisine cultural culture cultures cupid
+        cups curator curb cure cured curfew curiosity curling curly currency current currently currents
+        curse cursed curtain curtains curve curved curves custody customer customers customs cute cutest
+        cutie cuts cutting cycle cycles cycling cyclist cylinder cynical daddy dads daily dairy damage
+        damaged damages damaging dance danced dancers dances dancing dandy dangerous dare daring dark
+        darker darkest darn darned dash data database date dated dates dating daughter daughters
+        daylight days daytime deacon dead deadline deadly deaf deal dealer dealers dealing deals dealt
+        dear dearest dearly death deaths debate debated debates debris debt debts debut debuted decade
+        decades decaf decay deceased deceiving decency decent deception decide decided decides deciding
+        decision decisions decisive deck declare declared declaring decline declined declining decorate
+        decorated decrease decreased decree dedicated deed deeds deemed deep deeper deepest deeply deer
+        defeat defeated defeating defeats defence defences defend defendant defended defenders defending
+        defenses defensive deficit define defined defines defining definite defunct degree degrees
+        deities deity delay delayed delays delegate delegates delicate delicious delighted delirious
+        deliver delivered delivery deluded delusion delusions demand demanded demanding demands demented
+        demise democracy demon demonic demons denial denied denotes dense density dental dentist deny
+        denying departed departing departure depend depended dependent depending depends depict depicted
+        depicting depiction depicts deployed deposited deposits depot depressed depth depths deputies
+        deputy derby derived derives descended descent describe described describes deserted deserve
+        deserved deserves design designed designers designing desired desires desk despair desperate
+        despise despite dessert destined destroy destroyed destroyer destruct detached detail detailed
+        details detained detect detected detection detective detector detention determine develop
+        developed developer develops device devices devious devised devoted devotion diabetes diagnosed
+        diagnosis diagram dialect dialects dialogue diapers diary dice dictate died dies diet differ
+        different differing differs difficult digest digging digit dignity digs dilemma dime dimension
+        dining dinner dinners dinosaurs diocese dioxide diploma diplomat dire direct directed directing
+        direction directive directly director directors directory dirty disabled disagree disappear
+        disaster disbanded disc discharge disciples discount discovers discreet discrete discs discuss
+        discussed discusses diseases disgrace disguise disgust disgusted dish dishes dishonest disk
+        dislike dismiss dismissal dismissed disorder disorders dispatch dispersed displaced display
+        displayed displays disposal dispose dispute disputed dissolved distance distances distant
+        distinct distract distress district districts disturb disturbed ditch ditched ditto dive diverse
+        diversion diversity divide divided dividing diving division divisions divorce divorced dizzy
+        dock docks doctoral doctorate doctors doctrine document documents does doing doll dollars dolls
+        domain domains dome domestic dominance dominant dominate dominated donate donated donation
+        donations done donor donut doom doomed door doorbell doorman doorstep doorway dope dork dorm
+        dorsal dose dots double doubles doubt doubted doubting doubts dough doughnut doughnuts down
+        download downright downtown dozen dozens draft drafted drag dragged dragging drainage drama
+        dramas dramatic drank drastic draw drawers drawing drawings drawn draws dreadful dreamed
+        dreaming dreamt dress dressed dresser dresses dressing dried drift drifting drill drilling drink
+        drinking drinks drip dripping drive driven drivers drives driveway driving drool drooling drop
+        dropped dropping drops drought drove drown drowned drowning drum drums dryer dual dubbed duchy
+        duct dude duel duet dull dumb dumbest dummy dump dumped dumping dumps dumpster duration during
+        dust duties duty dwarf dwell dwelling dwellings dying dynamic dynamics dynasty each eager
+        earlier earliest early earn earned earning earnings earring earrings ears ease easier easiest
+        easily east eastward easy eaten eater eating eats ecology economic economics economist economy
+        edge edges edgy edited editing edition editions editor editorial editors educate educated
+        educator effect effective effects efficient effort efforts eggs eight eighteen eighth eighty
+        either elaborate elbow elderly elders eldest elect elected election elections electoral
+        electrons elegant elements elephants elevated elevation elevator elevators eleven eleventh
+        eligible eliminate elite ellenor elope else elsewhere elves embarked embarrass embassy embedded
+        emblem embrace emerge emerged emergency emerging emeritus emigrated eminent emission emissions
+        emotion emotional emotions emperor emphasis empirical employ employed employees employer
+        employers employing employs empress empty enable enabled enables enabling enacted enchanted
+        enclosed encoded encounter encourage ended endemic ending endless endorsed endowment ends
+        endurance endure enemies enemy enforce enforced engaged engaging engine engineers engines
+        enhance enhanced enjoy enjoyed enjoying enjoys enlarged enlighten enlisted enormous enough
+        enrolled ensemble ensuing ensure ensured ensuring entered entering enters entertain entire
+        entirely entirety entities entitled entity entrance entries entry envelope envy enzo enzyme
+        enzymes epic epidemic episode episodes eponymous equal equality equally equals equation
+        equations equipped equity erase erased erected erosion errand errands error errors escape
+        escaped escapes escaping escorted essay essays essence essential establish estate estates esteem
+        estimate estimated estimates estuary ethical ethics ethnic etymology evacuated evaluate
+        evaluated even evening event events eventual ever evergreen every everybody everyday everyone
+        evidence evident evidently evil evolution evolved exact exactly exam examine examined examining
+        example examples exams excavated exceed exceeded excellent except exception excess excessive
+        exchange exchanged exchanges excited exciting excluded excluding exclusive excuse excused
+        excuses execute executed execution executive exercise exercises exhaust exhausted exhibit
+        exhibited exhibits exile exiled exist existed existence existing exists exit exits expand
+        expanded expanding expansion expect expected expecting expects expelled expense expenses
+        expensive expert expertise experts expired explain explained explains explicit explode exploded
+        explore explored explores exploring explosion explosive export exported exports expose exposed
+        exposing exposure expressed expresses exquisite extant extend extended extending extends
+        extension extensive extent exterior external extinct extortion extra extract extremely eyeballs
+        eyebrows eyed fabulous facade face faced faces facility facing fact faction factions facto
+        factor factories factors factory facts faculties faculty fade fading fail failed failing fails
+        failure failures faint fainted fair fairly fairy faithful fake faked faking fall falling falls
+        false fame famed familiar families family famine famous famously fancy fangs fans fantasies
+        fantastic fare farewell farm farmers farming farmland farms farther fashion fashioned fashions
+        fast fastest fatal father fathers fault faults fauna favor favorable favored favorite favorites
+        favors favour favoured favourite faxed fear feared fears feast feat feature featured features
+        featuring federal feds feed feedback feeding feeds feel feeling feelings feels fees felicity
+        fell fella fellow felon felony female females feminine feminist fence fencing ferry fertile fest
+        festival festivals festive fetch feud feudal fever fewer fiance fiancee fiasco fiber fibers
+        fiction fictional field fiend fierce fifteen fifteenth fifty fight fighters fighting fights
+        figure figured figures figuring file filed files filing fill filled filling fills filmed filming
+        filmmaker films filth filthy final finale finalist finalists finally finals finance financed
+        finances financial financing find finding findings finds fine finer finest fingers finish
+        finished finishes finishing finite firearms fired firemen fireplace fires fireworks firing firm
+        firmly firms first firsthand firstly fiscal fisheries fishermen fist fits fitted fitting five
+        fixed fixing fixture flag flags flagship flame flank flare flashes flashing flat flats flatter
+        flattered flavor flaw flea fled flee fleeing fleet flesh flew flight flights fling flip flipped
+        flipping flirt flirting float floating flock flooded flooding floods floors florist floss
+        flotilla flour flow flowering flowing flown flows fluid flush flushed flute flying foam focal
+        focus focused focuses focusing fold folded folding folk folklore folks follow followed followers
+        following follows fond font food foods fool fooled fooling foolish fools foot footage footsteps
+        forbid forbidden force forced forces forcing forehead foreign foremost forensic forensics
+        forested forestry forests forewings forgave forge forged forget forgets forgive forgiven
+        forgiving forgot forgotten fork form formal formality formally format formation formats formed
+        former formerly forming forms fort forth fortified fortress forts fortunate fortune forty forum
+        forward fossils fought foul found founded founder founders founding four fourteen fourth
+        fraction fracture fragile fragments frame framed frames framework franchise frankly fras frat
+        fraud freak freaked freaking free freelance freely freestyle freeze freezer freezing freight
+        frequency frequent fresh freshen freshman friction fridge friend friendly friends fries frigate
+        friggin frighten from front froze frozen fruit fruits fuel fugitive fulfill fulfilled full fully
+        function functions funded funding funds funeral fungi funniest funny furious furniture further
+        fury fuse fuselage fuss future gain gained gaining gains galleries gallery gambling game
+        gameplay games gaming gandhi garage garbage gardener gardens garlic garnered gases gasoline
+        gastropod gate gather gathered gathering gauge gave gazette gear geeks gender genera general
+        generally generals generate generated generator generous genes genetic genetics genre genres
+        gentle gentleman gently genuine genuinely genus geography geology geometric geometry georges
+        germs gesture getaway gets getting ghosts giant gift gifted gifts gigantic girl give given gives
+        giving glacier glad gladly glamorous glance glimpse glitch gloat global globally glorious glove
+        gloves glow glowing glue glued goal goals godmother goes going gold golly gone good goodbye
+        goodness goodnight goody goons gorge gorgeous gosh gospel gossip gotten gourmet governed
+        governing governor governors gown grab grabbed grabbing grabs gracious grad grade graders grades
+        gradual gradually graduate graduated graduates grain gram grammar grampa gran grand granddad
+        grandma grandpa grandson granite granted granting grants grape graph graphic grasp grateful
+        gratitude grave gravel graveyard gravy greasy great greater greatest greatly greatness greed
+        greedy greet greeting greetings grew grey grid grief grieve grieving grill grilled grind grip
+        groceries grocery groom ground grounded grounds group grouped groups grow growing grown grownup
+        grows growth grudge guarantee guard guarded guarding guards guerrilla guess guessed guesses
+        guessing guidance guide guided guides guild guilt guilty guitarist gullible guns guru guts
+        gutter guys gymnasium habit habitat habitats habits hailed haircut haired half halfway halliwell
+        hallway halt halted hamburger hand handcuffs handed handful handicap handing handle handled
+        handles handling hands handshake handsome hang hanging hangover hangs happen happened happening
+        happens happier happiest happily happiness happy harass harassing harbour hard harder hardest
+        hardly hardware harm harmless harmony harsh hassle hatchet hate hated hateful hates hating
+        hatred hats haul haunt haunted haute have haven having havoc head headache headaches headed
+        heading headline headlines heads heal healed healing health healthy heap hear heard hearing
+        hears heart heartache heartbeat hearted heartless heated heating heats heave heavenly heavier
+        heavily heavy hectares heel heels height heights heir heirs held help helped helpful helping
+        helpless helps hence hepatitis herald herbal here hereby heritage hero heroic hers herself
+        hesitate hiatus hide hideous hiding hierarchy high higher highest highlands highlight highly
+        highness highways hike hilarious hills himself hindwings hint hints hips hire hired hiring
+        historian historic histories history hitch hitched hits hitting hobby hold holders holding holds
+        hole holes holidays hollow homage home homeland homeless homes homestead hometown homework homey
+        honest honestly honesty honeymoon honor honorable honorary honored honors honour honoured
+        honours hook hooked hooking hoot hope hoped hopefully hopeless hopes hoping hopping hormones
+        horns horrible horribly horror hose hospital hospitals host hostage hostages hosted hostess
+        hostile hostility hosting hosts hotel hotels hotter hottest hound hour hourglass hours house
+        housed household houses housing hovering however huge hugging human humanity humans humid
+        humiliate humor humorous humour hunch hundred hundreds hunger hungry hunk hunted hunters hurling
+        hurricane hurry hurt hurtful hurting hurts husband husbands hush hussein hustle hybrid hydraulic
+        hymn hypocrite iced icon iconic idea ideal ideals ideas identical identify identity ideology
+        idiot idol ignorant ignore ignored ignoring illegal illegally illness image imagery images
+        imaginary imagine imagined imaging imagining immature immediate immense immigrant immoral immune
+        immunity impact impacts impatient implement implied implies imply implying import important
+        imported imports impose imposed impress impressed imprint improve improved improving impulse
+        impulsive inability inaugural incapable incentive inception incident incidents inclined include
+        included includes including inclusion income incoming incorrect increase increased increases
+        incumbent indeed index indicate indicated indicates indie indies indirect indo indoor induced
+        inducted induction indulge industry infamous infant infantry infected infection inferior
+        infinite inflation influence info inform informal informant informed informs infrared inhabited
+        inherent inherit inherited initial initially initials initiated injected injection injured
+        injuries injury injustice inland inlet inmate inmates inner inning innings innocence innocent
+        input inquiry insanity inscribed insect insecure inserted inside insignia insist insisted
+        insisting insists inspector inspire inspired inspiring installed instance instances instant
+        instantly instead instincts insult insulted insulting insults insurance intact intake integer
+        integral integrate integrity intend intended intense intensity intensive intent intention inter
+        interact intercept interest interests interface interfere interim interior intern internal
+        interred interrupt interval intervals interview intimacy intimate into intrigued introduce
+        intrude invade invaded invasion invent invented invention inventor inventory invest invested
+        investor investors invisible invite invited inviting involve involved involves involving ions
+        ironic irony irregular islanders islands isle isles isolated isolation issue issued issues
+        issuing itch item items itinerary itself jacket jackets jacks jacuzzi jail jammed janitor jazz
+        jealous jealousy jeans jeopardy jerk jerks jerky jersey jewelry jinx jitters jobs jock join
+        joined joining joins joint jointly joints joke jokes joking journal journals journey judaism
+        judge judged judgement judges judging judgment judicial judiciary jump jumped jumping jumps
+        jumpy junction juniors junk jury just justified justify juvenile keep keeping keeps kept ketchup
+        keyboards khasinau kick kicked kicking kicks kiddin kidding kidney kidneys kids kind kindly
+        kindness kinds kingdoms kinkle kiss kissed kisser kissing kitchen knack knee knees knew knock
+        knocked knocking knockout knocks knot knots know knowing knowledge known knows kynaston label
+        labeled labels labor labour lace lack lacked lacking lacks ladder laden lads lady lagoon laid
+        lake lakes lame lamp land landed landing landings landlord landmark landmarks lands landscape
+        lanes language languages laps large largely larger largest larvae last lasted lasting lasts late
+        lately later lateral latest latitude latte latter laugh laughed laughing laughs laughter launch
+        launched launching laundry lawfully lawn lawndale laws lawsuit lawyer lawyers layer layers
+        laying layout lazy lead leader leaders leading leads leaf league leagues leak leaking leaning
+        leap learn learned learning learns lease leased leash least leave leaves leaving lecture
+        lecturer lectures ledge left leftovers legal legally legendary legends legit legs leisure lend
+        length lengths lengthy less lesser lesson lessons lethal lets letter letters letting lettuce
+        level levels leverage lexington lgbt liability liable liaison liar liars liberal liberals
+        librarian libraries library licence licensed licenses licensing lied lies life lifelong
+        lifestyle lifetime lift lifted lifting lighten lighting lightly like liked likely likes likewise
+        liking limb limbo lime limestone limit limited limiting limits limo limousine limp line linear
+        lined linen lines lineup lining linked linking links lions lips lipstick lisbon list listed
+        listen listened listener listeners listening listens listing listings lists literacy literally
+        literary litre little live lived liver lives livestock living load loaded loading loads loaf
+        loan loaned loans lobby local locality locally locals locate located location locations lock
+        locked locket locking locks lockup lodge loft logging logic logical logistics lone lonely longer
+        longest longing longtime look looked looking looks loony loop loose loosely loosen lords lose
+        loses losing loss losses lost lotion lots lottery loud louder lounge lousy lovebirds loved loves
+        loving lower lowered lowest lowland lowlife loyal loyalty luck luckiest luckily ludicrous
+        luggage lump lunar lunatic lunch luncheon lung lungs lure lured lurking luxury lying lyric
+        lyrical lyrics machinery machines macho madam madame made madly magazine magazines magical
+        magically magnetic magnitude maid mail mailbox mailed mails main mainland mainly maintain
+        maintains majesty major majority make makeover maker makers makes makeup making male males mall
+        malta mama mammals manage managed manager managers manages managing mandate mandated mandatory
+        manga manifest manifesto manly manned manner manners manor mans mansion many mapping maps
+        marched marching mare margin marginal marital maritime marked markers market marketed marketing
+        markets marking markings marriage marriages married marries marrow marry marrying marshal mart
+        martial martinis martyr marvelous mascot masculine mash mashed mask masks mass massage match
+        matched matches matching mate mater material materials maternal math mating matrimony matter
+        mattered matters mattress maturity maximum maybe mayor meal meals mean meaning meanings means
+        meant meantime meanwhile measure measured measures measuring meat mechanics mechanism medal
+        medalist medals meddling median medicine medieval medium meds meet meeting meetings meets
+        megachile melodic melodies melt meltdown melted melting member members membrane memo memoir
+        memoirs memorable memorial memories memorize memorized memory mend mental mentally mention
+        mentioned mentions menu meow merchants mere merely merge merged merger merging merit mess
+        message messages messed messes messing messy metaphor meteor meter meters method methods metre
+        metres metric mice microwave middle midland midlands midst might migrated migration mild mildly
+        mile militant military militia milk mill million millions mind minded minding minds mine mineral
+        miners mines mingle mini miniature minimal minimum mining minister ministers ministry minority
+        mint mints minus minute minutes miracle miracles mirror mirrors miserable misery misguided
+        misjudged misplaced miss missed misses missile missiles missing mission missions mistake
+        mistaken mistakes mistletoe mixed mixing mixture mobile mobility mocha mocking mode model
+        modeled modeling models moderate modern modes modest modified module modules moist mold mole
+        molecular molecule molecules mollusk moment moments momentum mommy moms monarchy monastic
+        monetary monitors monsieur monsters month monthly months monument monuments mood moral morality
+        morally morals more moreover morning mornings morphine mortal mortality mortals most mostly
+        motel moth mothers moths motif motivated motive motives motor motors motorway motto mound mount
+        mounted mourn mourning mouth mouths move moved movement movements moves movie movies moving much
+        muffins mugged mule multi multiple municipal mural murdering murders museum museums mushrooms
+        music musical musician musicians must mutation mutations mutual myself mysteries mystery
+        mystical myth mythology nagging nail nailed nails name named namely names namesake naming napkin
+        napkins narrative narrator narrow narrowly nation nationals native natives natural naturally
+        nature nausea nauseous naval navy near nearby nearest nearly neat necessary necessity necklace
+        necks need needed needing needle needles needs needy negative neglected negotiate neighbor
+        neighbors neither nephew nerd nervous nest nests network networks neurons neurotic neutral never
+        newborn newer newest newly newlyweds news newspaper next nice nicely nicer nicest nickname
+        nicknamed niece night nightclub nightmare nights nine nineteen ninety ninth nitrogen nobility
+        nobody node nodes noise noises noisy nominal nominated nominee nonprofit nonsense noon nope norm
+        normal normally northeast northward northwest noses nosy notable notably notation notch note
+        noted notes nothing notice noticed notices noticing notified notify noting notion notorious noun
+        novel novelist novels nowadays nowhere nuclear nucleus nuisance numb number numbered numbering
+        numerical numerous nuns nurse nursery nurses nursing nutrition nuts nutty oath obey object
+        objection objective objects obligated obliged obnoxious obscure observe observed observer
+        observers observing obsessed obsessing obsession obsessive obsolete obtain obtained obtaining
+        obvious obviously occasion occasions occupied occupies occupy occupying occur occurred occurring
+        occurs oddly odds offence offend offended offense offensive offer offered offering offerings
+        offers office officer officers offices official officials offs offset offshore offspring often
+        okay older oldest olives olympic omelet onboard once ones ongoing only onset onto onwards oops
+        open opened opener opening openly opens operas operate operated operates operating operation
+        operative operators opinion opinions opponent opponents oppose opposed opposing opposite opted
+        optical optimal option optional options oral orbital orchestra ordained ordeal order ordered
+        ordering orderly orders ordinance ordinary ordnance organic organised organism organisms
+        organist organize organized oriented origin original origins orphan orphanage orphans orthodox
+        other others otherwise ought ounce ours ourselves outbreak outcome outcomes outdoor outer outfit
+        outfits outlet outlets outline outlined output outreach outright outs outside outskirts oval
+        oven over overall overboard overcome overdue overhaul overhead overhear overheard overlook
+        overly overnight override overs oversaw overseas oversight overthrow overtime overview owed owes
+        owing owned owner owners ownership owning owns oxide oxygen pacific pack package packages
+        packaging packed packing packs pact pageant paged pager pages paging paid pain painful painfully
+        painless pains paint painted painting paintings pair paired pairs pajamas palace pale palm pals
+        pancakes panel panels panic panicked pants papal papers paperwork parachute parade paragraph
+        parallel paralysis paralyzed parameter paramount paranoia paranoid parasite pardon parent
+        parental parenting parents parish parishes parked parking parlor parody parole part partial
+        partially parties partisan partition partly partner partnered partners parts party partying
+        passage passages passed passes passing passive past pasta pastor pastoral patch patent patented
+        patents paternal paternity path pathetic paths pathway patient patients patriarch patriotic
+        patrols patron patronage patrons pattern patterns pause paved pawn payback paycheck paying
+        payment payments payoff payroll pays peace peaceful peak peaked peaking peaks peas peasants
+        peculiar peep peer peers pegged penalties penalty pencils pending peninsula pennies pens pension
+        penthouse people pepperoni perceived percent perennial perfect perfectly perform performed
+        performer performs perfume perhaps period periodic periods perjury permanent permit permits
+        permitted person personal personnel persons persuade persuaded perth petition petroleum pets
+        phase phases phenomena phone phoned phones phony photo phrase phrases physical physician
+        physicist pianist piano pick picked picket picking picks picky picnic picture pictured pictures
+        piece pieces pier pierced pies pigs pile pill pillars pillows pills pilot pilots pinch pine
+        pining pinned pins pint pioneered pioneers pipe pipes pitched pitcher pitching pitiful pits pity
+        place placed placement places placing plague plain plains plan plane planned planning plans
+        plant planted plants plaque plateau platform platforms platoon platter play played players
+        playing playoff playoffs plays plaza plea plead pleading pleasant please pleased pleases
+        pleasure pledge plenty plot plots plotting plug plumbing plural plus pneumonia pocket pockets
+        podium poem poems poet poetic poetry poets point pointed pointing pointless points pointy
+        poisoned poisoning poisonous poke poker poking polar pole policeman policies policy polish
+        polite political politics poll polls pollution polygraph pompous ponds pool pools poor poorly
+        popped popping pops popular popularly populated porch pork port portable portal portfolio
+        portion portions portrait portraits portrayal portrayed ports pose posed posing position
+        positions positive possess possessed possesses possible possibly post postcard posted poster
+        posterior posters posting postpone postponed posts potatoes potential potion pottery pound
+        pounding pounds pour poured pouring poverty power powered powerful powerless practical practice
+        practiced practices prairie praise praised praising prank pray prayed prayer prayers praying
+        preceded preceding precinct precise precisely precision precursor predators predict predicted
+        prefer preferred prefix pregnancy pregnant prejudice premature premier premiere premiered
+        premise premises prep prepare prepared preparing pres presence present presented presenter
+        presently presents preserve preserved presided press pressed pressing pressure pressured
+        pressures prestige presume presumed pretend pretended pretends prettier prettiest pretty
+        prevalent prevent prevented prevents preview previous prey priceless prices pride priests
+        primarily primary prime primera primitive principal principle print printed printing prints
+        prior priority priory prison prisoner prisoners prisons privacy privately privilege privy prix
+        prize prizes probable probably probation probe problem problems procedure proceed proceeded
+        proceeds process processed processes processor produce produced producer producers produces
+        producing product products professor profile profit profits profound prognosis program programme
+        programs progress project projected projects prolific prolonged prom prominent promise promised
+        promises promising promote promoted promoter promotes promoting promotion prompted prompting
+        promptly prone pronounce proof propeller proper properly property prophecy proposal proposals
+        propose proposed proposes proposing props pros prose prosecute prospect protect protected
+        protector protects protein proteins protest protested protests proto protocol protocols
+        prototype proud prove proved proven proves provide provided provider providers provides
+        providing province provinces proving provision provoke proximity pseudonym psych psyche psyched
+        psychic psychotic publicity publicly publish published publisher publishes puddle puff puffs
+        puke pull pulled pulling pulls pulse pump pumped pumping pumps punch punched punches punching
+        punish punished punishing pupils puppet purchase purchased pure purely purpose purposes purse
+        pursue pursued pursuing pursuit push pushed pushes pushing pushy puts putting puzzle quack
+        qualified qualify quality quantity quarry quarter quarterly quarters quartet queen question
+        questions quick quicker quickly quiet quietly quit quite quits quitting quiz quote quoted quotes
+        rabble race raced races racial racism rack racket radar radial radiation radio radius raft rage
+        raging raid raids rail railroad railroads rails railways rainfall raining raise raised raises
+        raising rally rams ranch rancho range ranged ranges ranging rank ranked ranking rankings ranks
+        rapid rapidly rapids rapper rare rarely rate rated rates rather ratified rating ratings ratio
+        rational rattle rave raving reach reached reaches reaching react reacted reacting reaction
+        reactions reactor read readers readily reading readings reads ready real realise realised
+        realism realistic reality realize realized realizes realizing really realm rear reason reasoning
+        reasons reassure rebellion rebound rebounds rebuild rebuilt recall recalled receipt receipts
+        receive received receiver receives receiving recent recently reception receptor receptors recess
+        recipe recipient recital reckon recognise recognize recommend record recorded recorder recording
+        records recover recovered recovery recruit recruited recruits recurring reddish reduce reduced
+        reduces reducing reduction reef refer referee reference referred referring refers refill refined
+        reflect reflected reflects reform reformed reforms refresh refuge refugee refugees refusal
+        refuse refused refuses refusing regain regained regard regarded regarding regards regency regent
+        regime regiment regiments region regional regions register registry regret regrets regretted
+        regular regularly regulate regulated rehab rehearsal rehearse reign reigning reindeer reissued
+        reject rejected rejection rejoined relate related relates relating relation relations relative
+        relatives relax relaxed relaxing relay release released releases releasing relegated relevant
+        reliable relied relief relies relieve relieved religion religions religious relive relocated
+        reluctant rely remain remainder remained remaining remains remake remark remarked remarks
+        remarried remember remembers remind reminded reminder reminding reminds remix remixes remnants
+        remorse remote remotely removal remove removed removing renamed rendered rendering renewable
+        renewed renovated renowned rent rental rented renting reopened repair repaired repairs repay
+        repeat repeated repeating replace replaced replacing replay replica replied reply report
+        reported reporter reporters reporting reports represent reprinted request requested requests
+        require required requires requiring rescued rescuing resemble resembles resent reserve reserved
+        reserves reservoir reset reside resided residence residency resident residents resides residing
+        resign resigned resist resistant resisting resolve resolved resort resorts resource resources
+        respect respected respects respond responded response responses rest resting restless restore
+        restored restoring restraint rests result resulted resulting results resume resumed retail
+        retailers retain retained retaining retains rethink retire retired retiring retreat retreated
+        retrieve retro return returned returning returns reunion reunited reveal revealed revealing
+        reveals revenge revenue revenues reverend reverse reversed reverted review reviewed reviewer
+        reviewers reviewing reviews revised revision revival revived revolt reward rewarded rewrite
+        rhyme rhythm rhythmic ribbon ribs richer richest ride riders rides ridges riding rifle rifles
+        rigged right righteous rightful rights righty rigid ring ringing riot riots ripe ripped ripping
+        rise rises rising risk risked risking risks risky rite ritual rituals rival rivalry rivals
+        riverside road roads roar roast robbed robbers robbery robbing robe robes robots robust rock
+        rocking rode role roles roll rolled rolling rolls romantic roof room roommate roommates rooms
+        roots rope ropes roses roster rotating rotation rotting rouge rough roughly round rounded route
+        routes routine routing rowing rows royal royalty rubbed rubbing rude rugby ruin ruined ruining
+        ruins rule ruled rulers rules ruling rumor rumors rumour runners runnin running runs runway
+        rural rushed ruthless sabotage sack sacked sacks sacred sacrifice saddle sadly sadness safe
+        safely safer safest safety saga said sail sailed sailors saint sake sakes salad salary sale
+        salesman salon salt salute salvage salvation same sampling sanctuary sandstone sandwich sane
+        sank sarcasm sarcastic satellite satirical satisfied satisfy sauce save saved saves saving
+        savings saxophone saying says scale scalpel scam scan scandal scar scare scarecrow scared scares
+        scarf scaring scars scary scattered scenario scenery scenes scenic scent schedule scheduled
+        scheme schemes scheming scholar scholarly scholars school schooling schools scientist scissors
+        scoop scoot scope score scored scorer scores scoring scouting scouts scrambled scrap scrape
+        scrapped scratch scratched screamed screaming screams screen screened screening screens screws
+        script scripts scroll scrub sculptor sculpture sealed search searched searching seas season
+        seasonal seasons seat seated seating seats second secondary secondly seconds secrecy secretly
+        secrets section sections sector sectors secular secure secured securing sedated sedative seed
+        seeded seeds seeing seek seeking seeks seem seemed seemingly seems seen sees segment segments
+        seize seized seizure selected selection selective self selfish selfless sell seller selling
+        semester semi semifinal seminar seminars seminary senate senator send sending sends senior
+        seniors sense sensed senses sensible sensing sensitive sensor sensors sent sentence sentenced
+        sentences seoul separate separated sequel sequence sequences serial series serious seriously
+        serum servant servants serve served servers serves service services serving session sessions
+        setback sets setting settings settle settled settlers settling setup seven seventeen seventh
+        seventy several severe severely sewer sewing shack shades shadows shaft shake shaken shakes
+        shaking shaky shall shallow shalt sham shame shape shaped shapes share shared shares sharing
+        sharply shattered shaving shed sheet shelf shells shelter sheriff shield shift shifted shifting
+        shifts shine shining shiny ship shipment shipped shipping ships shipyard shire shirt shirts
+        shiva shock shocked shocking shoe shoo shoot shooting shoots shop shopping shops shore short
+        shortage shortened shortly shorts shot shots should shoulder shout shouting shove shoved shovel
+        shoving show showcase showed shower showing shown shows shred shrimp shrine shrink shroud shush
+        shut shutting shuttle sibling siblings sick sickness side sided sides sidewalk sigh sight sights
+        sign signal signaling signals signature signed signing signs silence silent silly similar
+        similarly simpler simply since sincere sincerely sing singer singers singing single singles
+        sings singular sink sinking sins sire sister sisters sitcom site sites sits sitting situated
+        situation sixteen sixteenth sixth sixties sixty size sized sizes skates skating skeleton sketch
+        sketches skill skilled skills skip skipped skipping skirt skull slam slammed slap slapped slash
+        sleaze sleazy sleep sleeping sleeps sleeve sleeves sleigh slender slept slice slide slides
+        slight slightest slightly slime slimy sling slip slipped slippers slipping slips slit slogan
+        slope slopes sloppy slot slovenian slow slower slowing slowly smack small smaller smallest smart
+        smarter smartest smash smashed smear smell smelled smelling smells smile smiled smiling smoked
+        smoking smoothly smug snack snacks snag snail snails snap snapped sneak sneaking sniff sniffing
+        snowing snuck soak soaked sober social socialism socialist socially societies sociology sock
+        socks soda sodium sofa soft soil soils sold soldiers sole solely solicitor solid solitary solo
+        solution solve solved solving some somebody someday somehow someone someplace something sometime
+        sometimes somewhat somewhere songs soon sooner sophomore sordid sore sorority sorrow sorry sort
+        sorts sought souls sound sounded sounding sounds soup sour source sources southeast southwest
+        souvenir sovereign space spaces spaghetti span spanning spans spare spared spark sparked spatial
+        spawned speak speakers speaking speaks special specially specials specialty specific specifics
+        specified specimen specimens spectra speech speeches speed speeding speeds speedway spell
+        spelled spelling spells spend spending spends spent spicy spiders spill spilled spin spinal
+        spine spinning spirited spiritual spit spite spitting splendid split splitting spoil spoiled
+        spoke spoken spokesman sponsor sponsored spooked spoon sport sporting sports spot spotlight
+        spotted spray spread spreading springs sprung spur spying squad squadron squadrons square
+        squared squares squat squeeze squeezed stability stable stables stadium staff stage staged
+        stages staging stain stained stains staircase stairs stairwell stake stakes stale stalk stalked
+        stalking stall stalling stamp stance stand standard standards standing standings stands stare
+        staring starred starring stars start started starters starting startle startled starts starve
+        starved starving stash stashed stat state stated statement states statewide stating station
+        stationed stations statue statues status statute statutory stay stayed staying stays steadily
+        steady steak steal stealing steals steep steer stem stems step stepped stepping steps steroids
+        stew stick sticking stiff still stink stinking stinks stint stir stirred stirring stitches stock
+        stockings stoke stole stolen stomach stood stool stoop stop stopped stopping stops storage store
+        stored stores stories story storyline stove straight stranded strange strangely strangers
+        strangest strangle strangled strapped strategic strategy stray streak stream streams streets
+        strength stress stressed stressful stretch stretched stretches strict strictly strikes striking
+        string strings strip stripes stripped strips stroke strokes stroll stronger strongest strongly
+        struck structure struggle struggled struggles strung stubborn stuck student students studied
+        studies study studying stuff stuffed stuffing stuffy stumbled stunned stunning stunt stunts
+        stupidest stupidity style styled styles subfamily subject subjected subjects submarine submerged
+        submitted subpoena subset substance substrate subtle suburb suburban suburbs succeed succeeded
+        successes successor such suction sudden suddenly sued suffer suffered suffering suffice suffix
+        suffrage suggest suggested suggests suing suit suitable suitcase suite suited suits summary
+        summon summoned sundays sunk superhero superior supper supplied supplies supply support
+        supported supporter supports suppose supposed supreme sure surely surgeon surgeons surgery
+        surgical surname surpassed surplus surprise surprised surprises surrender surrogate survey
+        surveyed surveys survival survive survived survives surviving survivors suspect suspected
+        suspects suspended suspense suspicion sustained swallowed swamp swamped swear swearing sweat
+        sweater sweaters sweating sweaty sweep sweeping sweet sweetest sweetie swell swelling swept swim
+        swing swings switch switched switches switching swollen swore sworn symbol symbolic symbols
+        symmetry sympathy symphony symptoms synagogue syndrome synopsis synthesis synthetic syringe
+        system systems tabby table tables tablet tabloid tabloids tabs tack tackle tackles tacky tacos
+        tactic tactical tactics tail tailed tails take taken takeout takeover takes takin taking tale
+        talent talented talents tales talk talked talking talks tall taller tallest tangled tank tanks
+        tape taped tapes taping tapped targeted targeting targets task tasked tasks taste tasted tattoos
+        taught tavern taxation taxes taxi taxonomy teach teachers teaches teaching teachings team teamed
+        teammate teammates teams tear tearing tears tease teasing technical technique teenage teenager
+        teenagers teeny telegram televised tell teller telling tells temper temperate temples tempo
+        temporal temporary tempt tempted tempting tenants tend tended tendency tender tends tens tense
+        tension tensions tent tenth tenure term termed terminal terms terrain terrible terribly terrific
+        terrified territory tertiary tess testament tested testified testify testimony tests text
+        textile texts texture than thank thanked thankful thanking thanks that theater theaters theatre
+        theatres theft their theirs them theme themed themes then theology theorem theories theory
+        therapist therapy there thereby therefore thermal these thesis they thick thickness thief
+        thieves thin thing things think thinking thinks thinner third thirds thirst thirsty thirty this
+        thorough those though thought thoughts thousand thousands thread threat threaten threats three
+        threshold threw thrill thrilled thriller throat throats throne through throw throwing thrown
+        throws thrust thugs thumb thus tick ticked ticket tickets ticking tidal tide tied tier ties
+        tight tighter tiles till time timeline timer times timing tiny tipped tips tire tired tires
+        tissue tissues title titled titles titular toad toast tobacco today toes together toilet toilets
+        token told tolerance tolerate toll tomatoes tomb tombs tomorrow tone tones tonic tonight tonnes
+        tons took tool tools topic topics topped tops torch tore torment torn torpedo torque toss tossed
+        tossing total totally touch touchdown touched touches touching touchy tough tougher tour toured
+        touring tourism tourist tourists tours toward towards towel towels town township townships toxic
+        toys trace traced traces track tracked tracking tracks traction trade traded trademark traders
+        trades trading tradition traffic tragedy tragic trail trailer trails train trained training
+        trains traitor traits tram tramp tramway trans transfer transfers transform transit translate
+        transport trap trapped traps trash trashed trashing trauma traumatic traveled travelers
+        traveling travelled travels tray treason treasurer treasury treat treated treaties treating
+        treatise treatment treats treaty tree trees trench trend trends trial trials tribal tribe tribes
+        tribunal tribune tributary tribute trick tricked tricks tried tries triggered trilogy trim trio
+        trip triple tripped tripping trips troop troops trophy tropical troubled troubles troubling
+        truce true truly trunk trust trusted trustee trusting trusts truth trying tucked tuition tummy
+        tumor tuna tune tuned tunes tunnel tunnels turbine turbines turf turkeys turn turned turning
+        turnout turnpike turns turret tuscany tutor tutoring twelfth twelve twenties twentieth twenty
+        twice twin twins twist twisting twit tying type types typical typically typing ugly uhhh
+        ulterior ultimatum unable unanimous unaware unborn uncertain unchanged unclear uncommon
+        uncovered under undergo undergone undermine undertake undertook underway underwear underwent
+        undo unethical unfair unfit unhappy unified uniform uniforms uninvited union unionist unions
+        unique unit unite units unity universal universe unknown unless unlike unlikely unlimited unload
+        unlock unlocked unnamed unpack unrelated unrest unstable untie until unusual unusually unveiled
+        upcoming update updated updates upgrade upgraded upheld upon upper uprising upset upsets
+        upsetting upside upstairs upstream uptight uranium urge urged urgent usage used useful useless
+        user users uses using usual usually utilities utility utilize utilized utilizing utterly vacancy
+        vacant vacated vague vaguely vain vale valid validity valley valleys valuable value valued
+        values valve vampires vanish vanished vanity vanquish variable variables variant variants
+        variation varied varies varieties variety various variously varsity vary varying vase vast vault
+        vegetable vehicle vehicles veil vein velocity vending vendors vengeance vent venture ventures
+        venues verb verbal verbs verdict verge verify verse verses version versions versus vertical very
+        vested veteran veterans veto viable vial vibe vibes vicar vice vicinity vicious victim victims
+        victories video videos videotape view viewed viewer viewers viewing views vile village villagers
+        villages villain villains vinyl violated violating violation violence violent viral virtual
+        virtually virus visible visions visit visited visiting visitor visitors visits vital vitals
+        vitamins vocal vocalist vocals vodka voice voiced voices void volatile volcanic volcano voltage
+        volume volumes voluntary volunteer vote voted voter voters votes voting vouch vowel vowels vows
+        voyage wacky waffles wage wager wagon wagons waist wait waited waiter waitin waiting waitress
+        wake wakes waking walk walked walking walks wallet wand wander wandered wanderers wandering want
+        wanted wanting wants wardrobe wards warehouse warfare warlocks warm warmed warmer warming warmth
+        warn warned warning warped warrant wars warships wartime wash washed washing waste wasted
+        wasting watch watched watches watching watershed wave waving ways weak weakened weakness wealth
+        wealthy weapon weapons wear wearing wears weary website websites wedded wedding weddings wedge
+        week weekday weekend weekends weekly weep weigh weighed weighing weighs weight weird weirder
+        weirdest weirdo welcomed welcoming welfare well went were western westward wetlands whack
+        whacked whale what wheel when whenever where whereas whereby wherever whether which whichever
+        while whilst whim whine whining whip whipped whistle whit whoever whole wholesale wholly whom
+        whoop whoops whose wicket wide widely wider widow width wife wiggle wild wildest wildlife will
+        willing willingly wimp wind window winds winged wingspan winners winning wins wipe wiped wire
+        wired wireless wires wiring wish wished wishes wishful wishing witch witches with withdraw
+        withdrawn withdrew within without witness witnessed witnesses wits witty wives woke woman women
+        wonder wondered wonderful wondering wonders wont wooden woof wool word words wore work worked
+        worker workers workforce workin working workout workplace works workshop workshops world worlds
+        worldwide worm worn worried worries worry worrying worse worship worst worth worthless would
+        wound wounded wounds wrap wrapped wrapping wraps wrath wreck wrecked wrecking wrestler wrestlers
+        wrestling wretched wrist wrists write writer writers writes writing writings written wrong wrote
+        yacht yank yard yards year yearbook yearly years yell yelled yelling yesterday yield yields yoga
+        yogurt younger youngest your yours yourself youth zambia zero zinc zombies zone zones
+    `.trim().split(/\s+/)
+};
+
+// エクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wordlist;
+}
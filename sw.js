@@ -2,14 +2,32 @@
  * Service Worker - オフライン対応
  */
 
-const CACHE_NAME = 'password-manager-v11';
+const CACHE_NAME = 'password-manager-v39';
 const ASSETS = [
     '/',
     '/index.html',
     '/css/style.css',
     '/js/app.js',
+    '/js/argon2.js',
     '/js/crypto.js',
+    '/js/crypto-worker.js',
     '/js/storage.js',
+    '/js/vault-registry.js',
+    '/js/auto-lock.js',
+    '/js/clipboard-guard.js',
+    '/js/passkey.js',
+    '/js/login-throttle.js',
+    '/js/entry-types.js',
+    '/js/search.js',
+    '/js/url-match.js',
+    '/js/otp.js',
+    '/js/otp-migration.js',
+    '/js/qr-decoder.js',
+    '/js/attachments.js',
+    '/js/wordlist.js',
+    '/js/password-rules.js',
+    '/js/strength-dictionaries.js',
+    '/js/strength-estimator.js',
     '/js/password-generator.js',
     '/js/github-sync.js',
     '/manifest.json',
@@ -55,9 +73,9 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // ローカルリソースはキャッシュファースト
+    // ローカルリソースはキャッシュファースト（?url= などで開かれた画面はクエリを除いて照合）
     event.respondWith(
-        caches.match(event.request)
+        caches.match(event.request, { ignoreSearch: event.request.mode === 'navigate' })
             .then((cachedResponse) => {
                 if (cachedResponse) {
                     return cachedResponse;
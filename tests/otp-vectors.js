@@ -0,0 +1,73 @@
+/**
+ * ワンタイムパスワードのテスト（RFC 6238 付録B・RFC 4226 付録Dのテストベクトル）
+ * Base32のシークレットキーから otpauth:// URI を組み立て、アプリと同じ Otp.parse → Otp.generate の経路で計算する。
+ * 画面で使う Otp.selfTest が成功することも確認する。
+ *
+ * 実行: node tests/otp-vectors.js
+ *   Node.js 20以降（組み込みのWeb Crypto APIを使うため依存パッケージは不要）
+ */
+
+const Otp = require('../js/otp.js');
+
+// シードはASCIIの "1234567890" の繰り返し（SHA1: 20バイト、SHA256: 32バイト、SHA512: 64バイト）
+const SEED = '1234567890'.repeat(7);
+const SECRETS = {
+    SHA1: Otp.base32Encode(new TextEncoder().encode(SEED.slice(0, 20))),
+    SHA256: Otp.base32Encode(new TextEncoder().encode(SEED.slice(0, 32))),
+    SHA512: Otp.base32Encode(new TextEncoder().encode(SEED.slice(0, 64)))
+};
+
+// [時刻（秒）, SHA1, SHA256, SHA512]（8桁・30秒）
+const TOTP_VECTORS = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826']
+];
+// カウンター0〜9（SHA1・6桁）
+const HOTP_VECTORS = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+let failures = 0;
+const check = (label, actual, expected) => {
+    if (actual === expected) return;
+    failures++;
+    console.error(`✗ ${label}: ${actual}（期待値 ${expected}）`);
+};
+
+async function main() {
+    // Base32の符号化が独立に書いた値と一致する（アプリのselfTestが使う定数も同じ）
+    for (const algorithm of Object.keys(SECRETS)) {
+        check(`Base32 ${algorithm}`, SECRETS[algorithm], Otp.SELF_TEST_SECRETS[algorithm]);
+    }
+
+    for (const [time, ...expected] of TOTP_VECTORS) {
+        for (const [i, algorithm] of ['SHA1', 'SHA256', 'SHA512'].entries()) {
+            const config = Otp.parse(`otpauth://totp/RFC6238?secret=${SECRETS[algorithm]}&algorithm=${algorithm}&digits=8&period=30`);
+            check(`TOTP ${algorithm} ${time}`, await Otp.generate(config, time * 1000), expected[i]);
+        }
+    }
+    console.log(`✓ TOTP（RFC 6238）${TOTP_VECTORS.length * 3}件`);
+
+    for (let counter = 0; counter < HOTP_VECTORS.length; counter++) {
+        const config = Otp.parse(`otpauth://hotp/RFC4226?secret=${SECRETS.SHA1}&counter=${counter}`);
+        check(`HOTP ${counter}`, await Otp.generate(config), HOTP_VECTORS[counter]);
+        check(`HOTP ${counter}（hotp）`, await Otp.hotp(config, counter), HOTP_VECTORS[counter]);
+    }
+    console.log(`✓ HOTP（RFC 4226）${HOTP_VECTORS.length}件`);
+
+    // シークレットキーの表記揺れ（小文字・空白・パディング）も同じコードになる
+    const spaced = SECRETS.SHA1.toLowerCase().replace(/(.{4})/g, '$1 ') + '====';
+    check('表記揺れのあるシークレットキー', await Otp.generate(Otp.parse(spaced), 59 * 1000), '287082');
+
+    check('Otp.selfTest', await Otp.selfTest(), true);
+
+    if (failures > 0) throw new Error(`${failures}件が一致しませんでした`);
+    console.log('すべて成功しました');
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
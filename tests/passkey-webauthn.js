@@ -0,0 +1,254 @@
+/**
+ * パスキーによるロック解除のE2Eテスト（ヘッドレスChromium + 仮想認証器）
+ * CDPの WebAuthn.addVirtualAuthenticator（PRF対応）を使い、画面操作で
+ * 登録 → ロック → パスキーでロック解除 → 登録解除 を確認する。
+ *
+ * 実行: CHROME_PATH=/path/to/chrome node tests/passkey-webauthn.js
+ *   Node.js 22以降（組み込みのWebSocket・fetchを使うため依存パッケージは不要）
+ *   リポジトリをlocalhostで配信するので、WebAuthnに必要な安全なコンテキストになる。
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const MASTER_PASSWORD = 'passkey-test-password';
+const TIMEOUT_MS = 30000;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * リポジトリを静的ファイルとして配信
+ * @returns {Promise<{server: http.Server, port: number}>}
+ */
+function serve() {
+    const server = http.createServer((req, res) => {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+        if (!file.startsWith(ROOT + path.sep)) {
+            res.writeHead(403).end();
+            return;
+        }
+        fs.readFile(file, (error, data) => {
+            if (error) {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' }).end(data);
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port }));
+    });
+}
+
+/**
+ * ヘッドレスChromiumを起動し、DevToolsのポートを得る
+ * @returns {Promise<{chrome: ChildProcess, port: number, userDataDir: string}>}
+ */
+async function launchChrome() {
+    const executable = process.env.CHROME_PATH;
+    if (!executable) throw new Error('CHROME_PATH にChromium（Chrome）の実行ファイルを指定してください');
+
+    const userDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'passkey-test-'));
+    const args = [
+        '--headless=new',
+        '--remote-debugging-port=0',
+        `--user-data-dir=${userDataDir}`,
+        '--no-first-run',
+        '--no-default-browser-check',
+        'about:blank'
+    ];
+    // rootで動かすCIなどではサンドボックスを使えない
+    if (process.getuid && process.getuid() === 0) args.unshift('--no-sandbox');
+    const chrome = spawn(executable, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    chrome.stderr.on('data', chunk => {
+        stderr += chunk;
+    });
+
+    // 起動するとDevToolsのポートがファイルに書かれる
+    const portFile = path.join(userDataDir, 'DevToolsActivePort');
+    for (let waited = 0; waited < TIMEOUT_MS; waited += 100) {
+        if (fs.existsSync(portFile)) {
+            const [port] = fs.readFileSync(portFile, 'utf8').split('\n');
+            if (port) return { chrome, port: Number(port), userDataDir };
+        }
+        await sleep(100);
+    }
+    chrome.kill();
+    throw new Error(`Chromiumを起動できませんでした\n${stderr.trim()}`);
+}
+
+/**
+ * ページのCDPセッションに接続
+ * @returns {Promise<{send: (method: string, params?: Object) => Promise<Object>, close: () => void}>}
+ */
+async function connect(devtoolsPort) {
+    const targets = await (await fetch(`http://127.0.0.1:${devtoolsPort}/json/list`)).json();
+    const page = targets.find(target => target.type === 'page');
+    if (!page) throw new Error('ページが見つかりません');
+
+    const socket = new WebSocket(page.webSocketDebuggerUrl);
+    await new Promise((resolve, reject) => {
+        socket.addEventListener('open', resolve, { once: true });
+        socket.addEventListener('error', () => reject(new Error('DevToolsに接続できませんでした')), { once: true });
+    });
+
+    let nextId = 1;
+    const pending = new Map();
+    socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        const callback = pending.get(message.id);
+        if (!callback) return;
+        pending.delete(message.id);
+        if (message.error) {
+            callback.reject(new Error(`${callback.method}: ${message.error.message}`));
+        } else {
+            callback.resolve(message.result);
+        }
+    });
+
+    return {
+        send(method, params = {}) {
+            const id = nextId++;
+            socket.send(JSON.stringify({ id, method, params }));
+            return new Promise((resolve, reject) => pending.set(id, { method, resolve, reject }));
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
+
+/**
+ * テスト本体
+ */
+async function run(cdp, appUrl) {
+    const evaluate = async (expression) => {
+        const { result, exceptionDetails } = await cdp.send('Runtime.evaluate', { expression, awaitPromise: true, returnByValue: true });
+        if (exceptionDetails) {
+            throw new Error(`${expression}: ${exceptionDetails.exception ? exceptionDetails.exception.description : exceptionDetails.text}`);
+        }
+        return result.value;
+    };
+    const waitFor = async (expression, label) => {
+        for (let waited = 0; waited < TIMEOUT_MS; waited += 100) {
+            if (await evaluate(expression)) return;
+            await sleep(100);
+        }
+        const toasts = await evaluate('[...document.querySelectorAll(".toast")].map(t => t.textContent)');
+        throw new Error(`${label} になりませんでした（通知: ${toasts.join(' / ') || 'なし'}）`);
+    };
+    const step = (name) => console.log(`✓ ${name}`);
+    const isActive = (id) => `document.getElementById('${id}').classList.contains('active')`;
+    const passkeyCount = '(async () => (await Passkey.list()).length)()';
+
+    // 仮想認証器（端末内蔵・ユーザー検証あり・PRF対応）
+    await cdp.send('WebAuthn.enable', { enableUI: false });
+    const { authenticatorId } = await cdp.send('WebAuthn.addVirtualAuthenticator', {
+        options: {
+            protocol: 'ctap2',
+            ctap2Version: 'ctap2_1',
+            transport: 'internal',
+            hasResidentKey: true,
+            hasUserVerification: true,
+            isUserVerified: true,
+            hasPrf: true,
+            automaticPresenceSimulation: true
+        }
+    });
+
+    await cdp.send('Page.navigate', { url: appUrl });
+    await waitFor(`typeof App !== 'undefined' && App.isNewUser && ${isActive('login-screen')}`, '初回のログイン画面');
+
+    // マスターパスワードを設定し、エントリを1件追加
+    await evaluate(`
+        document.getElementById('master-password').value = ${JSON.stringify(MASTER_PASSWORD)};
+        document.getElementById('confirm-password').value = ${JSON.stringify(MASTER_PASSWORD)};
+        document.getElementById('login-form').requestSubmit();
+    `);
+    await waitFor(isActive('recovery-code-modal'), 'リカバリーコードの表示');
+    await evaluate(`document.getElementById('recovery-code-done').click()`);
+    await waitFor(isActive('list-screen'), '一覧画面');
+    await evaluate(`
+        App.showAddScreen();
+        document.getElementById('detail-service').value = 'Example';
+        document.getElementById('detail-username').value = 'alice';
+        document.getElementById('detail-password').value = 'correct horse battery staple';
+        document.getElementById('detail-form').requestSubmit();
+    `);
+    await waitFor('App.passwords.length === 1', 'エントリの保存');
+    step('Vaultを作成');
+
+    // 登録（マスターパスワードの確認を経て、PRFの出力でデータ鍵をラップする）
+    await evaluate(`App.showScreen('settings-screen'); document.getElementById('passkey-register-btn').click()`);
+    await waitFor(isActive('password-prompt-modal'), 'マスターパスワードの確認');
+    await evaluate(`
+        document.getElementById('password-prompt-input').value = ${JSON.stringify(MASTER_PASSWORD)};
+        document.getElementById('password-prompt-form').requestSubmit();
+    `);
+    await waitFor(`${passkeyCount}.then(count => count === 1)`, 'パスキーの登録');
+    const { credentials } = await cdp.send('WebAuthn.getCredentials', { authenticatorId });
+    if (credentials.length !== 1) throw new Error(`認証器の資格情報が${credentials.length}件です`);
+    step('パスキーを登録');
+
+    // ロックするとログイン画面にパスキーのボタンが出る
+    await evaluate(`document.getElementById('logout-btn').click()`);
+    await waitFor(`${isActive('login-screen')} && document.getElementById('passkey-login-btn').style.display === 'block'`, 'パスキーのボタンがあるログイン画面');
+    if (await evaluate('App.encryptionKey !== null && App.encryptionKey !== undefined')) throw new Error('ロック後もデータ鍵が残っています');
+    step('ロック');
+
+    // パスキーでロック解除し、エントリを復号できる
+    await evaluate(`document.getElementById('passkey-login-btn').click()`);
+    await waitFor(isActive('list-screen'), 'パスキーでのロック解除');
+    const service = await evaluate('App.passwords.length === 1 ? App.passwords[0].service : null');
+    if (service !== 'Example') throw new Error(`復号したエントリが一致しません: ${service}`);
+    step('パスキーでロック解除');
+
+    // 登録解除するとラップしたデータ鍵が消え、ログイン画面のボタンも出なくなる
+    await evaluate(`App.showScreen('settings-screen')`);
+    await waitFor(`document.querySelectorAll('.passkey-revoke-btn').length === 1`, 'パスキー一覧の表示');
+    await evaluate(`document.querySelector('.passkey-revoke-btn').click()`);
+    await waitFor(`${passkeyCount}.then(count => count === 0)`, 'パスキーの登録解除');
+    await evaluate(`document.getElementById('logout-btn').click()`);
+    await waitFor(`${isActive('login-screen')} && document.getElementById('passkey-login-btn').style.display === 'none'`, 'パスキーのボタンがないログイン画面');
+    step('パスキーの登録を解除');
+}
+
+async function main() {
+    if (typeof WebSocket === 'undefined') throw new Error('Node.js 22以降で実行してください');
+
+    const { server, port } = await serve();
+    let browser = null;
+    let cdp = null;
+    try {
+        browser = await launchChrome();
+        cdp = await connect(browser.port);
+        await run(cdp, `http://localhost:${port}/index.html`);
+        console.log('すべて成功しました');
+    } finally {
+        if (cdp) cdp.close();
+        if (browser) {
+            browser.chrome.kill();
+            await new Promise(resolve => browser.chrome.once('exit', resolve));
+            fs.rmSync(browser.userDataDir, { recursive: true, force: true });
+        }
+        server.close();
+    }
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});